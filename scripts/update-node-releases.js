@@ -0,0 +1,21 @@
+import { writeFileSync } from "fs"
+import { dirname, join } from "path"
+import { fileURLToPath } from "url"
+import { BUNDLED_NODE_RELEASES_FILENAME, UTF8_ENCODING } from "../src/constants.js"
+import { fetchNodeReleaseIndex } from "../src/releases.utils.js"
+
+/**
+ * Refreshes the bundled snapshot of the nodejs.org release index (`src/data/node-releases.json`) used when offline.
+ * Keeps only the fields the extension reads, newest first and one release per line, so updates diff cleanly.
+ */
+const snapshotPath = join(dirname(fileURLToPath(import.meta.url)), "..", "src", "data", BUNDLED_NODE_RELEASES_FILENAME)
+
+const releases = await fetchNodeReleaseIndex()
+const lines = releases
+    .reverse()
+    .map(({ version, date, npm, lts }) =>
+        JSON.stringify({ version: `v${version}`, ...(date && { date }), ...(npm && { npm }), lts })
+    )
+
+writeFileSync(snapshotPath, `[\n${lines.join(",\n")}\n]\n`, UTF8_ENCODING)
+console.info(`Wrote ${releases.length} releases to ${snapshotPath}`)
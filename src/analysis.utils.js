@@ -0,0 +1,727 @@
+import { existsSync, readFileSync } from "fs"
+import { basename, dirname, join, relative, sep } from "path"
+import { satisfies } from "semver"
+import {
+    COMMON_NODEJS_VERSIONS,
+    COMMON_NPM_VERSIONS,
+    DEFAULT_DEPENDENCY_CATEGORY_MODES,
+    DEFAULT_NODE_VERSION_RANGE,
+    DEPENDENCY_CATEGORY_MODES,
+    NODE_MODULES_DIRNAME,
+    NOTE_NO_DEPENDENCIES,
+    PACKAGE_JSON_FILENAME,
+    UTF8_ENCODING,
+} from "./constants.js"
+import {
+    createLockfileSource,
+    createPnpmLockfileSource,
+    createYarnLockfileSource,
+    detectPackageManager,
+    findNpmLockfile,
+    findPnpmLockfile,
+    findYarnLockfile,
+    readNpmLockfile,
+    readPnpmLockfile,
+    readYarnLockfile,
+} from "./lockfile.utils.js"
+import { listCachedPackageVersions } from "./packument.utils.js"
+import { createPnpSource, findPnpManifest, readPnpApi } from "./pnp.utils.js"
+import {
+    categorizeDependencies,
+    findBindingConstraints,
+    findConstraintWarnings,
+    formatBindingConstraints,
+    formatConflictResolutions,
+    formatConstraintWarnings,
+    suggestConflictResolutions,
+    toEngineConstraints,
+} from "./constraints.utils.js"
+import { formatEngineRange, intersectRanges } from "./range.utils.js"
+import { buildNpmCatalog, toBundledNpmVersions } from "./releases.utils.js"
+import { createInstalledSource, walkDependencyTree } from "./resolver.utils.js"
+import { findWorkspacePackages, findWorkspaceRoot } from "./workspaces.utils.js"
+
+/**
+ * @typedef {object} ProjectAnalysisResult
+ * @property {string} projectPackageJsonPath - The path to the project's package.json.
+ * @property {string | null} minNode - The determined minimum supported Node.js version.
+ * @property {string | null} maxNode - The determined maximum supported Node.js version.
+ * @property {string | null} minNpm - The determined minimum supported NPM version.
+ * @property {string | null} maxNpm - The determined maximum supported NPM version.
+ * @property {string | null} [nodeRange] - The intersection of every dependency's Node.js range as a simplified semver range, e.g. `^18.17.0 || >=20.5.0`. Null if it could not be computed symbolically.
+ * @property {string | null} [npmRange] - The intersection of every dependency's NPM range as a simplified semver range. Null if it could not be computed symbolically.
+ * @property {string[]} [compatibleNodeVersions] - Every known Node.js version satisfying all ranges, oldest first.
+ * @property {string[]} [compatibleNpmVersions] - Every known NPM version satisfying all ranges, oldest first.
+ * @property {import('./constraints.utils.js').EngineConstraint[]} [nodeConstraints] - Every `engines.node` range declared in the tree, with the dependency that declared it.
+ * @property {import('./constraints.utils.js').EngineConstraint[]} [npmConstraints] - Every `engines.npm` range declared in the tree, with the dependency that declared it.
+ * @property {import('./constraints.utils.js').BindingConstraints} [nodeBindingConstraints] - The dependencies that set the Node.js bounds, or conflict if there are none.
+ * @property {import('./constraints.utils.js').BindingConstraints} [npmBindingConstraints] - The dependencies that set the NPM bounds, or conflict if there are none.
+ * @property {import('./constraints.utils.js').ConflictResolution[]} [nodeConflictResolutions] - If no Node.js version is compatible, versions of the conflicting dependencies that would fix it.
+ * @property {import('./constraints.utils.js').ConflictResolution[]} [npmConflictResolutions] - If no NPM version is compatible, versions of the conflicting dependencies that would fix it.
+ * @property {string[]} [nodeVersionsRequiringNpmUpgrade] - Compatible Node.js versions whose bundled npm falls outside the NPM range, so npm must be upgraded by hand.
+ * @property {string | null} [developmentNodeRange] - The Node.js range once development-only dependencies are added, if any are configured. Null if it is empty or could not be computed.
+ * @property {string | null} [developmentNpmRange] - The NPM range once development-only dependencies are added, if any are configured. Null if no range is declared or it is empty.
+ * @property {string[]} [compatibleDevelopmentNodeVersions] - The compatible Node.js versions that the development-only dependencies support too, if any are configured.
+ * @property {string[]} [compatibleDevelopmentNpmVersions] - The compatible NPM versions that the development-only dependencies support too, if any are configured.
+ * @property {import('./constraints.utils.js').ConstraintWarning[]} [nodeConstraintWarnings] - Node.js ranges of dependencies counted as warnings that reject part of the recommended range.
+ * @property {import('./constraints.utils.js').ConstraintWarning[]} [npmConstraintWarnings] - NPM ranges of dependencies counted as warnings that reject part of the recommended range.
+ * @property {Record<string, unknown> | null} [declaredEngines] - The `engines` the project's package.json declares, if any.
+ * @property {AnalyzedDependency[]} [dependencies] - Every package reached from a category that is not ignored, including those without engines, in the order they were reached.
+ * @property {string} [source] - Where the dependency tree was read from: `node_modules`, a lockfile or the Plug'n'Play manifest's file name.
+ * @property {string} [note] - An optional note, e.g., if no dependencies were found or other information.
+ */
+
+/**
+ * @typedef {object} AnalysisOptions
+ * @property {boolean} [preferLockfile] - Read the tree from the lockfile even if `node_modules` is installed.
+ * @property {import('./releases.utils.js').NodeRelease[]} [nodeReleases] - Release data used to keep the NPM range consistent with the npm versions the compatible Node releases ship.
+ * @property {string} [npmCachePath] - The npm `_cacache` directory to look up other versions of conflicting dependencies in. Defaults to npm's cache.
+ * @property {(message: string) => void} [onError] - Reports why the project's package.json is missing or invalid. Nothing is reported by default, for analyses the user did not ask for.
+ * @property {Record<string, string>} [categoryModes] - How each dependency category counts, one of `DEPENDENCY_CATEGORY_MODES` by category. Defaults to `DEFAULT_DEPENDENCY_CATEGORY_MODES`.
+ * @property {string} [workspaceRoot] - The monorepo root the project is a package of, whose install, lockfile or Plug'n'Play manifest holds its dependencies. Found from the project's ancestors by default.
+ */
+/**
+ * Receives the progress of an analysis, e.g. a VS Code progress notification.
+ * @typedef {{ report: (value: { message?: string; increment?: number }) => void }} AnalysisProgress
+ */
+/**
+ * @typedef {object} EngineRangeStyles
+ * @property {string} node - The style of `engines.node`, one of `ENGINE_RANGE_STYLES`.
+ * @property {string} npm - The style of `engines.npm`, one of `ENGINE_RANGE_STYLES` except `ltsOnly`.
+ */
+
+/**
+ * A package reached from one of the project's direct dependencies. `category` is the category of the direct dependency
+ * it was reached through, e.g. `devDependencies`, and `mode` how that category counts, one of `DEPENDENCY_CATEGORY_MODES`.
+ * @typedef {import('./resolver.utils.js').InstalledDependency & { category: string | null, mode: string }} AnalyzedDependency
+ */
+
+/**
+ * Reads the package.json of a monorepo root, for the fields that apply to all of its packages.
+ * @param {string} rootPath
+ * @returns {Record<string, any>} The parsed package.json, or an empty object if it cannot be read.
+ */
+const readRootManifest = rootPath => {
+    try {
+        return JSON.parse(readFileSync(join(rootPath, PACKAGE_JSON_FILENAME), UTF8_ENCODING))
+    } catch {
+        return {}
+    }
+}
+
+/**
+ * Chooses where to read the dependency tree from, regardless of package manager:
+ * Yarn Plug'n'Play when `.pnp.cjs` is present, the installed `node_modules` (including pnpm's symlinked layout) when present,
+ * otherwise the lockfile of the package manager named by `packageManager` or detected from the lockfiles on disk.
+ * Falls back to `node_modules` (where every dependency will be missing) if no usable source is found.
+ * Packages of a monorepo are read from the root's install or lockfile, starting at the package's own entry.
+ * @param {string} projectPath - The root path of the project.
+ * @param {AnalysisOptions} [options]
+ * @param {Record<string, any>} [manifest] - The project's parsed package.json, used to read `packageManager` unless the project is a package of a monorepo.
+ * @returns {{ source: import('./resolver.utils.js').DependencySource, sourceName: string }}
+ */
+export const selectDependencySource = (projectPath, options = {}, manifest = {}) => {
+    const installedSource = { source: createInstalledSource(projectPath), sourceName: NODE_MODULES_DIRNAME }
+    const rootPath = options.workspaceRoot ?? findWorkspaceRoot(projectPath) ?? projectPath
+    //* Lockfiles key workspace packages by their path from the root, always with `/`
+    const relativePath = relative(rootPath, projectPath).split(sep).join("/")
+
+    /**
+     * Builds a source from a file, falling back to `node_modules` if the file cannot be used.
+     * @param {string} filePath
+     * @param {(filePath: string) => import('./resolver.utils.js').DependencySource} createSource
+     */
+    const trySource = (filePath, createSource) => {
+        try {
+            return { source: createSource(filePath), sourceName: basename(filePath) }
+        } catch (error) {
+            console.warn(
+                `Could not use ${filePath}: ${JSON.parse(JSON.stringify(error))?.message ?? error}. Falling back to ${NODE_MODULES_DIRNAME}.`
+            )
+            return installedSource
+        }
+    }
+
+    const pnpManifestPath = findPnpManifest(rootPath)
+    if (pnpManifestPath) {
+        return trySource(pnpManifestPath, path => createPnpSource(projectPath, readPnpApi(path)))
+    }
+
+    //? Workspace packages usually have no node_modules of their own; their dependencies are hoisted to the root's
+    const hasNodeModules = [projectPath, rootPath].some(path => existsSync(join(path, NODE_MODULES_DIRNAME)))
+    if (!options.preferLockfile && hasNodeModules) {
+        return installedSource
+    }
+
+    //? The root's packageManager governs every package of a monorepo, which usually declares none of its own
+    const packageManager = detectPackageManager(rootPath, rootPath === projectPath ? manifest : readRootManifest(rootPath))
+    const pnpmLockfilePath = packageManager !== "npm" ? findPnpmLockfile(rootPath) : null
+    if (pnpmLockfilePath) {
+        return trySource(pnpmLockfilePath, path => createPnpmLockfileSource(rootPath, readPnpmLockfile(path), relativePath || "."))
+    }
+
+    const yarnLockfilePath = packageManager === "yarn" ? findYarnLockfile(rootPath) : null
+    if (yarnLockfilePath) {
+        return trySource(yarnLockfilePath, path => createYarnLockfileSource(rootPath, readYarnLockfile(path), relativePath || "."))
+    }
+
+    const npmLockfilePath = findNpmLockfile(rootPath)
+    if (npmLockfilePath) {
+        return trySource(npmLockfilePath, path => createLockfileSource(rootPath, readNpmLockfile(path), relativePath))
+    }
+    return installedSource
+}
+
+/**
+ * Gathers the versions available for the given packages: every copy in the dependency tree (and so in the lockfile),
+ * plus the versions listed in npm's cache.
+ * @param {string[]} names - The package names.
+ * @param {import('./resolver.utils.js').InstalledDependency[]} installedDependencies - The walked dependency tree.
+ * @param {string} [npmCachePath] - The npm `_cacache` directory. Defaults to npm's cache.
+ * @returns {Map<string, import('./packument.utils.js').PackageVersion[]>}
+ */
+const collectAvailableVersions = (names, installedDependencies, npmCachePath) => {
+    /** @type {Map<string, import('./packument.utils.js').PackageVersion[]>} */
+    const available = new Map()
+    for (const name of new Set(names)) {
+        /** @type {Map<string, import('./packument.utils.js').PackageVersion>} */
+        const byVersion = new Map()
+        for (const { name: depName, version, engines } of installedDependencies) {
+            if (depName === name && version) byVersion.set(version, { version, engines })
+        }
+        for (const cached of listCachedPackageVersions(name, { cachePath: npmCachePath })) {
+            if (!byVersion.has(cached.version)) byVersion.set(cached.version, cached)
+        }
+        available.set(name, [...byVersion.values()])
+    }
+    return available
+}
+
+/**
+ * Intersects the collected engine ranges symbolically.
+ * @param {string[]} ranges - The ranges to intersect.
+ * @param {string} engine - The engine name, for the warning shown when a range is invalid.
+ * @returns {string | null} The simplified intersection, or null if it is empty or a range is invalid.
+ */
+const intersectEngineRanges = (ranges, engine) => {
+    try {
+        return intersectRanges(ranges)
+    } catch (error) {
+        console.warn( //? Leave the range to the sampled known versions, which treat invalid ranges as matching nothing
+            `Could not intersect ${engine} ranges symbolically: ${JSON.parse(JSON.stringify(error))?.message ?? error}`
+        )
+        return null
+    }
+}
+
+/**
+ * Analyzes the project to find the supported Node and NPM version ranges.
+ * @param {string} projectPath The root path of the project.
+ * @param {AnalysisProgress} progress
+ * @param {string[]} [knownNodeVersions=COMMON_NODEJS_VERSIONS] - Optional. Known Node.js versions to check against. Defaults to COMMON_NODEJS_VERSIONS.
+ * @param {string[]} [knownNpmVersions=COMMON_NPM_VERSIONS] - Optional. Known NPM versions to check against. Defaults to COMMON_NPM_VERSIONS.
+ * @param {AnalysisOptions} [options] - Optional. Controls where the dependency tree is read from and which release data is used.
+ * @returns {Promise<ProjectAnalysisResult | null>}
+ */
+export const analyzeProjectDependencies = async (
+    projectPath,
+    progress,
+    knownNodeVersions = COMMON_NODEJS_VERSIONS,
+    knownNpmVersions = COMMON_NPM_VERSIONS,
+    options = {}
+) => {
+    /** @type {string|URL} */
+    const projectPackageJsonPath = join(projectPath, PACKAGE_JSON_FILENAME)
+    if (!existsSync(projectPackageJsonPath)) {
+        options.onError?.(`${PACKAGE_JSON_FILENAME} not found in ${projectPath}`)
+        return null
+    }
+
+    let projectPackageJson
+    try {
+        projectPackageJson = JSON.parse(
+            readFileSync(projectPackageJsonPath, UTF8_ENCODING)
+        )
+    } catch (error) {
+        options.onError?.(
+            `Error parsing ${projectPackageJsonPath}: ${JSON.parse(JSON.stringify(error))?.message ?? error}`
+        )
+        return null
+    }
+
+    //? Each category counts as configured: towards the range, towards the development range only, as a warning, or not at all
+    const categories = categorizeDependencies(projectPackageJson)
+    const categoryModes = { ...DEFAULT_DEPENDENCY_CATEGORY_MODES, ...options.categoryModes }
+    /** @param {string} name */
+    const modeOf = name => categoryModes[categories.get(name) ?? ""] ?? DEPENDENCY_CATEGORY_MODES.REQUIRED
+    const modeOrder = Object.values(DEPENDENCY_CATEGORY_MODES)
+    //? Walk the enforced dependencies first, so packages they share with the others count as enforced
+    const directDependencyNames = [...categories.keys()]
+        .filter(name => modeOf(name) !== DEPENDENCY_CATEGORY_MODES.IGNORE)
+        .sort((a, b) => modeOrder.indexOf(modeOf(a)) - modeOrder.indexOf(modeOf(b)))
+
+    if (directDependencyNames.length === 0) {
+        return {
+            projectPackageJsonPath,
+            minNode: null,
+            maxNode: null,
+            minNpm: null,
+            maxNpm: null,
+            note: NOTE_NO_DEPENDENCIES,
+        }
+    }
+
+    progress.report({ increment: 10, message: "Scanning dependencies..." }) //? Report initial progress for dependency scanning
+
+    /** @type {*[]} */
+    const allNodeRanges = []
+
+    /** @type {*[]} */
+    const allNpmRanges = []
+
+    /** @type {Number} */
+    let depCount = 0
+
+    /** @type {Number} */
+    const totalDeps = directDependencyNames.length
+
+    const { source, sourceName } = selectDependencySource(projectPath, options, projectPackageJson)
+
+    //? Follow every installed package below the direct dependencies, since a deep dependency can narrow the range too
+    const walkedDependencies = walkDependencyTree(projectPath, directDependencyNames, {
+        source,
+        onVisit: ({ name, depth }) => {
+            if (depth > 0) return
+            depCount++
+            progress.report({ //? Report progress for each direct dependency being analyzed
+                increment: (depCount / totalDeps) * 80,
+                message: `Analyzing ${name}...`,
+            })
+        },
+    })
+
+    /** @param {string} mode */
+    const walkedWithMode = mode => walkedDependencies.filter(({ directDependency }) => modeOf(directDependency) === mode)
+    const installedDependencies = walkedWithMode(DEPENDENCY_CATEGORY_MODES.REQUIRED)
+    const developmentDependencies = walkedWithMode(DEPENDENCY_CATEGORY_MODES.DEVELOPMENT)
+    const warningDependencies = walkedWithMode(DEPENDENCY_CATEGORY_MODES.WARNING)
+
+    for (const { engines } of installedDependencies) {
+        //? No engines field (or a missing/unreadable manifest) implies compatibility with a wide range. For Node, effectively ">=0.10.0" or similar very old version. This won't unduly restrict the lower bound unless other packages are more restrictive.
+        allNodeRanges.push(engines?.node ?? DEFAULT_NODE_VERSION_RANGE)
+        if (engines?.npm) { //? If it specifies an NPM version
+            allNpmRanges.push(engines.npm) //? Add the NPM range to the list
+        }
+    }
+
+    progress.report({ increment: 90, message: "Calculating version ranges..." }) //? Report progress for calculating the final version ranges
+
+    //? Calculate Node range
+    let minNode = null,
+        maxNode = null
+    /** @type {string | null} */
+    let nodeRange = null
+    /** @type {string[]} */
+    let compatibleNodeVersions = []
+    if (allNodeRanges.length > 0) {
+        compatibleNodeVersions = knownNodeVersions.filter(version =>
+            allNodeRanges.every(rangeStr => {
+                try {
+                    return satisfies(version, rangeStr, { includePrerelease: false }) //? Check if the Node.js version satisfies the given range
+                } catch (_error) {
+                    console.error({ _error })
+                    console.warn( //? Warn about invalid semver ranges and assume no match
+                        `Invalid semver range "${rangeStr}" for Node for dep. Assuming it doesn't match version ${version}.`
+                    )
+                    return false
+                }
+            })
+        )
+        if (compatibleNodeVersions.length > 0) {
+            minNode = compatibleNodeVersions[0] //? The first compatible version is the minimum
+            maxNode = compatibleNodeVersions[compatibleNodeVersions.length - 1] //? The last compatible version is the maximum
+            nodeRange = intersectEngineRanges(allNodeRanges, "Node")
+        }
+    } else if (directDependencyNames.length > 0) {
+        //* Has dependencies, but none that count towards the range (e.g. only devDependencies) or none installed
+        compatibleNodeVersions = knownNodeVersions
+        minNode = knownNodeVersions[0] //* Default to oldest known if deps exist but don't constrain
+        maxNode = knownNodeVersions[knownNodeVersions.length - 1]
+        //? The same range dependencies without engines get, so the development range and monorepo totals can build on it
+        nodeRange = intersectEngineRanges([DEFAULT_NODE_VERSION_RANGE], "Node")
+    } //? If no compatible versions are found, the range remains null
+
+    //? Calculate NPM range
+    let minNpm = null,
+        maxNpm = null
+    /** @type {string | null} */
+    let npmRange = null
+    /** @type {string[]} */
+    let compatibleNpmVersions = []
+    /** @type {string[]} */
+    let nodeVersionsRequiringNpmUpgrade = []
+    //? The declared npm ranges, plus the oldest npm a compatible Node release ships once it is known
+    let npmRangeInputs = allNpmRanges
+    if (allNpmRanges.length > 0) {
+        /** @param {string} version */
+        const satisfiesAllNpmRanges = version =>
+            allNpmRanges.every(rangeStr => {
+                try {
+                    return satisfies(version, rangeStr, { includePrerelease: false }) //? Check if the NPM version satisfies the given range
+                } catch (_error) {
+                    console.error({ _error })
+                    console.warn( //? Warn about invalid semver ranges and assume no match
+                        `Invalid semver range "${rangeStr}" for NPM. Assuming it doesn't match version ${version}.`
+                    )
+                    return false
+                }
+            })
+
+        compatibleNpmVersions = knownNpmVersions.filter(satisfiesAllNpmRanges)
+
+        //? With release data, only recommend npm versions that a compatible Node release actually ships with
+        if (options.nodeReleases) {
+            const bundledNpmVersions = toBundledNpmVersions(options.nodeReleases)
+            //? A compatible release whose bundled npm is unknown may ship any npm, so neither the floor nor the shipped versions are known
+            const isShippedNpmKnown = compatibleNodeVersions.every(version => bundledNpmVersions.has(version))
+            const shippedNpmVersions = [...buildNpmCatalog(options.nodeReleases)]
+                .filter(([, nodeVersions]) => nodeVersions.some(version => compatibleNodeVersions.includes(version)))
+                .map(([npmVersion]) => npmVersion)
+            const compatibleShippedNpmVersions = shippedNpmVersions.filter(satisfiesAllNpmRanges)
+            if (isShippedNpmKnown && compatibleShippedNpmVersions.length > 0) {
+                compatibleNpmVersions = compatibleShippedNpmVersions
+                npmRangeInputs = [...allNpmRanges, `>=${compatibleShippedNpmVersions[0]}`]
+            }
+            //? Node releases in range whose bundled npm is rejected can only be used after upgrading npm by hand
+            nodeVersionsRequiringNpmUpgrade = compatibleNodeVersions.filter(version => {
+                const npmVersion = bundledNpmVersions.get(version)
+                return npmVersion !== undefined && !satisfiesAllNpmRanges(npmVersion)
+            })
+        }
+
+        if (compatibleNpmVersions.length > 0) {
+            minNpm = compatibleNpmVersions[0] //? The first compatible version is the minimum
+            maxNpm = compatibleNpmVersions[compatibleNpmVersions.length - 1] //? The last compatible version is the maximum
+            //? Start the symbolic range at the oldest npm a compatible Node release ships, but leave the top open to manual upgrades
+            npmRange = intersectEngineRanges(npmRangeInputs, "NPM")
+        }
+    }
+    //? Keep track of who declared each range, so the bounds can be explained
+    const nodeConstraints = toEngineConstraints(installedDependencies, "node", categories)
+    const npmConstraints = toEngineConstraints(installedDependencies, "npm", categories)
+
+    //? The development range adds the development-only dependencies to everything the recommended range enforces
+    const developmentNodeConstraints = toEngineConstraints(developmentDependencies, "node", categories)
+    const developmentNpmConstraints = toEngineConstraints(developmentDependencies, "npm", categories)
+    const developmentNpmRanges = [...npmRangeInputs, ...developmentNpmConstraints.map(({ range }) => range)]
+    /**
+     * @param {string} version
+     * @param {import('./constraints.utils.js').EngineConstraint[]} constraints
+     */
+    const satisfiesEvery = (version, constraints) => constraints.every(({ range }) => {
+        try {
+            return satisfies(version, range, { includePrerelease: false })
+        } catch {
+            return false //* Invalid ranges were reported when the recommended range was computed
+        }
+    })
+    const developmentRanges = developmentDependencies.length > 0
+        ? {
+            developmentNodeRange: intersectEngineRanges([
+                ...allNodeRanges,
+                ...developmentDependencies.map(({ engines }) => engines?.node ?? DEFAULT_NODE_VERSION_RANGE),
+            ], "Node"),
+            developmentNpmRange: developmentNpmRanges.length > 0 ? intersectEngineRanges(developmentNpmRanges, "NPM") : null,
+            compatibleDevelopmentNodeVersions: compatibleNodeVersions.filter(version => satisfiesEvery(version, developmentNodeConstraints)),
+            //* Without an NPM range for the runtime, every known npm version is a candidate
+            compatibleDevelopmentNpmVersions: (allNpmRanges.length > 0 ? compatibleNpmVersions : knownNpmVersions)
+                .filter(version => satisfiesEvery(version, developmentNpmConstraints)),
+        }
+        : {}
+    const nodeConstraintWarnings = findConstraintWarnings(
+        toEngineConstraints(warningDependencies, "node", categories), compatibleNodeVersions
+    )
+    const npmConstraintWarnings = findConstraintWarnings(
+        toEngineConstraints(warningDependencies, "npm", categories), compatibleNpmVersions
+    )
+    const nodeBindingConstraints = findBindingConstraints(nodeConstraints, knownNodeVersions, compatibleNodeVersions)
+    const npmBindingConstraints = findBindingConstraints(npmConstraints, knownNpmVersions, compatibleNpmVersions)
+
+    //? When the ranges conflict, look for versions of the conflicting dependencies that would not
+    const conflictingNames = [...nodeBindingConstraints.conflicts, ...npmBindingConstraints.conflicts].map(({ name }) => name)
+    const availableVersions = conflictingNames.length > 0
+        ? collectAvailableVersions(conflictingNames, installedDependencies, options.npmCachePath)
+        : new Map()
+    const nodeConflictResolutions = suggestConflictResolutions(
+        nodeConstraints, nodeBindingConstraints.conflicts, availableVersions, knownNodeVersions, "node"
+    )
+    const npmConflictResolutions = suggestConflictResolutions(
+        npmConstraints, npmBindingConstraints.conflicts, availableVersions, knownNpmVersions, "npm"
+    )
+
+    progress.report({ increment: 100 }) //? Report completion of the analysis
+    return {
+        projectPackageJsonPath,
+        declaredEngines: projectPackageJson.engines ?? null,
+        minNode,
+        maxNode,
+        minNpm,
+        maxNpm,
+        nodeRange,
+        npmRange,
+        compatibleNodeVersions,
+        compatibleNpmVersions,
+        nodeConstraints,
+        npmConstraints,
+        nodeBindingConstraints,
+        npmBindingConstraints,
+        ...(nodeBindingConstraints.conflicts.length > 0 && { nodeConflictResolutions }),
+        ...(npmBindingConstraints.conflicts.length > 0 && { npmConflictResolutions }),
+        ...developmentRanges,
+        ...(nodeConstraintWarnings.length > 0 && { nodeConstraintWarnings }),
+        ...(npmConstraintWarnings.length > 0 && { npmConstraintWarnings }),
+        source: sourceName,
+        ...(nodeVersionsRequiringNpmUpgrade.length > 0 && { nodeVersionsRequiringNpmUpgrade }),
+        dependencies: walkedDependencies.map(dependency => ({
+            ...dependency,
+            category: categories.get(dependency.directDependency) ?? null,
+            mode: modeOf(dependency.directDependency),
+        })),
+    }
+}
+
+// Ensure ProjectAnalysisResult is defined above its use in analyzeProjectDependencies JSDoc
+
+/**
+ * @typedef {object} WorkspacePackageAnalysis
+ * @property {string} name - The package name.
+ * @property {string} path - The directory of the package.
+ * @property {ProjectAnalysisResult} result - The analysis of the package's own dependencies.
+ */
+
+/**
+ * @typedef {object} WorkspaceAnalysisResult
+ * @property {ProjectAnalysisResult} root - The analysis of the root's own dependencies.
+ * @property {WorkspacePackageAnalysis[]} packages - One analysis per workspace package that could be read.
+ * @property {ProjectAnalysisResult} aggregate - The ranges every package and the root support together, for the root's package.json.
+ */
+
+/**
+ * Combines the analyses of a monorepo's packages into the ranges they all support. Results without dependencies do
+ * not constrain anything, and npm is only constrained by the results that declare an npm range.
+ * @param {ProjectAnalysisResult} rootResult - The analysis of the root, whose package.json the aggregate is for.
+ * @param {ProjectAnalysisResult[]} results - The analyses to combine, including the root's.
+ * @param {string[]} knownNodeVersions - Every Node.js version considered.
+ * @param {string[]} knownNpmVersions - Every NPM version considered.
+ * @returns {ProjectAnalysisResult}
+ */
+export const aggregateAnalysisResults = (rootResult, results, knownNodeVersions, knownNpmVersions) => {
+    const analyzed = results.filter(result => !result.note)
+    /**
+     * Packages shared by several projects (e.g. hoisted to the root) are listed once.
+     * @param {import('./constraints.utils.js').EngineConstraint[]} constraints
+     */
+    const dedupe = constraints => [...new Map(constraints.map(constraint => [`${constraint.path}\0${constraint.range}`, constraint])).values()]
+    const nodeConstraints = dedupe(analyzed.flatMap(result => result.nodeConstraints ?? []))
+    const npmConstraints = dedupe(analyzed.flatMap(result => result.npmConstraints ?? []))
+    const npmAnalyzed = analyzed.filter(result => (result.npmConstraints ?? []).length > 0)
+
+    const compatibleNodeVersions = knownNodeVersions.filter(version =>
+        analyzed.every(result => result.compatibleNodeVersions?.includes(version))
+    )
+    //? Compatible npm versions may be limited to those Node.js ships, so start from a result's list rather than every known version
+    const compatibleNpmVersions = (npmAnalyzed[0]?.compatibleNpmVersions ?? []).filter(version =>
+        npmAnalyzed.every(result => result.compatibleNpmVersions?.includes(version))
+    )
+    /**
+     * @param {ProjectAnalysisResult[]} rangeResults
+     * @param {(result: ProjectAnalysisResult) => string | null | undefined} toRange
+     * @param {string} engine
+     */
+    const intersectResultRanges = (rangeResults, toRange, engine) => {
+        const ranges = rangeResults.map(toRange)
+        return ranges.length > 0 && ranges.every(range => typeof range === "string")
+            ? intersectEngineRanges(/** @type {string[]} */ (ranges), engine)
+            : null
+    }
+    const nodeRange = compatibleNodeVersions.length > 0 ? intersectResultRanges(analyzed, result => result.nodeRange, "Node") : null
+    const npmRange = compatibleNpmVersions.length > 0 ? intersectResultRanges(npmAnalyzed, result => result.npmRange, "NPM") : null
+
+    //? Development tooling of every package runs from the root, so its devEngines cover all of them; packages without
+    //? development-only dependencies contribute their recommended range
+    const developmentAnalyzed = analyzed.filter(result => result.compatibleDevelopmentNodeVersions)
+    const developmentNpmAnalyzed = analyzed.filter(result =>
+        (result.compatibleDevelopmentNpmVersions && result.developmentNpmRange) || (result.npmConstraints ?? []).length > 0
+    )
+    const compatibleDevelopmentNodeVersions = compatibleNodeVersions.filter(version =>
+        developmentAnalyzed.every(result => result.compatibleDevelopmentNodeVersions?.includes(version))
+    )
+    const compatibleDevelopmentNpmVersions = (developmentNpmAnalyzed[0]?.compatibleDevelopmentNpmVersions ?? developmentNpmAnalyzed[0]?.compatibleNpmVersions ?? [])
+        .filter(version => developmentNpmAnalyzed.every(result =>
+            (result.compatibleDevelopmentNpmVersions ?? result.compatibleNpmVersions)?.includes(version)
+        ))
+    const developmentRanges = developmentAnalyzed.length > 0
+        ? {
+            developmentNodeRange: compatibleDevelopmentNodeVersions.length > 0
+                ? intersectResultRanges(analyzed, result => result.developmentNodeRange ?? result.nodeRange, "Node")
+                : null,
+            developmentNpmRange: compatibleDevelopmentNpmVersions.length > 0
+                ? intersectResultRanges(developmentNpmAnalyzed, result => result.developmentNpmRange ?? result.npmRange, "NPM")
+                : null,
+            compatibleDevelopmentNodeVersions,
+            compatibleDevelopmentNpmVersions,
+        }
+        : {}
+
+    return {
+        projectPackageJsonPath: rootResult.projectPackageJsonPath,
+        declaredEngines: rootResult.declaredEngines ?? null,
+        minNode: compatibleNodeVersions[0] ?? null,
+        maxNode: compatibleNodeVersions[compatibleNodeVersions.length - 1] ?? null,
+        minNpm: compatibleNpmVersions[0] ?? null,
+        maxNpm: compatibleNpmVersions[compatibleNpmVersions.length - 1] ?? null,
+        nodeRange,
+        npmRange,
+        compatibleNodeVersions,
+        compatibleNpmVersions,
+        nodeConstraints,
+        npmConstraints,
+        nodeBindingConstraints: findBindingConstraints(nodeConstraints, knownNodeVersions, compatibleNodeVersions),
+        npmBindingConstraints: findBindingConstraints(npmConstraints, knownNpmVersions, compatibleNpmVersions),
+        ...developmentRanges,
+        //? Re-checked against the narrower combined range
+        nodeConstraintWarnings: findConstraintWarnings(
+            analyzed.flatMap(result => result.nodeConstraintWarnings ?? []).map(({ constraint }) => constraint), compatibleNodeVersions
+        ),
+        npmConstraintWarnings: findConstraintWarnings(
+            analyzed.flatMap(result => result.npmConstraintWarnings ?? []).map(({ constraint }) => constraint), compatibleNpmVersions
+        ),
+        //? Packages hoisted to the root are reached from several packages, but listed once
+        dependencies: [...new Map(analyzed.flatMap(result => result.dependencies ?? []).map(dependency =>
+            [`${dependency.path ?? dependency.name}\0${dependency.version}`, dependency]
+        )).values()],
+        ...(rootResult.source && { source: rootResult.source }),
+        ...(analyzed.length === 0 && { note: NOTE_NO_DEPENDENCIES }),
+    }
+}
+
+/**
+ * Analyzes every package of a monorepo with its own dependencies, resolved from the root's install or lockfile, plus
+ * the root itself and the ranges they all support.
+ * @param {string} rootPath - The monorepo root, whose package.json lists `workspaces` or which has a `pnpm-workspace.yaml`.
+ * @param {AnalysisProgress} progress
+ * @param {string[]} [knownNodeVersions=COMMON_NODEJS_VERSIONS] - Known Node.js versions to check against.
+ * @param {string[]} [knownNpmVersions=COMMON_NPM_VERSIONS] - Known NPM versions to check against.
+ * @param {AnalysisOptions} [options]
+ * @returns {Promise<WorkspaceAnalysisResult | null>} The analyses, or null if the directory is not a monorepo root or its package.json cannot be read.
+ */
+export const analyzeWorkspaceProjects = async (
+    rootPath,
+    progress,
+    knownNodeVersions = COMMON_NODEJS_VERSIONS,
+    knownNpmVersions = COMMON_NPM_VERSIONS,
+    options = {}
+) => {
+    const workspacePackages = findWorkspacePackages(rootPath)
+    if (workspacePackages.length === 0) return null
+
+    //? Each analysis reports its own progress as if it were the only one, so report per package instead
+    const packageProgress = { report: () => {} }
+    const packageOptions = { ...options, workspaceRoot: rootPath }
+    const root = await analyzeProjectDependencies(rootPath, packageProgress, knownNodeVersions, knownNpmVersions, packageOptions)
+    if (!root) return null
+
+    /** @type {WorkspacePackageAnalysis[]} */
+    const packages = []
+    for (const { name, path } of workspacePackages) {
+        progress.report({ increment: 100 / workspacePackages.length, message: `Analyzing ${name}...` })
+        const result = await analyzeProjectDependencies(
+            path, packageProgress, knownNodeVersions, knownNpmVersions, { ...packageOptions, onError: undefined }
+        )
+        if (result) packages.push({ name, path, result })
+        else console.warn(`Could not read ${join(path, PACKAGE_JSON_FILENAME)}. Skipping workspace package ${name}.`)
+    }
+
+    return {
+        root,
+        packages,
+        aggregate: aggregateAnalysisResults(
+            root, [root, ...packages.map(({ result }) => result)], knownNodeVersions, knownNpmVersions
+        ),
+    }
+}
+
+/**
+ * Formats the recommended `engines.node` and `engines.npm` strings of an analysis in the configured styles, and the
+ * `devEngines` ranges if development-only dependencies are configured.
+ * @param {ProjectAnalysisResult} result - The analysis result.
+ * @param {EngineRangeStyles} styles - The styles to use, see `readEngineRangeStyles`.
+ * @param {string[]} [ltsNodeVersions] - Node.js versions released as LTS, for the `ltsOnly` style.
+ * @returns {{ nodeEngineString: string | null, npmEngineString: string | null, developmentNodeEngineString: string | null, developmentNpmEngineString: string | null }}
+ */
+export const formatRecommendedEngines = (result, styles, ltsNodeVersions = []) => ({
+    nodeEngineString: formatEngineRange(styles.node, {
+        range: result.nodeRange,
+        versions: result.compatibleNodeVersions ?? [result.minNode, result.maxNode].filter(Boolean),
+        ltsVersions: ltsNodeVersions,
+    }),
+    npmEngineString: formatEngineRange(styles.npm, {
+        range: result.npmRange,
+        versions: result.compatibleNpmVersions ?? [result.minNpm, result.maxNpm].filter(Boolean),
+    }),
+    developmentNodeEngineString: result.compatibleDevelopmentNodeVersions
+        ? formatEngineRange(styles.node, {
+            range: result.developmentNodeRange ?? null,
+            versions: result.compatibleDevelopmentNodeVersions,
+            ltsVersions: ltsNodeVersions,
+        })
+        : null,
+    //? Like engines.npm, only recommend an npm range if some dependency declares one
+    developmentNpmEngineString: result.compatibleDevelopmentNpmVersions && result.developmentNpmRange !== null
+        ? formatEngineRange(styles.npm, {
+            range: result.developmentNpmRange ?? null,
+            versions: result.compatibleDevelopmentNpmVersions,
+        })
+        : null,
+})
+
+/**
+ * Explains which dependencies set each recommended bound, or which ones conflict, for the "Show Details" action.
+ * @param {ProjectAnalysisResult} result - The analysis result.
+ * @returns {string}
+ */
+export const formatAnalysisDetails = result => {
+    const projectPath = dirname(result.projectPackageJsonPath)
+    const unknown = { lower: [], upper: [], conflicts: [] }
+    return [
+        `Engines analysis of ${result.projectPackageJsonPath}${result.source ? ` (based on ${result.source})` : ""}`,
+        "",
+        ...formatBindingConstraints("Node.js", result.nodeBindingConstraints ?? unknown, result.minNode, result.maxNode, projectPath),
+        ...(result.nodeConflictResolutions ? formatConflictResolutions(result.nodeConflictResolutions) : []),
+        ...formatConstraintWarnings("Node.js", result.nodeConstraintWarnings ?? [], result.compatibleNodeVersions ?? [], projectPath),
+        "",
+        ...formatBindingConstraints("NPM", result.npmBindingConstraints ?? unknown, result.minNpm, result.maxNpm, projectPath),
+        ...(result.npmConflictResolutions ? formatConflictResolutions(result.npmConflictResolutions) : []),
+        ...formatConstraintWarnings("NPM", result.npmConstraintWarnings ?? [], result.compatibleNpmVersions ?? [], projectPath),
+        ...(result.developmentNodeRange !== undefined
+            ? [
+                "",
+                `Development range (devEngines), adding development-only dependencies: Node.js "${result.developmentNodeRange ?? "none"}"${result.developmentNpmRange ? `, NPM "${result.developmentNpmRange}"` : ""}`,
+            ]
+            : []),
+    ].join("\n")
+}
+
+/**
+ * Explains the recommendation for the root and for each package of a monorepo, for the "Show Details" action.
+ * @param {WorkspaceAnalysisResult} workspaceResult - The monorepo analysis.
+ * @returns {string}
+ */
+export const formatWorkspaceAnalysisDetails = workspaceResult => [
+    `Every package together (for ${workspaceResult.aggregate.projectPackageJsonPath}):`,
+    formatAnalysisDetails(workspaceResult.aggregate),
+    ...workspaceResult.packages
+        .filter(({ result }) => !result.note)
+        .map(({ name, result }) => `${name}:\n${formatAnalysisDetails(result)}`),
+].join("\n\n")
+
@@ -0,0 +1,153 @@
+import { basename, dirname, sep } from "path"
+import { EventEmitter, Uri, workspace } from "vscode"
+import {
+    BACKGROUND_ANALYSIS_DELAY_MS,
+    CONFIGURATION_SECTION,
+    DEPENDENCY_TREE_GLOB,
+    DIAGNOSTICS_REFRESH_DELAY_MS,
+    NODE_MODULES_DIRNAME,
+    PACKAGE_JSON_FILENAME,
+    PACKAGE_JSON_GLOB,
+} from "./constants.js"
+import { analyzeProjectDependencies, analyzeWorkspaceProjects, readDependencyCategoryModes } from "./helper.utils.js"
+import { toKnownNodeVersions, toKnownNpmVersions } from "./releases.utils.js"
+
+/**
+ * The analyses behind the diagnostics, status bar, dependency tree view and background analysis, shared so a project
+ * is analyzed once per change rather than once per feature.
+ * @typedef {object} AnalysisCache
+ * @property {(projectPath: string) => Promise<import('./analysis.utils.js').ProjectAnalysisResult | null>} analyzeProject
+ * Analyzes a project, or returns its analysis if it has not changed since, see `analyzeProjectDependencies`.
+ * @property {(rootPath: string) => Promise<import('./analysis.utils.js').WorkspaceAnalysisResult | null>} analyzeWorkspace
+ * Analyzes a monorepo, or returns its analysis if it has not changed since, see `analyzeWorkspaceProjects`.
+ * @property {import('vscode').Event<string>} onDidChange - Fires with the path of each project whose analysis may have
+ * changed: the one whose files changed, and the monorepo packages or root analyzed along with it.
+ */
+
+/**
+ * Finds the project a changed file belongs to: the directory of a package.json or lockfile, or the directory holding
+ * the `node_modules` of an install state file such as `node_modules/.package-lock.json`.
+ * @param {string} filePath - The changed file.
+ * @returns {string | null} The project's directory, or null if the file belongs to an installed package.
+ */
+export const toWatchedProjectPath = filePath => {
+    const parentPath = dirname(filePath)
+    if (basename(parentPath) === NODE_MODULES_DIRNAME) return dirname(parentPath)
+    return parentPath.split(sep).includes(NODE_MODULES_DIRNAME) ? null : parentPath
+}
+
+/**
+ * Tells whether a change to a project can affect the analysis of another: the project itself, a monorepo package that
+ * reads the changed root's lockfile and install, or the monorepo root that analyzes the changed package.
+ * @param {string} analyzedPath - The project whose analysis is cached.
+ * @param {string} changedPath - The project whose files changed, see `toWatchedProjectPath`.
+ * @returns {boolean}
+ */
+export const isAnalysisAffected = (analyzedPath, changedPath) =>
+    analyzedPath === changedPath ||
+    analyzedPath.startsWith(`${changedPath}${sep}`) ||
+    changedPath.startsWith(`${analyzedPath}${sep}`)
+
+/**
+ * Keeps the background analyses of projects until their package.json, lockfile or installed dependencies change, or
+ * the settings do. Changes are debounced per project, so an install is analyzed again once.
+ * @param {import('vscode').ExtensionContext} context - The extension context, which disposes of everything registered.
+ * @param {() => Promise<import('./releases.utils.js').NodeRelease[]>} getNodeReleases - Loads the known Node.js releases.
+ * @returns {AnalysisCache}
+ */
+export const registerAnalysisCache = (context, getNodeReleases) => {
+    /** @type {Map<string, Promise<import('./analysis.utils.js').ProjectAnalysisResult | null>>} */
+    const projects = new Map()
+    /** @type {Map<string, Promise<import('./analysis.utils.js').WorkspaceAnalysisResult | null>>} */
+    const workspaces = new Map()
+    /** @type {EventEmitter<string>} */
+    const changed = new EventEmitter()
+    /** @type {Map<string, ReturnType<typeof setTimeout>>} */
+    const pendingChanges = new Map()
+
+    /**
+     * Returns the cached analysis of a path, starting it if there is none. A failed analysis is not kept, so the next
+     * request tries again.
+     * @template T
+     * @param {Map<string, Promise<T>>} entries - The analyses of the same kind.
+     * @param {string} path - The project or monorepo root.
+     * @param {(...args: Parameters<typeof analyzeProjectDependencies>) => Promise<T>} analyze
+     * @returns {Promise<T>}
+     */
+    const getOrAnalyze = (entries, path, analyze) => {
+        const cached = entries.get(path)
+        if (cached) return cached
+        const entry = getNodeReleases().then(nodeReleases => analyze(
+            path,
+            { report: () => {} }, //* Runs in the background, without a progress notification
+            toKnownNodeVersions(nodeReleases),
+            toKnownNpmVersions(nodeReleases),
+            { nodeReleases, silent: true, categoryModes: readDependencyCategoryModes(workspace, Uri.file(path)) }
+        ))
+        entries.set(path, entry)
+        entry.catch(() => {
+            if (entries.get(path) === entry) entries.delete(path)
+        })
+        return entry
+    }
+
+    /**
+     * @param {(path: string) => boolean} isAffected - Whether the analysis of a path is out of date.
+     * @param {string[]} [changedPaths=[]] - Paths to announce even if nothing was cached for them.
+     */
+    const drop = (isAffected, changedPaths = []) => {
+        const paths = new Set(changedPaths)
+        for (const entries of [projects, workspaces]) {
+            for (const path of [...entries.keys()].filter(isAffected)) {
+                entries.delete(path)
+                paths.add(path)
+            }
+        }
+        paths.forEach(path => changed.fire(path))
+    }
+
+    /**
+     * @param {number} delay - How long to wait for further changes to the same project.
+     * @returns {(uri: import('vscode').Uri) => void}
+     */
+    const scheduleDrop = delay => uri => {
+        const projectPath = toWatchedProjectPath(uri.fsPath)
+        if (!projectPath) return
+        clearTimeout(pendingChanges.get(projectPath))
+        pendingChanges.set(projectPath, setTimeout(() => {
+            pendingChanges.delete(projectPath)
+            drop(path => isAnalysisAffected(path, projectPath), [projectPath])
+        }, delay))
+    }
+    //? A saved package.json is analyzed again soon; an install writes many files, so it waits for them to settle
+    const onManifestChange = scheduleDrop(DIAGNOSTICS_REFRESH_DELAY_MS)
+    const onTreeChange = scheduleDrop(BACKGROUND_ANALYSIS_DELAY_MS)
+
+    const manifestWatcher = workspace.createFileSystemWatcher(PACKAGE_JSON_GLOB)
+    const treeWatcher = workspace.createFileSystemWatcher(DEPENDENCY_TREE_GLOB)
+    context.subscriptions.push(
+        changed,
+        manifestWatcher,
+        treeWatcher,
+        ...[/** @type {const} */ ([manifestWatcher, onManifestChange]), /** @type {const} */ ([treeWatcher, onTreeChange])]
+            .flatMap(([watcher, onChange]) => [
+                watcher.onDidCreate(onChange),
+                watcher.onDidChange(onChange),
+                watcher.onDidDelete(onChange),
+            ]),
+        //? Files outside the workspace folders are not watched, but may be open
+        workspace.onDidSaveTextDocument(document => {
+            if (basename(document.uri.fsPath) === PACKAGE_JSON_FILENAME) onManifestChange(document.uri)
+        }),
+        workspace.onDidChangeConfiguration(event => {
+            if (event.affectsConfiguration(CONFIGURATION_SECTION)) drop(() => true)
+        }),
+        { dispose: () => pendingChanges.forEach(timeout => clearTimeout(timeout)) }
+    )
+
+    return {
+        analyzeProject: projectPath => getOrAnalyze(projects, projectPath, analyzeProjectDependencies),
+        analyzeWorkspace: rootPath => getOrAnalyze(workspaces, rootPath, analyzeWorkspaceProjects),
+        onDidChange: changed.event,
+    }
+}
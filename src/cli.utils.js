@@ -0,0 +1,280 @@
+import { readFileSync, writeFileSync } from "fs"
+import { basename, join, resolve } from "path"
+import { parseArgs } from "util"
+import { analyzeProjectDependencies, analyzeWorkspaceProjects } from "./analysis.utils.js"
+import {
+    CLI_COMMANDS,
+    CLI_EXIT_CODES,
+    CLI_FAILING_MISMATCH_KINDS,
+    CLI_NAME,
+    CLI_TEXT_FORMAT,
+    DEFAULT_ENGINE_RANGE_STYLE,
+    DEFAULT_VERSION_PIN_TARGET,
+    ENGINE_RANGE_STYLES,
+    NOTE_NO_DEPENDENCIES,
+    REPORT_FORMATS,
+    UTF8_ENCODING,
+    VOLTA_NODE_LABEL,
+} from "./constants.js"
+import { editManifestEngines } from "./manifest.utils.js"
+import { loadNodeReleases, readBundledNodeReleases, toKnownNodeVersions, toKnownNpmVersions } from "./releases.utils.js"
+import { formatReport, listReportedProjects, toEnginesReport } from "./report.utils.js"
+import { locateNodeVersionSpec } from "./runtime.utils.js"
+
+/**
+ * Where the command line writes, e.g. `process.stdout` and `process.stderr`.
+ * @typedef {object} CliStreams
+ * @property {{ write: (text: string) => unknown }} stdout - Receives the results.
+ * @property {{ write: (text: string) => unknown }} stderr - Receives errors and the usage.
+ */
+
+/**
+ * @typedef {object} CliArguments
+ * @property {string | null} command - One of `CLI_COMMANDS`, or null if only the usage is asked for.
+ * @property {string} cwd - The project, or monorepo root, to analyze.
+ * @property {string} format - `text`, or one of `REPORT_FORMATS` to print a report instead.
+ * @property {boolean} strict - Let `check` fail on every mismatch, including missing and stricter than needed ranges.
+ * @property {boolean} offline - Use the bundled Node.js release data instead of downloading it.
+ * @property {import('./analysis.utils.js').EngineRangeStyles} styles - The styles of the recommended ranges.
+ */
+
+const USAGE = `Usage: ${CLI_NAME} <${Object.values(CLI_COMMANDS).join("|")}> [options]
+
+Commands:
+  ${CLI_COMMANDS.SUGGEST}   Print the engines the dependencies support
+  ${CLI_COMMANDS.CHECK}     Exit with ${CLI_EXIT_CODES.DRIFT} if the declared engines disagree with the dependencies
+  ${CLI_COMMANDS.FIX}       Write the recommended engines to package.json
+
+Options:
+  --cwd <path>              The project or monorepo root to analyze (default: the current directory)
+  --format <f>              ${[CLI_TEXT_FORMAT, ...Object.values(REPORT_FORMATS)].join(", ")} (default: ${CLI_TEXT_FORMAT})
+  --json                    The same as --format ${REPORT_FORMATS.JSON}
+  --strict                  Let check also fail on missing and stricter than needed ranges
+  --offline                 Use the bundled Node.js release data
+  --node-range-style <s>    ${Object.values(ENGINE_RANGE_STYLES).join(", ")} (default: ${DEFAULT_ENGINE_RANGE_STYLE})
+  --npm-range-style <s>     The same, except ${ENGINE_RANGE_STYLES.LTS_ONLY}
+  -h, --help                Show this help
+`
+
+/**
+ * Parses the command line.
+ * @param {string[]} argv - The arguments after the executable and script, e.g. `process.argv.slice(2)`.
+ * @param {string} [cwd=process.cwd()] - The directory `--cwd` is relative to.
+ * @returns {CliArguments}
+ * @throws {Error} If the command or an option is unknown, or an option value is invalid.
+ */
+export const parseCliArguments = (argv, cwd = process.cwd()) => {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            cwd: { type: "string" },
+            format: { type: "string", default: CLI_TEXT_FORMAT },
+            json: { type: "boolean", default: false },
+            strict: { type: "boolean", default: false },
+            offline: { type: "boolean", default: false },
+            "node-range-style": { type: "string", default: DEFAULT_ENGINE_RANGE_STYLE },
+            "npm-range-style": { type: "string", default: DEFAULT_ENGINE_RANGE_STYLE },
+            help: { type: "boolean", short: "h", default: false },
+        },
+    })
+    const [command = null, ...extra] = positionals
+    if (!values.help && (!command || !Object.values(CLI_COMMANDS).includes(command))) {
+        throw new Error(command ? `Unknown command "${command}"` : "Missing command")
+    }
+    if (extra.length > 0) throw new Error(`Unexpected argument "${extra[0]}"`)
+
+    const format = values.json ? REPORT_FORMATS.JSON : String(values.format)
+    if (![CLI_TEXT_FORMAT, ...Object.values(REPORT_FORMATS)].includes(format)) throw new Error(`Unknown format "${format}"`)
+
+    const styles = Object.values(ENGINE_RANGE_STYLES)
+    const node = String(values["node-range-style"])
+    const npm = String(values["npm-range-style"])
+    if (!styles.includes(node)) throw new Error(`Unknown Node.js range style "${node}"`)
+    //? LTS lines only exist for Node.js
+    if (!styles.includes(npm) || npm === ENGINE_RANGE_STYLES.LTS_ONLY) throw new Error(`Unknown NPM range style "${npm}"`)
+
+    return {
+        command: values.help ? null : command,
+        cwd: resolve(cwd, values.cwd ?? "."),
+        format,
+        strict: Boolean(values.strict),
+        offline: Boolean(values.offline),
+        styles: { node, npm },
+    }
+}
+
+/**
+ * Analyzes a project, or for a monorepo root, the range every package supports for the root and then each package,
+ * as the analyze command does. Projects without dependencies are left out.
+ * @param {string} projectPath - The project or monorepo root.
+ * @param {import('./releases.utils.js').NodeRelease[]} nodeReleases - Known Node.js releases.
+ * @param {(message: string) => void} onError - Reports a missing or invalid package.json.
+ * @returns {Promise<{ name: string, result: import('./analysis.utils.js').ProjectAnalysisResult }[] | null>} The analyses, or null if the project cannot be read.
+ */
+const analyzeProjects = async (projectPath, nodeReleases, onError) => {
+    const knownNodeVersions = toKnownNodeVersions(nodeReleases)
+    const knownNpmVersions = toKnownNpmVersions(nodeReleases)
+    const progress = { report: () => {} } //* Nothing to show progress in
+    const options = { nodeReleases, onError }
+
+    const workspaceResult = await analyzeWorkspaceProjects(projectPath, progress, knownNodeVersions, knownNpmVersions, options)
+    const result = workspaceResult
+        ? null
+        : await analyzeProjectDependencies(projectPath, progress, knownNodeVersions, knownNpmVersions, options)
+    if (!workspaceResult && !result) return null
+    return listReportedProjects(basename(projectPath), { result, workspaceResult })
+}
+
+/**
+ * Writes a project's recommended engines, `devEngines` and version pins, the way the editor's update does.
+ * @param {import('./report.utils.js').ProjectReport} project - The project's report.
+ * @param {string} rootPath - The directory the report's paths are relative to.
+ * @returns {boolean} Whether any file changed.
+ */
+const applyProjectReport = (project, rootPath) => {
+    let changed = false
+    const packageJsonPath = join(rootPath, project.packageJson)
+    const text = readFileSync(packageJsonPath, UTF8_ENCODING)
+    const voltaNode = project.versionPinUpdates.find(({ label }) => label === VOLTA_NODE_LABEL)?.updatedSpec ?? null
+    const textEdit = editManifestEngines(text, project.recommended.engines, project.recommended.devEngines, voltaNode)
+    if (textEdit) {
+        writeFileSync(
+            packageJsonPath,
+            text.slice(0, textEdit.offset) + textEdit.content + text.slice(textEdit.offset + textEdit.length),
+            UTF8_ENCODING
+        )
+        changed = true
+    }
+    for (const { label, path, updatedSpec } of project.versionPinUpdates) {
+        if (label === VOLTA_NODE_LABEL) continue //* Written with the package.json
+        const pinPath = join(rootPath, path)
+        const pinText = readFileSync(pinPath, UTF8_ENCODING)
+        const location = locateNodeVersionSpec(basename(pinPath), pinText)
+        if (!location || location.spec === updatedSpec) continue
+        writeFileSync(
+            pinPath,
+            pinText.slice(0, location.offset) + updatedSpec + pinText.slice(location.offset + location.length),
+            UTF8_ENCODING
+        )
+        changed = true
+    }
+    return changed
+}
+
+/**
+ * @param {import('./report.utils.js').ProjectReport} project
+ * @returns {string} The planned pin updates in one line, e.g. `.nvmrc 18 → 22`.
+ */
+const describeVersionPinUpdates = ({ versionPinUpdates }) =>
+    versionPinUpdates.map(({ label, spec, updatedSpec }) => `${label} ${spec} → ${updatedSpec}`).join(", ")
+
+/**
+ * Describes a project's recommendation in one line, like the summary of the analyze command.
+ * @param {import('./report.utils.js').ProjectReport} project
+ * @returns {string}
+ */
+const formatRecommendationLine = project => {
+    const { engines, devEngines } = project.recommended
+    if (!engines.node) return `${project.name}: no compatible Node.js version`
+    const development = devEngines.node
+        ? `; devEngines Node "${devEngines.node}"${devEngines.npm ? `, NPM "${devEngines.npm}"` : ""}`
+        : ""
+    const pins = project.versionPinUpdates.length > 0 ? `; ${describeVersionPinUpdates(project)}` : ""
+    return `${project.name}: Node "${engines.node}"${engines.npm ? `, NPM "${engines.npm}"` : ""}${development}${pins}`
+}
+
+/**
+ * Runs the command line: `suggest` prints the recommended engines, `check` compares them with package.json and `fix`
+ * writes them. A monorepo root is handled package by package, with the range every package supports for the root.
+ * @param {string[]} argv - The arguments after the executable and script, e.g. `process.argv.slice(2)`.
+ * @param {CliStreams} streams - Where to write.
+ * @param {string} [cwd=process.cwd()] - The directory `--cwd` is relative to.
+ * @returns {Promise<number>} The exit code, one of `CLI_EXIT_CODES`.
+ */
+export const runCli = async (argv, streams, cwd = process.cwd()) => {
+    /** @type {CliArguments} */
+    let args
+    try {
+        args = parseCliArguments(argv, cwd)
+    } catch (error) {
+        streams.stderr.write(`${JSON.parse(JSON.stringify(error))?.message ?? error}\n\n${USAGE}`)
+        return CLI_EXIT_CODES.ERROR
+    }
+    if (!args.command) {
+        streams.stdout.write(USAGE)
+        return CLI_EXIT_CODES.OK
+    }
+
+    const nodeReleases = args.offline ? readBundledNodeReleases() : await loadNodeReleases()
+    /** @type {import('./report.utils.js').EnginesReport} */
+    let report
+    try {
+        const projects = await analyzeProjects(args.cwd, nodeReleases, message => streams.stderr.write(`${message}\n`))
+        if (!projects) return CLI_EXIT_CODES.ERROR
+        report = toEnginesReport(projects, {
+            rootPath: args.cwd,
+            nodeReleases,
+            styles: args.styles,
+            versionPinTarget: DEFAULT_VERSION_PIN_TARGET,
+        })
+    } catch (error) {
+        streams.stderr.write(`Could not analyze ${args.cwd}: ${JSON.parse(JSON.stringify(error))?.message ?? error}\n`)
+        return CLI_EXIT_CODES.ERROR
+    }
+
+    const { projects } = report
+    /** @param {{ kind: string }} mismatch */
+    const isFailing = ({ kind }) => args.strict || CLI_FAILING_MISMATCH_KINDS.includes(kind)
+    /** @type {Set<import('./report.utils.js').ProjectReport>} */
+    const fixed = new Set()
+    if (args.command === CLI_COMMANDS.FIX) {
+        for (const project of projects) {
+            if (project.recommended.engines.node && applyProjectReport(project, args.cwd)) fixed.add(project)
+        }
+    }
+    const drifted = projects.filter(({ recommended, mismatches }) =>
+        !recommended.engines.node || (args.command === CLI_COMMANDS.CHECK && mismatches.some(isFailing))
+    )
+    const exitCode = drifted.length > 0 ? CLI_EXIT_CODES.DRIFT : CLI_EXIT_CODES.OK
+
+    if (args.format !== CLI_TEXT_FORMAT) {
+        //? The report describes the project as analyzed, so after a fix it shows what was written
+        streams.stdout.write(formatReport(report, args.format, args.cwd))
+        return exitCode
+    }
+
+    /** @type {string[]} */
+    const lines = []
+    if (projects.length === 0) lines.push(NOTE_NO_DEPENDENCIES)
+    for (const project of projects) {
+        const path = project.packageJson
+        switch (args.command) {
+            case CLI_COMMANDS.CHECK:
+                lines.push(
+                    `${path}: ${!project.recommended.engines.node ? "no compatible Node.js version" : project.mismatches.length > 0 ? `${project.mismatches.length} mismatch(es)` : "ok"}`,
+                    ...project.mismatches.map(mismatch =>
+                        `  ${isFailing(mismatch) ? "error" : "info"} ${mismatch.path.join(".")}: ${mismatch.message}`
+                    )
+                )
+                break
+            case CLI_COMMANDS.FIX:
+                lines.push(`${path}: ${!project.recommended.engines.node
+                    ? "no compatible Node.js version"
+                    : fixed.has(project) ? `updated${project.versionPinUpdates.length > 0 ? `, with ${describeVersionPinUpdates(project)}` : ""}` : "already up to date"}`)
+                break
+            default:
+                lines.push(formatRecommendationLine(project))
+        }
+    }
+    if (args.command === CLI_COMMANDS.CHECK) {
+        const nonBlockingCount = projects.flatMap(({ mismatches }) => mismatches).filter(mismatch => !isFailing(mismatch)).length
+        lines.push(drifted.length > 0
+            ? `'engines' disagree with the dependencies in ${drifted.length} of ${projects.length} project(s).`
+            : nonBlockingCount > 0
+                ? `${nonBlockingCount} non-blocking mismatch(es).`
+                : "'engines' agree with the dependencies.")
+    }
+    streams.stdout.write(`${lines.join("\n")}\n`)
+    return exitCode
+}
@@ -0,0 +1,95 @@
+import { CodeLens, commands, languages, Range } from "vscode"
+import { COMMAND_ID_APPLY_RECOMMENDED_ENGINES, DIAGNOSTICS_SELECTOR_PACKAGE_JSON } from "./constants.js"
+import { getEnginesCheck } from "./diagnostics.utils.js"
+import { updatePackageJsonEngines } from "./helper.utils.js"
+import { editManifestEngines, locateJsonProperty, parseManifest, readDevEngineVersion } from "./manifest.utils.js"
+import { isSameRange } from "./range.utils.js"
+import { isDeclaredEnginesOutdated } from "./watcher.utils.js"
+
+/**
+ * Describes the recommended engines for the CodeLens, e.g. `Dependencies support Node >=18.17.0, npm >=9.0.0`.
+ * @param {string} nodeRange - The recommended `engines.node`.
+ * @param {string | null} npmRange - The recommended `engines.npm`, if any.
+ * @returns {string}
+ */
+export const formatEnginesLensTitle = (nodeRange, npmRange) =>
+    `Dependencies support Node ${nodeRange}${npmRange ? `, npm ${npmRange}` : ""}`
+
+/**
+ * Builds the CodeLens showing the recommended engines above `"engines"`, or at the top of the file when there is no
+ * `engines` object. It applies the recommendation when the declared engines, the `devEngines` ranges or the Node.js
+ * version pins differ from it.
+ * @param {import('vscode').TextDocument} document - The project's package.json.
+ * @param {import('./diagnostics.utils.js').EnginesCheck} check - The latest check of the document.
+ * @returns {import('vscode').CodeLens[]}
+ */
+export const toEnginesCodeLenses = (document, check) => {
+    const nodeRange = check.compatibility.node.recommendedRange
+    if (!nodeRange) return []
+    const npmRange = check.compatibility.npm.recommendedRange
+
+    const text = document.getText()
+    /** @type {Record<string, any>} */
+    let manifest
+    try {
+        manifest = parseManifest(text)
+    } catch {
+        return []
+    }
+    const location = locateJsonProperty(text, ["engines"], "key")
+    const position = document.positionAt(location?.offset ?? 0)
+    const range = new Range(position, position)
+    const title = formatEnginesLensTitle(nodeRange, npmRange)
+
+    //? Ranges are compared by the versions they allow, and a devEngines field Apply would leave alone does not count
+    const outdatedDevEngines = Object.fromEntries(Object.entries(check.devEngineStrings).filter(([engine, devRange]) =>
+        devRange && !isSameRange(readDevEngineVersion(manifest, /** @type {"node" | "npm"} */ (engine)), devRange)
+    ))
+    const isUpToDate = !isDeclaredEnginesOutdated(manifest.engines, nodeRange, npmRange) &&
+        editManifestEngines(text, {}, outdatedDevEngines) === null &&
+        check.versionPinUpdates.length === 0
+    if (isUpToDate) {
+        return [new CodeLens(range, { title, command: "" })] //* Without a command, the lens is only a label
+    }
+    return [new CodeLens(range, {
+        title: `${title} — Apply`,
+        tooltip: "Write these ranges to engines in package.json",
+        command: COMMAND_ID_APPLY_RECOMMENDED_ENGINES,
+        arguments: [document.uri, nodeRange, npmRange, check.devEngineStrings, check.versionPinUpdates],
+    })]
+}
+
+/**
+ * Shows the recommended engines above the `engines` of open package.json files, updated with each engines check,
+ * and registers the command the CodeLens runs to apply them.
+ * @param {import('vscode').ExtensionContext} context - The extension context, which disposes of everything registered.
+ * @param {import('vscode').Event<import('vscode').Uri>} onDidChangeEnginesCheck - Fires when the check of a package.json
+ * changes, see `registerEnginesDiagnostics`.
+ */
+export const registerEnginesCodeLens = (context, onDidChangeEnginesCheck) => {
+    context.subscriptions.push(
+        commands.registerCommand(
+            COMMAND_ID_APPLY_RECOMMENDED_ENGINES,
+            /**
+             * @param {import('vscode').Uri} uri - The package.json to update.
+             * @param {string} nodeRange - The `engines.node` to write.
+             * @param {string | null} npmRange - The `engines.npm` to write, if any.
+             * @param {import('./helper.utils.js').DevEngineStrings} [devEngineStrings] - The `devEngines` ranges to write.
+             * @param {import('./runtime.utils.js').NodeVersionPinUpdate[]} [versionPinUpdates] - The pins to rewrite.
+             */
+            (uri, nodeRange, npmRange, devEngineStrings, versionPinUpdates) =>
+                updatePackageJsonEngines(uri.fsPath, nodeRange, npmRange, devEngineStrings, versionPinUpdates)
+        ),
+        languages.registerCodeLensProvider(DIAGNOSTICS_SELECTOR_PACKAGE_JSON, {
+            onDidChangeCodeLenses: onDidChangeEnginesCheck,
+            /**
+             * @param {import('vscode').TextDocument} document
+             * @returns {import('vscode').CodeLens[]}
+             */
+            provideCodeLenses(document) {
+                const check = getEnginesCheck(document.uri)
+                return check ? toEnginesCodeLenses(document, check) : []
+            },
+        })
+    )
+}
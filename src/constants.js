@@ -8,7 +8,7 @@ export const ENABLE_CONSOLE_LOGS = false
 /**
  * Static list of common Node.js versions to test against for compatibility.
  * Includes LTS, active, and recent versions. Sorted for reliable min/max determination.
- * @type {SemVer} - Consider fetching this dynamically or updating periodically. */
+ * @type {SemVer} - The default when no release data is supplied; the extension analyzes against every release (see `releases.utils.js`). */
 export const COMMON_NODEJS_VERSIONS = [
     "18.20.8",
     "20.19.1",
@@ -29,27 +29,204 @@ export const COMMON_NPM_VERSIONS = [
 // File and Directory Names
 export const PACKAGE_JSON_FILENAME = "package.json"
 export const NODE_MODULES_DIRNAME = "node_modules"
+export const PACKAGE_LOCK_FILENAME = "package-lock.json"
+export const NPM_SHRINKWRAP_FILENAME = "npm-shrinkwrap.json"
+export const NPM_LOCKFILE_FILENAMES = [NPM_SHRINKWRAP_FILENAME, PACKAGE_LOCK_FILENAME] //* In npm's order of precedence
+export const PNPM_LOCK_FILENAME = "pnpm-lock.yaml"
+export const YARN_LOCK_FILENAME = "yarn.lock"
+export const YARN_LOCKFILE_METADATA_KEY = "__metadata" //* Yarn 2 and later keep the lockfile version here, next to the entries
+export const YARN_WORKSPACE_PROTOCOL = "workspace:"
+export const PNP_MANIFEST_FILENAMES = [".pnp.cjs", ".pnp.js"]
+export const PNP_DATA_FILENAME = ".pnp.data.json" //* Written instead of inlining the state when `pnpEnableInlining` is off
+export const LOCKFILE_FILENAMES_BY_PACKAGE_MANAGER = {
+    pnpm: [PNPM_LOCK_FILENAME],
+    yarn: [YARN_LOCK_FILENAME, ...PNP_MANIFEST_FILENAMES],
+    npm: NPM_LOCKFILE_FILENAMES,
+}
+export const ANALYZABLE_LOCKFILE_FILENAMES = [...NPM_LOCKFILE_FILENAMES, PNPM_LOCK_FILENAME, YARN_LOCK_FILENAME]
+export const PNPM_WORKSPACE_FILENAME = "pnpm-workspace.yaml"
+
+// Node Release Data
+export const NODE_RELEASE_INDEX_URL = "https://nodejs.org/dist/index.json"
+export const BUNDLED_NODE_RELEASES_FILENAME = "node-releases.json" //* Snapshot in src/data, refreshed with `npm run update:releases`
+export const NODE_RELEASES_CACHE_FILENAME = "node-releases.cache.json"
+export const NODE_RELEASES_REFRESH_INTERVAL_MS = 24 * 60 * 60 * 1000
+export const NODE_RELEASES_FETCH_TIMEOUT_MS = 10_000
+
+// Selected Node Version
+export const NVMRC_FILENAME = ".nvmrc"
+export const VOLTA_SOURCE_NAME = "Volta"
+export const DEFAULT_NODE_PATH = "node"
+export const NODE_VERSION_COMMAND_TIMEOUT_MS = 5_000
+export const NODE_VERSION_FILENAME = ".node-version"
+export const TOOL_VERSIONS_FILENAME = ".tool-versions" //* asdf, also read by mise
+export const NODE_VERSION_PIN_FILENAMES = [NVMRC_FILENAME, NODE_VERSION_FILENAME, TOOL_VERSIONS_FILENAME]
+export const NODE_VERSION_PIN_GLOB = `**/{${NODE_VERSION_PIN_FILENAMES.join(",")}}`
+export const TOOL_VERSIONS_NODE_NAMES = ["nodejs", "node"] //* asdf's plugin is `nodejs`; mise accepts both
+export const VOLTA_NODE_LABEL = "volta.node"
+export const VERSION_PIN_TARGETS = {
+    NEWEST_LTS: "newestLts",
+    NEWEST: "newest",
+    OLDEST: "oldest",
+}
+export const DEFAULT_VERSION_PIN_TARGET = VERSION_PIN_TARGETS.NEWEST_LTS
+export const STATUS_BAR_ITEM_ID = "node-support-limits.enginesStatus"
+export const STATUS_BAR_ITEM_NAME = "Node Support Limits"
+export const STATUS_BAR_WARNING_BACKGROUND = "statusBarItem.warningBackground"
+export const STATUS_BAR_ERROR_BACKGROUND = "statusBarItem.errorBackground"
+export const DEPENDENCY_TREE_VIEW_ID = "node-support-limits.dependencyEngines"
+export const DEPENDENCY_GROUP_LABELS = {
+    NO_MINIMUM: "No minimum Node.js version", //* e.g. `<20` or `*`
+    NO_ENGINES: "No engines declared",
+    INVALID_ENGINES: "Invalid engines",
+}
+
+// npm Cache
+export const NPM_REGISTRY_URL = "https://registry.npmjs.org/"
+export const NPM_CACHE_DIRNAME = "_cacache"
+export const NPM_CACHE_KEY_PREFIX = "make-fetch-happen:request-cache:" //* How npm keys cached registry responses
 
 // Default Values
 export const DEFAULT_NODE_VERSION_RANGE = ">=0.10.0"
 export const DEFAULT_JSON_INDENT = 2
 export const UTF8_ENCODING = "utf8"
 
+// Engines Range Styles
+export const ENGINE_RANGE_STYLES = {
+    INTERSECTION: "intersection", //* The simplified intersection of every dependency's range
+    OPEN_ENDED: "openEnded", //* Only a lower bound, e.g. `>=18.17.0`
+    MAJOR_CARET_UNION: "majorCaretUnion", //* One caret range per major, e.g. `^18.17.0 || ^20.3.0 || >=22.0.0`
+    EXACT_BOUNDS: "exactBounds", //* The oldest and newest compatible versions, e.g. `>=18.17.0 <=24.0.1`
+    LTS_ONLY: "ltsOnly", //* One caret range per LTS line, from its first compatible LTS release (Node.js only)
+}
+export const DEFAULT_ENGINE_RANGE_STYLE = ENGINE_RANGE_STYLES.INTERSECTION
+
+// Dependency Tree
+export const PROJECT_DEPENDENCY_KEYS = ["dependencies", "devDependencies", "peerDependencies", "optionalDependencies"]
+export const TRANSITIVE_DEPENDENCY_KEYS = ["dependencies", "optionalDependencies"]
+export const BUNDLE_DEPENDENCY_KEYS = ["bundleDependencies", "bundledDependencies"] //* npm accepts both spellings
+//? A package listed in several categories counts under the first, e.g. a peer that is also a devDependency for tests
+export const DEPENDENCY_CATEGORIES = [
+    "optionalDependencies",
+    "bundleDependencies",
+    "peerDependencies",
+    "dependencies",
+    "devDependencies",
+]
+export const DEPENDENCY_CATEGORY_MODES = {
+    REQUIRED: "required", //* Part of the recommended range
+    DEVELOPMENT: "development", //* Only part of the separate development range
+    WARNING: "warning", //* Reported when it rejects part of the recommended range, but never narrows it
+    IGNORE: "ignore",
+}
+export const DEFAULT_DEPENDENCY_CATEGORY_MODES = {
+    optionalDependencies: DEPENDENCY_CATEGORY_MODES.WARNING,
+    bundleDependencies: DEPENDENCY_CATEGORY_MODES.REQUIRED,
+    peerDependencies: DEPENDENCY_CATEGORY_MODES.REQUIRED,
+    dependencies: DEPENDENCY_CATEGORY_MODES.REQUIRED,
+    devDependencies: DEPENDENCY_CATEGORY_MODES.DEVELOPMENT, //* Published packages only need their runtime dependencies
+}
+
+// Development Engines
+//? npm's `devEngines` names the tool of each entry, so only the entries for these names are updated
+export const DEV_ENGINES_TOOLS = { runtime: "node", packageManager: "npm" }
+
+// Engines Mismatches
+export const ENGINE_LABELS = { node: "Node.js", npm: "npm" }
+export const ENGINES_MISMATCH_KINDS = {
+    INVALID_RANGE: "invalidRange", //* The declared range is not valid semver
+    MISSING_RANGE: "missingRange", //* Dependencies declare a range but the project does not
+    ALLOWS_REJECTED: "allowsRejected", //* The declared range allows versions a dependency rejects
+    STRICTER_THAN_NEEDED: "stricterThanNeeded", //* The declared range excludes versions every dependency supports
+    DEPENDENCY_EXCLUDES: "dependencyExcludes", //* A dependency rejects part of the declared range
+}
+export const DIAGNOSTIC_SOURCE = "node-support-limits"
+export const DIAGNOSTICS_SELECTOR_PACKAGE_JSON = { scheme: "file", pattern: `**/package.json` }
+export const DIAGNOSTICS_REFRESH_DELAY_MS = 500 //* Wait for a burst of installs or saves to settle
+export const INSTALL_STATE_FILENAMES = [".package-lock.json", ".modules.yaml", ".yarn-state.yml"] //* Rewritten by npm, pnpm and Yarn after each install
+//? Any of these changing means the installed tree, and so the dependency ranges, may have changed
+export const DEPENDENCY_TREE_GLOB = `**/{${[
+    ...INSTALL_STATE_FILENAMES.map(filename => `${NODE_MODULES_DIRNAME}/${filename}`),
+    ...ANALYZABLE_LOCKFILE_FILENAMES,
+    ...PNP_MANIFEST_FILENAMES,
+].join(",")}}`
+export const PACKAGE_JSON_GLOB = `**/${PACKAGE_JSON_FILENAME}`
+export const BACKGROUND_ANALYSIS_DELAY_MS = 2_000 //* An install rewrites the lockfile and install state one after the other
+
+// Command Line
+export const CLI_NAME = "node-support-range"
+export const CLI_COMMANDS = { SUGGEST: "suggest", CHECK: "check", FIX: "fix" }
+export const CLI_TEXT_FORMAT = "text" //* The default output, besides the `REPORT_FORMATS`
+export const CLI_EXIT_CODES = {
+    OK: 0,
+    DRIFT: 1, //* `engines` disagree with the dependencies, or no version is compatible
+    ERROR: 2, //* Invalid arguments, or a package.json that cannot be read
+}
+//? The mismatches shown as errors and warnings in the editor; `--strict` fails on every kind
+export const CLI_FAILING_MISMATCH_KINDS = [
+    ENGINES_MISMATCH_KINDS.INVALID_RANGE,
+    ENGINES_MISMATCH_KINDS.ALLOWS_REJECTED,
+    ENGINES_MISMATCH_KINDS.DEPENDENCY_EXCLUDES,
+]
+
+// Reports
+export const REPORT_SCHEMA_VERSION = 1 //* Raised whenever a field of the JSON report changes meaning or is removed
+export const REPORT_FORMATS = { JSON: "json", MARKDOWN: "markdown", SARIF: "sarif" }
+export const REPORT_FILE_EXTENSIONS = { json: "json", markdown: "md", sarif: "sarif" }
+export const REPORT_DEFAULT_FILENAME = "node-support-range-report"
+export const REPORT_TOOL_URL = "https://github.com/darcher-/node-support-range"
+export const SARIF_VERSION = "2.1.0"
+export const SARIF_SCHEMA_URL = "https://json.schemastore.org/sarif-2.1.0.json"
+//? The same weight the engines diagnostics give each mismatch, as SARIF levels
+export const REPORT_MISMATCH_LEVELS = {
+    [ENGINES_MISMATCH_KINDS.INVALID_RANGE]: "error",
+    [ENGINES_MISMATCH_KINDS.MISSING_RANGE]: "note",
+    [ENGINES_MISMATCH_KINDS.ALLOWS_REJECTED]: "warning",
+    [ENGINES_MISMATCH_KINDS.STRICTER_THAN_NEEDED]: "note",
+    [ENGINES_MISMATCH_KINDS.DEPENDENCY_EXCLUDES]: "warning",
+}
+export const REPORT_RULE_IDS = {
+    INVALID_DEPENDENCY_RANGE: "invalidDependencyRange", //* A dependency declares engines that are not valid semver
+    NO_COMPATIBLE_VERSION: "noCompatibleVersion", //* The dependencies have no version in common
+}
+export const REPORT_PANEL_VIEW_TYPE = "node-support-limits.report"
+export const REPORT_PANEL_TITLE = "Node Support Range"
+export const REPORT_PANEL_TIMELINE_MAJORS = 12 //* The newest Node.js majors the range bars cover
+
 // Notes and Messages
 export const NOTE_NO_DEPENDENCIES = "No dependencies to analyze."
 
 // Extension-specific constants
 export const COMMAND_ID_ANALYZE_DEPENDENCIES = "node-support-limits.analyzeDependencies"
+export const COMMAND_ID_ANALYZE_ALL_WORKSPACE_FOLDERS = "node-support-limits.analyzeAllWorkspaceFolders"
+export const COMMAND_ID_APPLY_RECOMMENDED_ENGINES = "node-support-limits.applyRecommendedEngines"
+export const COMMAND_ID_EXPORT_REPORT = "node-support-limits.exportReport"
+export const COMMAND_ID_SHOW_REPORT = "node-support-limits.showReport"
+export const COMMAND_ID_REFRESH_DEPENDENCY_TREE = "node-support-limits.refreshDependencyTree"
+export const CONFIGURATION_SECTION = "node-support-limits"
+export const CONFIG_KEY_NODE_RANGE_STYLE = "nodeRangeStyle"
+export const CONFIG_KEY_NPM_RANGE_STYLE = "npmRangeStyle"
+export const CONFIG_KEY_NODE_PATH = "nodePath"
+export const CONFIG_KEY_VERSION_PIN_TARGET = "versionPinTarget"
+export const CONFIG_KEY_BACKGROUND_ANALYSIS = "backgroundAnalysis"
+export const CONFIG_KEY_DEPENDENCY_CATEGORIES = "dependencyCategories" //* One setting per category, e.g. `dependencyCategories.devDependencies`
 export const LOG_EXTENSION_ACTIVE = 'Extension "node-support-limits" is now active.'
 
 // Progress Messages
 export const PROGRESS_TITLE_ANALYZE_DEPENDENCIES = "Analyzing Node/NPM Support Limits..."
+export const PROGRESS_TITLE_ANALYZE_ALL_WORKSPACE_FOLDERS = "Analyzing Node/NPM Support Limits of every workspace folder..."
+export const PROGRESS_TITLE_REPORT = "Analyzing Node/NPM Support Limits for the report..."
 export const PROGRESS_MSG_READING_PACKAGE_JSON = "Reading project package.json..."
+export const PROGRESS_MSG_LOADING_NODE_RELEASES = "Loading Node.js release data..."
 
 // UI Texts
 export const ACTION_BUTTON_UPDATE_PACKAGE_JSON = "Update package.json"
+export const ACTION_BUTTON_UPDATE_ALL_PACKAGE_JSON = "Update All package.json"
+export const ACTION_BUTTON_SHOW_DETAILS = "Show Details"
+export const ACTION_BUTTON_SHOW_REPORT = "Show Report"
+export const OUTPUT_CHANNEL_NAME = "Node Support Limits"
 
 // Hover Provider Constants
 export const HOVER_SELECTOR_PACKAGE_JSON = { scheme: "file", language: "json", pattern: `**/package.json` } // Using literal here for simplicity, or use `**/` + PACKAGE_JSON_FILENAME
 export const HOVER_MARKDOWN_ANALYZE_PROJECT = `Analyze Node/NPM Support Limits for project`
-export const DEPENDENCY_KEYS_FOR_HOVER = ["dependencies", "devDependencies", "peerDependencies"]
\ No newline at end of file
+export const DEPENDENCY_KEYS_FOR_HOVER = ["dependencies", "devDependencies", "peerDependencies", "optionalDependencies"]
\ No newline at end of file
@@ -0,0 +1,320 @@
+import { relative } from "path"
+import { compare, prerelease, satisfies, valid } from "semver"
+import { BUNDLE_DEPENDENCY_KEYS, DEPENDENCY_CATEGORIES, PROJECT_DEPENDENCY_KEYS } from "./constants.js"
+import { describeVersions, intersectRanges } from "./range.utils.js"
+
+/**
+ * An `engines` range declared by one dependency of the analyzed tree.
+ * @typedef {object} EngineConstraint
+ * @property {string} range - The declared range, e.g. `>=20`.
+ * @property {string} name - The package that declared it.
+ * @property {string | null} version - The installed version of the package.
+ * @property {string | null} path - Where the package was read from.
+ * @property {string | null} requiredBy - The package that depends on it, or null for direct dependencies.
+ * @property {string} [directDependency] - The direct dependency of the project it was reached through.
+ * @property {string} [category] - The category of that direct dependency, e.g. `devDependencies`.
+ */
+
+/**
+ * A constraint that is not enforced (e.g. from an optional dependency) but rejects part of the recommended range.
+ * @typedef {object} ConstraintWarning
+ * @property {EngineConstraint} constraint - The constraint.
+ * @property {string[]} rejectedVersions - The compatible versions it rejects, oldest first.
+ */
+
+/**
+ * The constraints that decide a recommended range.
+ * @typedef {object} BindingConstraints
+ * @property {EngineConstraint[]} lower - Constraints rejecting the newest known version below the minimum.
+ * @property {EngineConstraint[]} upper - Constraints rejecting the oldest known version above the maximum.
+ * @property {EngineConstraint[]} conflicts - If no version is compatible, a minimal set of constraints that cannot be satisfied together.
+ */
+
+/**
+ * How one direct dependency, with everything reached through it, affects the project's range for an engine.
+ * @typedef {object} DependencyEffect
+ * @property {EngineConstraint[]} constraints - The ranges declared by the dependency and the packages reached through it.
+ * @property {string | null} range - The intersection of every range, or null if it is empty.
+ * @property {string | null} rangeWithout - The intersection of every other range, or null if it is empty.
+ * @property {boolean} narrows - Whether the dependency makes the range smaller.
+ */
+
+/**
+ * @param {string} version
+ * @param {string} range
+ * @returns {boolean} Whether the version satisfies the range; invalid ranges match nothing, as in the analysis.
+ */
+const satisfiesSafely = (version, range) => {
+    try {
+        return satisfies(version, range, { includePrerelease: false })
+    } catch {
+        return false
+    }
+}
+
+/**
+ * Collects the ranges the dependencies declare for one engine.
+ * @param {import('./resolver.utils.js').InstalledDependency[]} dependencies - The walked dependency tree.
+ * @param {"node" | "npm"} engine - The engine to collect.
+ * @param {Map<string, string>} [categories] - The category of each direct dependency, see `categorizeDependencies`.
+ * @returns {EngineConstraint[]}
+ */
+export const toEngineConstraints = (dependencies, engine, categories) =>
+    dependencies.flatMap(({ name, version, path, requiredBy, directDependency, engines }) => {
+        if (typeof engines?.[engine] !== "string") return []
+        const category = categories?.get(directDependency)
+        return [{ range: engines[engine], name, version, path, requiredBy, directDependency, ...(category && { category }) }]
+    })
+
+/**
+ * Sorts the direct dependencies of a package.json into categories. `bundleDependencies` lists names (or `true` for
+ * every dependency) rather than ranges. A package listed in several categories counts under the first of
+ * `DEPENDENCY_CATEGORIES`.
+ * @param {Record<string, any>} manifest - The parsed package.json.
+ * @returns {Map<string, string>} The category of each direct dependency, by name.
+ */
+export const categorizeDependencies = manifest => {
+    const bundled = BUNDLE_DEPENDENCY_KEYS.map(key => manifest[key]).find(value => value !== undefined)
+    /** @type {Record<string, string[]>} */
+    const namesByCategory = {
+        ...Object.fromEntries(PROJECT_DEPENDENCY_KEYS.map(key => [
+            key,
+            manifest[key] && typeof manifest[key] === "object" ? Object.keys(manifest[key]) : [],
+        ])),
+        bundleDependencies: bundled === true
+            ? Object.keys(manifest.dependencies ?? {})
+            : Array.isArray(bundled) ? bundled.filter(name => typeof name === "string") : [],
+    }
+    /** @type {Map<string, string>} */
+    const categories = new Map()
+    for (const category of DEPENDENCY_CATEGORIES) {
+        for (const name of namesByCategory[category] ?? []) {
+            if (!categories.has(name)) categories.set(name, category)
+        }
+    }
+    return categories
+}
+
+/**
+ * Finds the constraints that would reject some of the compatible versions if they were enforced.
+ * @param {EngineConstraint[]} constraints - Constraints left out of the recommended range.
+ * @param {string[]} compatibleVersions - The versions of the recommended range.
+ * @returns {ConstraintWarning[]}
+ */
+export const findConstraintWarnings = (constraints, compatibleVersions) =>
+    constraints.flatMap(constraint => {
+        const rejectedVersions = compatibleVersions.filter(version => !satisfiesSafely(version, constraint.range))
+        return rejectedVersions.length > 0 ? [{ constraint, rejectedVersions }] : []
+    })
+
+/**
+ * @param {EngineConstraint[]} constraints
+ * @param {string[]} knownVersions
+ * @returns {boolean} Whether some known version satisfies every constraint.
+ */
+const isSatisfiable = (constraints, knownVersions) =>
+    knownVersions.some(version => constraints.every(({ range }) => satisfiesSafely(version, range)))
+
+/**
+ * Finds a minimal set of constraints that no known version satisfies together: dropping any one of them leaves a
+ * satisfiable set. Constraints are dropped one at a time while the rest still conflict, so an invalid range (which
+ * matches nothing) ends up on its own.
+ * @param {EngineConstraint[]} constraints - Constraints that no known version satisfies together.
+ * @param {string[]} knownVersions - Every version considered by the analysis.
+ * @returns {EngineConstraint[]} The minimal conflicting set, in the original order.
+ */
+export const findConflictingConstraints = (constraints, knownVersions) => {
+    let conflict = [...constraints]
+    for (const constraint of constraints) {
+        const rest = conflict.filter(other => other !== constraint)
+        if (!isSatisfiable(rest, knownVersions)) conflict = rest
+    }
+    return conflict
+}
+
+/**
+ * A version of a conflicting dependency that would make every constraint satisfiable again.
+ * @typedef {object} ConflictResolution
+ * @property {string} name - The dependency to change.
+ * @property {string} from - Its installed version.
+ * @property {string} to - The version to move to.
+ * @property {"upgrade" | "downgrade"} direction - Whether `to` is newer or older than `from`.
+ * @property {string | null} range - The range `to` declares, or null if it declares none.
+ */
+
+/**
+ * Suggests, for each dependency of a conflict, the nearest newer and older versions whose declared range would leave a
+ * known version satisfying every constraint. Prereleases are never suggested.
+ * @param {EngineConstraint[]} constraints - Every collected constraint.
+ * @param {EngineConstraint[]} conflict - The minimal conflicting set, see `findConflictingConstraints`.
+ * @param {Map<string, import('./packument.utils.js').PackageVersion[]>} candidates - Available versions per package name.
+ * @param {string[]} knownVersions - Every version considered by the analysis.
+ * @param {"node" | "npm"} [engine="node"] - The engine the constraints are for.
+ * @returns {ConflictResolution[]}
+ */
+export const suggestConflictResolutions = (constraints, conflict, candidates, knownVersions, engine = "node") => {
+    /** @type {ConflictResolution[]} */
+    const resolutions = []
+    for (const constraint of conflict) {
+        const from = constraint.version
+        if (!from || !valid(from)) continue
+        const rest = constraints.filter(other => other !== constraint)
+        const working = (candidates.get(constraint.name) ?? [])
+            .filter(({ version }) => valid(version) && !prerelease(version) && compare(version, from) !== 0)
+            .filter(({ engines }) => {
+                const range = typeof engines?.[engine] === "string" ? engines[engine] : null
+                return isSatisfiable(range ? [...rest, { ...constraint, range }] : rest, knownVersions)
+            })
+            .sort((a, b) => compare(a.version, b.version))
+        const upgrade = working.find(({ version }) => compare(version, from) > 0)
+        const downgrade = working.filter(({ version }) => compare(version, from) < 0).at(-1)
+        for (const [direction, candidate] of /** @type {const} */ ([["upgrade", upgrade], ["downgrade", downgrade]])) {
+            if (!candidate) continue
+            const range = candidate.engines?.[engine]
+            resolutions.push({ name: constraint.name, from, to: candidate.version, direction, range: typeof range === "string" ? range : null })
+        }
+    }
+    return resolutions
+}
+
+/**
+ * Finds which constraints set the bounds of a recommended range: those that reject the nearest known version outside it.
+ * @param {EngineConstraint[]} constraints - The collected constraints.
+ * @param {string[]} knownVersions - Every version considered by the analysis.
+ * @param {string[]} compatibleVersions - The versions satisfying every constraint, oldest first.
+ * @returns {BindingConstraints}
+ */
+export const findBindingConstraints = (constraints, knownVersions, compatibleVersions) => {
+    if (compatibleVersions.length === 0) {
+        return { lower: [], upper: [], conflicts: constraints.length > 0 ? findConflictingConstraints(constraints, knownVersions) : [] }
+    }
+    const min = compatibleVersions[0]
+    const max = compatibleVersions[compatibleVersions.length - 1]
+    const sorted = [...knownVersions].sort(compare)
+    const below = sorted.filter(version => compare(version, min) < 0).at(-1)
+    const above = sorted.find(version => compare(version, max) > 0)
+    return {
+        lower: below ? constraints.filter(({ range }) => !satisfiesSafely(below, range)) : [],
+        upper: above ? constraints.filter(({ range }) => !satisfiesSafely(above, range)) : [],
+        conflicts: [],
+    }
+}
+
+/**
+ * @param {EngineConstraint} constraint
+ * @param {string} projectPath - Paths are shown relative to the project.
+ * @returns {string}
+ */
+const formatConstraint = ({ range, name, version, path, requiredBy, category }, projectPath) => {
+    const origin = [path ? relative(projectPath, path) : "not installed", requiredBy ? `required by ${requiredBy}` : "direct dependency"]
+    if (category) origin.push(`via ${category}`)
+    return `  - ${name}${version ? `@${version}` : ""} requires "${range}" (${origin.join(", ")})`
+}
+
+/**
+ * Describes which dependencies set the bounds of one engine's recommended range.
+ * @param {string} label - The engine as shown to the user, e.g. `Node.js`.
+ * @param {BindingConstraints} bindings
+ * @param {string | null} min - The recommended minimum.
+ * @param {string | null} max - The recommended maximum.
+ * @param {string} projectPath - Paths are shown relative to the project.
+ * @returns {string[]} The report lines.
+ */
+export const formatBindingConstraints = (label, { lower, upper, conflicts }, min, max, projectPath) => {
+    if (!min || !max) {
+        return conflicts.length > 0
+            ? [`No ${label} version satisfies these dependencies together:`, ...conflicts.map(c => formatConstraint(c, projectPath))]
+            : [`${label}: no dependency declares a range.`]
+    }
+    /**
+     * @param {string} bound
+     * @param {string} version
+     * @param {EngineConstraint[]} binding
+     */
+    const describe = (bound, version, binding) =>
+        binding.length > 0
+            ? [`${label} ${bound} ${version} is set by:`, ...binding.map(c => formatConstraint(c, projectPath))]
+            : [`${label} ${bound} ${version} is not set by any dependency.`]
+    return [...describe("minimum", min, lower), ...describe("maximum", max, upper)]
+}
+
+/**
+ * Describes the suggested ways out of a conflict.
+ * @param {ConflictResolution[]} resolutions - See `suggestConflictResolutions`.
+ * @returns {string[]} The report lines.
+ */
+export const formatConflictResolutions = resolutions =>
+    resolutions.length > 0
+        ? [
+            "Any one of these changes restores a compatible range:",
+            ...resolutions.map(({ name, from, to, direction, range }) =>
+                `  - ${direction} ${name} from ${from} to ${to} (${range ? `requires "${range}"` : "declares no range"})`
+            ),
+        ]
+        : ["No version of these dependencies in the dependency tree or the npm cache resolves the conflict."]
+
+/**
+ * Describes the constraints that are not enforced but reject part of one engine's recommended range.
+ * @param {string} label - The engine as shown to the user, e.g. `Node.js`.
+ * @param {ConstraintWarning[]} warnings - See `findConstraintWarnings`.
+ * @param {string[]} compatibleVersions - The versions of the recommended range the warnings were found in.
+ * @param {string} projectPath - Paths are shown relative to the project.
+ * @returns {string[]} The report lines, or none if there are no warnings.
+ */
+export const formatConstraintWarnings = (label, warnings, compatibleVersions, projectPath) =>
+    warnings.length > 0
+        ? [
+            `Not enforced, but rejecting part of the ${label} range:`,
+            ...warnings.map(({ constraint, rejectedVersions }) =>
+                `${formatConstraint(constraint, projectPath)}, rejects ${rejectedVersions.length === 1
+                    ? rejectedVersions[0]
+                    : `${rejectedVersions.length} versions: ${describeVersions(rejectedVersions, compatibleVersions)}`}`
+            ),
+        ]
+        : []
+
+/**
+ * Summarizes the warnings of an analysis in one sentence, for notifications.
+ * @param {ConstraintWarning[]} warnings - See `findConstraintWarnings`, for any engine.
+ * @returns {string}
+ */
+export const summarizeConstraintWarnings = warnings => {
+    const names = [...new Set(warnings.map(({ constraint }) =>
+        `${constraint.directDependency ?? constraint.name}${constraint.category ? ` (${constraint.category})` : ""}`
+    ))]
+    return names.length === 1
+        ? `${names[0]} does not support every version in this range, but is not enforced.`
+        : `${names.join(", ")} do not support every version in this range, but are not enforced.`
+}
+
+/**
+ * Summarizes a conflict in one sentence, for notifications.
+ * @param {string} label - The engine as shown to the user, e.g. `Node.js`.
+ * @param {EngineConstraint[]} conflict - The minimal conflicting set.
+ * @param {ConflictResolution[]} resolutions - The suggested resolutions; only the first is mentioned.
+ * @returns {string}
+ */
+export const summarizeConflict = (label, conflict, resolutions) => {
+    const ranges = conflict.map(({ name, version, range }) => `${name}${version ? `@${version}` : ""} ("${range}")`)
+    const [first] = resolutions
+    const hint = first ? ` Try to ${first.direction} ${first.name} to ${first.to}.` : ""
+    return `No ${label} version satisfies ${ranges.join(" and ")} together.${hint}`
+}
+
+/**
+ * Compares the project's range for an engine with and without one direct dependency. Packages shared by several direct
+ * dependencies count towards the one they were first reached through.
+ * @param {EngineConstraint[]} constraints - Every range declared in the dependency tree.
+ * @param {string} directDependency - The direct dependency to assess.
+ * @returns {DependencyEffect | null} The effect, or null if a range is not valid semver.
+ */
+export const findDependencyEffect = (constraints, directDependency) => {
+    const own = constraints.filter(constraint => (constraint.directDependency ?? constraint.name) === directDependency)
+    try {
+        const range = intersectRanges(constraints.map(({ range }) => range))
+        const rangeWithout = intersectRanges(constraints.filter(constraint => !own.includes(constraint)).map(({ range }) => range))
+        return { constraints: own, range, rangeWithout, narrows: range !== rangeWithout }
+    } catch {
+        return null
+    }
+}
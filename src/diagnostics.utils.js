@@ -0,0 +1,281 @@
+import { basename, dirname, sep } from "path"
+import {
+    CodeAction,
+    CodeActionKind,
+    Diagnostic,
+    DiagnosticSeverity,
+    EventEmitter,
+    languages,
+    Range,
+    workspace,
+    WorkspaceEdit,
+} from "vscode"
+import {
+    DIAGNOSTIC_SOURCE,
+    DIAGNOSTICS_REFRESH_DELAY_MS,
+    DIAGNOSTICS_SELECTOR_PACKAGE_JSON,
+    ENGINES_MISMATCH_KINDS,
+    NODE_MODULES_DIRNAME,
+    PACKAGE_JSON_FILENAME,
+} from "./constants.js"
+import { formatRecommendedEngines } from "./analysis.utils.js"
+import { readDependencyCategoryModes, readEngineRangeStyles, readVersionPinTarget } from "./helper.utils.js"
+import { editJsonProperties, locateJsonProperty, parseManifest } from "./manifest.utils.js"
+import { findEnginesMismatches, suggestEnginesFixes } from "./mismatch.utils.js"
+import { toKnownNodeVersions, toKnownNpmVersions, toLtsNodeVersions } from "./releases.utils.js"
+import { findNodeVersionPins, planNodeVersionPinUpdates } from "./runtime.utils.js"
+
+/**
+ * The outcome of checking a package.json, kept so quick fixes can be offered without analyzing the project again.
+ * @typedef {object} EnginesCheck
+ * @property {import('./mismatch.utils.js').EnginesMismatch[]} mismatches - Where the declared engines disagree with the dependencies.
+ * @property {Record<"node" | "npm", import('./mismatch.utils.js').EngineCompatibility>} compatibility - What the dependencies allow.
+ * @property {Record<"node" | "npm", import('./constraints.utils.js').EngineConstraint[]>} constraints - Every range declared in the dependency tree.
+ * @property {Record<string, string>} categoryModes - How each dependency category counts, see `readDependencyCategoryModes`.
+ * @property {import('./helper.utils.js').DevEngineStrings} devEngineStrings - The recommended development ranges, written
+ * to `devEngines` along with the recommended engines.
+ * @property {import('./runtime.utils.js').NodeVersionPinUpdate[]} versionPinUpdates - The pins to rewrite along with the
+ * recommended engines.
+ */
+
+/** @type {Map<string, EnginesCheck>} - The latest check of each open package.json, by URI */
+const enginesChecks = new Map()
+
+/**
+ * Returns the latest check of an open package.json, for features that explain it without analyzing the project again.
+ * @param {import('vscode').Uri} uri - The package.json URI.
+ * @returns {EnginesCheck | null} The check, or null if the document has not been checked (yet).
+ */
+export const getEnginesCheck = uri => enginesChecks.get(uri.toString()) ?? null
+
+/** @type {Record<string, import('vscode').DiagnosticSeverity>} */
+const MISMATCH_SEVERITIES = {
+    [ENGINES_MISMATCH_KINDS.INVALID_RANGE]: DiagnosticSeverity.Error,
+    [ENGINES_MISMATCH_KINDS.MISSING_RANGE]: DiagnosticSeverity.Information,
+    [ENGINES_MISMATCH_KINDS.ALLOWS_REJECTED]: DiagnosticSeverity.Warning,
+    [ENGINES_MISMATCH_KINDS.STRICTER_THAN_NEEDED]: DiagnosticSeverity.Hint,
+    [ENGINES_MISMATCH_KINDS.DEPENDENCY_EXCLUDES]: DiagnosticSeverity.Warning,
+}
+
+/**
+ * Tells whether a document is a project's package.json, as opposed to another file or an installed package's manifest.
+ * @param {import('vscode').TextDocument} document
+ * @returns {boolean}
+ */
+export const isProjectManifest = document =>
+    document.uri.scheme === "file" &&
+    basename(document.uri.fsPath) === PACKAGE_JSON_FILENAME &&
+    !document.uri.fsPath.split(sep).includes(NODE_MODULES_DIRNAME)
+
+/**
+ * Turns engines mismatches into diagnostics on the package.json entries they concern.
+ * @param {import('vscode').TextDocument} document - The project's package.json.
+ * @param {import('./mismatch.utils.js').EnginesMismatch[]} mismatches
+ * @returns {import('vscode').Diagnostic[]}
+ */
+export const toEnginesDiagnostics = (document, mismatches) => {
+    const text = document.getText()
+    /** @type {import('vscode').Diagnostic[]} */
+    const diagnostics = []
+    for (const mismatch of mismatches) {
+        const location = locateJsonProperty(text, mismatch.path, mismatch.part)
+        if (!location) continue
+        const diagnostic = new Diagnostic(
+            new Range(document.positionAt(location.offset), document.positionAt(location.offset + location.length)),
+            mismatch.message,
+            MISMATCH_SEVERITIES[mismatch.kind]
+        )
+        diagnostic.code = mismatch.kind
+        diagnostic.source = DIAGNOSTIC_SOURCE
+        diagnostics.push(diagnostic)
+    }
+    return diagnostics
+}
+
+/**
+ * Finds where the `engines` of a package.json disagree with the dependencies of its project.
+ * @param {import('vscode').TextDocument} document - The project's package.json.
+ * @param {import('./analysis.utils.js').ProjectAnalysisResult | null} result - The analysis of the project.
+ * @param {import('./releases.utils.js').NodeRelease[]} nodeReleases - Release data providing the versions to check.
+ * @returns {EnginesCheck | null} Null if the project could not be analyzed.
+ */
+export const checkProjectEngines = (document, result, nodeReleases) => {
+    if (!result || result.note) return null
+    const knownNodeVersions = toKnownNodeVersions(nodeReleases)
+    const knownNpmVersions = toKnownNpmVersions(nodeReleases)
+    const categoryModes = readDependencyCategoryModes(workspace, document.uri)
+
+    let manifest
+    try {
+        manifest = parseManifest(document.getText())
+    } catch {
+        return null //? The JSON language service already reports syntax errors
+    }
+    //? Quick fixes write the same ranges the analyze command would recommend
+    const { nodeEngineString, npmEngineString, developmentNodeEngineString, developmentNpmEngineString } =
+        formatRecommendedEngines(result, readEngineRangeStyles(workspace, document.uri), toLtsNodeVersions(nodeReleases))
+    //? Pins select the Node.js developers run, so they follow the development range when there is one
+    const pinRange = developmentNodeEngineString ?? nodeEngineString
+    const versionPinUpdates = pinRange
+        ? planNodeVersionPinUpdates(
+            findNodeVersionPins(dirname(document.uri.fsPath), nodeReleases),
+            pinRange,
+            nodeReleases,
+            readVersionPinTarget(workspace, document.uri)
+        )
+        : []
+    return {
+        mismatches: [
+            ...findEnginesMismatches(manifest, "node", result.nodeConstraints ?? [], knownNodeVersions),
+            ...findEnginesMismatches(manifest, "npm", result.npmConstraints ?? [], knownNpmVersions),
+        ],
+        compatibility: {
+            node: {
+                recommendedRange: nodeEngineString,
+                compatibleRange: result.nodeRange ?? null,
+                compatibleVersions: result.compatibleNodeVersions ?? [],
+            },
+            npm: {
+                recommendedRange: npmEngineString,
+                compatibleRange: result.npmRange ?? null,
+                compatibleVersions: result.compatibleNpmVersions ?? [],
+            },
+        },
+        constraints: { node: result.nodeConstraints ?? [], npm: result.npmConstraints ?? [] },
+        categoryModes,
+        devEngineStrings: { node: developmentNodeEngineString, npm: developmentNpmEngineString },
+        versionPinUpdates,
+    }
+}
+
+/**
+ * Turns the fixes for the mismatches behind the given diagnostics into quick fixes, each a single undoable edit.
+ * @param {import('vscode').TextDocument} document - The project's package.json.
+ * @param {readonly import('vscode').Diagnostic[]} diagnostics - The diagnostics in the requested range.
+ * @param {EnginesCheck} check - The latest check of the document.
+ * @returns {import('vscode').CodeAction[]}
+ */
+export const toEnginesCodeActions = (document, diagnostics, check) => {
+    let manifest
+    try {
+        manifest = parseManifest(document.getText())
+    } catch {
+        return []
+    }
+
+    //? Diagnostics come back as copies, so find their mismatches by kind and message
+    const reported = diagnostics
+        .filter(diagnostic => diagnostic.source === DIAGNOSTIC_SOURCE)
+        .map(diagnostic => ({
+            diagnostic,
+            mismatch: check.mismatches.find(({ kind, message }) => kind === diagnostic.code && message === diagnostic.message),
+        }))
+        .filter(({ mismatch }) => !!mismatch)
+    if (reported.length === 0) return []
+
+    /** @type {import('vscode').CodeAction[]} */
+    const actions = []
+    for (const engine of /** @type {const} */ (["node", "npm"])) {
+        for (const fix of suggestEnginesFixes(manifest, engine, check.compatibility[engine])) {
+            const fixed = reported.filter(({ mismatch }) => mismatch?.engine === engine && fix.kinds.includes(mismatch.kind))
+            if (fixed.length === 0) continue
+            const edit = editJsonProperties(document.getText(), [[["engines", engine], fix.range]])
+            if (!edit) continue
+
+            const action = new CodeAction(fix.title, CodeActionKind.QuickFix)
+            action.edit = new WorkspaceEdit()
+            action.edit.replace(
+                document.uri,
+                new Range(document.positionAt(edit.offset), document.positionAt(edit.offset + edit.length)),
+                edit.content
+            )
+            action.diagnostics = fixed.map(({ diagnostic }) => diagnostic)
+            action.isPreferred = fix.isPreferred
+            actions.push(action)
+        }
+    }
+    return actions
+}
+
+/**
+ * Keeps diagnostics on open package.json files up to date, refreshing them when a file is opened and when the analysis
+ * of its project changes: on save, or when the project's dependencies are installed or its lockfile changes. It also
+ * offers quick fixes for them.
+ * @param {import('vscode').ExtensionContext} context - The extension context, which disposes of everything registered.
+ * @param {() => Promise<import('./releases.utils.js').NodeRelease[]>} getNodeReleases - Loads the release data to check against.
+ * @param {import('./cache.utils.js').AnalysisCache} analysisCache - Analyzes projects, shared with the other features.
+ * @returns {{ onDidChangeEnginesCheck: import('vscode').Event<import('vscode').Uri> }} An event that fires with the
+ * package.json URI whenever its check is updated or dropped.
+ */
+export const registerEnginesDiagnostics = (context, getNodeReleases, analysisCache) => {
+    const collection = languages.createDiagnosticCollection(DIAGNOSTIC_SOURCE)
+    /** @type {import('vscode').EventEmitter<import('vscode').Uri>} */
+    const enginesChecksChanged = new EventEmitter()
+
+    /** @type {Map<string, ReturnType<typeof setTimeout>>} */
+    const pendingRefreshes = new Map()
+
+    /**
+     * @param {import('vscode').TextDocument} document
+     */
+    const refresh = document => {
+        if (!isProjectManifest(document)) return
+        const key = document.uri.toString()
+        clearTimeout(pendingRefreshes.get(key))
+        pendingRefreshes.set(key, setTimeout(async () => {
+            pendingRefreshes.delete(key)
+            try {
+                const projectPath = dirname(document.uri.fsPath)
+                const [nodeReleases, result] = await Promise.all([getNodeReleases(), analysisCache.analyzeProject(projectPath)])
+                const check = checkProjectEngines(document, result, nodeReleases)
+                if (document.isClosed) return
+                if (check) enginesChecks.set(key, check)
+                else enginesChecks.delete(key)
+                collection.set(document.uri, check ? toEnginesDiagnostics(document, check.mismatches) : [])
+                enginesChecksChanged.fire(document.uri)
+            } catch (error) {
+                console.warn(
+                    `Could not check engines of ${document.uri.fsPath}: ${JSON.parse(JSON.stringify(error))?.message ?? error}`
+                )
+            }
+        }, DIAGNOSTICS_REFRESH_DELAY_MS))
+    }
+
+    context.subscriptions.push(
+        collection,
+        enginesChecksChanged,
+        analysisCache.onDidChange(projectPath => {
+            for (const document of workspace.textDocuments) {
+                if (dirname(document.uri.fsPath) === projectPath) refresh(document)
+            }
+        }),
+        workspace.onDidOpenTextDocument(refresh),
+        workspace.onDidCloseTextDocument(document => {
+            clearTimeout(pendingRefreshes.get(document.uri.toString()))
+            pendingRefreshes.delete(document.uri.toString())
+            enginesChecks.delete(document.uri.toString())
+            collection.delete(document.uri)
+            enginesChecksChanged.fire(document.uri)
+        }),
+        languages.registerCodeActionsProvider(
+            DIAGNOSTICS_SELECTOR_PACKAGE_JSON,
+            {
+                /**
+                 * @param {import('vscode').TextDocument} document
+                 * @param {import('vscode').Range} _range
+                 * @param {import('vscode').CodeActionContext} codeActionContext
+                 * @returns {import('vscode').CodeAction[]}
+                 */
+                provideCodeActions(document, _range, codeActionContext) {
+                    const check = getEnginesCheck(document.uri)
+                    return check ? toEnginesCodeActions(document, codeActionContext.diagnostics, check) : []
+                },
+            },
+            { providedCodeActionKinds: [CodeActionKind.QuickFix] }
+        ),
+        { dispose: () => pendingRefreshes.forEach(timeout => clearTimeout(timeout)) }
+    )
+
+    workspace.textDocuments.forEach(refresh)
+    return { onDidChangeEnginesCheck: enginesChecksChanged.event }
+}
@@ -1,30 +1,227 @@
 import {
 	commands,
-	Hover,
 	languages,
-	MarkdownString,
 	ProgressLocation,
+	Uri,
 	window,
 	workspace,
 } from "vscode"
+import { basename, dirname, join } from "path"
 import {
+	ACTION_BUTTON_SHOW_DETAILS,
+	ACTION_BUTTON_SHOW_REPORT,
+	ACTION_BUTTON_UPDATE_ALL_PACKAGE_JSON,
 	ACTION_BUTTON_UPDATE_PACKAGE_JSON,
+	ANALYZABLE_LOCKFILE_FILENAMES,
+	COMMAND_ID_ANALYZE_ALL_WORKSPACE_FOLDERS,
 	COMMAND_ID_ANALYZE_DEPENDENCIES,
-	DEPENDENCY_KEYS_FOR_HOVER,
-	HOVER_MARKDOWN_ANALYZE_PROJECT,
+	COMMAND_ID_EXPORT_REPORT,
+	COMMAND_ID_SHOW_REPORT,
 	HOVER_SELECTOR_PACKAGE_JSON,
 	LOG_EXTENSION_ACTIVE,
+	NODE_MODULES_DIRNAME,
+	NODE_RELEASES_CACHE_FILENAME,
 	NOTE_NO_DEPENDENCIES,
+	OUTPUT_CHANNEL_NAME,
+	PACKAGE_JSON_FILENAME,
+	PROGRESS_MSG_LOADING_NODE_RELEASES,
 	PROGRESS_MSG_READING_PACKAGE_JSON,
+	PROGRESS_TITLE_ANALYZE_ALL_WORKSPACE_FOLDERS,
 	PROGRESS_TITLE_ANALYZE_DEPENDENCIES,
+	PROGRESS_TITLE_REPORT,
+	REPORT_DEFAULT_FILENAME,
+	REPORT_FILE_EXTENSIONS,
+	REPORT_FORMATS,
 } from "./constants.js"
+import { formatAnalysisDetails, formatRecommendedEngines, formatWorkspaceAnalysisDetails } from "./analysis.utils.js"
+import { registerAnalysisCache } from "./cache.utils.js"
+import { registerEnginesCodeLens } from "./codelens.utils.js"
+import { summarizeConflict, summarizeConstraintWarnings } from "./constraints.utils.js"
+import { registerEnginesDiagnostics } from "./diagnostics.utils.js"
 import {
 	analyzeProjectDependencies,
+	analyzeWorkspaceFolders,
+	analyzeWorkspaceProjects,
 	determineWorkspaceFolder,
+	readDependencyCategoryModes,
+	readEngineRangeStyles,
+	readVersionPinTarget,
 	updatePackageJsonEngines,
+	updateWorkspaceEngines,
 } from "./helper.utils.js"
+import { dependencyHoverProvider } from "./hover.utils.js"
+import { showReportPanel } from "./panel.utils.js"
+import { loadNodeReleases, toKnownNodeVersions, toKnownNpmVersions, toLtsNodeVersions } from "./releases.utils.js"
+import { formatReport, listReportedProjects, toEnginesReport } from "./report.utils.js"
+import { describeNodeVersionPinUpdates, findNodeVersionPins, planNodeVersionPinUpdates } from "./runtime.utils.js"
+import { registerEnginesStatusBar } from "./statusbar.utils.js"
+import { registerDependencyTreeView } from "./treeview.utils.js"
+import { registerBackgroundAnalysis } from "./watcher.utils.js"
 
 
+/**
+ * @typedef {object} EnginesSummaryEntry
+ * @property {string} line - The project's line in the summary.
+ * @property {import('./helper.utils.js').EnginesUpdate | null} update - The engines to write, or null if there is no recommendation.
+ */
+
+/**
+ * How the recommendations of a workspace folder are formatted.
+ * @typedef {object} SummaryFormatting
+ * @property {import('./analysis.utils.js').EngineRangeStyles} styles - The configured range styles.
+ * @property {import('./releases.utils.js').NodeRelease[]} nodeReleases - Known Node.js releases, for the `ltsOnly` style and version pins.
+ * @property {string} versionPinTarget - The version pins outside the range are rewritten to, one of `VERSION_PIN_TARGETS`.
+ */
+
+/**
+ * Plans the rewrite of a project's Node.js version pins that fall outside a range.
+ * @param {import('./analysis.utils.js').ProjectAnalysisResult} result - The project's analysis.
+ * @param {string | null} range - The range the pins must resolve into.
+ * @param {import('./releases.utils.js').NodeRelease[]} nodeReleases - Known Node.js releases.
+ * @param {string} versionPinTarget - One of `VERSION_PIN_TARGETS`.
+ * @returns {import('./runtime.utils.js').NodeVersionPinUpdate[]}
+ */
+const planVersionPinUpdates = (result, range, nodeReleases, versionPinTarget) => range
+	? planNodeVersionPinUpdates(
+		findNodeVersionPins(dirname(result.projectPackageJsonPath), nodeReleases),
+		range,
+		nodeReleases,
+		versionPinTarget
+	)
+	: []
+
+/**
+ * Formats the recommendation for one of several projects shown together.
+ * @param {string} name - The project's name in the summary.
+ * @param {import('./analysis.utils.js').ProjectAnalysisResult} result - The project's analysis.
+ * @param {SummaryFormatting} formatting - The settings of the project's workspace folder.
+ * @returns {EnginesSummaryEntry}
+ */
+const toEnginesSummaryEntry = (name, result, { styles, nodeReleases, versionPinTarget }) => {
+	const { nodeEngineString, npmEngineString, developmentNodeEngineString, developmentNpmEngineString } =
+		formatRecommendedEngines(result, styles, toLtsNodeVersions(nodeReleases))
+	if (!nodeEngineString) return { line: `${name}: no compatible Node.js version`, update: null }
+	const development = developmentNodeEngineString
+		? `; devEngines Node "${developmentNodeEngineString}"${developmentNpmEngineString ? `, NPM "${developmentNpmEngineString}"` : ""}`
+		: ""
+	//? Pins select the Node.js developers run, so they follow the development range when there is one
+	const versionPinUpdates = planVersionPinUpdates(
+		result, developmentNodeEngineString ?? nodeEngineString, nodeReleases, versionPinTarget
+	)
+	const pins = versionPinUpdates.length > 0 ? `; ${describeNodeVersionPinUpdates(versionPinUpdates)}` : ""
+	return {
+		line: `${name}: Node "${nodeEngineString}"${npmEngineString ? `, NPM "${npmEngineString}"` : ""}${development}${pins}`,
+		update: {
+			packageJsonPath: result.projectPackageJsonPath,
+			nodeEngineString,
+			npmEngineString,
+			devEngineStrings: { node: developmentNodeEngineString, npm: developmentNpmEngineString },
+			versionPinUpdates,
+		},
+	}
+}
+
+/**
+ * Shows the recommended engines of several projects and offers to write them all in one edit.
+ * @param {string} subject - What was analyzed, e.g. `the 3 workspace packages of app`.
+ * @param {EnginesSummaryEntry[]} entries - One entry per project.
+ * @param {string} details - What "Show Details" writes to the output channel.
+ * @param {import('vscode').OutputChannel} outputChannel - Where "Show Details" writes the constraints.
+ * @returns {Promise<void>}
+ */
+const offerEnginesUpdates = async (subject, entries, details, outputChannel) => {
+	const showDetails = () => {
+		outputChannel.clear()
+		outputChannel.appendLine(details)
+		outputChannel.show(true)
+	}
+
+	const updates = entries.flatMap(({ update }) => update ? [update] : [])
+	if (updates.length === 0) {
+		const choice = await window?.showErrorMessage(
+			`Could not determine a compatible Node.js version range for ${subject}.`,
+			ACTION_BUTTON_SHOW_DETAILS
+		)
+		if (choice === ACTION_BUTTON_SHOW_DETAILS) showDetails()
+		return
+	}
+
+	const message = `Recommended 'engines' for ${subject}:\n${entries.map(({ line }) => line).join("\n")}`
+	let selection = await window?.showInformationMessage(
+		message,
+		{ modal: true },
+		ACTION_BUTTON_UPDATE_ALL_PACKAGE_JSON,
+		ACTION_BUTTON_SHOW_DETAILS
+	)
+	if (selection === ACTION_BUTTON_SHOW_DETAILS) {
+		showDetails()
+		//? The dialog is gone once a button is chosen, so offer the update again
+		selection = await window?.showInformationMessage(message, ACTION_BUTTON_UPDATE_ALL_PACKAGE_JSON)
+	}
+	if (selection === ACTION_BUTTON_UPDATE_ALL_PACKAGE_JSON) {
+		await updateWorkspaceEngines(updates)
+	}
+}
+
+/**
+ * Lists the recommendations of a monorepo: the root gets the range every package supports, then each package its own.
+ * @param {string} rootName - The name of the root in the summary.
+ * @param {import('./analysis.utils.js').WorkspaceAnalysisResult} workspaceResult - The monorepo analysis.
+ * @param {SummaryFormatting} formatting - The settings of the monorepo's workspace folder.
+ * @returns {EnginesSummaryEntry[]}
+ */
+const toWorkspaceSummaryEntries = (rootName, workspaceResult, formatting) =>
+	[{ name: `${rootName} (every package)`, result: workspaceResult.aggregate }, ...workspaceResult.packages]
+		.filter(({ result }) => result.note !== NOTE_NO_DEPENDENCIES)
+		.map(({ name, result }) => toEnginesSummaryEntry(name, result, formatting))
+
+/**
+ * Reads how the recommendations of a workspace folder are formatted.
+ * @param {import('vscode').Uri} scope - The workspace folder.
+ * @param {import('./releases.utils.js').NodeRelease[]} nodeReleases - Known Node.js releases.
+ * @returns {SummaryFormatting}
+ */
+const readSummaryFormatting = (scope, nodeReleases) => ({
+	styles: readEngineRangeStyles(workspace, scope),
+	nodeReleases,
+	versionPinTarget: readVersionPinTarget(workspace, scope),
+})
+
+/**
+ * Builds the report of a workspace folder, with the engines update of each of its projects.
+ * @param {import('vscode').WorkspaceFolder} folder - The folder, or monorepo root, to report on.
+ * @param {string} name - The folder's project in the report, e.g. the folder name.
+ * @param {{ result: import('./analysis.utils.js').ProjectAnalysisResult | null, workspaceResult: import('./analysis.utils.js').WorkspaceAnalysisResult | null }} analysis
+ * @param {import('./releases.utils.js').NodeRelease[]} nodeReleases - Known Node.js releases.
+ * @returns {{ report: import('./report.utils.js').EnginesReport, updates: (import('./helper.utils.js').EnginesUpdate | null)[] }} The report, and the update of each of its projects.
+ */
+const buildFolderReport = (folder, name, analysis, nodeReleases) => {
+	const projects = listReportedProjects(name, analysis)
+	const formatting = readSummaryFormatting(folder.uri, nodeReleases)
+	return {
+		report: toEnginesReport(projects, { rootPath: folder.uri.fsPath, ...formatting }),
+		updates: projects.map(project => toEnginesSummaryEntry(project.name, project.result, formatting).update),
+	}
+}
+
+/**
+ * Shows a report in the report panel, whose Apply buttons write the update of each project.
+ * @param {{ report: import('./report.utils.js').EnginesReport, updates: (import('./helper.utils.js').EnginesUpdate | null)[] }} folderReport - See `buildFolderReport`.
+ * @param {import('./releases.utils.js').NodeRelease[]} nodeReleases - Known Node.js releases, for the range bars.
+ */
+const openReportPanel = ({ report, updates }, nodeReleases) =>
+	showReportPanel(report, nodeReleases, async projectIndex => {
+		const update = updates[projectIndex]
+		if (!update) return
+		await updatePackageJsonEngines(
+			update.packageJsonPath,
+			update.nodeEngineString,
+			update.npmEngineString,
+			update.devEngineStrings,
+			update.versionPinUpdates
+		)
+	})
+
 /**
  * Activates the VSCode Extension
  * @param {import('vscode').ExtensionContext} context - The context provided by VS Code on activation.
@@ -32,6 +229,35 @@ import {
 export const activate = context => {
 	console.info(LOG_EXTENSION_ACTIVE)
 
+	//? Downloaded release data is kept in the extension's global storage so it survives restarts
+	const nodeReleasesCachePath = join(context.globalStorageUri.fsPath, NODE_RELEASES_CACHE_FILENAME)
+
+	//? "Show Details" writes the constraints behind a recommendation here
+	const outputChannel = window.createOutputChannel(OUTPUT_CHANNEL_NAME)
+	context.subscriptions.push(outputChannel)
+
+	//? The features below share one analysis per project, dropped when the project's files change
+	const analysisCache = registerAnalysisCache(context, () => loadNodeReleases({ cachePath: nodeReleasesCachePath }))
+
+	//? Underline engines in open package.json files that disagree with the installed dependencies
+	const { onDidChangeEnginesCheck } = registerEnginesDiagnostics(
+		context,
+		() => loadNodeReleases({ cachePath: nodeReleasesCachePath }),
+		analysisCache
+	)
+
+	//? Show the recommended engines above package.json's engines, kept current by the checks above
+	registerEnginesCodeLens(context, onDidChangeEnginesCheck)
+
+	//? Show whether the selected Node.js fits the active project's range
+	registerEnginesStatusBar(context, () => loadNodeReleases({ cachePath: nodeReleasesCachePath }), analysisCache)
+
+	//? List the active project's dependencies in the Explorer by the Node.js major they require
+	registerDependencyTreeView(context, analysisCache)
+
+	//? Analyze projects again after installs and lockfile changes, and say when their engines fall behind
+	registerBackgroundAnalysis(context, () => loadNodeReleases({ cachePath: nodeReleasesCachePath }), analysisCache)
+
 	const analyzeCommand = commands.registerCommand(
 		COMMAND_ID_ANALYZE_DEPENDENCIES,
 		/**
@@ -54,6 +280,10 @@ export const activate = context => {
 				return
 			}
 
+			//? When invoked on a lockfile, analyze the project next to it from the lockfile itself
+			const isLockfile = !!uri && ANALYZABLE_LOCKFILE_FILENAMES.includes(basename(uri.fsPath))
+			const projectPath = isLockfile && uri ? dirname(uri.fsPath) : workspaceFolder.uri.fsPath
+
 			window?.withProgress(
 				{
 					location: ProgressLocation.Notification,
@@ -66,14 +296,48 @@ export const activate = context => {
 				 */
 				async progress => {
 					try {
+						progress.report({
+							increment: 0,
+							message: PROGRESS_MSG_LOADING_NODE_RELEASES,
+						})
+						const nodeReleases = await loadNodeReleases({ cachePath: nodeReleasesCachePath })
+
 						progress.report({
 							increment: 0,
 							message: PROGRESS_MSG_READING_PACKAGE_JSON,
 						})
+
+						const categoryModes = readDependencyCategoryModes(workspace, workspaceFolder.uri)
+
+						//? A monorepo root gets a recommendation for each package, plus the range they all support for the root
+						const workspaceResult = isLockfile ? null : await analyzeWorkspaceProjects(
+							projectPath,
+							progress,
+							toKnownNodeVersions(nodeReleases),
+							toKnownNpmVersions(nodeReleases),
+							{ nodeReleases, categoryModes }
+						)
+						if (workspaceResult) {
+							await offerEnginesUpdates(
+								`the ${workspaceResult.packages.length} workspace packages of ${workspaceFolder.name}`,
+								toWorkspaceSummaryEntries(
+									workspaceFolder.name,
+									workspaceResult,
+									readSummaryFormatting(workspaceFolder.uri, nodeReleases)
+								),
+								formatWorkspaceAnalysisDetails(workspaceResult),
+								outputChannel
+							)
+							return
+						}
+
 						//? Perform the project analysis to determine Node.js and NPM version compatibility
 						/** @type {Awaited<ReturnType<typeof analyzeProjectDependencies>>} */						const result = await analyzeProjectDependencies(
-							workspaceFolder.uri.fsPath,
-							progress
+							projectPath,
+							progress,
+							toKnownNodeVersions(nodeReleases),
+							toKnownNpmVersions(nodeReleases),
+							{ preferLockfile: isLockfile, nodeReleases, categoryModes }
 						)
 						//? If analysis was successful, proceed to display results and offer to update package.json
 
@@ -85,19 +349,28 @@ export const activate = context => {
 								return
 							}
 
-							const nodeEngineString =
-								result.minNode && result.maxNode //? If both minNode and maxNode are available, construct the engine string
-									? `>=${result.minNode} <=${result.maxNode}`
-									: null
-							const npmEngineString =
-								result.minNpm && result.maxNpm
-									? `>=${result.minNpm} <=${result.maxNpm}`
-									: null
+							//? The same strings are shown in the prompt and written to package.json
+							const { nodeEngineString, npmEngineString, developmentNodeEngineString, developmentNpmEngineString } = formatRecommendedEngines(
+								result,
+								readEngineRangeStyles(workspace, workspaceFolder.uri),
+								toLtsNodeVersions(nodeReleases)
+							)
+
+							const showDetails = () => {
+								outputChannel.clear()
+								outputChannel.appendLine(formatAnalysisDetails(result))
+								outputChannel.show(true)
+							}
 
 							if (!nodeEngineString) {
-								window?.showErrorMessage( //? If no Node.js version range could be determined, show an error message
-									"Could not determine a compatible Node.js version range for the project dependencies."
+								const conflict = result.nodeBindingConstraints?.conflicts ?? []
+								const choice = await window?.showErrorMessage( //? If no Node.js version range could be determined, show an error message
+									conflict.length > 0
+										? summarizeConflict("Node.js", conflict, result.nodeConflictResolutions ?? [])
+										: "Could not determine a compatible Node.js version range for the project dependencies.",
+									ACTION_BUTTON_SHOW_DETAILS
 								)
+								if (choice === ACTION_BUTTON_SHOW_DETAILS) showDetails()
 								return
 							}
 
@@ -107,19 +380,71 @@ export const activate = context => {
 							} else {
 								message += `\nNPM: (Could not determine a specific range from dependencies; consider adding manually if needed)`
 							}
+							const npmUpgradeNodeVersions = result.nodeVersionsRequiringNpmUpgrade ?? []
+							if (npmEngineString && npmUpgradeNodeVersions.length > 0) {
+								message += `\nNote: ${npmUpgradeNodeVersions.length} compatible Node.js release(s), from ${npmUpgradeNodeVersions[0]} to ${npmUpgradeNodeVersions[npmUpgradeNodeVersions.length - 1]}, ship an npm outside this range. Users on those releases must upgrade npm manually.`
+							}
+							const constraintWarnings = [...(result.nodeConstraintWarnings ?? []), ...(result.npmConstraintWarnings ?? [])]
+							if (constraintWarnings.length > 0) {
+								message += `\nWarning: ${summarizeConstraintWarnings(constraintWarnings)}`
+							}
+							//? devDependencies only narrow the devEngines range, so tooling does not restrict the published engines
+							if (developmentNodeEngineString) {
+								message += `\nDevelopment (devEngines): Node "${developmentNodeEngineString}"`
+								if (developmentNpmEngineString) message += `, NPM "${developmentNpmEngineString}"`
+							} else if (result.compatibleDevelopmentNodeVersions) {
+								message += `\nDevelopment (devEngines): no Node.js version supports every development dependency`
+							}
+							//? Pins select the Node.js developers run, so they follow the development range when there is one
+							const versionPinUpdates = planVersionPinUpdates(
+								result,
+								developmentNodeEngineString ?? nodeEngineString,
+								nodeReleases,
+								readVersionPinTarget(workspace, workspaceFolder.uri)
+							)
+							if (versionPinUpdates.length > 0) {
+								message += `\nNode.js version pins outside the range, updated too: ${describeNodeVersionPinUpdates(versionPinUpdates)}`
+							}
+							if (result.source && result.source !== NODE_MODULES_DIRNAME) {
+								message += `\n(Based on ${result.source}; ${NODE_MODULES_DIRNAME} was not used)`
+							}
+
+							//? Declared engines get quick fixes in package.json, so only interrupt with a modal when there are none yet
+							const hasDeclaredEngines = typeof result.declaredEngines?.node === "string"
+							if (hasDeclaredEngines) {
+								await window?.showTextDocument(await workspace.openTextDocument(result.projectPackageJsonPath))
+								message += `\nQuick fixes for the underlined engines are available in ${basename(result.projectPackageJsonPath)}.`
+							}
 
 							//? Offer the user the option to update the package.json with the recommended engine settings
 							const updateAction = ACTION_BUTTON_UPDATE_PACKAGE_JSON //? Define the action label for updating package.json
-							const selection = await window?.showInformationMessage(
+							let selection = await window?.showInformationMessage(
 								message,
-								{ modal: true },
-								updateAction
+								{ modal: !hasDeclaredEngines },
+								updateAction,
+								ACTION_BUTTON_SHOW_DETAILS,
+								ACTION_BUTTON_SHOW_REPORT
 							)
+							if (selection === ACTION_BUTTON_SHOW_REPORT) {
+								//? The panel has its own Apply button
+								openReportPanel(
+									buildFolderReport(workspaceFolder, workspaceFolder.name, { result, workspaceResult: null }, nodeReleases),
+									nodeReleases
+								)
+								return
+							}
+							if (selection === ACTION_BUTTON_SHOW_DETAILS) {
+								showDetails()
+								//? The notification is gone once a button is chosen, so offer the update again
+								selection = await window?.showInformationMessage(message, updateAction)
+							}
 							if (selection === ACTION_BUTTON_UPDATE_PACKAGE_JSON) {
 								await updatePackageJsonEngines(
 									result.projectPackageJsonPath,
 									nodeEngineString,
-									npmEngineString
+									npmEngineString,
+									{ node: developmentNodeEngineString, npm: developmentNpmEngineString },
+									versionPinUpdates
 								)
 							}
 							//? Handle errors during the analysis process
@@ -138,46 +463,199 @@ export const activate = context => {
 
 	context.subscriptions.push(analyzeCommand)
 
-	//? Hover provider for package.json dependencies
-	const packageJsonHoverProvider = {
+	const analyzeAllCommand = commands.registerCommand(
+		COMMAND_ID_ANALYZE_ALL_WORKSPACE_FOLDERS,
 		/**
-		 * Provides a hover tooltip for package.json dependencies to trigger analysis.
-		 * @param {import('vscode').TextDocument} document - The document in which the hover was triggered.
-		 * @param {import('vscode').Position} position - The position at which the hover was triggered.
-		 * @param {import('vscode').CancellationToken} _token - A cancellation token.
-		 * @returns {import('vscode').ProviderResult<import('vscode').Hover>}
+		 * Analyzes every folder of a multi-root workspace and offers to update them all at once.
 		 */
-		provideHover(document, position, _token) {
-			console.info("Hover triggered for package.json", { position, _token }) // More informative log
-			const range = document.getWordRangeAtPosition(
-				position,
-				/"([^"]+)":\s*"([^"]+)"/
+		async () => {
+			const folders = workspace.workspaceFolders ?? []
+			if (folders.length === 0) {
+				window?.showErrorMessage(
+					"No workspace folder found. Open a project to analyze dependencies."
 				)
-				if (range) {
-					//? Basic check: is the hover within a dependencies/devDependencies block? A full JSON AST parse would be more robust.
-					let inDepsBlock = false
-					for (let lineNum = position.line; lineNum >= 0; lineNum--) {
-						const lineText = document.lineAt(lineNum).text
-						if (DEPENDENCY_KEYS_FOR_HOVER.some(key => lineText.includes(`"${key}":`))) {
-							inDepsBlock = true
-							break
-						}
-						if (lineText.match(/^\s*{/) && lineNum !== position.line) break //? Start of a new object, not the one we are in.
-					}
+				return
+			}
+
+			await window?.withProgress(
+				{
+					location: ProgressLocation.Notification,
+					title: PROGRESS_TITLE_ANALYZE_ALL_WORKSPACE_FOLDERS,
+					cancellable: false,
+				},
+				/**
+				 * @param {import('vscode').Progress<{ message?: string; increment?: number }>} progress
+				 */
+				async progress => {
+					try {
+						progress.report({ increment: 0, message: PROGRESS_MSG_LOADING_NODE_RELEASES })
+						const nodeReleases = await loadNodeReleases({ cachePath: nodeReleasesCachePath })
+
+						const analyses = await analyzeWorkspaceFolders(
+							folders,
+							progress,
+							toKnownNodeVersions(nodeReleases),
+							toKnownNpmVersions(nodeReleases),
+							{ nodeReleases }
+						)
+
+						const entries = analyses.flatMap(({ folder, result, workspaceResult, error }) => {
+							const formatting = readSummaryFormatting(folder.uri, nodeReleases)
+							if (error) return [{ line: `${folder.name}: analysis failed (${error})`, update: null }]
+							if (workspaceResult) return toWorkspaceSummaryEntries(folder.name, workspaceResult, formatting)
+							if (!result) return [{ line: `${folder.name}: no ${PACKAGE_JSON_FILENAME}`, update: null }]
+							if (result.note === NOTE_NO_DEPENDENCIES) return [{ line: `${folder.name}: no dependencies`, update: null }]
+							return [toEnginesSummaryEntry(folder.name, result, formatting)]
+						})
+						const details = analyses.flatMap(({ result, workspaceResult }) => {
+							if (workspaceResult) return [formatWorkspaceAnalysisDetails(workspaceResult)]
+							return result && !result.note ? [formatAnalysisDetails(result)] : []
+						}).join("\n\n")
 
-					if (inDepsBlock) {
-						const contents = new MarkdownString(HOVER_MARKDOWN_ANALYZE_PROJECT)
-						//? Mark the content as trusted to allow command execution from the hover tooltip
-						contents.isTrusted = true //* Allow command execution
-						return new Hover(contents, range)
+						await offerEnginesUpdates(`the ${folders.length} workspace folders`, entries, details, outputChannel)
+					} catch (error) {
+						console.error("Error analyzing workspace folders:", error)
+						const errorMessage = error instanceof Error ? error.message : String(error)
+						window?.showErrorMessage(
+							`Error analyzing workspace folders: ${errorMessage}`
+						)
 					}
 				}
-				return null
-			},
-	}
+			)
+		}
+	)
+
+	context.subscriptions.push(analyzeAllCommand)
+
+	/**
+	 * Analyzes a workspace folder, or each package of a monorepo root, for a report.
+	 * @param {import('vscode').WorkspaceFolder} workspaceFolder - The folder to report on.
+	 * @returns {Promise<{ folderReport: ReturnType<typeof buildFolderReport>, nodeReleases: import('./releases.utils.js').NodeRelease[] } | null>} The report, or null if the folder has no readable package.json.
+	 */
+	const analyzeFolderReport = async workspaceFolder => window?.withProgress(
+		{
+			location: ProgressLocation.Notification,
+			title: PROGRESS_TITLE_REPORT,
+			cancellable: false,
+		},
+		/**
+		 * @param {import('vscode').Progress<{ message?: string; increment?: number }>} progress
+		 */
+		async progress => {
+			progress.report({ increment: 0, message: PROGRESS_MSG_LOADING_NODE_RELEASES })
+			const nodeReleases = await loadNodeReleases({ cachePath: nodeReleasesCachePath })
+
+			progress.report({ increment: 0, message: PROGRESS_MSG_READING_PACKAGE_JSON })
+			const rootPath = workspaceFolder.uri.fsPath
+			const options = { nodeReleases, categoryModes: readDependencyCategoryModes(workspace, workspaceFolder.uri) }
+			const workspaceResult = await analyzeWorkspaceProjects(
+				rootPath,
+				progress,
+				toKnownNodeVersions(nodeReleases),
+				toKnownNpmVersions(nodeReleases),
+				options
+			)
+			const result = workspaceResult ? null : await analyzeProjectDependencies(
+				rootPath,
+				progress,
+				toKnownNodeVersions(nodeReleases),
+				toKnownNpmVersions(nodeReleases),
+				options
+			)
+			if (!workspaceResult && !result) return null //* The analysis reported why
+			return {
+				folderReport: buildFolderReport(workspaceFolder, workspaceFolder.name, { result, workspaceResult }, nodeReleases),
+				nodeReleases,
+			}
+		}
+	)
+
+	const showReportCommand = commands.registerCommand(
+		COMMAND_ID_SHOW_REPORT,
+		/**
+		 * Analyzes a workspace folder and shows every dependency in the report panel.
+		 * @param {import('vscode').Uri | undefined} uri - The URI of the folder/workspace to report on.
+		 */
+		async uri => {
+			const workspaceFolder = await determineWorkspaceFolder(uri, window, workspace)
+			if (!workspaceFolder) {
+				window?.showErrorMessage(
+					"No workspace folder found. Open a project to analyze dependencies."
+				)
+				return
+			}
+			try {
+				const analysis = await analyzeFolderReport(workspaceFolder)
+				if (analysis) openReportPanel(analysis.folderReport, analysis.nodeReleases)
+			} catch (error) {
+				console.error("Error showing report:", error)
+				const errorMessage = error instanceof Error ? error.message : String(error)
+				window?.showErrorMessage(
+					`Error showing report: ${errorMessage}`
+				)
+			}
+		}
+	)
+
+	context.subscriptions.push(showReportCommand)
+
+	const exportReportCommand = commands.registerCommand(
+		COMMAND_ID_EXPORT_REPORT,
+		/**
+		 * Analyzes a workspace folder and saves the result as a JSON, Markdown or SARIF report.
+		 * @param {import('vscode').Uri | undefined} uri - The URI of the folder/workspace to report on.
+		 */
+		async uri => {
+			const workspaceFolder = await determineWorkspaceFolder(uri, window, workspace)
+			if (!workspaceFolder) {
+				window?.showErrorMessage(
+					"No workspace folder found. Open a project to analyze dependencies."
+				)
+				return
+			}
+			const rootPath = workspaceFolder.uri.fsPath
+
+			const picked = await window?.showQuickPick(
+				[
+					{ label: "JSON", description: "Every computed range and dependency, in a stable schema", format: REPORT_FORMATS.JSON },
+					{ label: "Markdown", description: "Tables for a pull request or wiki", format: REPORT_FORMATS.MARKDOWN },
+					{ label: "SARIF", description: "Code scanning results pointing into package.json", format: REPORT_FORMATS.SARIF },
+				],
+				{ placeHolder: "Report format" }
+			)
+			if (!picked) return
+
+			const target = await window?.showSaveDialog({
+				defaultUri: Uri.file(join(rootPath, `${REPORT_DEFAULT_FILENAME}.${REPORT_FILE_EXTENSIONS[picked.format]}`)),
+				filters: { [picked.label]: [REPORT_FILE_EXTENSIONS[picked.format]] },
+			})
+			if (!target) return
+
+			try {
+				const analysis = await analyzeFolderReport(workspaceFolder)
+				if (!analysis) return
+				const { report } = analysis.folderReport
+				await workspace.fs.writeFile(target, new TextEncoder().encode(formatReport(report, picked.format, rootPath)))
+				await window?.showTextDocument(await workspace.openTextDocument(target))
+				window?.showInformationMessage(
+					`Saved the ${picked.label} report of ${report.projects.length} project(s) to ${basename(target.fsPath)}.`
+				)
+			} catch (error) {
+				console.error("Error exporting report:", error)
+				const errorMessage = error instanceof Error ? error.message : String(error)
+				window?.showErrorMessage(
+					`Error exporting report: ${errorMessage}`
+				)
+			}
+		}
+	)
+
+	context.subscriptions.push(exportReportCommand)
+
+	//? Hover provider for package.json dependencies
 	const hoverProviderDisposable = languages.registerHoverProvider(
 		HOVER_SELECTOR_PACKAGE_JSON,
-		packageJsonHoverProvider
+		dependencyHoverProvider
 	)
 	context.subscriptions.push(hoverProviderDisposable)
 }
@@ -185,4 +663,4 @@ export const activate = context => {
 export default activate
 
 // Export for testing purposes
-export const { provideHover } = packageJsonHoverProvider;
\ No newline at end of file
+export const { provideHover } = dependencyHoverProvider
\ No newline at end of file
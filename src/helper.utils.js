@@ -1,97 +1,122 @@
-import { existsSync, readFileSync } from "fs"
-import { join } from "path"
-import { satisfies } from "semver"
+import { basename } from "path"
 import { FileType, Range, Uri, window, workspace, WorkspaceEdit } from "vscode"
+import {
+    analyzeProjectDependencies as analyzeProject,
+    analyzeWorkspaceProjects as analyzeWorkspace,
+} from "./analysis.utils.js"
 import {
     COMMON_NODEJS_VERSIONS,
     COMMON_NPM_VERSIONS,
-    DEFAULT_JSON_INDENT,
-    DEFAULT_NODE_VERSION_RANGE,
-    NODE_MODULES_DIRNAME,
-    NOTE_NO_DEPENDENCIES,
+    CONFIG_KEY_DEPENDENCY_CATEGORIES,
+    CONFIG_KEY_NODE_RANGE_STYLE,
+    CONFIG_KEY_NPM_RANGE_STYLE,
+    CONFIG_KEY_VERSION_PIN_TARGET,
+    CONFIGURATION_SECTION,
+    DEFAULT_DEPENDENCY_CATEGORY_MODES,
+    DEFAULT_ENGINE_RANGE_STYLE,
+    DEFAULT_VERSION_PIN_TARGET,
+    DEPENDENCY_CATEGORIES,
+    DEPENDENCY_CATEGORY_MODES,
+    ENGINE_RANGE_STYLES,
     PACKAGE_JSON_FILENAME,
-    UTF8_ENCODING,
+    VERSION_PIN_TARGETS,
+    VOLTA_NODE_LABEL,
 } from "./constants.js"
+import { editManifestEngines } from "./manifest.utils.js"
+import { describeNodeVersionPinUpdates, locateNodeVersionSpec } from "./runtime.utils.js"
+
+/**
+ * The options of an analysis started from the editor. Unless `silent`, a missing or invalid package.json is shown as
+ * an error message; analyses the user did not ask for are silent.
+ * @typedef {Omit<import('./analysis.utils.js').AnalysisOptions, "onError"> & { silent?: boolean }} AnalysisOptions
+ */
 
 /**
- * @typedef {object} ProjectAnalysisResult
- * @property {string} projectPackageJsonPath - The path to the project's package.json.
- * @property {string | null} minNode - The determined minimum supported Node.js version.
- * @property {string | null} maxNode - The determined maximum supported Node.js version.
- * @property {string | null} minNpm - The determined minimum supported NPM version.
- * @property {string | null} maxNpm - The determined maximum supported NPM version.
- * @property {string} [note] - An optional note, e.g., if no dependencies were found or other information.
+ * The ranges to write to npm's `devEngines`: `runtime` for Node.js and `packageManager` for npm.
+ * @typedef {object} DevEngineStrings
+ * @property {string | null} [node] - The Node.js range. If null, `devEngines.runtime` is left as it is.
+ * @property {string | null} [npm] - The NPM range. If null, `devEngines.packageManager` is left as it is.
  */
-// The `dependencies` field was part of an earlier design and is no longer returned by `analyzeProjectDependencies`.
-// It has been removed from this typedef.
+
+/**
+ * Adds the edits of the version manager files among the pin updates to a workspace edit. Volta pins live in
+ * package.json and are left to `editManifestEngines`, so the package.json gets a single edit.
+ * @param {WorkspaceEdit} edit - The edit to add to.
+ * @param {import('./runtime.utils.js').NodeVersionPinUpdate[]} versionPinUpdates - The pins to rewrite.
+ * @returns {Promise<number>} How many files are changed.
+ */
+const addNodeVersionPinEdits = async (edit, versionPinUpdates) => {
+    let changedCount = 0
+    for (const { pin, spec } of versionPinUpdates) {
+        if (pin.label === VOLTA_NODE_LABEL) continue
+        /** @type {import('vscode').TextDocument} */
+        const doc = await workspace.openTextDocument(pin.path)
+        //? Locate the version again, in case the file changed since it was analyzed
+        const location = locateNodeVersionSpec(basename(pin.path), doc.getText())
+        if (!location || location.spec === spec) continue
+        edit.replace(
+            doc.uri,
+            new Range(doc.positionAt(location.offset), doc.positionAt(location.offset + location.length)),
+            spec
+        )
+        changedCount++
+    }
+    return changedCount
+}
+
+/**
+ * Finds the Volta pin update for a package.json among the pin updates.
+ * @param {string} packageJsonPath
+ * @param {import('./runtime.utils.js').NodeVersionPinUpdate[]} versionPinUpdates
+ * @returns {string | null} The version to write to `volta.node`, if any.
+ */
+const findVoltaPinUpdate = (packageJsonPath, versionPinUpdates) =>
+    versionPinUpdates.find(({ pin }) => pin.label === VOLTA_NODE_LABEL && pin.path === packageJsonPath)?.spec ?? null
 
 /**
  * Updates the project's package.json with the new engines.
  * @param {string} packageJsonPath - The file path to the project's package.json.
  * @param {string | null} nodeEngineString - The Node.js engine string to update or add. If null, no changes are made to the Node.js engine.
  * @param {string | null} npmEngineString - The NPM engine string to update or add. If null, no changes are made to the NPM engine.
+ * @param {DevEngineStrings} [devEngineStrings={}] - The development ranges to write to `devEngines` in the same edit.
+ * @param {import('./runtime.utils.js').NodeVersionPinUpdate[]} [versionPinUpdates=[]] - Node.js version pins to rewrite in the same edit, see `planNodeVersionPinUpdates`.
  * @returns {Promise<void>}
  */
 export const updatePackageJsonEngines = async (
     packageJsonPath,
     nodeEngineString,
-    npmEngineString
+    npmEngineString,
+    devEngineStrings = {},
+    versionPinUpdates = []
 ) => {
     try {
         /** @type {import('vscode').TextDocument} */
         const doc = await workspace.openTextDocument(packageJsonPath)
-        const packageJson = JSON.parse(doc.getText())
 
-        //? Ensure the 'engines' property exists in the package.json
-        if (!packageJson.engines) {
-            packageJson.engines = {}
-        }
+        //? Only the engines values are replaced, so comments, key order, indentation and line endings survive
+        const textEdit = editManifestEngines(
+            doc.getText(),
+            { node: nodeEngineString, npm: npmEngineString },
+            devEngineStrings,
+            findVoltaPinUpdate(packageJsonPath, versionPinUpdates)
+        )
 
-        //? Flag to track if any updates were made to the 'engines' property
-        let updated = false
-        if (nodeEngineString) {
-            if (packageJson.engines.node !== nodeEngineString) {
-                packageJson.engines.node = nodeEngineString
-                updated = true
-            }
-        }
-        if (npmEngineString) {
-            if (packageJson.engines.npm !== npmEngineString) {
-                packageJson.engines.npm = npmEngineString
-                updated = true
+        const edit = new WorkspaceEdit()
+        const pinFileCount = await addNodeVersionPinEdits(edit, versionPinUpdates)
+        if (textEdit || pinFileCount > 0) { //? Apply the updates to the package.json file and the version manager files
+            if (textEdit) {
+                edit.replace(
+                    doc.uri,
+                    new Range(doc.positionAt(textEdit.offset), doc.positionAt(textEdit.offset + textEdit.length)),
+                    textEdit.content
+                )
             }
-        } else { //? TODO: Consider removing the NPM engine if no specific range is provided
-            //? If no specific NPM range, remove it if it exists? Or leave it? For now, only add/update if `npmEngineString` is present.
-            /**
-             * TODO If you want to remove it:
-             * if (packageJson.engines.hasOwnProperty('npm')) {
-             *   delete packageJson.engines.npm;
-             *   updated = true;
-             * }
-             */
-        }
-
-        if (updated) { //? Apply the updates to the package.json file
-            //? Using VS Code's edit API is better for preserving formatting and undo history. However, JSON.stringify is simpler for a quick update. For production, consider using `jsonc-parser` to modify specific nodes.
-            const edit = new WorkspaceEdit()
-            const fullRange = new Range(
-                doc.positionAt(0),
-                doc.positionAt(doc.getText().length)
-            )
-
-            //? Attempt to preserve some formatting by getting indent from original file
-            const indentMatch = doc.getText().match(/^(\s+)"/m)
-            const indent = indentMatch ? indentMatch[1].length : DEFAULT_JSON_INDENT
-
-            edit.replace(
-                doc.uri,
-                fullRange,
-                JSON.stringify(packageJson, null, indent)
-            )
             await workspace.applyEdit(edit)
             //? Show a success message to the user
             window?.showInformationMessage(
-                `${PACKAGE_JSON_FILENAME} has been updated with new 'engines' settings.`
+                versionPinUpdates.length > 0
+                    ? `${PACKAGE_JSON_FILENAME} has been updated with new 'engines' settings, and the Node.js version pins with them: ${describeNodeVersionPinUpdates(versionPinUpdates)}.`
+                    : `${PACKAGE_JSON_FILENAME} has been updated with new 'engines' settings.`
             )
             await window?.showTextDocument(doc) //* Show the updated file
         } else {
@@ -108,163 +133,223 @@ export const updatePackageJsonEngines = async (
 }
 
 /**
- * Analyzes the project to find the supported Node and NPM version ranges.
- * @param {string} projectPath The root path of the project.
- * @param {import('vscode').Progress<{ message?: string; increment?: number }>} progress
- * @param {string[]} [knownNodeVersions=COMMON_NODEJS_VERSIONS] - Optional. Known Node.js versions to check against. Defaults to COMMON_NODEJS_VERSIONS.
- * @param {string[]} [knownNpmVersions=COMMON_NPM_VERSIONS] - Optional. Known NPM versions to check against. Defaults to COMMON_NPM_VERSIONS.
- * @returns {Promise<ProjectAnalysisResult | null>}
+ * The engines to write to one package.json, with the Node.js version pins of its project.
+ * @typedef {object} EnginesUpdate
+ * @property {string} packageJsonPath - The package.json to update.
+ * @property {string | null} nodeEngineString - The `engines.node` to write, if any.
+ * @property {string | null} npmEngineString - The `engines.npm` to write, if any.
+ * @property {DevEngineStrings} [devEngineStrings] - The ranges to write to `devEngines`.
+ * @property {import('./runtime.utils.js').NodeVersionPinUpdate[]} [versionPinUpdates] - The pins to rewrite.
  */
-export const analyzeProjectDependencies = async (
-    projectPath,
-    progress,
-    knownNodeVersions = COMMON_NODEJS_VERSIONS,
-    knownNpmVersions = COMMON_NPM_VERSIONS
-) => {
-    /** @type {string|URL} */
-    const projectPackageJsonPath = join(projectPath, PACKAGE_JSON_FILENAME)
-    if (!existsSync(projectPackageJsonPath)) {
-        window?.showErrorMessage(`${PACKAGE_JSON_FILENAME} not found in ${projectPath}`)
-        return null
-    }
 
-    let projectPackageJson
+/**
+ * Updates the engines of several package.json files, e.g. every package of a monorepo, in a single edit that can be
+ * undone at once.
+ * @param {EnginesUpdate[]} updates - The engines to write to each file.
+ * @returns {Promise<void>}
+ */
+export const updateWorkspaceEngines = async updates => {
     try {
-        projectPackageJson = JSON.parse(
-            readFileSync(projectPackageJsonPath, UTF8_ENCODING)
-        )
+        const edit = new WorkspaceEdit()
+        let updatedCount = 0
+        for (const { packageJsonPath, nodeEngineString, npmEngineString, devEngineStrings, versionPinUpdates = [] } of updates) {
+            /** @type {import('vscode').TextDocument} */
+            const doc = await workspace.openTextDocument(packageJsonPath)
+            const textEdit = editManifestEngines(
+                doc.getText(),
+                { node: nodeEngineString, npm: npmEngineString },
+                devEngineStrings,
+                findVoltaPinUpdate(packageJsonPath, versionPinUpdates)
+            )
+            const pinFileCount = await addNodeVersionPinEdits(edit, versionPinUpdates)
+            if (!textEdit && pinFileCount === 0) continue
+            if (textEdit) {
+                edit.replace(
+                    doc.uri,
+                    new Range(doc.positionAt(textEdit.offset), doc.positionAt(textEdit.offset + textEdit.length)),
+                    textEdit.content
+                )
+            }
+            updatedCount++
+        }
+
+        if (updatedCount > 0) {
+            await workspace.applyEdit(edit)
+            window?.showInformationMessage(
+                `Updated 'engines' in ${updatedCount} of ${updates.length} ${PACKAGE_JSON_FILENAME} files.`
+            )
+        } else {
+            window?.showInformationMessage(
+                `${PACKAGE_JSON_FILENAME} 'engines' are already up-to-date in every package.`
+            )
+        }
     } catch (error) {
+        console.error(`Failed to update ${PACKAGE_JSON_FILENAME} files:`, error)
         window?.showErrorMessage(
-            `Error parsing ${projectPackageJsonPath}: ${JSON.parse(JSON.stringify(error))?.message ?? error}`
+            `Failed to update ${PACKAGE_JSON_FILENAME} files: ${JSON.parse(JSON.stringify(error))?.message ?? error}`
         )
-        return null
     }
+}
 
-    const dependencies = {
-        ...(projectPackageJson.dependencies || {}),
-        ...(projectPackageJson.devDependencies || {}),
-    }
-
-    if (Object.keys(dependencies).length === 0) {
-        return {
-            projectPackageJsonPath,
-            minNode: null,
-            maxNode: null,
-            minNpm: null,
-            maxNpm: null,
-            note: NOTE_NO_DEPENDENCIES,
-        }
-    }
-
-    progress.report({ increment: 10, message: "Scanning dependencies..." }) //? Report initial progress for dependency scanning
-
-    /** @type {String|URL} */
-    const nodeModulesPath = join(projectPath, NODE_MODULES_DIRNAME)
-
-    /** @type {*[]} */
-    const allNodeRanges = []
-
-    /** @type {*[]} */
-    const allNpmRanges = []
+/**
+ * Turns the options of an analysis started from the editor into those of the analysis, which shows its errors as
+ * error messages unless it is silent.
+ * @param {AnalysisOptions} options
+ * @returns {import('./analysis.utils.js').AnalysisOptions}
+ */
+const toAnalysisOptions = ({ silent, ...options }) => ({
+    ...options,
+    ...(!silent && { onError: message => window?.showErrorMessage(message) }),
+})
 
-    /** @type {Number} */
-    let depCount = 0
+/**
+ * Analyzes the project to find the supported Node and NPM version ranges, see `analysis.utils.js`.
+ * @param {string} projectPath The root path of the project.
+ * @param {import('vscode').Progress<{ message?: string; increment?: number }>} progress
+ * @param {string[]} [knownNodeVersions=COMMON_NODEJS_VERSIONS] - Optional. Known Node.js versions to check against. Defaults to COMMON_NODEJS_VERSIONS.
+ * @param {string[]} [knownNpmVersions=COMMON_NPM_VERSIONS] - Optional. Known NPM versions to check against. Defaults to COMMON_NPM_VERSIONS.
+ * @param {AnalysisOptions} [options] - Optional. Controls where the dependency tree is read from and which release data is used.
+ * @returns {Promise<import('./analysis.utils.js').ProjectAnalysisResult | null>}
+ */
+export const analyzeProjectDependencies = (
+    projectPath,
+    progress,
+    knownNodeVersions = COMMON_NODEJS_VERSIONS,
+    knownNpmVersions = COMMON_NPM_VERSIONS,
+    options = {}
+) => analyzeProject(projectPath, progress, knownNodeVersions, knownNpmVersions, toAnalysisOptions(options))
 
-    /** @type {Number} */
-    const totalDeps = Object.keys(dependencies).length
+/**
+ * Analyzes every package of a monorepo, the root itself and the ranges they all support, see `analysis.utils.js`.
+ * @param {string} rootPath - The monorepo root, whose package.json lists `workspaces` or which has a `pnpm-workspace.yaml`.
+ * @param {import('vscode').Progress<{ message?: string; increment?: number }>} progress
+ * @param {string[]} [knownNodeVersions=COMMON_NODEJS_VERSIONS] - Known Node.js versions to check against.
+ * @param {string[]} [knownNpmVersions=COMMON_NPM_VERSIONS] - Known NPM versions to check against.
+ * @param {AnalysisOptions} [options]
+ * @returns {Promise<import('./analysis.utils.js').WorkspaceAnalysisResult | null>} The analyses, or null if the directory is not a monorepo root or its package.json cannot be read.
+ */
+export const analyzeWorkspaceProjects = (
+    rootPath,
+    progress,
+    knownNodeVersions = COMMON_NODEJS_VERSIONS,
+    knownNpmVersions = COMMON_NPM_VERSIONS,
+    options = {}
+) => analyzeWorkspace(rootPath, progress, knownNodeVersions, knownNpmVersions, toAnalysisOptions(options))
 
-    for (const depName of Object.keys(dependencies)) {
-        depCount++
-        progress.report({ //? Report progress for each dependency being analyzed
-            increment: (depCount / totalDeps) * 80,
-            message: `Analyzing ${depName}...`,
-        })
+/**
+ * @typedef {object} FolderAnalysis
+ * @property {import('vscode').WorkspaceFolder} folder - The analyzed folder.
+ * @property {import('./analysis.utils.js').ProjectAnalysisResult | null} result - The folder's analysis, or null if it is a monorepo root or its package.json is missing or invalid.
+ * @property {import('./analysis.utils.js').WorkspaceAnalysisResult | null} workspaceResult - The analysis of its packages, if the folder is a monorepo root.
+ * @property {string} [error] - Why the analysis failed, if it did.
+ */
 
-        const depPackageJsonPath = join(nodeModulesPath, depName, PACKAGE_JSON_FILENAME)
-        if (existsSync(depPackageJsonPath)) {
-            try {
-                const depPackageJson = JSON.parse(readFileSync(depPackageJsonPath, UTF8_ENCODING))
-                if (depPackageJson.engines) { //? Check if the dependency has an "engines" field
-                    if (depPackageJson.engines.node) { //? If it specifies a Node.js version
-                        allNodeRanges.push(depPackageJson.engines.node)
-                    }
-                    if (depPackageJson.engines.npm) { //? If it specifies an NPM version
-                        allNpmRanges.push(depPackageJson.engines.npm) //? Add the NPM range to the list
-                    }
-                } else {
-                    //? No engines field implies compatibility with a wide range. For Node, effectively ">=0.10.0" or similar very old version. This won't unduly restrict the lower bound unless other packages are more restrictive.
-                    allNodeRanges.push(DEFAULT_NODE_VERSION_RANGE)
-                }
-            } catch (error) {
-                console.warn(
-                    `Could not parse ${PACKAGE_JSON_FILENAME} for dependency ${depName}: ${JSON.parse(JSON.stringify(error))?.message ?? error}. Assuming non-restrictive.`
-                )
-                allNodeRanges.push(DEFAULT_NODE_VERSION_RANGE)
+/**
+ * Analyzes several workspace folders concurrently, each as a single project or, for a monorepo root, package by package.
+ * A folder that cannot be analyzed does not stop the others.
+ * @param {readonly import('vscode').WorkspaceFolder[]} folders - The folders to analyze.
+ * @param {import('vscode').Progress<{ message?: string; increment?: number }>} progress
+ * @param {string[]} [knownNodeVersions=COMMON_NODEJS_VERSIONS] - Known Node.js versions to check against.
+ * @param {string[]} [knownNpmVersions=COMMON_NPM_VERSIONS] - Known NPM versions to check against.
+ * @param {AnalysisOptions} [options]
+ * @returns {Promise<FolderAnalysis[]>} One analysis per folder, in the order given.
+ */
+export const analyzeWorkspaceFolders = async (
+    folders,
+    progress,
+    knownNodeVersions = COMMON_NODEJS_VERSIONS,
+    knownNpmVersions = COMMON_NPM_VERSIONS,
+    options = {}
+) => {
+    //? Each analysis reports its own progress as if it were the only one, so report per folder instead
+    const folderProgress = { report: () => {} }
+    return Promise.all(folders.map(async folder => {
+        /** @type {FolderAnalysis} */
+        let analysis
+        try {
+            const projectPath = folder.uri.fsPath
+            //? Each folder may configure its categories differently
+            const folderOptions = {
+                ...options,
+                silent: true,
+                categoryModes: options.categoryModes ?? readDependencyCategoryModes(workspace, folder.uri),
             }
-        } else {
-            console.warn(
-                `${PACKAGE_JSON_FILENAME} not found for ${depName}. It might be bundled or not installed. Assuming non-restrictive.`
+            const workspaceResult = await analyzeWorkspaceProjects(
+                projectPath, folderProgress, knownNodeVersions, knownNpmVersions, folderOptions
             )
-            allNodeRanges.push(DEFAULT_NODE_VERSION_RANGE) //* Assume non-restrictive if not found
+            const result = workspaceResult
+                ? null
+                : await analyzeProjectDependencies(projectPath, folderProgress, knownNodeVersions, knownNpmVersions, folderOptions)
+            analysis = { folder, result, workspaceResult }
+        } catch (error) {
+            console.error(`Error analyzing ${folder.name}:`, error)
+            analysis = { folder, result: null, workspaceResult: null, error: `${JSON.parse(JSON.stringify(error))?.message ?? error}` }
         }
-    }
+        progress.report({ increment: 100 / folders.length, message: `Analyzed ${folder.name}` })
+        return analysis
+    }))
+}
 
-    progress.report({ increment: 90, message: "Calculating version ranges..." }) //? Report progress for calculating the final version ranges
+/**
+ * Reads the configured engines range styles, falling back to the default for unknown values.
+ * @param {typeof workspace} vscodeWorkspace - The VS Code workspace object.
+ * @param {Uri} [scope] - The resource the settings apply to, e.g. the analyzed workspace folder.
+ * @returns {import('./analysis.utils.js').EngineRangeStyles}
+ */
+export const readEngineRangeStyles = (vscodeWorkspace, scope) => {
+    const configuration = vscodeWorkspace.getConfiguration(CONFIGURATION_SECTION, scope)
+    const styles = Object.values(ENGINE_RANGE_STYLES)
+    const node = configuration.get(CONFIG_KEY_NODE_RANGE_STYLE, DEFAULT_ENGINE_RANGE_STYLE)
+    const npm = configuration.get(CONFIG_KEY_NPM_RANGE_STYLE, DEFAULT_ENGINE_RANGE_STYLE)
+    return {
+        node: styles.includes(node) ? node : DEFAULT_ENGINE_RANGE_STYLE,
+        //? LTS lines only exist for Node.js
+        npm: styles.includes(npm) && npm !== ENGINE_RANGE_STYLES.LTS_ONLY ? npm : DEFAULT_ENGINE_RANGE_STYLE,
+    }
+}
 
-    //? Calculate Node range
-    let minNode = null,
-        maxNode = null
-    if (allNodeRanges.length > 0) {
-        const compatibleNodeVersions = injectedKnownNodeVersions.filter(version =>
-            allNodeRanges.every(rangeStr => {
-                try {
-                    return satisfies(version, rangeStr, { includePrerelease: false }) //? Check if the Node.js version satisfies the given range
-                } catch (_error) {
-                    console.error({ _error })
-                    console.warn( //? Warn about invalid semver ranges and assume no match
-                        `Invalid semver range "${rangeStr}" for Node for dep. Assuming it doesn't match version ${version}.`
-                    )
-                    return false
-                }
-            })
-        )
-        if (compatibleNodeVersions.length > 0) {
-            minNode = compatibleNodeVersions[0] //? The first compatible version is the minimum
-            maxNode = compatibleNodeVersions[compatibleNodeVersions.length - 1] //? The last compatible version is the maximum
-        }
-    } else if (Object.keys(dependencies).length > 0) {
-        //* Has dependencies, but none specified engines
-        minNode = knownNodeVersions[0] //* Default to oldest known if deps exist but don't constrain
-        maxNode = knownNodeVersions[knownNodeVersions.length - 1]
-    } //? If no compatible versions are found, the range remains null
+/**
+ * Reads which Node.js version the pins outside the recommended range are rewritten to, falling back to the
+ * default for unknown values.
+ * @param {typeof workspace} vscodeWorkspace - The VS Code workspace object.
+ * @param {Uri} [scope] - The resource the settings apply to, e.g. the analyzed workspace folder.
+ * @returns {string} One of `VERSION_PIN_TARGETS`.
+ */
+export const readVersionPinTarget = (vscodeWorkspace, scope) => {
+    const target = vscodeWorkspace
+        .getConfiguration(CONFIGURATION_SECTION, scope)
+        .get(CONFIG_KEY_VERSION_PIN_TARGET, DEFAULT_VERSION_PIN_TARGET)
+    return Object.values(VERSION_PIN_TARGETS).includes(target) ? target : DEFAULT_VERSION_PIN_TARGET
+}
 
-    //? Calculate NPM range
-    let minNpm = null,
-        maxNpm = null
-    if (allNpmRanges.length > 0) {
-        const compatibleNpmVersions = knownNpmVersions.filter(version =>
-            allNpmRanges.every(rangeStr => {
-                try {
-                    return satisfies(version, rangeStr, { includePrerelease: false }) //? Check if the NPM version satisfies the given range
-                } catch (_error) {
-                    console.error({ _error })
-                    console.warn( //? Warn about invalid semver ranges and assume no match
-                        `Invalid semver range "${rangeStr}" for NPM. Assuming it doesn't match version ${version}.`
-                    )
-                    return false
-                }
-            })
-        )
-        if (compatibleNpmVersions.length > 0) {
-            minNpm = compatibleNpmVersions[0] //? The first compatible version is the minimum
-            maxNpm = compatibleNpmVersions[compatibleNpmVersions.length - 1] //? The last compatible version is the maximum
-        }
-    }
-    progress.report({ increment: 100 }) //? Report completion of the analysis
-    return { projectPackageJsonPath, minNode, maxNode, minNpm, maxNpm }
+/**
+ * Reads how each dependency category counts, falling back to the default for unknown values.
+ * @param {typeof workspace} vscodeWorkspace - The VS Code workspace object.
+ * @param {Uri} [scope] - The resource the settings apply to, e.g. the analyzed workspace folder.
+ * @returns {Record<string, string>} One of `DEPENDENCY_CATEGORY_MODES` for each of `DEPENDENCY_CATEGORIES`.
+ */
+export const readDependencyCategoryModes = (vscodeWorkspace, scope) => {
+    const configuration = vscodeWorkspace.getConfiguration(CONFIGURATION_SECTION, scope)
+    const modes = Object.values(DEPENDENCY_CATEGORY_MODES)
+    return Object.fromEntries(DEPENDENCY_CATEGORIES.map(category => {
+        const fallback = DEFAULT_DEPENDENCY_CATEGORY_MODES[category]
+        const mode = configuration.get(`${CONFIG_KEY_DEPENDENCY_CATEGORIES}.${category}`, fallback)
+        return [category, modes.includes(mode) ? mode : fallback]
+    }))
 }
 
-// Ensure ProjectAnalysisResult is defined above its use in analyzeProjectDependencies JSDoc
+/**
+ * Finds the workspace folder of the active editor, or the only workspace folder, without asking the user.
+ * @param {typeof window} vscodeWindow - The VS Code window object.
+ * @param {typeof workspace} vscodeWorkspace - The VS Code workspace object.
+ * @returns {import('vscode').WorkspaceFolder | undefined} The folder, or undefined if it is ambiguous or there is none.
+ */
+export const findActiveWorkspaceFolder = (vscodeWindow, vscodeWorkspace) => {
+    const activeUri = vscodeWindow.activeTextEditor?.document.uri
+    const activeFolder = activeUri ? vscodeWorkspace.getWorkspaceFolder(activeUri) : undefined
+    if (activeFolder) return activeFolder
+    return vscodeWorkspace.workspaceFolders?.length === 1 ? vscodeWorkspace.workspaceFolders[0] : undefined
+}
 
 /**
  * Determines the workspace folder to operate on.
@@ -280,20 +365,16 @@ export const determineWorkspaceFolder = async (initialUri, vscodeWindow, vscodeW
     if (initialUri) {
         try {
             const stats = await vscodeWorkspace.fs.stat(initialUri)
-            if (stats.type === FileType.Directory) {
+            //? Files (e.g. a lockfile picked from the explorer) are analyzed in the context of their workspace folder
+            if (stats.type === FileType.Directory || stats.type === FileType.File) {
                 folderToAnalyze = vscodeWorkspace.getWorkspaceFolder(initialUri)
             }
         } catch (e) {
             console.warn(`Error stating URI ${initialUri.toString()}:`, e)
             // folderToAnalyze remains undefined
         }
-    } else if (
-        vscodeWindow.activeTextEditor &&
-        vscodeWindow.activeTextEditor.document.uri
-    ) {
-        folderToAnalyze = vscodeWorkspace.getWorkspaceFolder(
-            vscodeWindow.activeTextEditor.document.uri
-        )
+    } else {
+        folderToAnalyze = findActiveWorkspaceFolder(vscodeWindow, vscodeWorkspace)
     }
 
     if (
@@ -305,4 +386,4 @@ export const determineWorkspaceFolder = async (initialUri, vscodeWindow, vscodeW
         // If showWorkspaceFolderPick returns undefined (no folder picked), folderToAnalyze will be undefined.
     }
     return folderToAnalyze
-}
\ No newline at end of file
+}
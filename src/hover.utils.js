@@ -0,0 +1,127 @@
+import { existsSync } from "fs"
+import { dirname, join } from "path"
+import { Hover, MarkdownString, Range, Uri } from "vscode"
+import {
+    COMMAND_ID_ANALYZE_DEPENDENCIES,
+    DEFAULT_DEPENDENCY_CATEGORY_MODES,
+    DEPENDENCY_CATEGORY_MODES,
+    DEPENDENCY_KEYS_FOR_HOVER,
+    ENGINE_LABELS,
+    HOVER_MARKDOWN_ANALYZE_PROJECT,
+    PACKAGE_JSON_FILENAME,
+} from "./constants.js"
+import { categorizeDependencies, findDependencyEffect } from "./constraints.utils.js"
+import { getEnginesCheck } from "./diagnostics.utils.js"
+import { selectDependencySource } from "./analysis.utils.js"
+import { findDependencyAtOffset, parseManifest } from "./manifest.utils.js"
+import { walkDependencyTree } from "./resolver.utils.js"
+
+/**
+ * @param {unknown} value - Text read from a manifest, such as a package name or version.
+ * @returns {string} The text with the characters that start Markdown syntax escaped, so it renders as written.
+ */
+const escapeMarkdown = value => String(value).replace(/[\\`*_[\]<>!#|~&]/g, "\\$&")
+
+/**
+ * @param {unknown} value - A range read from a manifest.
+ * @returns {string} The value as a Markdown code span, fenced by more backticks than it contains.
+ */
+const toCodeSpan = value => {
+    const text = String(value)
+    const fence = "`".repeat(Math.max(0, ...(text.match(/`+/g) ?? []).map(run => run.length)) + 1)
+    //? A space keeps backticks at the edges from joining the fence; it is stripped when rendering
+    return text.includes("`") ? `${fence} ${text} ${fence}` : `${fence}${text}${fence}`
+}
+
+/**
+ * Describes a dependency's engines and how they affect the project's ranges, as Markdown for a hover.
+ * @param {import('./manifest.utils.js').DependencyEntry} entry - The hovered entry of package.json.
+ * @param {import('./resolver.utils.js').InstalledDependency | null} dependency - The installed package, if it could be resolved.
+ * @param {import('./diagnostics.utils.js').EnginesCheck | null} check - The latest check of the package.json, if any.
+ * @param {string} [category] - The category the dependency counts under, which differs from `entry.key` when it is
+ * listed more than once. Defaults to `entry.key`.
+ * @returns {string}
+ */
+export const formatDependencyHover = (entry, dependency, check, category = entry.key) => {
+    const lines = [
+        dependency?.version
+            ? `**${escapeMarkdown(entry.name)}@${escapeMarkdown(dependency.version)}** (${entry.key})`
+            : `**${escapeMarkdown(entry.name)}** (${entry.key}) is not installed.`,
+        "",
+    ]
+
+    //? Only the categories that are required have an effect on the recommended ranges
+    const mode = check?.categoryModes?.[category] ?? DEFAULT_DEPENDENCY_CATEGORY_MODES[category]
+    const isAnalyzed = mode === DEPENDENCY_CATEGORY_MODES.REQUIRED
+    for (const engine of /** @type {const} */ (["node", "npm"])) {
+        const declared = dependency?.engines?.[engine]
+        let line = `- ${ENGINE_LABELS[engine]}: ${typeof declared === "string" ? toCodeSpan(declared) : "no range"}.`
+
+        const effect = isAnalyzed && check ? findDependencyEffect(check.constraints[engine], entry.name) : null
+        const transitive = effect?.constraints.filter(({ name }) => name !== entry.name) ?? []
+        const through = transitive.length > 0
+            ? `With ${transitive.map(({ name, version, range }) => `${escapeMarkdown(name)}${version ? `@${escapeMarkdown(version)}` : ""} (${toCodeSpan(range)})`).join(", ")} reached through it, it`
+            : "It"
+        if (effect?.narrows) {
+            line += effect.range
+                ? ` ${through} narrows the project range from ${toCodeSpan(effect.rangeWithout ?? "nothing")} to ${toCodeSpan(effect.range)}.`
+                : ` ${through} leaves no ${ENGINE_LABELS[engine]} version compatible with the other dependencies.`
+        } else if (effect) {
+            line += ` ${through} does not narrow the project range ${toCodeSpan(effect.range)}.`
+        }
+        lines.push(line)
+    }
+    if (mode === DEPENDENCY_CATEGORY_MODES.DEVELOPMENT) {
+        lines.push("", `${category} only count towards the development range.`)
+    } else if (mode === DEPENDENCY_CATEGORY_MODES.WARNING) {
+        lines.push("", `${category} are not enforced; versions they do not support are reported as warnings.`)
+    } else if (mode === DEPENDENCY_CATEGORY_MODES.IGNORE) {
+        lines.push("", `${category} are left out of the analysis.`)
+    }
+    return lines.join("\n")
+}
+
+/**
+ * Hover provider for dependency entries of package.json: shows the installed version, its engines and whether they
+ * narrow the project's ranges, with links to the dependency's manifest and to the full analysis.
+ */
+export const dependencyHoverProvider = {
+    /**
+     * @param {import('vscode').TextDocument} document - The document in which the hover was triggered.
+     * @param {import('vscode').Position} position - The position at which the hover was triggered.
+     * @param {import('vscode').CancellationToken} [_token] - A cancellation token.
+     * @returns {import('vscode').Hover | null}
+     */
+    provideHover(document, position, _token) {
+        const text = document.getText()
+        const entry = findDependencyAtOffset(text, document.offsetAt(position), DEPENDENCY_KEYS_FOR_HOVER)
+        if (!entry) return null
+
+        const projectPath = dirname(document.uri.fsPath)
+        /** @type {import('./resolver.utils.js').InstalledDependency | null} */
+        let dependency = null
+        let category = entry.key
+        try {
+            const manifest = parseManifest(text)
+            category = categorizeDependencies(manifest).get(entry.name) ?? entry.key
+            const { source } = selectDependencySource(projectPath, {}, manifest)
+            dependency = walkDependencyTree(projectPath, [entry.name], { source, maxDepth: 0 })[0] ?? null
+        } catch (error) {
+            console.warn(
+                `Could not resolve ${entry.name}: ${JSON.parse(JSON.stringify(error))?.message ?? error}`
+            )
+        }
+
+        const contents = new MarkdownString(formatDependencyHover(entry, dependency, getEnginesCheck(document.uri), category))
+        contents.appendMarkdown("\n\n")
+        const manifestPath = dependency?.path ? join(dependency.path, PACKAGE_JSON_FILENAME) : null
+        if (manifestPath && existsSync(manifestPath)) {
+            contents.appendMarkdown(`[Open ${PACKAGE_JSON_FILENAME}](${Uri.file(manifestPath).toString()}) · `)
+        }
+        contents.appendMarkdown(`[${HOVER_MARKDOWN_ANALYZE_PROJECT}](command:${COMMAND_ID_ANALYZE_DEPENDENCIES})`)
+        //? Trust only the analysis command, so links written into a manifest cannot run other commands
+        contents.isTrusted = { enabledCommands: [COMMAND_ID_ANALYZE_DEPENDENCIES] }
+
+        return new Hover(contents, new Range(document.positionAt(entry.offset), document.positionAt(entry.offset + entry.length)))
+    },
+}
@@ -0,0 +1,431 @@
+import { existsSync, readFileSync } from "fs"
+import { join, posix } from "path"
+import { parse as parseYaml } from "yaml"
+import {
+    LOCKFILE_FILENAMES_BY_PACKAGE_MANAGER,
+    NODE_MODULES_DIRNAME,
+    NPM_LOCKFILE_FILENAMES,
+    PACKAGE_JSON_FILENAME,
+    PNPM_LOCK_FILENAME,
+    PROJECT_DEPENDENCY_KEYS,
+    TRANSITIVE_DEPENDENCY_KEYS,
+    UTF8_ENCODING,
+    YARN_LOCK_FILENAME,
+    YARN_LOCKFILE_METADATA_KEY,
+    YARN_WORKSPACE_PROTOCOL,
+} from "./constants.js"
+import { listCachedPackageVersions } from "./packument.utils.js"
+
+/** @typedef {import('./resolver.utils.js').DependencySource} DependencySource */
+
+//* Marks pnpm source locations that are workspace projects rather than packages
+const PNPM_IMPORTER_PREFIX = "importer:"
+
+/**
+ * @typedef {object} NpmLockfile
+ * @property {string} path - The file path of the lockfile.
+ * @property {number} lockfileVersion - The `lockfileVersion` declared by the file.
+ * @property {Record<string, Record<string, any>>} packages - The `packages` map, keyed by install location.
+ */
+
+/**
+ * Finds the npm lockfile for a project. `npm-shrinkwrap.json` takes precedence over `package-lock.json`, as it does for npm.
+ * @param {string} projectPath - The root directory of the project.
+ * @returns {string | null} The lockfile path, or null if the project has none.
+ */
+export const findNpmLockfile = projectPath => {
+    for (const filename of NPM_LOCKFILE_FILENAMES) {
+        const lockfilePath = join(projectPath, filename)
+        if (existsSync(lockfilePath)) return lockfilePath
+    }
+    return null
+}
+
+/**
+ * Reads an npm lockfile. Only lockfileVersion 2 and 3 record a flat `packages` map with each package's `engines`;
+ * version 1 lockfiles are rejected.
+ * @param {string} lockfilePath - The file path of the lockfile.
+ * @returns {NpmLockfile}
+ * @throws {Error} If the file cannot be read or parsed, or has no `packages` map.
+ */
+export const readNpmLockfile = lockfilePath => {
+    const lockfile = JSON.parse(readFileSync(lockfilePath, UTF8_ENCODING))
+    if (!lockfile.packages || typeof lockfile.packages !== "object") {
+        throw new Error(
+            `${lockfilePath} has lockfileVersion ${lockfile.lockfileVersion ?? "(missing)"}, which does not record engines. Run npm install with npm 7 or newer to upgrade it.`
+        )
+    }
+    return {
+        path: lockfilePath,
+        lockfileVersion: lockfile.lockfileVersion,
+        packages: lockfile.packages,
+    }
+}
+
+/**
+ * Resolves a package inside a lockfile's `packages` map the same way Node resolves it on disk: checks
+ * `<location>/node_modules/<name>`, then strips one `node_modules/<parent>` segment at a time up to the root (`""`).
+ * @param {NpmLockfile['packages']} packages - The lockfile `packages` map.
+ * @param {string} depName - The package name, including its scope if any.
+ * @param {string} fromLocation - The `packages` key of the package that requires `depName`.
+ * @returns {string | null} The `packages` key the dependency is installed at, or null if the lockfile does not contain it.
+ */
+export const resolveLockfileLocation = (packages, depName, fromLocation) => {
+    let location = fromLocation
+    for (;;) {
+        const candidate = location
+            ? `${location}/${NODE_MODULES_DIRNAME}/${depName}`
+            : `${NODE_MODULES_DIRNAME}/${depName}`
+        if (packages[candidate]) return candidate
+        if (!location) return null
+        const index = location.lastIndexOf(`/${NODE_MODULES_DIRNAME}/`)
+        location = index === -1 ? "" : location.slice(0, index)
+    }
+}
+
+/**
+ * Creates a dependency source backed by an npm lockfile, so the tree can be analyzed without an installed `node_modules`.
+ * Linked entries (workspace packages, `file:` dependencies) are followed to the location they resolve to.
+ * @param {string} projectPath - The directory of the lockfile, which its `packages` keys are relative to.
+ * @param {NpmLockfile} lockfile - The parsed lockfile.
+ * @param {string} [rootLocation=""] - The `packages` key to start from, e.g. `packages/a` for a workspace package.
+ * @returns {DependencySource}
+ */
+export const createLockfileSource = (projectPath, lockfile, rootLocation = "") => {
+    const { packages } = lockfile
+    return {
+        root: rootLocation,
+        resolve: (depName, fromLocation) => resolveLockfileLocation(packages, depName, fromLocation),
+        realLocation: location => {
+            const entry = packages[location]
+            return entry?.link && typeof entry.resolved === "string" ? entry.resolved : location
+        },
+        readManifest: location => {
+            const entry = packages[location]
+            if (!entry) {
+                throw new Error(`${location} is linked in ${lockfile.path} but has no entry of its own`)
+            }
+            return entry
+        },
+        toPath: location => join(projectPath, location),
+    }
+}
+
+/**
+ * Finds the pnpm lockfile for a project.
+ * @param {string} projectPath - The root directory of the project.
+ * @returns {string | null} The lockfile path, or null if the project has none.
+ */
+export const findPnpmLockfile = projectPath => {
+    const lockfilePath = join(projectPath, PNPM_LOCK_FILENAME)
+    return existsSync(lockfilePath) ? lockfilePath : null
+}
+
+/**
+ * @typedef {object} PnpmLockfile
+ * @property {string} path - The file path of the lockfile.
+ * @property {number} lockfileVersion - The major `lockfileVersion` declared by the file.
+ * @property {Record<string, Record<string, any>>} importers - Workspace projects keyed by their path relative to the lockfile (`.` is the root).
+ * @property {Record<string, Record<string, any>>} packages - Package metadata (including `engines`), keyed by dependency path.
+ * @property {Record<string, Record<string, any>>} snapshots - Per-instance dependencies, keyed by dependency path. Same as `packages` before lockfileVersion 9.
+ */
+
+/**
+ * Reads a `pnpm-lock.yaml`. lockfileVersion 5 and 6 keep dependencies alongside each package; version 9 splits them
+ * into `snapshots`. Single-project lockfiles before version 9 list the root's dependencies at the top level instead of under `importers`.
+ * @param {string} lockfilePath - The file path of the lockfile.
+ * @returns {PnpmLockfile}
+ * @throws {Error} If the file cannot be read or parsed.
+ */
+export const readPnpmLockfile = lockfilePath => {
+    const lockfile = parseYaml(readFileSync(lockfilePath, UTF8_ENCODING)) ?? {}
+    const lockfileVersion = Number.parseInt(String(lockfile.lockfileVersion ?? ""), 10)
+    if (Number.isNaN(lockfileVersion)) {
+        throw new Error(`${lockfilePath} does not declare a lockfileVersion`)
+    }
+
+    const packages = lockfile.packages ?? {}
+    return {
+        path: lockfilePath,
+        lockfileVersion,
+        importers: lockfile.importers ?? { ".": lockfile },
+        packages,
+        snapshots: lockfile.snapshots ?? packages,
+    }
+}
+
+/**
+ * Builds the dependency path pnpm uses as a `packages` key for an installed version, honouring each lockfile format:
+ * `/name/1.0.0` (v5), `/name@1.0.0` (v6) and `name@1.0.0` (v9). Aliased dependencies already record a full path.
+ * @param {number} lockfileVersion - The major lockfile version.
+ * @param {string} depName - The dependency name.
+ * @param {string} version - The `version` recorded for the dependency, possibly with a peer suffix.
+ * @returns {string}
+ */
+export const toPnpmDependencyPath = (lockfileVersion, depName, version) => {
+    const bareVersion = version.replace(/\(.*$/, "").replace(/_.*$/, "")
+    if (version.startsWith("/") || bareVersion.lastIndexOf("@") > 0) {
+        return version //* An alias, which is recorded as the full path of the package it points to
+    }
+    if (lockfileVersion >= 9) return `${depName}@${version}`
+    if (lockfileVersion >= 6) return `/${depName}@${version}`
+    return `/${depName}/${version}`
+}
+
+/**
+ * Reads the dependencies of an importer or snapshot as a name to version map; versions are plain strings in
+ * lockfileVersion 5 and `{ specifier, version }` objects for importers since version 6.
+ * @param {Record<string, any> | undefined} entry - The importer or snapshot.
+ * @param {string[]} keys - The dependency fields to read.
+ * @returns {Record<string, string>}
+ */
+const readPnpmDependencies = (entry, keys) => {
+    /** @type {Record<string, string>} */
+    const dependencies = {}
+    for (const key of keys) {
+        for (const [name, value] of Object.entries(entry?.[key] ?? {})) {
+            const version = typeof value === "string" ? value : value?.version
+            if (typeof version === "string") dependencies[name] = version
+        }
+    }
+    return dependencies
+}
+
+/**
+ * Wraps resolved pnpm dependencies as a manifest `dependencies` field, so the walker queues exactly the packages the lockfile links.
+ * @param {Record<string, string>} dependencies
+ * @returns {{ dependencies: Record<string, string>, optionalDependencies: {} }}
+ */
+const dependenciesAsManifest = dependencies => ({ dependencies, optionalDependencies: {} })
+
+/**
+ * Reads the version out of a pnpm dependency path, dropping any peer suffix: `/name/1.0.0_peer@1.0.0` (v5),
+ * `/name@1.0.0(peer@1.0.0)` (v6) or `name@1.0.0(peer@1.0.0)` (v9).
+ * @param {number} lockfileVersion - The major lockfile version.
+ * @param {string} dependencyPath - The dependency path.
+ * @returns {string}
+ */
+const versionOfDependencyPath = (lockfileVersion, dependencyPath) => {
+    if (lockfileVersion < 6) {
+        return dependencyPath.slice(dependencyPath.lastIndexOf("/") + 1).replace(/_.*$/, "")
+    }
+    const bare = dependencyPath.replace(/\(.*$/, "")
+    return bare.slice(bare.lastIndexOf("@") + 1)
+}
+
+/**
+ * Creates a dependency source backed by a `pnpm-lock.yaml`, so the tree can be analyzed without an installed `node_modules`.
+ * Locations are `importer:<path>` for workspace projects and the dependency path for packages. `link:` versions point at other importers.
+ * @param {string} projectPath - The root directory of the project.
+ * @param {PnpmLockfile} lockfile - The parsed lockfile.
+ * @param {string} [importerPath="."] - The importer to start from, relative to the lockfile.
+ * @returns {DependencySource}
+ */
+export const createPnpmLockfileSource = (projectPath, lockfile, importerPath = ".") => {
+    const { importers, lockfileVersion, packages, snapshots } = lockfile
+    const importerDependencyKeys = [...TRANSITIVE_DEPENDENCY_KEYS, "devDependencies"]
+    const root = `${PNPM_IMPORTER_PREFIX}${importerPath}`
+
+    /**
+     * @param {string} location
+     * @returns {Record<string, string>}
+     */
+    const dependenciesOf = location => {
+        if (!location.startsWith(PNPM_IMPORTER_PREFIX)) {
+            return readPnpmDependencies(snapshots[location], TRANSITIVE_DEPENDENCY_KEYS)
+        }
+        //? Only the project being analyzed contributes its devDependencies; linked workspace projects count as regular packages
+        const importer = importers[location.slice(PNPM_IMPORTER_PREFIX.length)]
+        return readPnpmDependencies(importer, location === root ? importerDependencyKeys : TRANSITIVE_DEPENDENCY_KEYS)
+    }
+
+    return {
+        root,
+        resolve: (depName, fromLocation) => {
+            const version = dependenciesOf(fromLocation)[depName]
+            if (!version) return null
+            if (version.startsWith("link:")) {
+                const fromImporter = fromLocation.startsWith(PNPM_IMPORTER_PREFIX)
+                    ? fromLocation.slice(PNPM_IMPORTER_PREFIX.length)
+                    : "."
+                const target = posix.normalize(posix.join(fromImporter, version.slice("link:".length)))
+                return importers[target] ? `${PNPM_IMPORTER_PREFIX}${target}` : null
+            }
+            const dependencyPath = toPnpmDependencyPath(lockfileVersion, depName, version)
+            return snapshots[dependencyPath] || packages[dependencyPath] ? dependencyPath : null
+        },
+        realLocation: location => location,
+        readManifest: location => {
+            if (location.startsWith(PNPM_IMPORTER_PREFIX)) {
+                const importer = location.slice(PNPM_IMPORTER_PREFIX.length)
+                const manifestPath = join(projectPath, importer, PACKAGE_JSON_FILENAME)
+                const manifest = JSON.parse(readFileSync(manifestPath, UTF8_ENCODING))
+                return { ...manifest, ...dependenciesAsManifest(dependenciesOf(location)) }
+            }
+            //? v9 keeps engines on the peer-less `packages` entry; earlier versions key both by the same path
+            const metadata = packages[location] ?? packages[location.replace(/\(.*$/, "")]
+            if (!metadata) {
+                throw new Error(`${location} has no packages entry in ${lockfile.path}`)
+            }
+            const version = metadata.version ?? versionOfDependencyPath(lockfileVersion, location)
+            return { ...metadata, version, ...dependenciesAsManifest(dependenciesOf(location)) }
+        },
+        toPath: location => location.startsWith(PNPM_IMPORTER_PREFIX)
+            ? join(projectPath, location.slice(PNPM_IMPORTER_PREFIX.length))
+            : `${lockfile.path}#${location}`,
+    }
+}
+
+/**
+ * @typedef {object} YarnLockfile
+ * @property {string} path - The file path of the lockfile.
+ * @property {boolean} isBerry - Whether Yarn 2 or later wrote it, whose descriptors name their protocol (`a@npm:^1.0.0`).
+ * @property {Map<string, string>} resolutions - The package each descriptor (e.g. `a@^1.0.0`) resolves to, as `name@version`.
+ * @property {Map<string, Record<string, any>>} packages - The lockfile entry of each resolved package.
+ */
+
+/**
+ * Finds the Yarn lockfile for a project.
+ * @param {string} projectPath - The root directory of the project.
+ * @returns {string | null} The lockfile path, or null if the project has none.
+ */
+export const findYarnLockfile = projectPath => {
+    const lockfilePath = join(projectPath, YARN_LOCK_FILENAME)
+    return existsSync(lockfilePath) ? lockfilePath : null
+}
+
+/**
+ * @param {string} value - A key or value of a Yarn 1 lockfile, quoted when it holds special characters.
+ * @returns {string}
+ */
+const unquoteYarnValue = value => value.startsWith("\"") ? JSON.parse(value) : value
+
+/**
+ * Parses Yarn 1's own lockfile syntax: entries at the top level, their fields indented by two spaces and the
+ * entries of nested fields such as `dependencies` by four.
+ * @param {string} text
+ * @returns {Record<string, Record<string, any>>}
+ */
+const parseYarnV1Lockfile = text => {
+    /** @type {Record<string, Record<string, any>>} */
+    const entries = {}
+    /** @type {Record<string, any> | null} */
+    let entry = null
+    /** @type {Record<string, string> | null} */
+    let field = null
+    for (const line of text.split(/\r?\n/)) {
+        const content = line.trim()
+        if (!content || content.startsWith("#")) continue
+        const indent = line.length - line.trimStart().length
+        if (indent === 0) {
+            entry = entries[content.replace(/:$/, "")] = {}
+        } else if (entry && indent === 2 && content.endsWith(":")) {
+            field = entry[unquoteYarnValue(content.slice(0, -1))] = {}
+        } else if (entry) {
+            const match = content.match(/^("(?:[^"\\]|\\.)*"|\S+)\s+(.*)$/)
+            if (match) (indent > 2 && field ? field : entry)[unquoteYarnValue(match[1])] = unquoteYarnValue(match[2])
+        }
+    }
+    return entries
+}
+
+/**
+ * Reads a `yarn.lock`, as written by Yarn 1 or as the YAML of Yarn 2 and later. Neither records `engines`; see
+ * `createYarnLockfileSource` for where they are looked up.
+ * @param {string} lockfilePath - The file path of the lockfile.
+ * @returns {YarnLockfile}
+ * @throws {Error} If the file cannot be read or parsed.
+ */
+export const readYarnLockfile = lockfilePath => {
+    const text = readFileSync(lockfilePath, UTF8_ENCODING)
+    const isBerry = !/^# yarn lockfile v1$/m.test(text)
+    const entries = isBerry ? parseYaml(text) ?? {} : parseYarnV1Lockfile(text)
+
+    /** @type {Map<string, string>} */
+    const resolutions = new Map()
+    /** @type {Map<string, Record<string, any>>} */
+    const packages = new Map()
+    for (const [key, entry] of Object.entries(entries)) {
+        if (key === YARN_LOCKFILE_METADATA_KEY || typeof entry?.version !== "string") continue
+        const descriptors = key.split(/,\s*/).map(unquoteYarnValue)
+        //? Yarn 2 records what each entry resolved to; for Yarn 1 it is the name of the descriptors and the version
+        const resolution = typeof entry.resolution === "string"
+            ? entry.resolution
+            : `${descriptors[0].slice(0, descriptors[0].indexOf("@", 1))}@${entry.version}`
+        packages.set(resolution, entry)
+        for (const descriptor of descriptors) resolutions.set(descriptor, resolution)
+    }
+    return { path: lockfilePath, isBerry, resolutions, packages }
+}
+
+/**
+ * Creates a dependency source backed by a `yarn.lock`, so the tree can be analyzed without an installed `node_modules`.
+ * The lockfile only pins versions, so each package's `engines` are read from its metadata in npm's cache; packages
+ * missing from the cache count as declaring no engines. Locations are the resolved `name@version` (`name@npm:version`
+ * for Yarn 2 and later), or `workspace:<path>` for workspace packages, whose manifests are read from disk.
+ * @param {string} projectPath - The directory of the lockfile.
+ * @param {YarnLockfile} lockfile - The parsed lockfile.
+ * @param {string} [workspacePath="."] - The workspace package to start from, relative to the lockfile.
+ * @param {import('./packument.utils.js').PackumentCacheOptions} [packumentOptions] - Where npm's cache is.
+ * @returns {DependencySource}
+ */
+export const createYarnLockfileSource = (projectPath, lockfile, workspacePath = ".", packumentOptions = {}) => {
+    const { isBerry, resolutions, packages } = lockfile
+    /** @type {Map<string, import('./packument.utils.js').PackageVersion[]>} */
+    const cachedVersions = new Map()
+
+    /**
+     * @param {string} location
+     * @returns {Record<string, any>}
+     */
+    const readManifest = location => {
+        if (location.startsWith(YARN_WORKSPACE_PROTOCOL)) {
+            const manifestPath = join(projectPath, location.slice(YARN_WORKSPACE_PROTOCOL.length), PACKAGE_JSON_FILENAME)
+            return JSON.parse(readFileSync(manifestPath, UTF8_ENCODING))
+        }
+        const entry = packages.get(location)
+        if (!entry) throw new Error(`${location} is not in ${lockfile.path}`)
+        const name = location.slice(0, location.indexOf("@", 1))
+        if (!cachedVersions.has(name)) cachedVersions.set(name, listCachedPackageVersions(name, packumentOptions))
+        const engines = cachedVersions.get(name)?.find(({ version }) => version === entry.version)?.engines
+        return { ...entry, name, ...(engines && { engines }) }
+    }
+
+    return {
+        root: `${YARN_WORKSPACE_PROTOCOL}${workspacePath}`,
+        resolve: (depName, fromLocation) => {
+            const manifest = readManifest(fromLocation)
+            const range = PROJECT_DEPENDENCY_KEYS.map(key => manifest[key]?.[depName]).find(value => typeof value === "string")
+            if (!range) return null
+            const resolution = resolutions.get(`${depName}@${range}`) ??
+                (isBerry && !/^[a-z]+:/.test(range) ? resolutions.get(`${depName}@npm:${range}`) : undefined)
+            if (!resolution) return null
+            //? Yarn 2 resolves workspace packages to `name@workspace:<path>`
+            const workspaceIndex = resolution.indexOf(`@${YARN_WORKSPACE_PROTOCOL}`, 1)
+            return workspaceIndex === -1 ? resolution : resolution.slice(workspaceIndex + 1)
+        },
+        realLocation: location => location,
+        readManifest,
+        toPath: location => location.startsWith(YARN_WORKSPACE_PROTOCOL)
+            ? join(projectPath, location.slice(YARN_WORKSPACE_PROTOCOL.length))
+            : `${lockfile.path}#${location}`,
+    }
+}
+
+/**
+ * Detects the project's package manager from the `packageManager` field (e.g. `pnpm@9.1.0+sha512...`), falling back to
+ * whichever lockfile is present.
+ * @param {string} projectPath - The root directory of the project.
+ * @param {Record<string, any>} [manifest] - The project's parsed package.json.
+ * @returns {string | null} The package manager's name (`npm`, `pnpm`, `yarn`), or null if it cannot be told.
+ */
+export const detectPackageManager = (projectPath, manifest = {}) => {
+    if (typeof manifest.packageManager === "string") {
+        const [name] = manifest.packageManager.split("@")
+        if (name) return name
+    }
+    for (const [packageManager, filenames] of Object.entries(LOCKFILE_FILENAMES_BY_PACKAGE_MANAGER)) {
+        if (filenames.some(filename => existsSync(join(projectPath, filename)))) return packageManager
+    }
+    return null
+}
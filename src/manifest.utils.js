@@ -0,0 +1,261 @@
+import {
+    applyEdits,
+    createScanner,
+    findNodeAtLocation,
+    findNodeAtOffset,
+    format,
+    modify,
+    parse,
+    parseTree,
+    SyntaxKind,
+} from "jsonc-parser"
+import { DEFAULT_JSON_INDENT, DEV_ENGINES_TOOLS } from "./constants.js"
+
+/**
+ * A replacement of `length` characters at `offset` with `content`.
+ * @typedef {object} TextEdit
+ * @property {number} offset - Where the replaced text starts.
+ * @property {number} length - How many characters are replaced.
+ * @property {string} content - The replacement text.
+ */
+
+/**
+ * How a JSON document is formatted, so inserted text matches it.
+ * @typedef {object} JsonFormatting
+ * @property {boolean} insertSpaces - False if the document is indented with tabs.
+ * @property {number} tabSize - The number of spaces per indentation level.
+ * @property {string} eol - The line ending, `\n` or `\r\n`.
+ */
+
+/**
+ * Detects the indentation and line endings of a JSON document from its first indented line.
+ * @param {string} text - The document text.
+ * @returns {JsonFormatting}
+ */
+export const detectJsonFormatting = text => {
+    const indent = text.match(/^([ \t]+)\S/m)?.[1] ?? ""
+    return {
+        insertSpaces: !indent.startsWith("\t"),
+        tabSize: indent.startsWith("\t") ? 1 : indent.length || DEFAULT_JSON_INDENT,
+        eol: text.includes("\r\n") ? "\r\n" : "\n",
+    }
+}
+
+/**
+ * Parses a JSON (or JSONC) document, tolerating comments and trailing commas.
+ * @param {string} text - The document text.
+ * @returns {Record<string, any>}
+ * @throws {SyntaxError} If the document is not valid JSON apart from comments and trailing commas.
+ */
+export const parseManifest = text => {
+    /** @type {import('jsonc-parser').ParseError[]} */
+    const errors = []
+    const manifest = parse(text, errors, { allowTrailingComma: true })
+    if (errors.length > 0 || !manifest || typeof manifest !== "object" || Array.isArray(manifest)) {
+        throw new SyntaxError(`Invalid JSON at offset ${errors[0]?.offset ?? 0}`)
+    }
+    return manifest
+}
+
+/**
+ * Finds where a property sits in a JSON document.
+ * @param {string} text - The document text.
+ * @param {string[]} path - The property path, e.g. `["engines", "node"]`.
+ * @param {"key" | "value"} [part="value"] - Whether to locate the property name or its value.
+ * @returns {{ offset: number, length: number } | null} The location, or null if the property does not exist.
+ */
+export const locateJsonProperty = (text, path, part = "value") => {
+    const root = parseTree(text, [], { allowTrailingComma: true })
+    const node = root ? findNodeAtLocation(root, path) : undefined
+    if (!node) return null
+    const target = part === "key" ? node.parent?.children?.[0] ?? node : node
+    return { offset: target.offset, length: target.length }
+}
+
+/**
+ * An entry of a dependency list in package.json.
+ * @typedef {object} DependencyEntry
+ * @property {string} key - The list it is declared in, e.g. `devDependencies`.
+ * @property {string} name - The package name.
+ * @property {string | null} specifier - The requested version range, or null if it is not a string.
+ * @property {number} offset - Where the quoted package name starts.
+ * @property {number} length - The length of the quoted package name.
+ */
+
+/**
+ * Finds the dependency entry at a position of a package.json, on either its name or its version range.
+ * @param {string} text - The package.json text.
+ * @param {number} offset - The position, as a character offset.
+ * @param {string[]} keys - The dependency lists to consider, e.g. `["dependencies", "devDependencies"]`.
+ * @returns {DependencyEntry | null} The entry, or null if the position is not on one.
+ */
+export const findDependencyAtOffset = (text, offset, keys) => {
+    const root = parseTree(text, [], { allowTrailingComma: true })
+    const node = root ? findNodeAtOffset(root, offset) : undefined
+    const property = node?.parent?.type === "property" ? node.parent : undefined
+    const list = property?.parent?.parent
+    const [nameNode, valueNode] = property?.children ?? []
+    //? The list must be a top-level property, so nested objects with the same key do not count
+    if (!nameNode || list?.type !== "property" || list.parent !== root) return null
+    const key = list.children?.[0]?.value
+    if (!keys.includes(key)) return null
+    return {
+        key,
+        name: nameNode.value,
+        specifier: typeof valueNode?.value === "string" ? valueNode.value : null,
+        offset: nameNode.offset,
+        length: nameNode.length,
+    }
+}
+
+/**
+ * Writes JSON text on one line, with the given spacing after each colon and comma.
+ * @param {string} json - The JSON text.
+ * @param {string} spacing - What follows each colon and comma, e.g. `" "` or `""`.
+ * @returns {string}
+ */
+const toSingleLineJson = (json, spacing) => {
+    const scanner = createScanner(json, true)
+    let result = ""
+    for (let token = scanner.scan(); token !== SyntaxKind.EOF; token = scanner.scan()) {
+        result += json.slice(scanner.getTokenOffset(), scanner.getTokenOffset() + scanner.getTokenLength())
+        if (token === SyntaxKind.ColonToken || token === SyntaxKind.CommaToken) result += spacing
+    }
+    return result
+}
+
+/**
+ * Finds the object or array a change is written into: the one at the parent path, or the closest ancestor that exists.
+ * @param {string} text - The document text.
+ * @param {(string | number)[]} path - The property path of the change.
+ * @returns {string} The text of the container, or of the whole document if none is found.
+ */
+const findContainerText = (text, path) => {
+    const root = parseTree(text, [], { allowTrailingComma: true })
+    for (let length = path.length - 1; root && length >= 0; length--) {
+        const node = findNodeAtLocation(root, path.slice(0, length))
+        if (node) return text.slice(node.offset, node.offset + node.length)
+    }
+    return text
+}
+
+/**
+ * Sets properties of a JSON document without reformatting anything else: comments, key order, indentation, line endings
+ * and the trailing newline are kept. Inserted text follows the layout of the object it is inserted into: on one line,
+ * spaced the same way, if that object is on one line, or indented like the rest of the document otherwise.
+ * @param {string} text - The document text.
+ * @param {[(string | number)[], unknown][]} changes - The property paths to set, with their new values, applied in order.
+ * @returns {TextEdit | null} One edit spanning every change, or null if nothing changes.
+ */
+export const editJsonProperties = (text, changes) => {
+    const formattingOptions = detectJsonFormatting(text)
+    let updated = text
+    for (const [path, value] of changes) {
+        const containerText = findContainerText(updated, path)
+        const isSingleLine = !/[\r\n]/.test(containerText)
+        const spacing = /:[ \t]/.test(/:/.test(containerText) ? containerText : updated) ? " " : ""
+        //? Without formatting options, jsonc-parser inserts the text as is; with them, it reformats the whole line
+        for (const edit of modify(updated, path, value, {})) {
+            if (isSingleLine) {
+                updated = applyEdits(updated, [{ ...edit, content: toSingleLineJson(edit.content, spacing) }])
+                continue
+            }
+            updated = applyEdits(updated, [edit])
+            //* A range only formats what it covers, so the lines around the insertion keep their layout
+            updated = applyEdits(updated, format(updated, { offset: edit.offset, length: edit.content.length }, formattingOptions))
+        }
+    }
+    if (updated === text) return null
+
+    //? Merge the changes into a single edit by trimming what the old and new text have in common
+    let start = 0
+    while (start < text.length && start < updated.length && text[start] === updated[start]) start++
+    let end = 0
+    while (
+        end < text.length - start &&
+        end < updated.length - start &&
+        text[text.length - 1 - end] === updated[updated.length - 1 - end]
+    ) end++
+    return { offset: start, length: text.length - start - end, content: updated.slice(start, updated.length - end) }
+}
+
+/**
+ * Lists the changes that set `engines.node` and `engines.npm`.
+ * @param {Record<string, any>} manifest - The parsed package.json.
+ * @param {{ node?: string | null, npm?: string | null }} engines - The ranges to set; null or missing ones are left as they are.
+ * @returns {[string[], unknown][]}
+ */
+const toEnginesChanges = (manifest, engines) => {
+    const current = manifest.engines
+    const wanted = Object.entries(engines).filter(([, range]) => typeof range === "string" && range)
+
+    //? Without an engines object, add it whole so its keys come out in a predictable order
+    if (!current || typeof current !== "object" || Array.isArray(current)) {
+        return wanted.length > 0 ? [[["engines"], Object.fromEntries(wanted)]] : []
+    }
+    return wanted.filter(([engine, range]) => current[engine] !== range).map(([engine, range]) => [["engines", engine], range])
+}
+
+/**
+ * Lists the changes that set the versions of npm's `devEngines.runtime` (Node.js) and `devEngines.packageManager`
+ * (npm). Each field holds one entry or an array of entries naming their tool; only the entry for Node.js or npm is
+ * updated, keeping its other properties such as `onFail`. A field whose only entry names another tool (e.g. pnpm) is
+ * left alone, and a missing entry is added.
+ * @param {Record<string, any>} manifest - The parsed package.json.
+ * @param {{ node?: string | null, npm?: string | null }} devEngines - The ranges to set; null or missing ones are left as they are.
+ * @returns {[string[], unknown][]}
+ */
+const toDevEnginesChanges = (manifest, devEngines) => {
+    const current = manifest.devEngines
+    const wanted = /** @type {const} */ ([["runtime", devEngines.node], ["packageManager", devEngines.npm]])
+        .filter(([, range]) => typeof range === "string" && range)
+        .map(([field, range]) => /** @type {const} */ ([field, { name: DEV_ENGINES_TOOLS[field], version: range }]))
+
+    if (!current || typeof current !== "object" || Array.isArray(current)) {
+        return wanted.length > 0 ? [[["devEngines"], Object.fromEntries(wanted)]] : []
+    }
+    return wanted.flatMap(([field, entry]) => {
+        const value = current[field]
+        if (value === undefined) return [[["devEngines", field], entry]]
+        const entries = Array.isArray(value) ? value : [value]
+        const index = entries.findIndex(candidate => candidate?.name === entry.name)
+        if (index === -1) {
+            //* -1 appends to the array
+            return Array.isArray(value) ? [[["devEngines", field, -1], entry]] : []
+        }
+        if (entries[index].version === entry.version) return []
+        return [[Array.isArray(value) ? ["devEngines", field, index, "version"] : ["devEngines", field, "version"], entry.version]]
+    })
+}
+
+/**
+ * Reads the version npm's `devEngines` declares for Node.js (`devEngines.runtime`) or npm (`devEngines.packageManager`).
+ * @param {Record<string, any>} manifest - The parsed package.json.
+ * @param {"node" | "npm"} engine - The engine to read.
+ * @returns {unknown} The declared version, or undefined if no entry names the tool.
+ */
+export const readDevEngineVersion = (manifest, engine) => {
+    const field = engine === "node" ? "runtime" : "packageManager"
+    const value = manifest.devEngines?.[field]
+    const entries = Array.isArray(value) ? value : [value]
+    return entries.find(entry => entry?.name === DEV_ENGINES_TOOLS[field])?.version
+}
+
+/**
+ * Computes the edit that sets `engines.node` and `engines.npm` in a package.json, and optionally the Node.js and npm
+ * versions of `devEngines` and the Volta pin, leaving everything else untouched.
+ * @param {string} text - The package.json text.
+ * @param {{ node?: string | null, npm?: string | null }} engines - The ranges to set; null or missing ones are left as they are.
+ * @param {{ node?: string | null, npm?: string | null }} [devEngines={}] - The development ranges to set, the same way.
+ * @param {string | null} [voltaNode=null] - The version to set `volta.node` to. Only an existing pin is changed.
+ * @returns {TextEdit | null} The edit, or null if the engines are already up to date.
+ * @throws {SyntaxError} If the package.json cannot be parsed.
+ */
+export const editManifestEngines = (text, engines, devEngines = {}, voltaNode = null) => {
+    const manifest = parseManifest(text)
+    const changes = [...toEnginesChanges(manifest, engines), ...toDevEnginesChanges(manifest, devEngines)]
+    if (voltaNode && typeof manifest.volta?.node === "string" && manifest.volta.node !== voltaNode) {
+        changes.push([["volta", "node"], voltaNode])
+    }
+    return changes.length > 0 ? editJsonProperties(text, changes) : null
+}
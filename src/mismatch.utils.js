@@ -0,0 +1,256 @@
+import { major, satisfies, validRange } from "semver"
+import { ENGINE_LABELS, ENGINES_MISMATCH_KINDS, PROJECT_DEPENDENCY_KEYS } from "./constants.js"
+import { describeVersions, formatIntervals, intersectRanges, mergeIntervals, parseRangeIntervals } from "./range.utils.js"
+
+/**
+ * A disagreement between the project's declared `engines` and what its dependencies declare.
+ * @typedef {object} EnginesMismatch
+ * @property {string} kind - One of `ENGINES_MISMATCH_KINDS`.
+ * @property {"node" | "npm"} engine - The engine concerned.
+ * @property {string[]} path - Where in package.json the mismatch is reported, e.g. `["engines", "node"]` or `["dependencies", "a"]`.
+ * @property {"key" | "value"} part - Whether the property name or its value is reported.
+ * @property {string} message - A description for the user.
+ * @property {string[]} versions - The affected versions, oldest first.
+ * @property {import('./constraints.utils.js').EngineConstraint[]} constraints - The dependency ranges involved.
+ */
+
+/**
+ * A change of the project's declared range for one engine that resolves some kinds of mismatches.
+ * @typedef {object} EnginesFix
+ * @property {string} title - A description for the user, e.g. `Widen engines.node to include Node.js 16`.
+ * @property {"node" | "npm"} engine - The engine whose range is changed.
+ * @property {string} range - The new value of `engines[engine]`.
+ * @property {string[]} kinds - The `ENGINES_MISMATCH_KINDS` the fix resolves.
+ * @property {boolean} isPreferred - Whether this is the fix to apply when the user does not choose.
+ */
+
+/**
+ * What the dependencies allow for one engine, as computed by an analysis.
+ * @typedef {object} EngineCompatibility
+ * @property {string | null} recommendedRange - The recommended range in the configured style.
+ * @property {string | null} compatibleRange - The symbolic intersection of every dependency's range.
+ * @property {string[]} compatibleVersions - Every known version satisfying all ranges, oldest first.
+ */
+
+/**
+ * @param {string} version
+ * @param {string} range
+ * @returns {boolean}
+ */
+const satisfiesSafely = (version, range) => {
+    try {
+        return satisfies(version, range, { includePrerelease: false })
+    } catch {
+        return false
+    }
+}
+
+/**
+ * @param {unknown} value
+ * @returns {value is Record<string, unknown>}
+ */
+const isPlainObject = value => !!value && typeof value === "object" && !Array.isArray(value)
+
+/**
+ * @param {import('./constraints.utils.js').EngineConstraint} constraint
+ * @returns {string} E.g. `b@1.0.0 (">=18")`.
+ */
+const describeConstraint = ({ name, version, range }) => `${name}${version ? `@${version}` : ""} ("${range}")`
+
+/**
+ * Compares the project's declared range for one engine against the ranges its dependencies declare. Reports, in terms
+ * of known versions: a declared range that is not valid, versions it allows that a dependency rejects, versions it
+ * excludes although every dependency supports them, and each direct dependency (of `PROJECT_DEPENDENCY_KEYS`) whose
+ * tree rejects part of it.
+ * @param {Record<string, any>} manifest - The project's parsed package.json.
+ * @param {"node" | "npm"} engine - The engine to check.
+ * @param {import('./constraints.utils.js').EngineConstraint[]} constraints - The ranges declared in the dependency tree.
+ * @param {string[]} knownVersions - The versions to check, oldest first.
+ * @returns {EnginesMismatch[]}
+ */
+export const findEnginesMismatches = (manifest, engine, constraints, knownVersions) => {
+    const declared = manifest.engines?.[engine]
+    const label = ENGINE_LABELS[engine]
+    const enginePath = ["engines", engine]
+
+    //? Only flag a missing range next to other engines, since a project without any is handled by the analyze command
+    if (declared === undefined && isPlainObject(manifest.engines) && constraints.length > 0) {
+        return [{
+            kind: ENGINES_MISMATCH_KINDS.MISSING_RANGE,
+            engine,
+            path: ["engines"],
+            part: "key",
+            message: `engines.${engine} is not declared, although ${describeConstraint(constraints[0])}${constraints.length > 1 ? ` and ${constraints.length - 1} more restrict` : " restricts"} ${label}.`,
+            versions: [],
+            constraints,
+        }]
+    }
+    if (typeof declared !== "string") return []
+
+    if (!validRange(declared)) {
+        return [{
+            kind: ENGINES_MISMATCH_KINDS.INVALID_RANGE,
+            engine,
+            path: enginePath,
+            part: "value",
+            message: `engines.${engine} "${declared}" is not a valid semver range.`,
+            versions: [],
+            constraints: [],
+        }]
+    }
+
+    /** @type {EnginesMismatch[]} */
+    const mismatches = []
+    const allowed = knownVersions.filter(version => satisfiesSafely(version, declared))
+    const isCompatible = (/** @type {string} */ version) => constraints.every(({ range }) => satisfiesSafely(version, range))
+
+    const rejected = allowed.filter(version => !isCompatible(version))
+    if (rejected.length > 0) {
+        const rejecting = constraints.filter(({ range }) => rejected.some(version => !satisfiesSafely(version, range)))
+        mismatches.push({
+            kind: ENGINES_MISMATCH_KINDS.ALLOWS_REJECTED,
+            engine,
+            path: enginePath,
+            part: "value",
+            message: `engines.${engine} "${declared}" allows ${label} ${describeVersions(rejected, knownVersions)}, which ${rejecting.map(describeConstraint).join(", ")} ${rejecting.length === 1 ? "does" : "do"} not support.`,
+            versions: rejected,
+            constraints: rejecting,
+        })
+    }
+
+    //? Without any dependency range, the declared range is the project's own choice rather than stricter than needed
+    const missed = knownVersions.filter(version => isCompatible(version) && !satisfiesSafely(version, declared))
+    if (missed.length > 0 && constraints.length > 0) {
+        mismatches.push({
+            kind: ENGINES_MISMATCH_KINDS.STRICTER_THAN_NEEDED,
+            engine,
+            path: enginePath,
+            part: "value",
+            message: `engines.${engine} "${declared}" excludes ${label} ${describeVersions(missed, knownVersions)}, which every dependency supports.`,
+            versions: missed,
+            constraints: [],
+        })
+    }
+
+    //? Report each rejection on the direct dependency that pulls it in, since that is the entry the user can change
+    /** @type {Map<string, import('./constraints.utils.js').EngineConstraint[]>} */
+    const rejectingByDirectDependency = new Map()
+    for (const constraint of constraints) {
+        if (!allowed.some(version => !satisfiesSafely(version, constraint.range))) continue
+        const directDependency = constraint.directDependency ?? constraint.name
+        rejectingByDirectDependency.set(directDependency, [...(rejectingByDirectDependency.get(directDependency) ?? []), constraint])
+    }
+    for (const [directDependency, rejecting] of rejectingByDirectDependency) {
+        const key = PROJECT_DEPENDENCY_KEYS.find(dependencyKey => manifest[dependencyKey]?.[directDependency] !== undefined)
+        if (!key) continue
+        const excluded = allowed.filter(version => rejecting.some(({ range }) => !satisfiesSafely(version, range)))
+        const reasons = rejecting.map(constraint =>
+            constraint.name === directDependency ? describeConstraint(constraint) : `${describeConstraint(constraint)} via ${constraint.requiredBy}`
+        )
+        mismatches.push({
+            kind: ENGINES_MISMATCH_KINDS.DEPENDENCY_EXCLUDES,
+            engine,
+            path: [key, directDependency],
+            part: "key",
+            message: `${directDependency} does not support ${label} ${describeVersions(excluded, knownVersions)}, allowed by engines.${engine} "${declared}": ${reasons.join(", ")}.`,
+            versions: excluded,
+            constraints: rejecting,
+        })
+    }
+
+    return mismatches
+}
+
+/**
+ * Suggests changes of the project's declared range for one engine: adding it if it is missing, setting it to the
+ * recommended range, widening it by the nearest compatible major it excludes on either side, and dropping an upper
+ * bound no dependency sets. Fixes that would leave the range unchanged, or duplicate another fix, are left out.
+ * @param {Record<string, any>} manifest - The project's parsed package.json.
+ * @param {"node" | "npm"} engine - The engine to fix.
+ * @param {EngineCompatibility} compatibility - What the dependencies allow.
+ * @returns {EnginesFix[]}
+ */
+export const suggestEnginesFixes = (manifest, engine, { recommendedRange, compatibleRange, compatibleVersions }) => {
+    const declared = manifest.engines?.[engine]
+    const label = ENGINE_LABELS[engine]
+    /** @type {EnginesFix[]} */
+    const fixes = []
+    /**
+     * @param {Omit<EnginesFix, "engine">} fix
+     */
+    const addFix = fix => {
+        if (fix.range !== declared && !fixes.some(({ range }) => range === fix.range)) fixes.push({ ...fix, engine })
+    }
+
+    if (declared === undefined) {
+        if (isPlainObject(manifest.engines) && recommendedRange) {
+            addFix({
+                title: `Add missing engines.${engine} "${recommendedRange}"`,
+                range: recommendedRange,
+                kinds: [ENGINES_MISMATCH_KINDS.MISSING_RANGE],
+                isPreferred: true,
+            })
+        }
+        return fixes
+    }
+    if (typeof declared !== "string") return fixes
+
+    if (recommendedRange) {
+        addFix({
+            title: `Set engines.${engine} to computed range "${recommendedRange}"`,
+            range: recommendedRange,
+            kinds: [
+                ENGINES_MISMATCH_KINDS.INVALID_RANGE,
+                ENGINES_MISMATCH_KINDS.ALLOWS_REJECTED,
+                ENGINES_MISMATCH_KINDS.STRICTER_THAN_NEEDED,
+                ENGINES_MISMATCH_KINDS.DEPENDENCY_EXCLUDES,
+            ],
+            isPreferred: true,
+        })
+    }
+    if (!validRange(declared) || !compatibleRange) return fixes
+
+    const declaredIntervals = parseRangeIntervals(declared)
+    const excluded = compatibleVersions.filter(version => !satisfiesSafely(version, declared))
+    const allowed = compatibleVersions.filter(version => satisfiesSafely(version, declared))
+
+    //? Widen by one major at a time, on each side of what the declared range already allows
+    const nearestMajors = allowed.length > 0
+        ? [
+            excluded.filter(version => satisfiesSafely(version, `<${allowed[0]}`)).pop(),
+            excluded.find(version => satisfiesSafely(version, `>${allowed[allowed.length - 1]}`)),
+        ]
+        : [excluded[excluded.length - 1]]
+    for (const version of nearestMajors) {
+        if (!version) continue
+        const majorRange = intersectRanges([compatibleRange, `${major(version)}.x`])
+        if (!majorRange) continue
+        const widened = formatIntervals(mergeIntervals([...declaredIntervals, ...parseRangeIntervals(majorRange)]))
+        if (!widened) continue
+        addFix({
+            title: `Widen engines.${engine} to include ${label} ${major(version)}`,
+            range: widened,
+            kinds: [ENGINES_MISMATCH_KINDS.STRICTER_THAN_NEEDED],
+            isPreferred: false,
+        })
+    }
+
+    //? Dropping the upper bound only helps if no dependency sets one and newer compatible versions are excluded
+    const lastInterval = declaredIntervals[declaredIntervals.length - 1]
+    const compatibleIntervals = parseRangeIntervals(compatibleRange)
+    const isOpenEnded = compatibleIntervals[compatibleIntervals.length - 1]?.upper === null
+    const excludesNewer = allowed.length > 0 && excluded.some(version => satisfiesSafely(version, `>${allowed[allowed.length - 1]}`))
+    if (lastInterval?.upper && isOpenEnded && excludesNewer) {
+        const unbounded = formatIntervals(mergeIntervals([...declaredIntervals.slice(0, -1), { ...lastInterval, upper: null }]))
+        if (unbounded) {
+            addFix({
+                title: `Remove upper bound from engines.${engine}`,
+                range: unbounded,
+                kinds: [ENGINES_MISMATCH_KINDS.STRICTER_THAN_NEEDED],
+                isPreferred: false,
+            })
+        }
+    }
+
+    return fixes
+}
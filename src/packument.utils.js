@@ -0,0 +1,117 @@
+import { createHash } from "crypto"
+import { existsSync, readFileSync } from "fs"
+import { homedir } from "os"
+import { join } from "path"
+import { valid } from "semver"
+import {
+    NPM_CACHE_DIRNAME,
+    NPM_CACHE_KEY_PREFIX,
+    NPM_REGISTRY_URL,
+    UTF8_ENCODING,
+} from "./constants.js"
+
+/**
+ * A published version of a package, as far as the analysis is concerned.
+ * @typedef {object} PackageVersion
+ * @property {string} version - The version.
+ * @property {import('./resolver.utils.js').PackageEngines | null} engines - The declared engines, or null if none are declared.
+ */
+
+/**
+ * @typedef {object} PackumentCacheOptions
+ * @property {string} [cachePath] - The `_cacache` directory. Defaults to npm's cache, see `getNpmCacheDirectory`.
+ * @property {string} [registry=NPM_REGISTRY_URL] - The registry the packuments were fetched from.
+ */
+
+/**
+ * Locates npm's content-addressable cache the way npm does: the `npm_config_cache` setting, otherwise `~/.npm` (or
+ * `%LocalAppData%\npm-cache` on Windows).
+ * @param {Record<string, string | undefined>} [env=process.env] - The environment to read settings from.
+ * @returns {string} The `_cacache` directory.
+ */
+export const getNpmCacheDirectory = (env = process.env) => {
+    const cacheRoot = env.npm_config_cache ??
+        (process.platform === "win32" ? join(env.LOCALAPPDATA ?? homedir(), "npm-cache") : join(homedir(), ".npm"))
+    return join(cacheRoot, NPM_CACHE_DIRNAME)
+}
+
+/**
+ * Splits a hex digest into the nested directories cacache stores it under.
+ * @param {string} hex
+ * @returns {string[]}
+ */
+const toHashedPath = hex => [hex.slice(0, 2), hex.slice(2, 4), hex.slice(4)]
+
+/**
+ * Reads the newest index entry for a key from a cacache directory, as npm writes them: one bucket file per key hash,
+ * each line a SHA-1 of the entry followed by a tab and the JSON entry.
+ * @param {string} cachePath - The `_cacache` directory.
+ * @param {string} key - The cache key.
+ * @returns {{ key: string, integrity: string } | null} The entry, or null if it is missing or was removed.
+ */
+export const readCacheIndexEntry = (cachePath, key) => {
+    const bucketPath = join(cachePath, "index-v5", ...toHashedPath(createHash("sha256").update(key).digest("hex")))
+    if (!existsSync(bucketPath)) return null
+
+    let entry = null
+    for (const line of readFileSync(bucketPath, UTF8_ENCODING).split("\n")) {
+        const [hash, json] = line.split("\t")
+        if (!json || createHash("sha1").update(json).digest("hex") !== hash) continue //* Skip lines from interrupted writes
+        try {
+            const parsed = JSON.parse(json)
+            if (parsed.key === key) entry = parsed //? Later lines supersede earlier ones
+        } catch {
+            continue
+        }
+    }
+    return entry?.integrity ? entry : null
+}
+
+/**
+ * Reads cached content by its Subresource Integrity string.
+ * @param {string} cachePath - The `_cacache` directory.
+ * @param {string} integrity - E.g. `sha512-<base64>`. Only the first hash is used.
+ * @returns {string | null} The content, or null if it is not in the cache.
+ */
+export const readCacheContent = (cachePath, integrity) => {
+    const [algorithm, digest] = integrity.trim().split(/\s+/)[0].split("-")
+    if (!algorithm || !digest) return null
+    const contentPath = join(cachePath, "content-v2", algorithm, ...toHashedPath(Buffer.from(digest, "base64").toString("hex")))
+    return existsSync(contentPath) ? readFileSync(contentPath, UTF8_ENCODING) : null
+}
+
+/**
+ * Reads a package's registry metadata (packument) from npm's cache, without touching the network.
+ * @param {string} name - The package name.
+ * @param {PackumentCacheOptions} [options]
+ * @returns {Record<string, any> | null} The packument, or null if it is not cached or cannot be read.
+ */
+export const readCachedPackument = (name, options = {}) => {
+    const { cachePath = getNpmCacheDirectory(), registry = NPM_REGISTRY_URL } = options
+    //? npm requests scoped packages as `@scope%2fname`
+    const url = `${registry.replace(/\/?$/, "/")}${name.replace("/", "%2f")}`
+    try {
+        const entry = readCacheIndexEntry(cachePath, `${NPM_CACHE_KEY_PREFIX}${url}`)
+        const content = entry ? readCacheContent(cachePath, entry.integrity) : null
+        return content ? JSON.parse(content) : null
+    } catch (error) {
+        console.warn(`Could not read cached metadata for ${name}: ${JSON.parse(JSON.stringify(error))?.message ?? error}`)
+        return null
+    }
+}
+
+/**
+ * Lists the versions of a package found in npm's cache, with the engines each declares.
+ * @param {string} name - The package name.
+ * @param {PackumentCacheOptions} [options]
+ * @returns {PackageVersion[]}
+ */
+export const listCachedPackageVersions = (name, options = {}) => {
+    const packument = readCachedPackument(name, options)
+    if (!packument?.versions || typeof packument.versions !== "object") return []
+    return Object.entries(packument.versions).flatMap(([version, manifest]) => {
+        if (!valid(version)) return []
+        const engines = manifest?.engines
+        return [{ version, engines: engines && typeof engines === "object" && !Array.isArray(engines) ? engines : null }]
+    })
+}
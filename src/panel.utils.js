@@ -0,0 +1,259 @@
+import { randomBytes } from "crypto"
+import { major, satisfies, validRange } from "semver"
+import { ViewColumn, window } from "vscode"
+import {
+    NOTE_NO_DEPENDENCIES,
+    REPORT_PANEL_TIMELINE_MAJORS,
+    REPORT_PANEL_TITLE,
+    REPORT_PANEL_VIEW_TYPE,
+} from "./constants.js"
+
+/**
+ * One Node.js major of the release timeline the range bars are drawn against.
+ * @typedef {object} TimelineMajor
+ * @property {number} major - The major version, e.g. `20`.
+ * @property {string[]} versions - Its known releases, oldest first.
+ * @property {string | null} date - When its first release came out (`YYYY-MM-DD`), if known.
+ * @property {boolean} lts - Whether it became an LTS line.
+ */
+
+/**
+ * How much of one major a range covers: every release, some of them, or none.
+ * @typedef {"all" | "some" | "none"} MajorCoverage
+ */
+
+/** @type {import('vscode').WebviewPanel | undefined} */
+let currentPanel
+/** @type {import('vscode').Disposable | undefined} */
+let currentMessageListener
+
+/**
+ * Lists the newest Node.js majors, oldest first.
+ * @param {import('./releases.utils.js').NodeRelease[]} nodeReleases - Known releases, oldest first.
+ * @param {number} [count=REPORT_PANEL_TIMELINE_MAJORS] - How many majors to keep.
+ * @returns {TimelineMajor[]}
+ */
+export const toReleaseTimeline = (nodeReleases, count = REPORT_PANEL_TIMELINE_MAJORS) => {
+    /** @type {Map<number, TimelineMajor>} */
+    const majors = new Map()
+    for (const { version, date, lts } of nodeReleases) {
+        const entry = majors.get(major(version)) ?? { major: major(version), versions: [], date, lts: false }
+        entry.versions.push(version)
+        entry.lts ||= !!lts
+        majors.set(entry.major, entry)
+    }
+    return [...majors.values()].sort((a, b) => a.major - b.major).slice(-count)
+}
+
+/**
+ * Describes which majors of the timeline a range covers.
+ * @param {string | null} range - The range, e.g. a dependency's `engines.node`.
+ * @param {TimelineMajor[]} timeline - See `toReleaseTimeline`.
+ * @returns {MajorCoverage[] | null} One entry per major, or null if there is no range. Invalid ranges cover nothing.
+ */
+export const describeRangeCoverage = (range, timeline) => {
+    if (range === null) return null
+    return timeline.map(({ versions }) => {
+        const count = validRange(range) ? versions.filter(version => satisfies(version, range)).length : 0
+        return count === versions.length ? "all" : count > 0 ? "some" : "none"
+    })
+}
+
+/**
+ * @param {unknown} value
+ * @returns {string} The value as HTML text.
+ */
+const escapeHtml = value => String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+
+/**
+ * @param {MajorCoverage[] | null} coverage - See `describeRangeCoverage`.
+ * @param {TimelineMajor[]} timeline
+ * @returns {string} The range bar, one segment per major.
+ */
+const formatRangeBar = (coverage, timeline) => coverage
+    ? `<div class="bar">${coverage.map((status, index) =>
+        `<span class="${status}" title="Node.js ${timeline[index].major}: ${status === "all" ? "every release" : status === "some" ? "some releases" : "no release"}"></span>`
+    ).join("")}</div>`
+    : `<div class="bar unconstrained" title="No engines.node declared">${timeline.map(() => "<span></span>").join("")}</div>`
+
+/**
+ * @param {MajorCoverage[] | null} coverage
+ * @returns {string} A sort key that orders bars by the oldest covered major, unconstrained bars first.
+ */
+const toCoverageSortKey = coverage => {
+    if (!coverage) return "0"
+    const first = coverage.findIndex(status => status !== "none")
+    return first === -1 ? "99" : String(first + 1).padStart(2, "0")
+}
+
+/**
+ * @param {import('./report.utils.js').ReportDependency} dependency
+ * @returns {"invalid" | "none" | "bound" | "declared"} What the filter matches the dependency as.
+ */
+const toDependencyKind = ({ engines, bounds }) => {
+    if ([engines.node, engines.npm].some(range => range !== null && !validRange(range))) return "invalid"
+    if (engines.node === null && engines.npm === null) return "none"
+    return bounds.length > 0 ? "bound" : "declared"
+}
+
+/**
+ * @param {import('./report.utils.js').ProjectReport} project
+ * @param {number} index - The project's position in the report, sent back by its Apply button.
+ * @param {TimelineMajor[]} timeline
+ * @returns {string}
+ */
+const formatProjectSection = (project, index, timeline) => {
+    const declared = project.declaredEngines ?? {}
+    const { engines } = project.recommended
+    const rows = project.dependencies.map(dependency => {
+        const coverage = describeRangeCoverage(dependency.engines.node, timeline)
+        return `<tr data-kind="${toDependencyKind(dependency)}" data-name="${escapeHtml(dependency.name)}">
+<td>${escapeHtml(dependency.name)}${dependency.requiredBy ? `<div class="via">via ${escapeHtml(dependency.requiredBy)}</div>` : ""}</td>
+<td>${escapeHtml(dependency.version ?? "not installed")}</td>
+<td>${escapeHtml(dependency.category ?? "—")} <span class="via">(${escapeHtml(dependency.mode)})</span></td>
+<td><code>${escapeHtml(dependency.engines.node ?? "")}</code></td>
+<td><code>${escapeHtml(dependency.engines.npm ?? "")}</code></td>
+<td>${escapeHtml(dependency.bounds.join(", "))}</td>
+<td data-sort="${toCoverageSortKey(coverage)}">${formatRangeBar(coverage, timeline)}</td>
+</tr>`
+    })
+    return `<section>
+<h2>${escapeHtml(project.name)} <span class="via">${escapeHtml(project.packageJson)}</span></h2>
+<p>
+Declared: <code>${escapeHtml(typeof declared.node === "string" ? declared.node : "none")}</code>
+· Recommended: <code>${escapeHtml(engines.node ?? "no compatible version")}</code>${engines.npm ? `, npm <code>${escapeHtml(engines.npm)}</code>` : ""}
+${project.recommended.devEngines.node ? `· devEngines: <code>${escapeHtml(project.recommended.devEngines.node)}</code>` : ""}
+<button data-apply="${index}"${engines.node ? "" : " disabled"}>Apply</button>
+</p>
+<table>
+<thead><tr>
+<th data-column="0">Package</th><th data-column="1">Version</th><th data-column="2">Category</th>
+<th data-column="3">engines.node</th><th data-column="4">engines.npm</th><th data-column="5">Sets</th>
+<th data-column="6">Node.js ${timeline[0]?.major ?? ""}–${timeline.at(-1)?.major ?? ""}</th>
+</tr>
+<tr class="recommended"><td colspan="6">Recommended engines.node</td>
+<td>${formatRangeBar(engines.node ? describeRangeCoverage(engines.node, timeline) : timeline.map(() => "none"), timeline)}</td></tr>
+</thead>
+<tbody>
+${rows.join("\n")}
+</tbody>
+</table>
+</section>`
+}
+
+/**
+ * Renders a report as the panel's HTML page. Sorting and filtering happen in the page; Apply posts
+ * `{ type: "apply", project }` with the project's index.
+ * @param {import('./report.utils.js').EnginesReport} report
+ * @param {import('./releases.utils.js').NodeRelease[]} nodeReleases - Known releases, for the range bars.
+ * @param {{ cspSource: string, nonce: string }} webview - The webview's resource origin and the script nonce.
+ * @returns {string}
+ */
+export const formatReportPanelHtml = (report, nodeReleases, { cspSource, nonce }) => {
+    const timeline = toReleaseTimeline(nodeReleases)
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta http-equiv="Content-Security-Policy" content="default-src 'none'; style-src ${cspSource} 'nonce-${nonce}'; script-src 'nonce-${nonce}';">
+<title>${escapeHtml(REPORT_PANEL_TITLE)}</title>
+<style nonce="${nonce}">
+body { font-family: var(--vscode-font-family); color: var(--vscode-foreground); }
+table { border-collapse: collapse; width: 100%; }
+th { cursor: pointer; text-align: left; user-select: none; }
+th, td { padding: 2px 8px; border-bottom: 1px solid var(--vscode-panel-border); vertical-align: top; }
+th[data-order="asc"]::after { content: " ▲"; }
+th[data-order="desc"]::after { content: " ▼"; }
+.via { opacity: 0.7; font-size: 0.9em; }
+.bar { display: flex; gap: 1px; min-width: 12em; }
+.bar span { flex: 1; height: 1em; background: var(--vscode-editorWidget-border); }
+.bar .all { background: var(--vscode-charts-green); }
+.bar .some { background: var(--vscode-charts-yellow); }
+.bar.unconstrained span { background: var(--vscode-charts-green); opacity: 0.3; }
+tr[hidden] { display: none; }
+</style>
+</head>
+<body>
+<p>
+<input id="filter" type="search" placeholder="Filter packages">
+<select id="kind">
+<option value="">Every dependency</option>
+<option value="bound">Setting a bound</option>
+<option value="declared">Declaring engines</option>
+<option value="none">No engines declared</option>
+<option value="invalid">Invalid engines</option>
+</select>
+</p>
+${report.projects.length > 0
+        ? report.projects.map((project, index) => formatProjectSection(project, index, timeline)).join("\n")
+        : `<p>${NOTE_NO_DEPENDENCIES}</p>`}
+<script nonce="${nonce}">
+const vscode = acquireVsCodeApi()
+const filter = document.getElementById("filter")
+const kind = document.getElementById("kind")
+const applyFilter = () => {
+    const text = filter.value.trim().toLowerCase()
+    for (const row of document.querySelectorAll("tbody tr")) {
+        row.hidden = (text && !row.dataset.name.toLowerCase().includes(text)) || (kind.value && row.dataset.kind !== kind.value)
+    }
+}
+filter.addEventListener("input", applyFilter)
+kind.addEventListener("change", applyFilter)
+for (const header of document.querySelectorAll("th[data-column]")) {
+    header.addEventListener("click", () => {
+        const column = Number(header.dataset.column)
+        const order = header.dataset.order === "asc" ? "desc" : "asc"
+        for (const other of header.parentElement.children) delete other.dataset.order
+        header.dataset.order = order
+        const body = header.closest("table").tBodies[0]
+        const key = row => row.cells[column].dataset.sort ?? row.cells[column].textContent.trim()
+        const rows = [...body.rows].sort((a, b) => key(a).localeCompare(key(b), undefined, { numeric: true }))
+        body.append(...(order === "asc" ? rows : rows.reverse()))
+    })
+}
+for (const button of document.querySelectorAll("button[data-apply]")) {
+    button.addEventListener("click", () => {
+        button.disabled = true
+        vscode.postMessage({ type: "apply", project: Number(button.dataset.apply) })
+    })
+}
+</script>
+</body>
+</html>`
+}
+
+/**
+ * Shows a report in the report panel, reusing the panel if it is open.
+ * @param {import('./report.utils.js').EnginesReport} report
+ * @param {import('./releases.utils.js').NodeRelease[]} nodeReleases - Known releases, for the range bars.
+ * @param {(projectIndex: number) => Promise<void>} onApply - Writes the recommended engines of a project of the report.
+ * @returns {import('vscode').WebviewPanel}
+ */
+export const showReportPanel = (report, nodeReleases, onApply) => {
+    if (currentPanel) {
+        currentPanel.reveal()
+    } else {
+        currentPanel = window.createWebviewPanel(REPORT_PANEL_VIEW_TYPE, REPORT_PANEL_TITLE, ViewColumn.Active, { enableScripts: true })
+        currentPanel.onDidDispose(() => {
+            currentPanel = undefined
+            currentMessageListener = undefined //* Disposed with the panel
+        })
+    }
+    const panel = currentPanel
+    //? Only the report on display may be applied, not one the panel showed before
+    currentMessageListener?.dispose()
+    currentMessageListener = panel.webview.onDidReceiveMessage(async message => {
+        if (message?.type === "apply" && report.projects[message.project]?.recommended.engines.node) {
+            await onApply(message.project)
+        }
+    })
+    panel.webview.html = formatReportPanelHtml(report, nodeReleases, {
+        cspSource: panel.webview.cspSource,
+        nonce: randomBytes(16).toString("hex"),
+    })
+    return panel
+}
@@ -0,0 +1,195 @@
+import { existsSync, readFileSync } from "fs"
+import { dirname, join, resolve } from "path"
+import { inflateRawSync } from "zlib"
+import { PACKAGE_JSON_FILENAME, PNP_DATA_FILENAME, PNP_MANIFEST_FILENAMES, UTF8_ENCODING } from "./constants.js"
+
+/** @typedef {import('./resolver.utils.js').DependencySource} DependencySource */
+
+/**
+ * The subset of Yarn's Plug'n'Play runtime API used to resolve packages.
+ * @typedef {object} PnpApi
+ * @property {{ name: string | null, reference: string | null }} topLevel - The locator of the top-level workspace.
+ * @property {(path: string) => { name: string, reference: string } | null} findPackageLocator - Finds the package owning a path.
+ * @property {(locator: { name: string | null, reference: string | null }) => { packageLocation: string, packageDependencies: Map<string, string | [string, string] | null> } | null} getPackageInformation
+ */
+
+const ZIP_END_OF_CENTRAL_DIRECTORY_SIGNATURE = 0x06054b50
+const ZIP_CENTRAL_DIRECTORY_SIGNATURE = 0x02014b50
+const ZIP_LOCAL_HEADER_SIGNATURE = 0x04034b50
+const ZIP_METHOD_STORED = 0
+const ZIP_METHOD_DEFLATED = 8
+
+/**
+ * Finds the Plug'n'Play manifest Yarn writes instead of `node_modules`.
+ * @param {string} projectPath - The root directory of the project.
+ * @returns {string | null} The manifest path, or null if the project does not use Plug'n'Play.
+ */
+export const findPnpManifest = projectPath => {
+    for (const filename of PNP_MANIFEST_FILENAMES) {
+        const manifestPath = join(projectPath, filename)
+        if (existsSync(manifestPath)) return manifestPath
+    }
+    return null
+}
+
+/**
+ * Reads the serialized runtime state Yarn embeds in `.pnp.cjs` as the `RAW_RUNTIME_STATE` string literal, or writes
+ * next to it as `.pnp.data.json` when `pnpEnableInlining` is off.
+ * @param {string} manifestPath - The path of `.pnp.cjs`.
+ * @returns {Record<string, any>}
+ * @throws {Error} If neither holds the state, e.g. for the object literal older Yarn releases embed.
+ */
+const readPnpRuntimeState = manifestPath => {
+    const dataPath = join(dirname(manifestPath), PNP_DATA_FILENAME)
+    if (existsSync(dataPath)) return JSON.parse(readFileSync(dataPath, UTF8_ENCODING))
+
+    const source = readFileSync(manifestPath, UTF8_ENCODING)
+    const start = source.match(/\bRAW_RUNTIME_STATE\s*=\s*'/)
+    if (!start) throw new Error(`${manifestPath} has no serialized runtime state`)
+    //? Yarn escapes `\` and `'` with a backslash and ends each line with one, which continues the string literal
+    let state = ""
+    for (let index = start.index + start[0].length; index < source.length; index++) {
+        const char = source[index]
+        if (char === "'") return JSON.parse(state)
+        if (char !== "\\") state += char
+        else if (source[++index] !== "\n") state += source[index]
+    }
+    throw new Error(`${manifestPath} has an unterminated runtime state`)
+}
+
+/**
+ * Reads the Plug'n'Play API from the state Yarn serializes into its manifest. The manifest is parsed, never run, so
+ * opening a repository does not execute its code in the extension host, and a re-install is picked up on the next read.
+ * @param {string} manifestPath - The path of `.pnp.cjs`.
+ * @returns {PnpApi}
+ */
+export const readPnpApi = manifestPath => {
+    const state = readPnpRuntimeState(manifestPath)
+    //? Locations are relative to the manifest's directory, the way the runtime resolves them
+    const basePath = dirname(manifestPath)
+    /** @type {Map<string, Map<string | null, { packageLocation: string, packageDependencies: Map<string, string | [string, string] | null> }>>} */
+    const registry = new Map()
+    for (const [name, references] of state.packageRegistryData ?? []) {
+        registry.set(name, new Map(references.map(([reference, information]) => [reference, {
+            packageLocation: resolve(basePath, information.packageLocation),
+            packageDependencies: new Map(information.packageDependencies),
+        }])))
+    }
+
+    return {
+        topLevel: { name: null, reference: null },
+        findPackageLocator: path => {
+            for (const [name, references] of registry) {
+                for (const [reference, { packageLocation }] of references) {
+                    if (packageLocation === resolve(path)) return { name, reference }
+                }
+            }
+            return null
+        },
+        getPackageInformation: ({ name, reference }) => registry.get(name)?.get(reference) ?? null,
+    }
+}
+
+/**
+ * Reads a single file out of a zip archive, as Yarn stores packages in `.yarn/cache/*.zip`. Supports the stored and
+ * deflated methods Yarn writes; zip64 archives are not needed for package caches.
+ * @param {string} zipPath - The path of the archive.
+ * @param {string} entryName - The path of the file inside the archive, using `/` separators.
+ * @returns {Buffer}
+ * @throws {Error} If the archive is malformed or does not contain the entry.
+ */
+export const readZipEntry = (zipPath, entryName) => {
+    const zip = readFileSync(zipPath)
+
+    //? The end of central directory record is 22 bytes plus an optional comment of up to 64KiB
+    let endOffset = -1
+    for (let offset = zip.length - 22; offset >= Math.max(0, zip.length - 22 - 0xffff); offset--) {
+        if (zip.readUInt32LE(offset) === ZIP_END_OF_CENTRAL_DIRECTORY_SIGNATURE) {
+            endOffset = offset
+            break
+        }
+    }
+    if (endOffset === -1) throw new Error(`${zipPath} is not a zip archive`)
+
+    const entryCount = zip.readUInt16LE(endOffset + 10)
+    let offset = zip.readUInt32LE(endOffset + 16)
+    for (let index = 0; index < entryCount; index++) {
+        if (zip.readUInt32LE(offset) !== ZIP_CENTRAL_DIRECTORY_SIGNATURE) break
+        const method = zip.readUInt16LE(offset + 10)
+        const compressedSize = zip.readUInt32LE(offset + 20)
+        const nameLength = zip.readUInt16LE(offset + 28)
+        const extraLength = zip.readUInt16LE(offset + 30)
+        const commentLength = zip.readUInt16LE(offset + 32)
+        const localHeaderOffset = zip.readUInt32LE(offset + 42)
+        const name = zip.toString(UTF8_ENCODING, offset + 46, offset + 46 + nameLength)
+
+        if (name === entryName) {
+            if (zip.readUInt32LE(localHeaderOffset) !== ZIP_LOCAL_HEADER_SIGNATURE) {
+                throw new Error(`${zipPath} has a corrupt entry for ${entryName}`)
+            }
+            const dataOffset = localHeaderOffset + 30 + zip.readUInt16LE(localHeaderOffset + 26) + zip.readUInt16LE(localHeaderOffset + 28)
+            const data = zip.subarray(dataOffset, dataOffset + compressedSize)
+            if (method === ZIP_METHOD_STORED) return data
+            if (method === ZIP_METHOD_DEFLATED) return inflateRawSync(data)
+            throw new Error(`${zipPath} uses unsupported compression method ${method} for ${entryName}`)
+        }
+        offset += 46 + nameLength + extraLength + commentLength
+    }
+    throw new Error(`${entryName} not found in ${zipPath}`)
+}
+
+/**
+ * Reads a package manifest from a Plug'n'Play package location, which is either a plain directory (workspaces,
+ * unplugged packages) or a directory inside a zip archive in Yarn's cache.
+ * @param {string} packageLocation - The package location reported by the PnP API.
+ * @returns {Record<string, any>}
+ */
+export const readPnpManifest = packageLocation => {
+    const manifestPath = join(packageLocation, PACKAGE_JSON_FILENAME)
+    const zipMatch = manifestPath.match(/^(.*?\.zip)[\\/](.*)$/)
+    const contents = zipMatch
+        ? readZipEntry(zipMatch[1], zipMatch[2].replace(/\\/g, "/")).toString(UTF8_ENCODING)
+        : readFileSync(manifestPath, UTF8_ENCODING)
+    return JSON.parse(contents)
+}
+
+/**
+ * Creates a dependency source backed by Yarn's Plug'n'Play runtime, so packages are resolved exactly as Yarn resolves
+ * them even though there is no `node_modules`. Locations are serialized `[name, reference]` locators.
+ * @param {string} projectPath - The root directory of the project.
+ * @param {PnpApi} pnp - The loaded PnP API.
+ * @returns {DependencySource}
+ */
+export const createPnpSource = (projectPath, pnp) => {
+    const rootLocator = pnp.findPackageLocator(join(projectPath, "/")) ?? pnp.topLevel
+
+    /**
+     * @param {string} location
+     * @returns {string}
+     */
+    const packageLocationOf = location => {
+        const [name, reference] = JSON.parse(location)
+        const information = pnp.getPackageInformation({ name, reference })
+        if (!information) throw new Error(`${name}@${reference} is not part of the dependency tree`)
+        return information.packageLocation
+    }
+
+    return {
+        root: JSON.stringify([rootLocator.name, rootLocator.reference]),
+        resolve: (depName, fromLocation) => {
+            const [name, reference] = JSON.parse(fromLocation)
+            const target = pnp.getPackageInformation({ name, reference })?.packageDependencies.get(depName)
+            if (!target) return null //* Missing, or an unmet optional peer
+            return JSON.stringify(Array.isArray(target) ? target : [depName, target])
+        },
+        realLocation: location => location,
+        readManifest: location => readPnpManifest(packageLocationOf(location)),
+        toPath: location => {
+            try {
+                return packageLocationOf(location)
+            } catch {
+                return location
+            }
+        },
+    }
+}
@@ -0,0 +1,295 @@
+import { compare, Range, SemVer, subset, validRange } from "semver"
+import { ENGINE_RANGE_STYLES } from "./constants.js"
+
+/**
+ * One end of an interval of versions; null stands for "unbounded".
+ * @typedef {{ version: SemVer, inclusive: boolean } | null} VersionBound
+ */
+
+/**
+ * A contiguous interval of versions.
+ * @typedef {object} VersionInterval
+ * @property {VersionBound} lower - The lowest version included (or excluded, if not inclusive).
+ * @property {VersionBound} upper - The highest version included (or excluded, if not inclusive).
+ */
+
+/**
+ * Picks the tighter of two lower bounds: the higher version, or the exclusive one if the versions are equal.
+ * @param {VersionBound} a
+ * @param {VersionBound} b
+ * @returns {VersionBound}
+ */
+const tighterLower = (a, b) => {
+    if (!a) return b
+    if (!b) return a
+    const order = compare(a.version, b.version)
+    if (order !== 0) return order > 0 ? a : b
+    return a.inclusive ? b : a
+}
+
+/**
+ * Picks the tighter of two upper bounds: the lower version, or the exclusive one if the versions are equal.
+ * @param {VersionBound} a
+ * @param {VersionBound} b
+ * @returns {VersionBound}
+ */
+const tighterUpper = (a, b) => {
+    if (!a) return b
+    if (!b) return a
+    const order = compare(a.version, b.version)
+    if (order !== 0) return order < 0 ? a : b
+    return a.inclusive ? b : a
+}
+
+/**
+ * @param {VersionInterval} interval
+ * @returns {boolean} Whether no version falls inside the interval.
+ */
+const isEmptyInterval = ({ lower, upper }) => {
+    if (!lower || !upper) return false
+    const order = compare(lower.version, upper.version)
+    return order > 0 || (order === 0 && !(lower.inclusive && upper.inclusive))
+}
+
+/**
+ * Drops the `-0` semver appends to exclusive upper bounds (`^18.0.0` is `>=18.0.0 <19.0.0-0`), since prereleases are
+ * never recommended. Keeps `<19.0.0` and `>=19.0.0` adjacent so they merge.
+ * @param {SemVer} version
+ * @returns {SemVer}
+ */
+const withoutPrereleaseFloor = version =>
+    version.prerelease.length === 1 && version.prerelease[0] === 0
+        ? new SemVer(`${version.major}.${version.minor}.${version.patch}`)
+        : version
+
+/**
+ * Parses a semver range into the union of intervals it describes, one per `||` alternative.
+ * @param {string} range - A semver range, e.g. `^18.17.0 || >=20.5.0`.
+ * @returns {VersionInterval[]}
+ * @throws {TypeError} If the range is not valid semver.
+ */
+export const parseRangeIntervals = range => {
+    /** @type {VersionInterval[]} */
+    const intervals = []
+    for (const comparators of new Range(range).set) {
+        /** @type {VersionInterval} */
+        let interval = { lower: null, upper: null }
+        for (const { operator, semver, value } of comparators) {
+            if (value === "") continue //* `*`, which does not constrain anything
+            const version = /** @type {SemVer} */ (semver)
+            if (operator === "" || operator === "=") {
+                interval = {
+                    lower: tighterLower(interval.lower, { version, inclusive: true }),
+                    upper: tighterUpper(interval.upper, { version, inclusive: true }),
+                }
+            } else if (operator.startsWith(">")) {
+                interval.lower = tighterLower(interval.lower, { version, inclusive: operator === ">=" })
+            } else {
+                const inclusive = operator === "<="
+                interval.upper = tighterUpper(interval.upper, { version: inclusive ? version : withoutPrereleaseFloor(version), inclusive })
+            }
+        }
+        if (interval.lower && interval.lower.inclusive && interval.lower.version.compare("0.0.0") === 0) {
+            interval.lower = null //* `>=0.0.0` is the same as no lower bound
+        }
+        if (!isEmptyInterval(interval)) intervals.push(interval)
+    }
+    return mergeIntervals(intervals)
+}
+
+/**
+ * Sorts a union of intervals and merges the ones that overlap or touch, so each version range is expressed once.
+ * @param {VersionInterval[]} intervals
+ * @returns {VersionInterval[]}
+ */
+export const mergeIntervals = intervals => {
+    const sorted = [...intervals].sort((a, b) => {
+        if (!a.lower || !b.lower) return a.lower ? 1 : b.lower ? -1 : 0
+        return compare(a.lower.version, b.lower.version) || (a.lower.inclusive ? -1 : 0) - (b.lower.inclusive ? -1 : 0)
+    })
+
+    /** @type {VersionInterval[]} */
+    const merged = []
+    for (const interval of sorted) {
+        const previous = merged[merged.length - 1]
+        const touches = previous && (
+            !previous.upper ||
+            !interval.lower ||
+            compare(interval.lower.version, previous.upper.version) < 0 ||
+            (compare(interval.lower.version, previous.upper.version) === 0 && (interval.lower.inclusive || previous.upper.inclusive))
+        )
+        if (touches) {
+            previous.upper = !previous.upper || !interval.upper
+                ? null
+                : tighterUpper(previous.upper, interval.upper) === previous.upper ? interval.upper : previous.upper
+        } else {
+            merged.push({ ...interval })
+        }
+    }
+    return merged
+}
+
+/**
+ * Intersects two unions of intervals.
+ * @param {VersionInterval[]} a
+ * @param {VersionInterval[]} b
+ * @returns {VersionInterval[]}
+ */
+export const intersectIntervals = (a, b) => {
+    /** @type {VersionInterval[]} */
+    const intersection = []
+    for (const left of a) {
+        for (const right of b) {
+            const interval = {
+                lower: tighterLower(left.lower, right.lower),
+                upper: tighterUpper(left.upper, right.upper),
+            }
+            if (!isEmptyInterval(interval)) intersection.push(interval)
+        }
+    }
+    return mergeIntervals(intersection)
+}
+
+/**
+ * Formats a single interval using the shortest semver form: an exact version, `^x.y.z` or `~x.y.z` when the upper
+ * bound is the next major or minor, otherwise explicit comparators.
+ * @param {VersionInterval} interval
+ * @returns {string}
+ */
+export const formatInterval = ({ lower, upper }) => {
+    if (!lower && !upper) return "*"
+    const lowerText = lower ? `${lower.inclusive ? ">=" : ">"}${lower.version.version}` : ""
+    const upperText = upper ? `${upper.inclusive ? "<=" : "<"}${upper.version.version}` : ""
+    if (!lower || !upper) return lowerText || upperText
+
+    const from = lower.version
+    const to = upper.version
+    if (lower.inclusive && upper.inclusive && compare(from, to) === 0) return from.version
+    if (lower.inclusive && !upper.inclusive && from.prerelease.length === 0 && to.patch === 0 && to.prerelease.length === 0) {
+        const isNextMajor = to.major === from.major + 1 && to.minor === 0
+        const isNextMinor = to.major === from.major && to.minor === from.minor + 1
+        if (isNextMajor && from.major > 0) return `^${from.version}`
+        if (isNextMinor && (from.major > 0 || from.minor > 0)) return from.major === 0 ? `^${from.version}` : `~${from.version}`
+    }
+    return `${lowerText} ${upperText}`
+}
+
+/**
+ * Formats a union of intervals as a semver range string, alternatives joined with `||`.
+ * @param {VersionInterval[]} intervals
+ * @returns {string | null} The range, or null if the union is empty.
+ */
+export const formatIntervals = intervals =>
+    intervals.length > 0 ? intervals.map(formatInterval).join(" || ") : null
+
+/**
+ * Intersects semver ranges symbolically and returns the simplified result, e.g. `^18 || >=20.5` and `>=18.17`
+ * give `^18.17.0 || >=20.5.0`. Unlike sampling known versions, gaps between alternatives are preserved.
+ * @param {string[]} ranges - The ranges to intersect.
+ * @returns {string | null} The intersection, or null if no version satisfies every range.
+ * @throws {TypeError} If any range is not valid semver.
+ */
+export const intersectRanges = ranges => {
+    /** @type {VersionInterval[]} */
+    let intervals = [{ lower: null, upper: null }]
+    for (const range of ranges) {
+        intervals = intersectIntervals(intervals, parseRangeIntervals(range))
+        if (intervals.length === 0) return null
+    }
+    return formatIntervals(intervals)
+}
+
+/**
+ * Tells whether two ranges allow the same versions however they are written, e.g. `>=20` and `>=20.0.0`. Values that
+ * are not valid ranges only equal themselves.
+ * @param {unknown} a
+ * @param {unknown} b
+ * @returns {boolean}
+ */
+export const isSameRange = (a, b) => {
+    if (a === b) return true
+    if (typeof a !== "string" || typeof b !== "string" || !validRange(a) || !validRange(b)) return false
+    return subset(a, b) && subset(b, a)
+}
+
+/**
+ * Describes some versions as the runs of consecutive known versions they cover, so gaps between them are not hidden.
+ * @param {string[]} versions - The versions to describe, all of them known, oldest first.
+ * @param {string[]} knownVersions - The versions they were picked from, oldest first.
+ * @returns {string} E.g. `16.0.0 to 17.9.1 and 20.0.0`.
+ */
+export const describeVersions = (versions, knownVersions) => {
+    const described = new Set(versions)
+    /** @type {string[][]} */
+    const runs = []
+    let previousIndex = -2
+    knownVersions.forEach((version, index) => {
+        if (!described.has(version)) return
+        if (index === previousIndex + 1) runs[runs.length - 1].push(version)
+        else runs.push([version])
+        previousIndex = index
+    })
+    const descriptions = runs.map(run => (run.length === 1 ? run[0] : `${run[0]} to ${run[run.length - 1]}`))
+    return descriptions.length > 1
+        ? `${descriptions.slice(0, -1).join(", ")} and ${descriptions[descriptions.length - 1]}`
+        : descriptions.join("")
+}
+
+/**
+ * @typedef {object} EngineRangeInput
+ * @property {string | null} [range] - The symbolic intersection of the dependencies' ranges, if it could be computed.
+ * @property {string[]} versions - The known versions satisfying every range, oldest first.
+ * @property {string[]} [ltsVersions] - Versions released as LTS, required for the `ltsOnly` style.
+ */
+
+/**
+ * Joins one caret range per release line (major, or minor below 1.0.0), starting at the oldest version of each line.
+ * @param {string[]} versions - The versions to cover, oldest first.
+ * @param {boolean} openEnded - Whether the newest line is written as `>=` so later majors stay allowed.
+ * @returns {string | null}
+ */
+const toCaretUnion = (versions, openEnded) => {
+    /** @type {Map<string, string>} */
+    const oldestPerLine = new Map()
+    for (const version of versions) {
+        const parsed = new SemVer(version)
+        const line = parsed.major > 0 ? `${parsed.major}` : `0.${parsed.minor}`
+        if (!oldestPerLine.has(line)) oldestPerLine.set(line, parsed.version)
+    }
+    const oldest = [...oldestPerLine.values()]
+    if (oldest.length === 0) return null
+    return oldest
+        .map((version, index) => (openEnded && index === oldest.length - 1 ? `>=${version}` : `^${version}`))
+        .join(" || ")
+}
+
+/**
+ * Formats the recommended engines range in the given style. Every style falls back to exact bounds when it has
+ * nothing to work with (e.g. no symbolic range, or no compatible LTS release for `ltsOnly`, which tries the symbolic
+ * range first), and returns null if no version is compatible.
+ * @param {string} style - One of `ENGINE_RANGE_STYLES`.
+ * @param {EngineRangeInput} input
+ * @returns {string | null}
+ */
+export const formatEngineRange = (style, { range = null, versions, ltsVersions = [] }) => {
+    if (versions.length === 0) return null
+    const exactBounds = `>=${versions[0]} <=${versions[versions.length - 1]}`
+    //? Without an upper bound in the intersection, newer releases are expected to keep working
+    const isUnboundedAbove = range !== null && parseRangeIntervals(range).at(-1)?.upper === null
+
+    switch (style) {
+        case ENGINE_RANGE_STYLES.OPEN_ENDED:
+            return `>=${versions[0]}`
+        case ENGINE_RANGE_STYLES.MAJOR_CARET_UNION:
+            return toCaretUnion(versions, isUnboundedAbove)
+        case ENGINE_RANGE_STYLES.EXACT_BOUNDS:
+            return exactBounds
+        case ENGINE_RANGE_STYLES.LTS_ONLY: {
+            const lts = new Set(ltsVersions)
+            //? When no compatible version is an LTS release yet, recommend the compatible ones rather than nothing
+            return toCaretUnion(versions.filter(version => lts.has(version)), false) ?? range ?? exactBounds
+        }
+        default:
+            return range ?? exactBounds
+    }
+}
@@ -0,0 +1,201 @@
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from "fs"
+import { dirname, join } from "path"
+import { fileURLToPath } from "url"
+import { compare, valid } from "semver"
+import {
+    BUNDLED_NODE_RELEASES_FILENAME,
+    COMMON_NPM_VERSIONS,
+    NODE_RELEASE_INDEX_URL,
+    NODE_RELEASES_FETCH_TIMEOUT_MS,
+    NODE_RELEASES_REFRESH_INTERVAL_MS,
+    UTF8_ENCODING,
+} from "./constants.js"
+
+/**
+ * A single Node.js release, normalized from an entry of the nodejs.org `index.json`.
+ * @typedef {object} NodeRelease
+ * @property {string} version - The version without the leading `v`, e.g. `22.15.0`.
+ * @property {string | null} date - The release date (`YYYY-MM-DD`), if known.
+ * @property {string | null} npm - The npm version bundled with the release, if known.
+ * @property {string | false} lts - The LTS codename (e.g. `Jod`), or false for non-LTS releases.
+ */
+
+/**
+ * @typedef {object} NodeReleaseCache
+ * @property {string} fetchedAt - When the index was downloaded (ISO 8601).
+ * @property {NodeRelease[]} releases - The normalized releases.
+ */
+
+/**
+ * @typedef {object} LoadNodeReleasesOptions
+ * @property {string} [cachePath] - Where to keep the downloaded index between sessions. Without it, nothing is cached.
+ * @property {number} [refreshIntervalMs=NODE_RELEASES_REFRESH_INTERVAL_MS] - How old the cache may get before it is refreshed.
+ * @property {typeof fetch} [fetchImpl=fetch] - The fetch implementation, replaceable for tests.
+ * @property {() => number} [now=Date.now] - The clock, replaceable for tests.
+ */
+
+/** @type {string} */
+const BUNDLED_NODE_RELEASES_PATH = join(dirname(fileURLToPath(import.meta.url)), "data", BUNDLED_NODE_RELEASES_FILENAME)
+
+/**
+ * Normalizes entries in the nodejs.org `index.json` format. Entries without a valid version are dropped, and the
+ * result is sorted oldest first, so the first and last compatible versions are the minimum and maximum.
+ * @param {unknown} entries - The parsed `index.json` array, or a cached/bundled copy of it.
+ * @returns {NodeRelease[]}
+ * @throws {Error} If `entries` is not an array.
+ */
+export const parseNodeReleaseIndex = entries => {
+    if (!Array.isArray(entries)) {
+        throw new Error("Node release index must be an array of releases")
+    }
+    /** @type {NodeRelease[]} */
+    const releases = []
+    for (const entry of entries) {
+        const version = valid(typeof entry?.version === "string" ? entry.version.replace(/^v/, "") : null)
+        if (!version) continue
+        releases.push({
+            version,
+            date: typeof entry.date === "string" ? entry.date : null,
+            npm: typeof entry.npm === "string" && valid(entry.npm) ? entry.npm : null,
+            lts: typeof entry.lts === "string" && entry.lts ? entry.lts : false,
+        })
+    }
+    return releases.sort((a, b) => compare(a.version, b.version))
+}
+
+/**
+ * Reads the snapshot of the release index bundled with the extension, used when offline.
+ * @returns {NodeRelease[]}
+ */
+export const readBundledNodeReleases = () =>
+    parseNodeReleaseIndex(JSON.parse(readFileSync(BUNDLED_NODE_RELEASES_PATH, UTF8_ENCODING)))
+
+/**
+ * Reads a previously cached release index.
+ * @param {string} cachePath - The cache file.
+ * @returns {NodeReleaseCache | null} The cache, or null if it does not exist or cannot be read.
+ */
+export const readCachedNodeReleases = cachePath => {
+    if (!existsSync(cachePath)) return null
+    try {
+        const cache = JSON.parse(readFileSync(cachePath, UTF8_ENCODING))
+        return { fetchedAt: String(cache.fetchedAt), releases: parseNodeReleaseIndex(cache.releases) }
+    } catch (error) {
+        console.warn(`Ignoring unreadable Node release cache ${cachePath}: ${JSON.parse(JSON.stringify(error))?.message ?? error}`)
+        return null
+    }
+}
+
+/**
+ * Writes the release index to the cache, creating its directory if needed.
+ * @param {string} cachePath - The cache file.
+ * @param {NodeRelease[]} releases - The releases to cache.
+ * @param {number} fetchedAt - When the releases were downloaded (epoch milliseconds).
+ * @returns {void}
+ */
+export const writeCachedNodeReleases = (cachePath, releases, fetchedAt) => {
+    mkdirSync(dirname(cachePath), { recursive: true })
+    writeFileSync(cachePath, JSON.stringify({ fetchedAt: new Date(fetchedAt).toISOString(), releases }), UTF8_ENCODING)
+}
+
+/**
+ * Downloads the release index from nodejs.org.
+ * @param {typeof fetch} [fetchImpl=fetch] - The fetch implementation.
+ * @param {string} [url=NODE_RELEASE_INDEX_URL] - The index URL.
+ * @returns {Promise<NodeRelease[]>}
+ * @throws {Error} If the request fails, times out, or returns something other than a release index.
+ */
+export const fetchNodeReleaseIndex = async (fetchImpl = fetch, url = NODE_RELEASE_INDEX_URL) => {
+    const response = await fetchImpl(url, { signal: AbortSignal.timeout(NODE_RELEASES_FETCH_TIMEOUT_MS) })
+    if (!response.ok) {
+        throw new Error(`Fetching ${url} failed with HTTP ${response.status}`)
+    }
+    return parseNodeReleaseIndex(await response.json())
+}
+
+/**
+ * Loads the list of Node.js releases, preferring, in order: a cache younger than the refresh interval, a fresh
+ * download (which refreshes the cache), a stale cache, and finally the bundled snapshot. Never throws.
+ * @param {LoadNodeReleasesOptions} [options]
+ * @returns {Promise<NodeRelease[]>}
+ */
+export const loadNodeReleases = async (options = {}) => {
+    const {
+        cachePath,
+        refreshIntervalMs = NODE_RELEASES_REFRESH_INTERVAL_MS,
+        fetchImpl = fetch,
+        now = Date.now,
+    } = options
+
+    const cache = cachePath ? readCachedNodeReleases(cachePath) : null
+    if (cache && cache.releases.length > 0 && now() - Date.parse(cache.fetchedAt) < refreshIntervalMs) {
+        return cache.releases
+    }
+
+    try {
+        const releases = await fetchNodeReleaseIndex(fetchImpl)
+        if (releases.length === 0) throw new Error("Node release index is empty")
+        if (cachePath) {
+            try {
+                writeCachedNodeReleases(cachePath, releases, now())
+            } catch (error) {
+                console.warn(`Could not cache Node releases at ${cachePath}: ${JSON.parse(JSON.stringify(error))?.message ?? error}`)
+            }
+        }
+        return releases
+    } catch (error) {
+        console.warn(
+            `Could not download Node releases: ${JSON.parse(JSON.stringify(error))?.message ?? error}. Using ${cache ? "cached" : "bundled"} release data.`
+        )
+    }
+
+    return cache && cache.releases.length > 0 ? cache.releases : readBundledNodeReleases()
+}
+
+/**
+ * Lists the versions of the given releases, oldest first, for use as the known Node versions of an analysis.
+ * @param {NodeRelease[]} releases - The releases, as returned by `loadNodeReleases`.
+ * @returns {string[]}
+ */
+export const toKnownNodeVersions = releases => releases.map(release => release.version)
+
+/**
+ * Lists the versions released as LTS, oldest first. Early releases of an LTS line, made before it entered LTS, are not
+ * included.
+ * @param {NodeRelease[]} releases - The releases, as returned by `loadNodeReleases`.
+ * @returns {string[]}
+ */
+export const toLtsNodeVersions = releases => releases.filter(release => release.lts).map(release => release.version)
+
+/**
+ * Builds a catalog of npm versions from the `npm` field of each release, mapping every npm version to the Node releases
+ * that bundle it. Releases whose npm version is unknown are left out.
+ * @param {NodeRelease[]} releases - The releases, as returned by `loadNodeReleases`.
+ * @returns {Map<string, string[]>} npm version to Node versions (oldest first), ordered by npm version.
+ */
+export const buildNpmCatalog = releases => {
+    /** @type {Map<string, string[]>} */
+    const catalog = new Map()
+    for (const { version, npm } of releases) {
+        if (!npm) continue
+        catalog.set(npm, [...(catalog.get(npm) ?? []), version].sort(compare))
+    }
+    return new Map([...catalog].sort(([a], [b]) => compare(a, b)))
+}
+
+/**
+ * Looks up the npm version each Node release bundles.
+ * @param {NodeRelease[]} releases - The releases, as returned by `loadNodeReleases`.
+ * @returns {Map<string, string>} Node version to bundled npm version, for releases where it is known.
+ */
+export const toBundledNpmVersions = releases =>
+    new Map(releases.flatMap(({ version, npm }) => (npm ? [[version, npm]] : [])))
+
+/**
+ * Lists every npm version bundled with a Node release, plus the common npm versions (which also covers releases whose
+ * bundled npm is unknown), oldest first, for use as the known npm versions of an analysis.
+ * @param {NodeRelease[]} releases - The releases, as returned by `loadNodeReleases`.
+ * @returns {string[]}
+ */
+export const toKnownNpmVersions = releases =>
+    [...new Set([...buildNpmCatalog(releases).keys(), ...COMMON_NPM_VERSIONS])].sort(compare)
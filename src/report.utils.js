@@ -0,0 +1,443 @@
+import { readFileSync } from "fs"
+import { dirname, join, relative, sep } from "path"
+import { validRange } from "semver"
+import { formatRecommendedEngines } from "./analysis.utils.js"
+import {
+    CLI_NAME,
+    ENGINE_LABELS,
+    ENGINES_MISMATCH_KINDS,
+    NOTE_NO_DEPENDENCIES,
+    REPORT_FORMATS,
+    REPORT_MISMATCH_LEVELS,
+    REPORT_RULE_IDS,
+    REPORT_SCHEMA_VERSION,
+    REPORT_TOOL_URL,
+    SARIF_SCHEMA_URL,
+    SARIF_VERSION,
+    UTF8_ENCODING,
+} from "./constants.js"
+import { summarizeConflict } from "./constraints.utils.js"
+import { locateJsonProperty, parseManifest } from "./manifest.utils.js"
+import { findEnginesMismatches } from "./mismatch.utils.js"
+import { toKnownNodeVersions, toKnownNpmVersions, toLtsNodeVersions } from "./releases.utils.js"
+import { findNodeVersionPins, planNodeVersionPinUpdates } from "./runtime.utils.js"
+
+/**
+ * What a report is built with, e.g. the settings of the analyzed workspace folder.
+ * @typedef {object} ReportContext
+ * @property {string} rootPath - The directory paths in the report are relative to, e.g. the workspace folder.
+ * @property {import('./releases.utils.js').NodeRelease[]} nodeReleases - Known Node.js releases.
+ * @property {import('./analysis.utils.js').EngineRangeStyles} styles - The styles of the recommended ranges.
+ * @property {string} versionPinTarget - The version pins outside the range are rewritten to, one of `VERSION_PIN_TARGETS`.
+ */
+
+/**
+ * @typedef {object} ReportEngines
+ * @property {string | null} node - The Node.js range, if any.
+ * @property {string | null} npm - The NPM range, if any.
+ */
+
+/**
+ * @typedef {object} ReportEngineRange
+ * @property {string | null} range - The intersection of every enforced range, or null if it is empty or could not be computed.
+ * @property {string | null} min - The oldest compatible known version.
+ * @property {string | null} max - The newest compatible known version.
+ */
+
+/**
+ * @typedef {object} ReportDependency
+ * @property {string} name - The package name.
+ * @property {string | null} version - The installed version, or null if it is not installed.
+ * @property {string | null} path - Where it was read from, relative to the report's root with `/` separators.
+ * @property {string | null} requiredBy - The package that depends on it, or null for direct dependencies.
+ * @property {string} directDependency - The direct dependency of the project it was reached through.
+ * @property {string | null} category - The category of that direct dependency, e.g. `devDependencies`.
+ * @property {string} mode - How the category counts, one of `DEPENDENCY_CATEGORY_MODES`.
+ * @property {ReportEngines} engines - The ranges it declares.
+ * @property {string[]} bounds - The recommended bounds it sets, e.g. `node.min` or `npm.max`.
+ */
+
+/**
+ * @typedef {object} ReportEngineConstraint
+ * @property {"node" | "npm"} engine - The engine the range is for.
+ * @property {string} name - The package that declares it.
+ * @property {string | null} version - Its installed version.
+ * @property {string} range - The declared range.
+ * @property {string | null} [category] - The category of the direct dependency it was reached through.
+ */
+
+/**
+ * The analysis of one project. Fields are only ever added to this shape; see `REPORT_SCHEMA_VERSION`.
+ * @typedef {object} ProjectReport
+ * @property {string} name - The project's name, e.g. the workspace package name.
+ * @property {string} packageJson - The project's package.json, relative to the report's root with `/` separators.
+ * @property {string | null} source - Where the dependency tree was read from, e.g. `node_modules` or a lockfile.
+ * @property {Record<string, unknown> | null} declaredEngines - The `engines` the package.json declares.
+ * @property {{ node: ReportEngineRange, npm: ReportEngineRange }} compatible - What every enforced dependency supports.
+ * @property {{ engines: ReportEngines, devEngines: ReportEngines }} recommended - The ranges to write, in the configured styles.
+ * @property {{ label: string, path: string, spec: string, updatedSpec: string }[]} versionPinUpdates - The Node.js version pins outside the recommended range.
+ * @property {ReportDependency[]} dependencies - Every analyzed dependency.
+ * @property {string[]} dependenciesWithoutEngines - The analyzed dependencies that declare no engines, as `name@version`.
+ * @property {ReportEngineConstraint[]} invalidRanges - Declared ranges that are not valid semver, treated as supporting no version.
+ * @property {ReportEngineConstraint[]} conflicts - If no version is compatible, a minimal set of ranges that cannot be satisfied together.
+ * @property {(import('./constraints.utils.js').ConflictResolution & { engine: "node" | "npm" })[]} conflictResolutions - Versions of the conflicting dependencies that would fix the conflicts.
+ * @property {ReportEngineConstraint[]} warnings - Ranges of dependencies counted as warnings that reject part of the recommended range.
+ * @property {{ kind: string, level: string, engine: "node" | "npm", path: string[], part: "key" | "value", message: string }[]} mismatches - Where the declared `engines` disagree with the dependencies.
+ */
+
+/**
+ * @typedef {object} EnginesReport
+ * @property {number} schemaVersion - See `REPORT_SCHEMA_VERSION`.
+ * @property {{ name: string, url: string }} tool - What wrote the report.
+ * @property {ProjectReport[]} projects - One entry per analyzed project.
+ */
+
+/**
+ * The SARIF rules, one per mismatch kind and per `REPORT_RULE_IDS`.
+ * @type {{ id: string, level: string, text: string }[]}
+ */
+const SARIF_RULES = [
+    ...[
+        [ENGINES_MISMATCH_KINDS.INVALID_RANGE, "The declared engines range is not a valid semver range."],
+        [ENGINES_MISMATCH_KINDS.MISSING_RANGE, "Dependencies restrict the engine, but package.json declares no range for it."],
+        [ENGINES_MISMATCH_KINDS.ALLOWS_REJECTED, "The declared engines range allows versions a dependency does not support."],
+        [ENGINES_MISMATCH_KINDS.STRICTER_THAN_NEEDED, "The declared engines range excludes versions every dependency supports."],
+        [ENGINES_MISMATCH_KINDS.DEPENDENCY_EXCLUDES, "A dependency does not support part of the declared engines range."],
+    ].map(([id, text]) => ({ id, level: REPORT_MISMATCH_LEVELS[id], text })),
+    { id: REPORT_RULE_IDS.INVALID_DEPENDENCY_RANGE, level: "warning", text: "A dependency declares an engines range that is not valid semver." },
+    { id: REPORT_RULE_IDS.NO_COMPATIBLE_VERSION, level: "error", text: "No version of the engine satisfies every dependency." },
+]
+
+/**
+ * @param {string} rootPath
+ * @param {string} path
+ * @returns {string} The path relative to the root, with `/` separators on every platform.
+ */
+const toPortablePath = (rootPath, path) => relative(rootPath, path).split(sep).join("/")
+
+/**
+ * Lists the projects of an analysis the way the analyze command summarizes them: the project itself, or for a
+ * monorepo the range every package supports for the root and then each package. Projects without dependencies are
+ * left out.
+ * @param {string} rootName - The name of the project, or of the monorepo root.
+ * @param {{ result: import('./analysis.utils.js').ProjectAnalysisResult | null, workspaceResult: import('./analysis.utils.js').WorkspaceAnalysisResult | null }} analysis
+ * @returns {{ name: string, result: import('./analysis.utils.js').ProjectAnalysisResult }[]}
+ */
+export const listReportedProjects = (rootName, { result, workspaceResult }) => {
+    const projects = workspaceResult
+        ? [{ name: `${rootName} (every package)`, result: workspaceResult.aggregate }, ...workspaceResult.packages]
+        : result ? [{ name: rootName, result }] : []
+    return projects.filter(({ result }) => result.note !== NOTE_NO_DEPENDENCIES)
+}
+
+/**
+ * Describes the analysis of a project for a report, with the mismatches of its package.json as it is on disk.
+ * @param {string} name - The project's name.
+ * @param {import('./analysis.utils.js').ProjectAnalysisResult} result - The project's analysis.
+ * @param {ReportContext} context
+ * @returns {ProjectReport}
+ * @throws {Error} If the project's package.json cannot be read or parsed.
+ */
+export const toProjectReport = (name, result, { rootPath, nodeReleases, styles, versionPinTarget }) => {
+    const manifest = parseManifest(readFileSync(result.projectPackageJsonPath, UTF8_ENCODING))
+    const { nodeEngineString, npmEngineString, developmentNodeEngineString, developmentNpmEngineString } =
+        formatRecommendedEngines(result, styles, toLtsNodeVersions(nodeReleases))
+    //? Pins select the Node.js developers run, so they follow the development range when there is one
+    const pinRange = developmentNodeEngineString ?? nodeEngineString
+    const versionPinUpdates = pinRange
+        ? planNodeVersionPinUpdates(
+            findNodeVersionPins(dirname(result.projectPackageJsonPath), nodeReleases), pinRange, nodeReleases, versionPinTarget
+        )
+        : []
+
+    /** @type {Map<string, string[]>} */
+    const bounds = new Map()
+    for (const engine of /** @type {const} */ (["node", "npm"])) {
+        const binding = result[`${engine}BindingConstraints`]
+        for (const [bound, constraints] of [["min", binding?.lower ?? []], ["max", binding?.upper ?? []]]) {
+            for (const { name: depName, path } of constraints) {
+                const key = `${path}\0${depName}`
+                bounds.set(key, [...bounds.get(key) ?? [], `${engine}.${bound}`])
+            }
+        }
+    }
+
+    /** @type {ReportDependency[]} */
+    const dependencies = (result.dependencies ?? []).map(dependency => ({
+        name: dependency.name,
+        version: dependency.version,
+        path: dependency.path ? toPortablePath(rootPath, dependency.path) : null,
+        requiredBy: dependency.requiredBy,
+        directDependency: dependency.directDependency,
+        category: dependency.category,
+        mode: dependency.mode,
+        engines: {
+            node: typeof dependency.engines?.node === "string" ? dependency.engines.node : null,
+            npm: typeof dependency.engines?.npm === "string" ? dependency.engines.npm : null,
+        },
+        bounds: bounds.get(`${dependency.path}\0${dependency.name}`) ?? [],
+    }))
+
+    /**
+     * @param {"node" | "npm"} engine
+     * @param {import('./constraints.utils.js').EngineConstraint} constraint
+     * @returns {ReportEngineConstraint}
+     */
+    const toReportConstraint = (engine, { name: depName, version, range, category }) =>
+        ({ engine, name: depName, version, range, category: category ?? null })
+
+    return {
+        name,
+        packageJson: toPortablePath(rootPath, result.projectPackageJsonPath),
+        source: result.source ?? null,
+        declaredEngines: result.declaredEngines ?? null,
+        compatible: {
+            node: { range: result.nodeRange ?? null, min: result.minNode, max: result.maxNode },
+            npm: { range: result.npmRange ?? null, min: result.minNpm, max: result.maxNpm },
+        },
+        recommended: {
+            engines: { node: nodeEngineString, npm: npmEngineString },
+            devEngines: { node: developmentNodeEngineString, npm: developmentNpmEngineString },
+        },
+        versionPinUpdates: versionPinUpdates.map(({ pin, spec }) =>
+            ({ label: pin.label, path: toPortablePath(rootPath, pin.path), spec: pin.spec, updatedSpec: spec })
+        ),
+        dependencies,
+        dependenciesWithoutEngines: dependencies
+            .filter(({ version, engines }) => version && !engines.node && !engines.npm)
+            .map(({ name: depName, version }) => `${depName}@${version}`),
+        invalidRanges: dependencies.flatMap(({ name: depName, version, engines, category }) =>
+            /** @type {const} */ (["node", "npm"])
+                .filter(engine => engines[engine] !== null && !validRange(engines[engine]))
+                .map(engine => ({ engine, name: depName, version, range: /** @type {string} */ (engines[engine]), category }))
+        ),
+        conflicts: [
+            ...(result.nodeBindingConstraints?.conflicts ?? []).map(constraint => toReportConstraint("node", constraint)),
+            ...(result.npmBindingConstraints?.conflicts ?? []).map(constraint => toReportConstraint("npm", constraint)),
+        ],
+        conflictResolutions: [
+            ...(result.nodeConflictResolutions ?? []).map(resolution => ({ engine: /** @type {const} */ ("node"), ...resolution })),
+            ...(result.npmConflictResolutions ?? []).map(resolution => ({ engine: /** @type {const} */ ("npm"), ...resolution })),
+        ],
+        warnings: [
+            ...(result.nodeConstraintWarnings ?? []).map(({ constraint }) => toReportConstraint("node", constraint)),
+            ...(result.npmConstraintWarnings ?? []).map(({ constraint }) => toReportConstraint("npm", constraint)),
+        ],
+        mismatches: [
+            ...findEnginesMismatches(manifest, "node", result.nodeConstraints ?? [], toKnownNodeVersions(nodeReleases)),
+            ...findEnginesMismatches(manifest, "npm", result.npmConstraints ?? [], toKnownNpmVersions(nodeReleases)),
+        ].map(({ kind, engine, path, part, message }) => ({ kind, level: REPORT_MISMATCH_LEVELS[kind], engine, path, part, message })),
+    }
+}
+
+/**
+ * Builds a report of several projects.
+ * @param {{ name: string, result: import('./analysis.utils.js').ProjectAnalysisResult }[]} projects - See `listReportedProjects`.
+ * @param {ReportContext} context
+ * @returns {EnginesReport}
+ */
+export const toEnginesReport = (projects, context) => ({
+    schemaVersion: REPORT_SCHEMA_VERSION,
+    tool: { name: CLI_NAME, url: REPORT_TOOL_URL },
+    projects: projects.map(({ name, result }) => toProjectReport(name, result, context)),
+})
+
+/**
+ * @param {string | null | undefined} value
+ * @returns {string} The value as inline code in a Markdown table cell, or an em dash if there is none.
+ */
+const toMarkdownCode = value => value ? `\`${value.replace(/\|/g, "\\|")}\`` : "—"
+
+/**
+ * Formats a report as Markdown, e.g. for a pull request comment.
+ * @param {EnginesReport} report
+ * @returns {string}
+ */
+export const formatMarkdownReport = report => {
+    /** @type {string[]} */
+    const lines = ["# Node Support Range Report"]
+    if (report.projects.length === 0) lines.push("", NOTE_NO_DEPENDENCIES)
+    for (const project of report.projects) {
+        const declared = project.declaredEngines ?? {}
+        lines.push(
+            "",
+            `## ${project.name}`,
+            "",
+            `\`${project.packageJson}\`${project.source ? `, based on \`${project.source}\`` : ""}.`,
+            "",
+            "| Engine | Declared | Compatible | Recommended | Development |",
+            "| --- | --- | --- | --- | --- |",
+            ...(/** @type {const} */ (["node", "npm"])).map(engine => [
+                ENGINE_LABELS[engine],
+                toMarkdownCode(typeof declared[engine] === "string" ? declared[engine] : null),
+                project.compatible[engine].min
+                    ? `${project.compatible[engine].min} to ${project.compatible[engine].max}`
+                    : "—",
+                toMarkdownCode(project.recommended.engines[engine]),
+                toMarkdownCode(project.recommended.devEngines[engine]),
+            ].join(" | ")).map(row => `| ${row} |`)
+        )
+        if (project.mismatches.length > 0) {
+            lines.push("", "### Mismatches", "", ...project.mismatches.map(({ level, path, message }) =>
+                `- **${level}** \`${path.join(".")}\`: ${message}`
+            ))
+        }
+        if (project.conflicts.length > 0) {
+            lines.push("", "### Conflicts", "", ...project.conflicts.map(({ engine, name, version, range }) =>
+                `- ${ENGINE_LABELS[engine]}: ${name}@${version} requires ${toMarkdownCode(range)}`
+            ), ...project.conflictResolutions.map(({ direction, name, from, to, range }) =>
+                `- Try to ${direction} ${name} from ${from} to ${to}${range ? ` (requires ${toMarkdownCode(range)})` : ""}`
+            ))
+        }
+        if (project.invalidRanges.length > 0) {
+            lines.push("", "### Invalid Ranges", "", ...project.invalidRanges.map(({ engine, name, version, range }) =>
+                `- ${name}@${version} declares \`engines.${engine}\` ${toMarkdownCode(range)}, which supports no version`
+            ))
+        }
+        if (project.versionPinUpdates.length > 0) {
+            lines.push("", "### Version Pins Outside the Range", "", ...project.versionPinUpdates.map(({ path, spec, updatedSpec }) =>
+                `- \`${path}\`: ${toMarkdownCode(spec)} → ${toMarkdownCode(updatedSpec)}`
+            ))
+        }
+        lines.push(
+            "",
+            "### Dependencies",
+            "",
+            "| Package | Version | Category | `engines.node` | `engines.npm` | Sets |",
+            "| --- | --- | --- | --- | --- | --- |",
+            ...project.dependencies.map(({ name, version, requiredBy, category, mode, engines, bounds }) => `| ${[
+                requiredBy ? `${name} (via ${requiredBy})` : name,
+                version ?? "not installed",
+                `${category ?? "—"} (${mode})`,
+                toMarkdownCode(engines.node),
+                toMarkdownCode(engines.npm),
+                bounds.join(", ") || "—",
+            ].join(" | ")} |`)
+        )
+        if (project.dependenciesWithoutEngines.length > 0) {
+            lines.push("", `Declaring no engines: ${project.dependenciesWithoutEngines.join(", ")}.`)
+        }
+    }
+    return `${lines.join("\n")}\n`
+}
+
+/**
+ * Converts a character range of a text into a SARIF region, with 1-based lines and columns.
+ * @param {string} text
+ * @param {{ offset: number, length: number }} location
+ * @returns {{ startLine: number, startColumn: number, endLine: number, endColumn: number }}
+ */
+const toSarifRegion = (text, { offset, length }) => {
+    /** @param {number} at */
+    const toPosition = at => {
+        const lines = text.slice(0, at).split("\n")
+        return { line: lines.length, column: lines[lines.length - 1].length + 1 }
+    }
+    const start = toPosition(offset)
+    const end = toPosition(offset + length)
+    return { startLine: start.line, startColumn: start.column, endLine: end.line, endColumn: end.column }
+}
+
+/**
+ * Formats a report as a SARIF 2.1 log for code scanning, with each result pointing into the project's package.json.
+ * @param {EnginesReport} report
+ * @param {string} rootPath - The directory the report's paths are relative to, to locate properties in package.json.
+ * @returns {string}
+ */
+export const formatSarifReport = (report, rootPath) => {
+    const results = report.projects.flatMap(project => {
+        /** @type {string | null} */
+        let text = null
+        try {
+            text = readFileSync(join(rootPath, project.packageJson), UTF8_ENCODING)
+        } catch {
+            //? Results without a region still point at the file
+        }
+        /**
+         * @param {string[] | null} path - The property to point at, or null for the whole file.
+         * @param {"key" | "value"} [part]
+         */
+        const toLocation = (path, part = "value") => {
+            const location = text !== null && path ? locateJsonProperty(text, path, part) : null
+            return {
+                physicalLocation: {
+                    artifactLocation: { uri: project.packageJson, uriBaseId: "%SRCROOT%" },
+                    ...(text !== null && location && { region: toSarifRegion(text, location) }),
+                },
+            }
+        }
+        const declared = project.declaredEngines ?? {}
+        return [
+            ...project.mismatches.map(({ kind, level, path, part, message }) => ({
+                ruleId: kind,
+                level,
+                message: { text: message },
+                locations: [toLocation(path, part)],
+            })),
+            ...project.invalidRanges.map(({ engine, name, version, range, category }) => {
+                const dependency = project.dependencies.find(dep => dep.name === name && dep.version === version)
+                return {
+                    ruleId: REPORT_RULE_IDS.INVALID_DEPENDENCY_RANGE,
+                    level: "warning",
+                    message: {
+                        text: `${name}@${version} declares engines.${engine} "${range}", which is not a valid range, so no ${ENGINE_LABELS[engine]} version is considered compatible.`,
+                    },
+                    locations: [toLocation(category && dependency ? [category, dependency.directDependency] : null, "key")],
+                }
+            }),
+            ...(/** @type {const} */ (["node", "npm"])).flatMap(engine => {
+                const conflicts = project.conflicts.filter(conflict => conflict.engine === engine)
+                if (conflicts.length === 0) return []
+                return [{
+                    ruleId: REPORT_RULE_IDS.NO_COMPATIBLE_VERSION,
+                    level: "error",
+                    message: {
+                        text: summarizeConflict(
+                            ENGINE_LABELS[engine],
+                            conflicts.map(({ name, version, range }) => ({ name, version, range, path: null, requiredBy: null })),
+                            project.conflictResolutions.filter(resolution => resolution.engine === engine)
+                        ),
+                    },
+                    locations: [toLocation(declared[engine] !== undefined ? ["engines", engine] : null)],
+                }]
+            }),
+        ]
+    })
+
+    return `${JSON.stringify({
+        $schema: SARIF_SCHEMA_URL,
+        version: SARIF_VERSION,
+        runs: [{
+            tool: {
+                driver: {
+                    name: report.tool.name,
+                    informationUri: report.tool.url,
+                    rules: SARIF_RULES.map(({ id, level, text }) => ({
+                        id,
+                        shortDescription: { text },
+                        defaultConfiguration: { level },
+                    })),
+                },
+            },
+            results,
+        }],
+    }, null, 2)}\n`
+}
+
+/**
+ * Formats a report in one of `REPORT_FORMATS`.
+ * @param {EnginesReport} report
+ * @param {string} format - One of `REPORT_FORMATS`.
+ * @param {string} rootPath - The directory the report's paths are relative to.
+ * @returns {string}
+ */
+export const formatReport = (report, format, rootPath) => {
+    switch (format) {
+        case REPORT_FORMATS.MARKDOWN:
+            return formatMarkdownReport(report)
+        case REPORT_FORMATS.SARIF:
+            return formatSarifReport(report, rootPath)
+        default:
+            return `${JSON.stringify(report, null, 2)}\n`
+    }
+}
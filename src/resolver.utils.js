@@ -0,0 +1,179 @@
+import { existsSync, readFileSync, realpathSync } from "fs"
+import { basename, dirname, join } from "path"
+import {
+    NODE_MODULES_DIRNAME,
+    PACKAGE_JSON_FILENAME,
+    TRANSITIVE_DEPENDENCY_KEYS,
+    UTF8_ENCODING,
+} from "./constants.js"
+
+/**
+ * @typedef {object} PackageEngines
+ * @property {string} [node] - The declared `engines.node` range.
+ * @property {string} [npm] - The declared `engines.npm` range.
+ */
+
+/**
+ * @typedef {object} InstalledDependency
+ * @property {string} name - The package name as it was requested by its parent.
+ * @property {string | null} version - The installed version, or null if no manifest could be read.
+ * @property {string | null} path - The directory the package resolved to (or its lockfile entry), or null if it is not installed.
+ * @property {PackageEngines | null} engines - The declared engines, or null if none are declared or the manifest could not be read.
+ * @property {number} depth - 0 for direct dependencies of the project, increasing for each level below.
+ * @property {string | null} requiredBy - The name of the package that depends on this one, or null for direct dependencies.
+ * @property {string} directDependency - The direct dependency of the project this package was first reached through (its own name at depth 0).
+ */
+
+/**
+ * Where the dependency tree is read from. Locations are opaque to the walker: directories for an installed
+ * `node_modules`, `packages` keys for a lockfile.
+ * @typedef {object} DependencySource
+ * @property {string} root - The location of the project itself.
+ * @property {(depName: string, fromLocation: string) => string | null} resolve - Locates `depName` as required by the package at `fromLocation`.
+ * @property {(location: string) => string} realLocation - The canonical location, used to visit each package once and to resolve its own dependencies.
+ * @property {(location: string) => Record<string, any>} readManifest - Reads the manifest (or lockfile entry) at a location. Throws if it cannot be read.
+ * @property {(location: string) => string} toPath - The filesystem path reported for a location.
+ */
+
+/**
+ * @typedef {object} WalkOptions
+ * @property {string} [boundary] - The highest directory to search for `node_modules`. Defaults to the filesystem root, as Node does.
+ * @property {DependencySource} [source] - Where to read the tree from. Defaults to the installed `node_modules` below the project.
+ * @property {(dependency: InstalledDependency) => void} [onVisit] - Called once for every dependency as it is resolved.
+ * @property {number} [maxDepth] - The deepest level to visit, e.g. 0 for the direct dependencies only. Defaults to the whole tree.
+ */
+
+/**
+ * Resolves a package the way Node's `require` would: looks in `<dir>/node_modules/<name>` starting from
+ * `fromDir` and walking up through every ancestor directory, skipping directories that are themselves `node_modules`.
+ * @param {string} depName - The package name, including its scope if any.
+ * @param {string} fromDir - The directory of the package that requires `depName`.
+ * @param {string} [boundary] - Stop searching once this directory has been checked.
+ * @returns {string | null} The directory of the resolved package, or null if it is not installed.
+ */
+export const resolvePackageDirectory = (depName, fromDir, boundary) => {
+    let dir = fromDir
+    for (;;) {
+        if (basename(dir) !== NODE_MODULES_DIRNAME) {
+            const candidate = join(dir, NODE_MODULES_DIRNAME, depName)
+            if (existsSync(join(candidate, PACKAGE_JSON_FILENAME))) {
+                return candidate
+            }
+        }
+        const parent = dirname(dir)
+        if (dir === boundary || parent === dir) {
+            return null
+        }
+        dir = parent
+    }
+}
+
+/**
+ * Reads the real location of a package directory so symlinked installs (pnpm, `npm link`) resolve their own
+ * dependencies from where they actually live.
+ * @param {string} packageDir - The directory to resolve.
+ * @returns {string}
+ */
+const toRealPath = packageDir => {
+    try {
+        return realpathSync(packageDir)
+    } catch {
+        return packageDir
+    }
+}
+
+/**
+ * Creates a source that reads the packages installed in `node_modules` on disk.
+ * @param {string} projectPath - The root directory of the project.
+ * @param {string} [boundary] - The highest directory to search for `node_modules`.
+ * @returns {DependencySource}
+ */
+export const createInstalledSource = (projectPath, boundary) => ({
+    root: projectPath,
+    resolve: (depName, fromLocation) => resolvePackageDirectory(depName, fromLocation, boundary),
+    realLocation: toRealPath,
+    readManifest: location => JSON.parse(readFileSync(join(location, PACKAGE_JSON_FILENAME), UTF8_ENCODING)),
+    toPath: location => location,
+})
+
+/**
+ * Walks the dependency tree starting from the given direct dependencies, following each package's own
+ * `dependencies` and `optionalDependencies`. Every package is visited once, so dependency cycles terminate.
+ * @param {string} projectPath - The root directory of the project.
+ * @param {string[]} depNames - The names of the project's direct dependencies.
+ * @param {WalkOptions} [options]
+ * @returns {InstalledDependency[]} One entry per visited dependency, direct dependencies first.
+ */
+export const walkDependencyTree = (projectPath, depNames, options = {}) => {
+    const { boundary, onVisit, maxDepth = Infinity } = options
+    const source = options.source ?? createInstalledSource(projectPath, boundary)
+
+    /** @type {InstalledDependency[]} */
+    const visited = []
+
+    /** @type {Set<string>} - Real package locations, plus `missing:<name>` keys for packages that are not installed */
+    const seenLocations = new Set()
+
+    /** @type {{ name: string, fromLocation: string, depth: number, requiredBy: string | null, directDependency: string }[]} */
+    const queue = depNames.map(name => ({ name, fromLocation: source.root, depth: 0, requiredBy: null, directDependency: name }))
+
+    //? Breadth-first so direct dependencies are reported before anything they pull in
+    while (queue.length > 0) {
+        const { name, fromLocation, depth, requiredBy, directDependency } = /** @type {typeof queue[number]} */ (queue.shift())
+        const location = source.resolve(name, fromLocation)
+
+        if (!location) {
+            if (seenLocations.has(`missing:${name}`)) continue
+            seenLocations.add(`missing:${name}`)
+            if (depth === 0) {
+                console.warn(
+                    `${PACKAGE_JSON_FILENAME} not found for ${name}. It might be bundled or not installed. Assuming non-restrictive.`
+                )
+            }
+            const dependency = { name, version: null, path: null, engines: null, depth, requiredBy, directDependency }
+            visited.push(dependency)
+            onVisit?.(dependency)
+            continue
+        }
+
+        const realLocation = source.realLocation(location)
+        if (seenLocations.has(realLocation)) continue //* Already visited, either a shared dependency or a cycle
+        seenLocations.add(realLocation)
+
+        /** @type {Record<string, any>} */
+        let manifest
+        try {
+            manifest = source.readManifest(realLocation)
+        } catch (error) {
+            console.warn(
+                `Could not parse ${PACKAGE_JSON_FILENAME} for dependency ${name}: ${JSON.parse(JSON.stringify(error))?.message ?? error}. Assuming non-restrictive.`
+            )
+            const dependency = { name, version: null, path: source.toPath(location), engines: null, depth, requiredBy, directDependency }
+            visited.push(dependency)
+            onVisit?.(dependency)
+            continue
+        }
+
+        /** @type {InstalledDependency} */
+        const dependency = {
+            name,
+            version: typeof manifest.version === "string" ? manifest.version : null,
+            path: source.toPath(location),
+            engines: manifest.engines && typeof manifest.engines === "object" && !Array.isArray(manifest.engines) ? manifest.engines : null,
+            depth,
+            requiredBy,
+            directDependency,
+        }
+        visited.push(dependency)
+        onVisit?.(dependency)
+
+        if (depth >= maxDepth) continue
+        for (const key of TRANSITIVE_DEPENDENCY_KEYS) {
+            for (const childName of Object.keys(manifest[key] || {})) {
+                queue.push({ name: childName, fromLocation: realLocation, depth: depth + 1, requiredBy: name, directDependency })
+            }
+        }
+    }
+
+    return visited
+}
@@ -0,0 +1,237 @@
+import { execFile } from "child_process"
+import { existsSync, readFileSync } from "fs"
+import { dirname, join } from "path"
+import { promisify } from "util"
+import { maxSatisfying, satisfies, valid, validRange } from "semver"
+import {
+    DEFAULT_NODE_PATH,
+    DEFAULT_VERSION_PIN_TARGET,
+    NODE_VERSION_COMMAND_TIMEOUT_MS,
+    NODE_VERSION_PIN_FILENAMES,
+    NVMRC_FILENAME,
+    PACKAGE_JSON_FILENAME,
+    TOOL_VERSIONS_FILENAME,
+    TOOL_VERSIONS_NODE_NAMES,
+    UTF8_ENCODING,
+    VERSION_PIN_TARGETS,
+    VOLTA_NODE_LABEL,
+    VOLTA_SOURCE_NAME,
+} from "./constants.js"
+
+/**
+ * The Node.js version a project runs with, and where it was found.
+ * @typedef {object} SelectedNodeVersion
+ * @property {string} version - The exact version, e.g. `20.11.1`.
+ * @property {string} source - Where it was found: `Volta`, the path of the version manager's file, or the Node.js
+ * executable.
+ */
+
+/**
+ * A file or package.json field that pins the project's Node.js version for a version manager.
+ * @typedef {object} NodeVersionPin
+ * @property {string} label - What the pin is called, e.g. `.nvmrc` or `volta.node`.
+ * @property {string} path - The file the version is written in.
+ * @property {string} spec - The version as written, e.g. `lts/iron`, `20` or `v20.11.1`.
+ * @property {string | null} version - The exact version it resolves to, or null if it cannot be resolved.
+ */
+
+/**
+ * A pin outside the recommended range, with the version to write instead.
+ * @typedef {object} NodeVersionPinUpdate
+ * @property {NodeVersionPin} pin - The pin to rewrite.
+ * @property {string} spec - The new version as written, in the style of the old one.
+ * @property {string} version - The exact version the new spec resolves to.
+ */
+
+/**
+ * Resolves a Node.js version as nvm and Volta write it: an exact or partial version (`20`, `v18.17`), an alias
+ * (`node`, `stable`, `latest`), or an LTS line (`lts/*`, `lts/iron`, `lts/-1`). Partial versions resolve to the newest
+ * matching release, as `nvm install` does.
+ * @param {string} spec - The version as written.
+ * @param {import('./releases.utils.js').NodeRelease[]} releases - Known releases, oldest first.
+ * @returns {string | null} The exact version, or null if it cannot be resolved (e.g. `system`).
+ */
+export const resolveNodeVersionSpec = (spec, releases) => {
+    const normalized = spec.trim().toLowerCase().replace(/^v(?=\d)/, "")
+    const versions = releases.map(({ version }) => version)
+
+    if (["node", "stable", "latest", "current"].includes(normalized)) return versions[versions.length - 1] ?? null
+
+    const ltsName = normalized.match(/^lts\/(.+)$/)?.[1]
+    if (ltsName) {
+        //? Newest first, one entry per LTS line, so `lts/*` is the first and `lts/-1` the next
+        const lines = [...new Set(releases.filter(({ lts }) => lts).map(({ lts }) => String(lts).toLowerCase()))].reverse()
+        const offset = ltsName === "*" ? 0 : ltsName.match(/^-(\d+)$/)?.[1]
+        const line = offset !== undefined ? lines[Number(offset)] : lines.find(name => name === ltsName)
+        return releases.filter(({ lts }) => lts && String(lts).toLowerCase() === line).pop()?.version ?? null
+    }
+
+    if (!validRange(normalized)) return null
+    return maxSatisfying(versions, normalized) ?? valid(normalized)
+}
+
+/**
+ * Finds the closest `.nvmrc`, looking in the project and its parent directories as nvm does.
+ * @param {string} projectPath - The root path of the project.
+ * @returns {{ path: string, spec: string } | null} The file and the version it names, or null if there is none.
+ */
+export const findNvmrc = projectPath => {
+    for (let dir = projectPath; ; dir = dirname(dir)) {
+        const nvmrcPath = join(dir, NVMRC_FILENAME)
+        if (existsSync(nvmrcPath)) {
+            //? Only the first line counts; nvm ignores comments after it
+            const spec = readFileSync(nvmrcPath, UTF8_ENCODING).split(/\r?\n/)[0].replace(/#.*$/, "").trim()
+            return spec ? { path: nvmrcPath, spec } : null
+        }
+        if (dirname(dir) === dir) return null
+    }
+}
+
+/**
+ * Asks a Node.js executable for its version.
+ * @param {string} [nodePath="node"] - The executable to run.
+ * @returns {Promise<string | null>} The version, or null if it could not be run in time.
+ */
+export const getNodeExecutableVersion = async (nodePath = DEFAULT_NODE_PATH) => {
+    try {
+        const { stdout } = await promisify(execFile)(nodePath, ["--version"], { timeout: NODE_VERSION_COMMAND_TIMEOUT_MS })
+        return valid(stdout.trim())
+    } catch (error) {
+        console.warn(`Could not run ${nodePath} --version: ${JSON.parse(JSON.stringify(error))?.message ?? error}`)
+        return null
+    }
+}
+
+/**
+ * Determines the Node.js version a project runs with, preferring a Volta pin in package.json, then the project's
+ * `.nvmrc`, `.node-version` or `.tool-versions`, then the closest `.nvmrc` in a parent directory, then the version of
+ * the Node.js executable.
+ * @param {string} projectPath - The root path of the project.
+ * @param {import('./releases.utils.js').NodeRelease[]} releases - Known releases, to resolve partial versions and aliases.
+ * @param {{ nodePath?: string | null }} [options] - `nodePath` is the executable to ask, or null to not run one.
+ * @returns {Promise<SelectedNodeVersion | null>} The version, or null if none could be determined.
+ */
+export const detectSelectedNodeVersion = async (projectPath, releases, options = {}) => {
+    const pins = findNodeVersionPins(projectPath, releases)
+    //? Volta switches Node.js itself, so its pin wins over the files other version managers read
+    const volta = pins.find(({ label, version }) => label === VOLTA_NODE_LABEL && version)
+    if (volta?.version) return { version: volta.version, source: VOLTA_SOURCE_NAME }
+    const pin = pins.find(({ label, version }) => label !== VOLTA_NODE_LABEL && version)
+    if (pin?.version) return { version: pin.version, source: pin.path }
+
+    //? nvm also reads an `.nvmrc` in a parent directory
+    const nvmrc = findNvmrc(projectPath)
+    const nvmrcVersion = nvmrc ? resolveNodeVersionSpec(nvmrc.spec, releases) : null
+    if (nvmrc && nvmrcVersion) return { version: nvmrcVersion, source: nvmrc.path }
+
+    if (options.nodePath === null) return null
+    const nodePath = options.nodePath || DEFAULT_NODE_PATH
+    const executableVersion = await getNodeExecutableVersion(nodePath)
+    return executableVersion ? { version: executableVersion, source: nodePath } : null
+}
+
+/**
+ * Finds where a version manager's file names the Node.js version: the first line of `.nvmrc` and `.node-version`, or
+ * the first version on the `nodejs` (or `node`) line of `.tool-versions`.
+ * @param {string} filename - The file name, e.g. `.nvmrc`.
+ * @param {string} text - The file contents.
+ * @returns {{ spec: string, offset: number, length: number } | null} The version as written and where it is, or null if there is none.
+ */
+export const locateNodeVersionSpec = (filename, text) => {
+    const match = filename === TOOL_VERSIONS_FILENAME
+        ? text.match(new RegExp(`^[ \\t]*(?:${TOOL_VERSIONS_NODE_NAMES.join("|")})[ \\t]+([^\\s#]+)`, "m"))
+        : text.match(/^[ \t]*([^\s#]+)/)
+    if (!match || match.index === undefined) return null
+    return { spec: match[1], offset: match.index + match[0].length - match[1].length, length: match[1].length }
+}
+
+/**
+ * Lists the Node.js version pins of a project: `.nvmrc`, `.node-version` and `.tool-versions` in its directory, and
+ * `volta.node` in its package.json.
+ * @param {string} projectPath - The root path of the project.
+ * @param {import('./releases.utils.js').NodeRelease[]} releases - Known releases, to resolve partial versions and aliases.
+ * @returns {NodeVersionPin[]}
+ */
+export const findNodeVersionPins = (projectPath, releases) => {
+    /** @type {NodeVersionPin[]} */
+    const pins = []
+    for (const filename of NODE_VERSION_PIN_FILENAMES) {
+        const path = join(projectPath, filename)
+        if (!existsSync(path)) continue
+        const spec = locateNodeVersionSpec(filename, readFileSync(path, UTF8_ENCODING))?.spec
+        if (spec) pins.push({ label: filename, path, spec, version: resolveNodeVersionSpec(spec, releases) })
+    }
+    const manifestPath = join(projectPath, PACKAGE_JSON_FILENAME)
+    try {
+        const voltaSpec = JSON.parse(readFileSync(manifestPath, UTF8_ENCODING))?.volta?.node
+        if (typeof voltaSpec === "string" && voltaSpec) {
+            pins.push({ label: VOLTA_NODE_LABEL, path: manifestPath, spec: voltaSpec, version: resolveNodeVersionSpec(voltaSpec, releases) })
+        }
+    } catch {
+        //? Without a readable package.json there is no Volta pin
+    }
+    return pins
+}
+
+/**
+ * Chooses the Node.js version to pin within a range.
+ * @param {string} range - The range to pick from, e.g. the recommended `engines.node`.
+ * @param {import('./releases.utils.js').NodeRelease[]} releases - Known releases, oldest first.
+ * @param {string} [target="newestLts"] - One of `VERSION_PIN_TARGETS`. The newest LTS falls back to the newest release
+ * when no LTS release is in range.
+ * @returns {string | null} The version, or null if no known release is in range.
+ */
+export const chooseNodeVersion = (range, releases, target = DEFAULT_VERSION_PIN_TARGET) => {
+    if (!validRange(range)) return null
+    const inRange = releases.filter(({ version }) => satisfies(version, range))
+    switch (target) {
+        case VERSION_PIN_TARGETS.OLDEST:
+            return inRange[0]?.version ?? null
+        case VERSION_PIN_TARGETS.NEWEST:
+            return inRange.at(-1)?.version ?? null
+        default:
+            return (inRange.filter(({ lts }) => lts).at(-1) ?? inRange.at(-1))?.version ?? null
+    }
+}
+
+/**
+ * Writes a version the way an existing pin was written: with its `v` prefix, and as a partial version if the pin was
+ * one and the partial version still resolves into the range. Aliases such as `lts/*` are replaced by the exact version.
+ * @param {string} spec - The pin as written.
+ * @param {string} version - The exact version to pin.
+ * @param {string} range - The range the pin must resolve into.
+ * @param {import('./releases.utils.js').NodeRelease[]} releases - Known releases, to resolve partial versions.
+ * @returns {string}
+ */
+export const formatNodeVersionSpec = (spec, version, range, releases) => {
+    const prefix = spec.match(/^v(?=\d)/i)?.[0] ?? ""
+    const precision = spec.replace(/^v/i, "").match(/^\d+(?:\.\d+){0,2}$/)?.[0].split(".").length ?? 3
+    const partial = version.split(".").slice(0, precision).join(".")
+    const resolved = resolveNodeVersionSpec(partial, releases)
+    return `${prefix}${resolved && satisfies(resolved, range) ? partial : version}`
+}
+
+/**
+ * Plans the rewrite of each pin that resolves outside a range. Pins that cannot be resolved, e.g. `system`, are left
+ * alone.
+ * @param {NodeVersionPin[]} pins - See `findNodeVersionPins`.
+ * @param {string} range - The range the pins must resolve into.
+ * @param {import('./releases.utils.js').NodeRelease[]} releases - Known releases, oldest first.
+ * @param {string} [target] - One of `VERSION_PIN_TARGETS`, see `chooseNodeVersion`.
+ * @returns {NodeVersionPinUpdate[]}
+ */
+export const planNodeVersionPinUpdates = (pins, range, releases, target) => {
+    const version = chooseNodeVersion(range, releases, target)
+    if (!version) return []
+    return pins
+        .filter(pin => pin.version && !satisfies(pin.version, range))
+        .map(pin => ({ pin, version, spec: formatNodeVersionSpec(pin.spec, version, range, releases) }))
+}
+
+/**
+ * Describes the planned pin updates in one line, e.g. `.nvmrc 18 → 22, volta.node 18.20.4 → 22.11.0`.
+ * @param {NodeVersionPinUpdate[]} updates
+ * @returns {string}
+ */
+export const describeNodeVersionPinUpdates = updates =>
+    updates.map(({ pin, spec }) => `${pin.label} ${pin.spec} → ${spec}`).join(", ")
@@ -0,0 +1,174 @@
+import { existsSync } from "fs"
+import { basename, join } from "path"
+import { satisfies } from "semver"
+import { StatusBarAlignment, ThemeColor, Uri, window, workspace } from "vscode"
+import {
+    COMMAND_ID_ANALYZE_DEPENDENCIES,
+    CONFIG_KEY_NODE_PATH,
+    CONFIGURATION_SECTION,
+    DEFAULT_NODE_PATH,
+    DIAGNOSTICS_REFRESH_DELAY_MS,
+    NODE_VERSION_PIN_FILENAMES,
+    NODE_VERSION_PIN_GLOB,
+    PACKAGE_JSON_FILENAME,
+    STATUS_BAR_ERROR_BACKGROUND,
+    STATUS_BAR_ITEM_ID,
+    STATUS_BAR_ITEM_NAME,
+    STATUS_BAR_WARNING_BACKGROUND,
+} from "./constants.js"
+import { formatRecommendedEngines } from "./analysis.utils.js"
+import { findActiveWorkspaceFolder, readEngineRangeStyles } from "./helper.utils.js"
+import { toLtsNodeVersions } from "./releases.utils.js"
+import { detectSelectedNodeVersion } from "./runtime.utils.js"
+
+/**
+ * What the status bar item shows for a project.
+ * @typedef {object} EnginesStatus
+ * @property {string} text - The item's text, with a codicon.
+ * @property {string} tooltip - Explains the text.
+ * @property {"ok" | "warning" | "error"} level - `warning` when the selected Node.js is outside the range, `error`
+ * when no Node.js version is compatible.
+ */
+
+/**
+ * Describes the computed Node.js range of a project and whether the selected Node.js falls inside it.
+ * @param {string | null} nodeRange - The recommended `engines.node`, or null if no version is compatible.
+ * @param {import('./runtime.utils.js').SelectedNodeVersion | null} selected - The Node.js the project runs with, if known.
+ * @returns {EnginesStatus}
+ */
+export const describeEnginesStatus = (nodeRange, selected) => {
+    if (!nodeRange) {
+        return {
+            text: "$(error) Node: no compatible version",
+            tooltip: "No Node.js version satisfies every dependency. Click to analyze the project.",
+            level: "error",
+        }
+    }
+    const supported = `Dependencies support Node.js ${nodeRange}.`
+    if (!selected) {
+        return {
+            text: `$(check) Node ${nodeRange}`,
+            tooltip: `${supported} The selected Node.js version could not be determined.`,
+            level: "ok",
+        }
+    }
+    const selection = `The selected Node.js ${selected.version} (from ${selected.source})`
+    return satisfies(selected.version, nodeRange)
+        ? { text: `$(check) Node ${nodeRange}`, tooltip: `${supported} ${selection} is inside it.`, level: "ok" }
+        : { text: `$(warning) Node ${nodeRange}`, tooltip: `${supported} ${selection} is outside it.`, level: "warning" }
+}
+
+/**
+ * Describes the status of a workspace folder from its analysis.
+ * @param {import('vscode').WorkspaceFolder} folder - The folder to describe.
+ * @param {import('./releases.utils.js').NodeRelease[]} nodeReleases - Known Node.js releases.
+ * @param {import('./cache.utils.js').AnalysisCache} analysisCache - Analyzes the folder.
+ * @returns {Promise<EnginesStatus | null>} The status, or null if there is nothing to show.
+ */
+const computeEnginesStatus = async (folder, nodeReleases, analysisCache) => {
+    const projectPath = folder.uri.fsPath
+    const result = await analysisCache.analyzeProject(projectPath)
+    if (!result || result.note) return null
+
+    //? Show the same range the analyze command would recommend
+    const { nodeEngineString } = formatRecommendedEngines(
+        result,
+        readEngineRangeStyles(workspace, folder.uri),
+        toLtsNodeVersions(nodeReleases)
+    )
+    //? An untrusted workspace could otherwise have its own binary run through the executable's setting
+    const nodePath = workspace.isTrusted
+        ? workspace.getConfiguration(CONFIGURATION_SECTION, folder.uri).get(CONFIG_KEY_NODE_PATH, DEFAULT_NODE_PATH)
+        : null
+    return describeEnginesStatus(nodeEngineString, await detectSelectedNodeVersion(projectPath, nodeReleases, { nodePath }))
+}
+
+/**
+ * Shows the active workspace folder's Node.js range in the status bar, warning when the selected Node.js falls outside
+ * it. It follows the active editor and is analyzed again when the project, its install or its Node.js version pins
+ * change.
+ * @param {import('vscode').ExtensionContext} context - The extension context, which disposes of everything registered.
+ * @param {() => Promise<import('./releases.utils.js').NodeRelease[]>} getNodeReleases - Loads the known Node.js releases.
+ * @param {import('./cache.utils.js').AnalysisCache} analysisCache - Analyzes projects, shared with the other features.
+ */
+export const registerEnginesStatusBar = (context, getNodeReleases, analysisCache) => {
+    const item = window.createStatusBarItem(STATUS_BAR_ITEM_ID, StatusBarAlignment.Left)
+    item.name = STATUS_BAR_ITEM_NAME
+
+    //? Switching editors only re-reads this cache; the selected version is looked up when a folder is first shown or has changed
+    /** @type {Map<string, Promise<EnginesStatus | null>>} */
+    const statuses = new Map()
+    /** @type {ReturnType<typeof setTimeout> | undefined} */
+    let pendingUpdate
+
+    const update = () => {
+        clearTimeout(pendingUpdate)
+        pendingUpdate = setTimeout(async () => {
+            const folder = findActiveWorkspaceFolder(window, workspace)
+            if (!folder || !existsSync(join(folder.uri.fsPath, PACKAGE_JSON_FILENAME))) {
+                item.hide()
+                return
+            }
+            const key = folder.uri.toString()
+            if (!statuses.has(key)) {
+                statuses.set(key, getNodeReleases().then(nodeReleases => computeEnginesStatus(folder, nodeReleases, analysisCache)))
+            }
+            let status
+            try {
+                status = await statuses.get(key)
+            } catch (error) {
+                statuses.delete(key) //? Try again on the next update
+                console.warn(
+                    `Could not check engines of ${folder.uri.fsPath}: ${JSON.parse(JSON.stringify(error))?.message ?? error}`
+                )
+            }
+            //? The active folder may have changed while analyzing
+            if (findActiveWorkspaceFolder(window, workspace)?.uri.toString() !== key) return
+            if (!status) {
+                item.hide()
+                return
+            }
+            item.text = status.text
+            item.tooltip = status.tooltip
+            item.backgroundColor = status.level === "ok"
+                ? undefined
+                : new ThemeColor(status.level === "error" ? STATUS_BAR_ERROR_BACKGROUND : STATUS_BAR_WARNING_BACKGROUND)
+            item.command = { title: "Analyze Dependencies", command: COMMAND_ID_ANALYZE_DEPENDENCIES, arguments: [folder.uri] }
+            item.show()
+        }, DIAGNOSTICS_REFRESH_DELAY_MS)
+    }
+
+    /**
+     * @param {import('vscode').Uri} [uri] - The changed file, or nothing when every folder may be affected.
+     */
+    const invalidate = uri => {
+        const folder = uri ? workspace.getWorkspaceFolder(uri) : undefined
+        if (folder) statuses.delete(folder.uri.toString())
+        else statuses.clear() //* e.g. an `.nvmrc` above the workspace folders
+        update()
+    }
+
+    const pinWatcher = workspace.createFileSystemWatcher(NODE_VERSION_PIN_GLOB)
+    context.subscriptions.push(
+        item,
+        pinWatcher,
+        pinWatcher.onDidCreate(invalidate),
+        pinWatcher.onDidChange(invalidate),
+        pinWatcher.onDidDelete(invalidate),
+        analysisCache.onDidChange(projectPath => {
+            const folder = workspace.getWorkspaceFolder(Uri.file(projectPath))
+            if (folder?.uri.fsPath === projectPath) invalidate(folder.uri)
+        }),
+        workspace.onDidSaveTextDocument(document => {
+            if (NODE_VERSION_PIN_FILENAMES.includes(basename(document.uri.fsPath))) invalidate(document.uri)
+        }),
+        workspace.onDidChangeConfiguration(event => {
+            if (event.affectsConfiguration(CONFIGURATION_SECTION)) invalidate()
+        }),
+        workspace.onDidChangeWorkspaceFolders(() => invalidate()),
+        workspace.onDidGrantWorkspaceTrust(() => invalidate()),
+        window.onDidChangeActiveTextEditor(update),
+        { dispose: () => clearTimeout(pendingUpdate) }
+    )
+    update()
+}
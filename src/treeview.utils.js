@@ -0,0 +1,191 @@
+import { existsSync } from "fs"
+import { join } from "path"
+import { minVersion, validRange } from "semver"
+import { commands, EventEmitter, TreeItem, TreeItemCollapsibleState, Uri, window, workspace } from "vscode"
+import {
+    COMMAND_ID_REFRESH_DEPENDENCY_TREE,
+    CONFIGURATION_SECTION,
+    DEPENDENCY_GROUP_LABELS,
+    DEPENDENCY_TREE_VIEW_ID,
+    DIAGNOSTICS_REFRESH_DELAY_MS,
+    NOTE_NO_DEPENDENCIES,
+    PACKAGE_JSON_FILENAME,
+} from "./constants.js"
+import { findActiveWorkspaceFolder } from "./helper.utils.js"
+
+/**
+ * Dependencies requiring the same Node.js major, or sharing a reason not to require one.
+ * @typedef {object} DependencyGroup
+ * @property {"group"} kind
+ * @property {string} label - E.g. `Requires >=20` or `No engines declared`.
+ * @property {import('./analysis.utils.js').AnalyzedDependency[]} dependencies - Sorted by name.
+ */
+
+/**
+ * @typedef {DependencyGroup | { kind: "dependency", dependency: import('./analysis.utils.js').AnalyzedDependency }} DependencyTreeElement
+ */
+
+/**
+ * Groups dependencies by the oldest Node.js major their `engines.node` allows: the strictest requirement first, then
+ * ranges without a minimum, dependencies without `engines.node`, and ranges that are not valid semver.
+ * @param {import('./analysis.utils.js').AnalyzedDependency[]} dependencies - See `ProjectAnalysisResult.dependencies`.
+ * @returns {DependencyGroup[]} The groups that have dependencies.
+ */
+export const groupDependenciesByNodeRequirement = dependencies => {
+    /** @type {Map<number, import('./analysis.utils.js').AnalyzedDependency[]>} */
+    const byMajor = new Map()
+    /** @type {Record<string, import('./analysis.utils.js').AnalyzedDependency[]>} */
+    const others = { NO_MINIMUM: [], NO_ENGINES: [], INVALID_ENGINES: [] }
+    for (const dependency of dependencies) {
+        const range = dependency.engines?.node
+        if (typeof range !== "string") {
+            others.NO_ENGINES.push(dependency)
+            continue
+        }
+        //? minVersion throws for ranges it cannot satisfy, e.g. `>=20 <18`
+        let minimum = null
+        try {
+            minimum = validRange(range) ? minVersion(range) : null
+        } catch {
+            //? Treated as invalid, like the analysis does
+        }
+        if (!minimum) others.INVALID_ENGINES.push(dependency)
+        else if (minimum.major === 0) others.NO_MINIMUM.push(dependency)
+        else byMajor.set(minimum.major, [...byMajor.get(minimum.major) ?? [], dependency])
+    }
+
+    /** @param {import('./analysis.utils.js').AnalyzedDependency[]} list */
+    const sorted = list => [...list].sort((a, b) => a.name.localeCompare(b.name))
+    return [
+        ...[...byMajor.entries()]
+            .sort(([a], [b]) => b - a)
+            .map(([major, list]) => ({ label: `Requires >=${major}`, dependencies: sorted(list) })),
+        ...Object.entries(others).map(([key, list]) => ({ label: DEPENDENCY_GROUP_LABELS[key], dependencies: sorted(list) })),
+    ]
+        .filter(({ dependencies: list }) => list.length > 0)
+        .map(group => ({ kind: /** @type {const} */ ("group"), ...group }))
+}
+
+/**
+ * Builds the tree item of a group or dependency. Dependencies whose manifest is on disk open it when clicked.
+ * @param {DependencyTreeElement} element
+ * @returns {import('vscode').TreeItem}
+ */
+export const toDependencyTreeItem = element => {
+    if (element.kind === "group") {
+        const item = new TreeItem(element.label, TreeItemCollapsibleState.Collapsed)
+        item.description = String(element.dependencies.length)
+        item.id = element.label
+        return item
+    }
+    const { name, version, path, engines, requiredBy, category } = element.dependency
+    const item = new TreeItem(name, TreeItemCollapsibleState.None)
+    item.description = `${version ?? "not installed"}${typeof engines?.node === "string" ? ` · ${engines.node}` : ""}`
+    item.tooltip = [
+        `${name}${version ? `@${version}` : ""}`,
+        `engines.node: ${typeof engines?.node === "string" ? engines.node : "none"}`,
+        `engines.npm: ${typeof engines?.npm === "string" ? engines.npm : "none"}`,
+        `${requiredBy ? `Required by ${requiredBy}` : "Direct dependency"}${category ? ` (${category})` : ""}`,
+    ].join("\n")
+    const manifestPath = path ? join(path, PACKAGE_JSON_FILENAME) : null
+    //? Packages read from a lockfile have no manifest on disk
+    if (manifestPath && existsSync(manifestPath)) {
+        item.resourceUri = Uri.file(manifestPath)
+        item.command = { title: "Open package.json", command: "vscode.open", arguments: [Uri.file(manifestPath)] }
+    }
+    return item
+}
+
+/**
+ * Lists the analyzed dependencies of a workspace folder: the project's, or for a monorepo root every package's.
+ * @param {import('vscode').WorkspaceFolder} folder
+ * @param {import('./cache.utils.js').AnalysisCache} analysisCache - Analyzes the folder.
+ * @returns {Promise<import('./analysis.utils.js').AnalyzedDependency[] | null>} The analyzed dependencies, or null if the folder has no readable package.json.
+ */
+const analyzeFolderDependencies = async (folder, analysisCache) => {
+    const workspaceResult = await analysisCache.analyzeWorkspace(folder.uri.fsPath)
+    if (workspaceResult) return workspaceResult.aggregate.dependencies ?? []
+    const result = await analysisCache.analyzeProject(folder.uri.fsPath)
+    return result ? result.dependencies ?? [] : null
+}
+
+/**
+ * Shows the dependencies of the active workspace folder in the Explorer, grouped by the Node.js major they require.
+ * It follows the active editor and is updated when the analysis of the shown folder changes: when a package.json is
+ * saved or the project's install or lockfile changes. Nothing is analyzed while the view is hidden.
+ * @param {import('vscode').ExtensionContext} context - The extension context, which disposes of everything registered.
+ * @param {import('./cache.utils.js').AnalysisCache} analysisCache - Analyzes projects, shared with the other features.
+ */
+export const registerDependencyTreeView = (context, analysisCache) => {
+    /** @type {EventEmitter<void>} */
+    const changed = new EventEmitter()
+    /** @type {DependencyGroup[]} */
+    let groups = []
+    /** @type {string | undefined} */
+    let shownFolder
+    /** @type {ReturnType<typeof setTimeout> | undefined} */
+    let pendingRefresh
+    let isStale = false
+
+    const view = window.createTreeView(DEPENDENCY_TREE_VIEW_ID, {
+        treeDataProvider: {
+            onDidChangeTreeData: changed.event,
+            getTreeItem: toDependencyTreeItem,
+            /**
+             * @param {DependencyTreeElement} [element]
+             * @returns {DependencyTreeElement[]}
+             */
+            getChildren: element => element
+                ? element.kind === "group" ? element.dependencies.map(dependency => ({ kind: "dependency", dependency })) : []
+                : groups,
+        },
+    })
+
+    /**
+     * @param {boolean} [force=false] - Analyze again even if the active folder is already shown.
+     */
+    const refresh = (force = false) => {
+        isStale ||= force //* A forced refresh still counts when a plain one follows before the delay
+        clearTimeout(pendingRefresh)
+        pendingRefresh = setTimeout(async () => {
+            if (!view.visible) return
+            const folder = findActiveWorkspaceFolder(window, workspace)
+            const key = folder?.uri.toString()
+            if (!isStale && key === shownFolder) return
+            isStale = false
+            shownFolder = key
+            view.description = folder?.name
+            try {
+                const dependencies = folder ? await analyzeFolderDependencies(folder, analysisCache) : null
+                if (shownFolder !== key) return //* The active folder changed while analyzing
+                groups = dependencies ? groupDependenciesByNodeRequirement(dependencies) : []
+                view.message = !dependencies
+                    ? `Open a project with a ${PACKAGE_JSON_FILENAME} to see its dependencies.`
+                    : groups.length === 0 ? NOTE_NO_DEPENDENCIES : undefined
+            } catch (error) {
+                isStale = true //* Try again on the next refresh
+                groups = []
+                view.message = `Could not analyze the dependencies: ${JSON.parse(JSON.stringify(error))?.message ?? error}`
+            }
+            changed.fire()
+        }, DIAGNOSTICS_REFRESH_DELAY_MS)
+    }
+
+    context.subscriptions.push(
+        view,
+        changed,
+        analysisCache.onDidChange(projectPath => {
+            //? A project in the shown folder may be one of its monorepo packages, which the view lists too
+            if (workspace.getWorkspaceFolder(Uri.file(projectPath))?.uri.toString() === shownFolder) refresh(true)
+        }),
+        workspace.onDidChangeConfiguration(event => {
+            if (event.affectsConfiguration(CONFIGURATION_SECTION)) refresh(true)
+        }),
+        workspace.onDidChangeWorkspaceFolders(() => refresh(true)),
+        window.onDidChangeActiveTextEditor(() => refresh()),
+        view.onDidChangeVisibility(() => refresh()),
+        commands.registerCommand(COMMAND_ID_REFRESH_DEPENDENCY_TREE, () => refresh(true)),
+        { dispose: () => clearTimeout(pendingRefresh) }
+    )
+    refresh(true)
+}
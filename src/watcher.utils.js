@@ -0,0 +1,128 @@
+import { existsSync } from "fs"
+import { basename, join } from "path"
+import { commands, Uri, window, workspace } from "vscode"
+import { formatRecommendedEngines } from "./analysis.utils.js"
+import {
+    ACTION_BUTTON_SHOW_REPORT,
+    ACTION_BUTTON_UPDATE_PACKAGE_JSON,
+    COMMAND_ID_SHOW_REPORT,
+    CONFIG_KEY_BACKGROUND_ANALYSIS,
+    CONFIGURATION_SECTION,
+    PACKAGE_JSON_FILENAME,
+} from "./constants.js"
+import { readEngineRangeStyles, readVersionPinTarget, updatePackageJsonEngines } from "./helper.utils.js"
+import { isSameRange } from "./range.utils.js"
+import { toLtsNodeVersions } from "./releases.utils.js"
+import { findNodeVersionPins, planNodeVersionPinUpdates } from "./runtime.utils.js"
+
+/**
+ * A project's recommended engines, as last announced or seen.
+ * @typedef {object} EnginesRecommendation
+ * @property {string | null} node - The recommended `engines.node`, or null if no version is compatible.
+ * @property {string | null} npm - The recommended `engines.npm`, if any.
+ */
+
+/**
+ * Tells whether a project's declared engines allow other versions than the recommended ones. Ranges are compared by
+ * the versions they allow, so `>=20` matches `>=20.0.0`.
+ * @param {Record<string, unknown> | null | undefined} declaredEngines - The `engines` of the project's package.json.
+ * @param {string} nodeRange - The recommended `engines.node`.
+ * @param {string | null} npmRange - The recommended `engines.npm`, if any.
+ * @returns {boolean}
+ */
+export const isDeclaredEnginesOutdated = (declaredEngines, nodeRange, npmRange) =>
+    !isSameRange(declaredEngines?.node, nodeRange) || (!!npmRange && !isSameRange(declaredEngines?.npm, npmRange))
+
+/**
+ * Tells whether a recommendation differs from the previous one in the versions it allows.
+ * @param {EnginesRecommendation} previous
+ * @param {EnginesRecommendation} recommendation
+ * @returns {boolean}
+ */
+export const isRecommendationChanged = (previous, recommendation) =>
+    !isSameRange(previous.node, recommendation.node) || !isSameRange(previous.npm, recommendation.npm)
+
+/**
+ * Analyzes projects again in the background when their package.json, lockfile or installed dependencies change, and
+ * notifies when the recommended engines change and no longer match what package.json declares. The first analysis of
+ * a project only records its recommendation, so opening a workspace announces nothing; the workspace folders are
+ * recorded on activation.
+ * @param {import('vscode').ExtensionContext} context - The extension context, which disposes of everything registered.
+ * @param {() => Promise<import('./releases.utils.js').NodeRelease[]>} getNodeReleases - Loads the known Node.js releases.
+ * @param {import('./cache.utils.js').AnalysisCache} analysisCache - Analyzes projects, shared with the other features.
+ */
+export const registerBackgroundAnalysis = (context, getNodeReleases, analysisCache) => {
+    //? The latest recommendation of each project, so an unchanged one is not announced after every install
+    /** @type {Map<string, EnginesRecommendation>} */
+    const recommendations = new Map()
+
+    /**
+     * @param {string} projectPath
+     * @param {import('vscode').WorkspaceFolder} folder - The workspace folder the project is in, for its settings.
+     */
+    const analyze = async (projectPath, folder) => {
+        if (!existsSync(join(projectPath, PACKAGE_JSON_FILENAME))) {
+            recommendations.delete(projectPath)
+            return
+        }
+        const [nodeReleases, result] = await Promise.all([getNodeReleases(), analysisCache.analyzeProject(projectPath)])
+        if (!result || result.note) return
+
+        const { nodeEngineString, npmEngineString, developmentNodeEngineString, developmentNpmEngineString } =
+            formatRecommendedEngines(result, readEngineRangeStyles(workspace, folder.uri), toLtsNodeVersions(nodeReleases))
+        const recommendation = { node: nodeEngineString, npm: npmEngineString }
+        const previous = recommendations.get(projectPath)
+        recommendations.set(projectPath, recommendation)
+        if (!previous || !isRecommendationChanged(previous, recommendation)) return
+        //? Conflicts are reported by the engines diagnostics; there is no range to offer
+        if (!nodeEngineString) return
+        if (!isDeclaredEnginesOutdated(result.declaredEngines, nodeEngineString, npmEngineString)) return
+
+        const declared = typeof result.declaredEngines?.node === "string" ? `"${result.declaredEngines.node}"` : "no range"
+        const choice = await window.showInformationMessage(
+            `The dependencies of ${basename(projectPath)} changed and now support Node "${nodeEngineString}"${npmEngineString ? `, NPM "${npmEngineString}"` : ""}, but engines declare ${declared}.`,
+            ACTION_BUTTON_UPDATE_PACKAGE_JSON,
+            ACTION_BUTTON_SHOW_REPORT
+        )
+        if (choice === ACTION_BUTTON_SHOW_REPORT) {
+            await commands.executeCommand(COMMAND_ID_SHOW_REPORT, Uri.file(projectPath))
+        } else if (choice === ACTION_BUTTON_UPDATE_PACKAGE_JSON) {
+            //? Pins select the Node.js developers run, so they follow the development range when there is one
+            const versionPinUpdates = planNodeVersionPinUpdates(
+                findNodeVersionPins(projectPath, nodeReleases),
+                developmentNodeEngineString ?? nodeEngineString,
+                nodeReleases,
+                readVersionPinTarget(workspace, folder.uri)
+            )
+            await updatePackageJsonEngines(
+                result.projectPackageJsonPath,
+                nodeEngineString,
+                npmEngineString,
+                { node: developmentNodeEngineString, npm: developmentNpmEngineString },
+                versionPinUpdates
+            )
+        }
+    }
+
+    /**
+     * @param {string} projectPath - A project whose analysis may have changed, see `AnalysisCache.onDidChange`.
+     */
+    const analyzeIfEnabled = projectPath => {
+        const folder = workspace.getWorkspaceFolder(Uri.file(projectPath))
+        if (!folder) return
+        if (!workspace.getConfiguration(CONFIGURATION_SECTION, folder.uri).get(CONFIG_KEY_BACKGROUND_ANALYSIS, true)) return
+        analyze(projectPath, folder).catch(error => console.warn(
+            `Could not analyze ${projectPath} in the background: ${JSON.parse(JSON.stringify(error))?.message ?? error}`
+        ))
+    }
+
+    context.subscriptions.push(
+        analysisCache.onDidChange(analyzeIfEnabled),
+        //? Settings change how ranges are written, not what the dependencies support, so start over without announcing
+        workspace.onDidChangeConfiguration(event => {
+            if (event.affectsConfiguration(CONFIGURATION_SECTION)) recommendations.clear()
+        }),
+        workspace.onDidChangeWorkspaceFolders(({ added }) => added.forEach(folder => analyzeIfEnabled(folder.uri.fsPath)))
+    )
+    workspace.workspaceFolders?.forEach(folder => analyzeIfEnabled(folder.uri.fsPath))
+}
@@ -0,0 +1,118 @@
+import { existsSync, readdirSync, readFileSync } from "fs"
+import { dirname, join, relative, sep } from "path"
+import { parse as parseYaml } from "yaml"
+import { NODE_MODULES_DIRNAME, PACKAGE_JSON_FILENAME, PNPM_WORKSPACE_FILENAME, UTF8_ENCODING } from "./constants.js"
+
+/**
+ * A package of a monorepo, as listed by the root's `workspaces` or `pnpm-workspace.yaml`.
+ * @typedef {object} WorkspacePackage
+ * @property {string} name - The package name, or its path relative to the root if it has none.
+ * @property {string} path - The directory of the package.
+ */
+
+/**
+ * Reads the workspace globs of a monorepo root: `packages` from `pnpm-workspace.yaml`, otherwise the `workspaces` field
+ * of package.json (an array for npm and Yarn, or `{ packages }` for Yarn 1).
+ * @param {string} rootPath - The directory that may be a monorepo root.
+ * @returns {string[]} The globs, e.g. `packages/*` or `!packages/legacy`, or none if the directory is not a root.
+ */
+export const readWorkspacePatterns = rootPath => {
+    const toPatterns = value => Array.isArray(value) ? value.filter(pattern => typeof pattern === "string") : []
+    try {
+        const pnpmWorkspacePath = join(rootPath, PNPM_WORKSPACE_FILENAME)
+        if (existsSync(pnpmWorkspacePath)) {
+            return toPatterns(parseYaml(readFileSync(pnpmWorkspacePath, UTF8_ENCODING))?.packages)
+        }
+        const manifestPath = join(rootPath, PACKAGE_JSON_FILENAME)
+        if (!existsSync(manifestPath)) return []
+        const { workspaces } = JSON.parse(readFileSync(manifestPath, UTF8_ENCODING))
+        return toPatterns(Array.isArray(workspaces) ? workspaces : workspaces?.packages)
+    } catch (error) {
+        console.warn(
+            `Could not read the workspaces of ${rootPath}: ${JSON.parse(JSON.stringify(error))?.message ?? error}`
+        )
+        return []
+    }
+}
+
+/**
+ * Turns a workspace glob into a regular expression over paths relative to the root, with `/` separators.
+ * Supports `*` and `?` within a directory name and `**` for any number of directories.
+ * @param {string} pattern - The glob, without a leading `!`.
+ * @returns {RegExp}
+ */
+const toWorkspaceRegExp = pattern => {
+    const segments = pattern.replace(/^\.\//, "").replace(/\/+$/, "").split("/")
+    const source = segments.map((segment, index) => {
+        if (segment === "**") return index === segments.length - 1 ? ".*" : "(?:[^/]+/)*"
+        const escaped = segment.replace(/[.+^${}()|[\]\\]/g, "\\$&").replace(/\*/g, "[^/]*").replace(/\?/g, "[^/]")
+        return index === segments.length - 1 ? escaped : `${escaped}/`
+    }).join("")
+    return new RegExp(`^${source}$`)
+}
+
+/**
+ * Lists the packages of a monorepo. Directories matching a workspace glob are packages if they contain a package.json;
+ * `node_modules` and hidden directories are never searched.
+ * @param {string} rootPath - The monorepo root.
+ * @returns {WorkspacePackage[]} The packages, sorted by path, or none if the directory is not a monorepo root.
+ */
+export const findWorkspacePackages = rootPath => {
+    const patterns = readWorkspacePatterns(rootPath)
+    const included = patterns.filter(pattern => !pattern.startsWith("!")).map(toWorkspaceRegExp)
+    const excluded = patterns.filter(pattern => pattern.startsWith("!")).map(pattern => toWorkspaceRegExp(pattern.slice(1)))
+    if (included.length === 0) return []
+    //? Without `**`, nothing deeper than the longest glob can match
+    const maxDepth = patterns.some(pattern => pattern.includes("**"))
+        ? Infinity
+        : Math.max(...patterns.map(pattern => pattern.replace(/^!?(\.\/)?/, "").replace(/\/+$/, "").split("/").length))
+
+    /** @type {WorkspacePackage[]} */
+    const packages = []
+    /**
+     * @param {string} dir
+     * @param {number} depth
+     */
+    const visit = (dir, depth) => {
+        let entries
+        try {
+            entries = readdirSync(dir, { withFileTypes: true })
+        } catch {
+            return
+        }
+        for (const entry of entries) {
+            if (!entry.isDirectory() || entry.name === NODE_MODULES_DIRNAME || entry.name.startsWith(".")) continue
+            const packagePath = join(dir, entry.name)
+            const relativePath = relative(rootPath, packagePath).split(sep).join("/")
+            const manifestPath = join(packagePath, PACKAGE_JSON_FILENAME)
+            if (
+                included.some(regExp => regExp.test(relativePath)) &&
+                !excluded.some(regExp => regExp.test(relativePath)) &&
+                existsSync(manifestPath)
+            ) {
+                let name = relativePath
+                try {
+                    name = JSON.parse(readFileSync(manifestPath, UTF8_ENCODING)).name || relativePath
+                } catch {
+                    //? An unreadable manifest is reported when the package is analyzed
+                }
+                packages.push({ name, path: packagePath })
+            }
+            if (depth + 1 < maxDepth) visit(packagePath, depth + 1)
+        }
+    }
+    visit(rootPath, 0)
+    return packages.sort((a, b) => a.path.localeCompare(b.path))
+}
+
+/**
+ * Finds the monorepo root a project belongs to, so its dependencies can be resolved from the root's install.
+ * @param {string} projectPath - The directory of a package.
+ * @returns {string | null} The closest ancestor whose workspaces include the project, or null if it is not part of one.
+ */
+export const findWorkspaceRoot = projectPath => {
+    for (let dir = dirname(projectPath); ; dir = dirname(dir)) {
+        if (findWorkspacePackages(dir).some(({ path }) => path === projectPath)) return dir
+        if (dirname(dir) === dir) return null
+    }
+}
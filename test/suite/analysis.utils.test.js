@@ -0,0 +1,232 @@
+const assert = require('assert');
+const sinon = require('sinon');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { subset } = require('semver');
+
+const {
+  aggregateAnalysisResults,
+  analyzeProjectDependencies,
+  analyzeWorkspaceProjects,
+  formatRecommendedEngines,
+  selectDependencySource,
+} = require('../../src/analysis.utils');
+const { NOTE_NO_DEPENDENCIES } = require('../../src/constants');
+const { toKnownNodeVersions, toKnownNpmVersions } = require('../../src/releases.utils');
+const { writeFixture } = require('./fixtures');
+
+suite('Analysis Utils Test Suite', () => {
+  let sandbox;
+  let rootPath;
+  const progress = { report: () => {} };
+  const knownNodeVersions = ['16.20.2', '18.20.8', '20.19.1', '22.15.0'];
+
+  setup(() => {
+    sandbox = sinon.createSandbox();
+    sandbox.stub(console, 'warn');
+    rootPath = fs.mkdtempSync(path.join(os.tmpdir(), 'nsr-analysis-'));
+  });
+
+  teardown(() => {
+    sandbox.restore();
+    fs.rmSync(rootPath, { recursive: true, force: true });
+  });
+
+  suite('selectDependencySource', () => {
+    test('should follow the packageManager of the monorepo root for its packages', () => {
+      writeFixture(rootPath, 'package.json', { packageManager: 'npm@10.9.2', workspaces: ['packages/*'] });
+      writeFixture(rootPath, 'package-lock.json', { lockfileVersion: 3, packages: { '': {} } });
+      writeFixture(rootPath, 'pnpm-lock.yaml', "lockfileVersion: '9.0'\n");
+      const packagePath = writeFixture(rootPath, 'packages/a/package.json', { name: 'a' });
+
+      assert.strictEqual(selectDependencySource(packagePath, {}, { name: 'a' }).sourceName, 'package-lock.json');
+    });
+  });
+
+  suite('analyzeProjectDependencies', () => {
+    test('should compute the range from the installed dependencies', async () => {
+      writeFixture(rootPath, 'package.json', { dependencies: { a: '^1.0.0' }, engines: { node: '>=16' } });
+      writeFixture(rootPath, 'node_modules/a/package.json', { name: 'a', version: '1.0.0', engines: { node: '>=18' } });
+
+      const result = await analyzeProjectDependencies(rootPath, progress, knownNodeVersions, ['10.0.0']);
+
+      assert.strictEqual(result.nodeRange, '>=18.0.0');
+      assert.deepStrictEqual([result.minNode, result.maxNode], ['18.20.8', '22.15.0']);
+      assert.deepStrictEqual(result.declaredEngines, { node: '>=16' });
+      assert.strictEqual(result.source, 'node_modules');
+    });
+
+    test('should keep every analyzed dependency with its category', async () => {
+      writeFixture(rootPath, 'package.json', { dependencies: { a: '^1.0.0' }, devDependencies: { b: '^1.0.0' } });
+      writeFixture(rootPath, 'node_modules/a/package.json', { name: 'a', version: '1.0.0', engines: { node: '>=18' } });
+      writeFixture(rootPath, 'node_modules/b/package.json', { name: 'b', version: '1.0.0' });
+
+      const result = await analyzeProjectDependencies(rootPath, progress, knownNodeVersions, ['10.0.0']);
+
+      assert.deepStrictEqual(
+        result.dependencies.map(({ name, category, mode, engines }) => ({ name, category, mode, engines })),
+        [
+          { name: 'a', category: 'dependencies', mode: 'required', engines: { node: '>=18' } },
+          { name: 'b', category: 'devDependencies', mode: 'development', engines: null },
+        ]
+      );
+    });
+
+    test('should start the npm range at the oldest npm a compatible Node release ships', async () => {
+      writeFixture(rootPath, 'package.json', { dependencies: { a: '^1.0.0' } });
+      writeFixture(rootPath, 'node_modules/a/package.json', { name: 'a', version: '1.0.0', engines: { node: '>=18.17', npm: '>=9' } });
+      const nodeReleases = [
+        { version: '16.20.2', date: null, npm: '8.19.4', lts: 'Gallium' },
+        { version: '18.17.0', date: null, npm: '9.6.7', lts: 'Hydrogen' },
+        { version: '20.19.5', date: null, npm: '10.8.2', lts: 'Iron' },
+      ];
+      const analyze = releases => analyzeProjectDependencies(
+        rootPath, progress, toKnownNodeVersions(releases), toKnownNpmVersions(releases), { nodeReleases: releases }
+      );
+
+      assert.strictEqual((await analyze(nodeReleases)).npmRange, '>=9.6.7');
+      assert.strictEqual(
+        (await analyze([...nodeReleases, { version: '22.0.0', date: null, npm: null, lts: false }])).npmRange,
+        '>=9.0.0',
+        'a compatible release with an unknown npm leaves the floor unknown'
+      );
+    });
+
+    test('should never make the development npm range looser than the recommended one', async () => {
+      writeFixture(rootPath, 'package.json', { dependencies: { a: '^1.0.0' }, devDependencies: { b: '^1.0.0' } });
+      writeFixture(rootPath, 'node_modules/a/package.json', { name: 'a', version: '1.0.0', engines: { node: '>=18.17', npm: '>=9' } });
+      writeFixture(rootPath, 'node_modules/b/package.json', { name: 'b', version: '1.0.0', engines: { npm: '>=8' } });
+      const nodeReleases = [
+        { version: '18.17.0', date: null, npm: '9.6.7', lts: 'Hydrogen' },
+        { version: '20.19.5', date: null, npm: '10.8.2', lts: 'Iron' },
+      ];
+
+      const result = await analyzeProjectDependencies(
+        rootPath, progress, toKnownNodeVersions(nodeReleases), toKnownNpmVersions(nodeReleases), { nodeReleases }
+      );
+
+      assert.strictEqual(result.npmRange, '>=9.6.7');
+      assert.strictEqual(result.developmentNpmRange, '>=9.6.7');
+      assert(subset(result.developmentNpmRange, result.npmRange));
+    });
+
+    test('should report a missing or invalid package.json through onError', async () => {
+      const onError = sinon.spy();
+
+      assert.strictEqual(await analyzeProjectDependencies(rootPath, progress, knownNodeVersions, [], { onError }), null);
+      writeFixture(rootPath, 'package.json', '{ invalid');
+      assert.strictEqual(await analyzeProjectDependencies(rootPath, progress, knownNodeVersions, [], { onError }), null);
+      assert.strictEqual(await analyzeProjectDependencies(rootPath, progress, knownNodeVersions, []), null, 'reports nothing by default');
+
+      assert.strictEqual(onError.callCount, 2);
+      assert.match(onError.firstCall.args[0], /package\.json not found/);
+      assert.match(onError.secondCall.args[0], /^Error parsing/);
+    });
+  });
+
+  suite('analyzeWorkspaceProjects', () => {
+    test('should only report errors of the root', async () => {
+      writeFixture(rootPath, 'package.json', { workspaces: ['packages/*'] });
+      writeFixture(rootPath, 'packages/a/package.json', '{ invalid');
+      const onError = sinon.spy();
+
+      const workspaceResult = await analyzeWorkspaceProjects(rootPath, progress, knownNodeVersions, [], { onError });
+
+      assert.deepStrictEqual(workspaceResult.packages, []);
+      assert.strictEqual(workspaceResult.aggregate.note, NOTE_NO_DEPENDENCIES);
+      assert(onError.notCalled);
+    });
+  });
+
+  suite('aggregateAnalysisResults', () => {
+    const knownNodeVersions = ['18.20.8', '20.19.1', '22.15.0', '24.0.1'];
+    const knownNpmVersions = ['10.8.2', '10.9.2', '11.3.0'];
+    const shared = { range: '>=18', name: 'a', version: '1.0.0', path: '/repo/node_modules/a', requiredBy: null, directDependency: 'a' };
+    const root = {
+      projectPackageJsonPath: '/repo/package.json',
+      declaredEngines: { node: '>=16' },
+      nodeRange: '>=18.0.0',
+      npmRange: null,
+      compatibleNodeVersions: knownNodeVersions,
+      compatibleNpmVersions: [],
+      nodeConstraints: [shared],
+      npmConstraints: [],
+      source: 'node_modules',
+    };
+    const app = {
+      projectPackageJsonPath: '/repo/packages/app/package.json',
+      nodeRange: '>=20.0.0 <24.0.0',
+      npmRange: '>=10.9.0',
+      compatibleNodeVersions: ['20.19.1', '22.15.0'],
+      compatibleNpmVersions: ['10.9.2', '11.3.0'],
+      nodeConstraints: [shared, { ...shared, range: '>=20 <24', name: 'b', path: '/repo/node_modules/b', directDependency: 'b' }],
+      npmConstraints: [{ ...shared, range: '>=10.9' }],
+    };
+    const empty = { projectPackageJsonPath: '/repo/packages/docs/package.json', note: NOTE_NO_DEPENDENCIES };
+
+    test('should intersect the ranges of every package for the root', () => {
+      const aggregate = aggregateAnalysisResults(root, [root, app, empty], knownNodeVersions, knownNpmVersions);
+
+      assert.strictEqual(aggregate.projectPackageJsonPath, '/repo/package.json');
+      assert.deepStrictEqual(aggregate.declaredEngines, { node: '>=16' });
+      assert.strictEqual(aggregate.nodeRange, '>=20.0.0 <24.0.0');
+      assert.deepStrictEqual(aggregate.compatibleNodeVersions, ['20.19.1', '22.15.0']);
+      assert.strictEqual(aggregate.npmRange, '>=10.9.0');
+      assert.deepStrictEqual([aggregate.minNpm, aggregate.maxNpm], ['10.9.2', '11.3.0']);
+      assert.strictEqual(aggregate.nodeConstraints.length, 2, 'shared packages are listed once');
+    });
+
+    test('should report when the packages have no version in common', () => {
+      const old = { ...app, nodeRange: '<20.0.0', compatibleNodeVersions: ['18.20.8'] };
+
+      const aggregate = aggregateAnalysisResults(root, [root, app, old], knownNodeVersions, knownNpmVersions);
+
+      assert.strictEqual(aggregate.nodeRange, null);
+      assert.deepStrictEqual(aggregate.compatibleNodeVersions, []);
+    });
+  });
+
+  suite('formatRecommendedEngines', () => {
+    const result = {
+      minNode: '18.17.0',
+      maxNode: '22.1.0',
+      minNpm: '10.5.0',
+      maxNpm: '10.8.0',
+      nodeRange: '>=18.17.0',
+      npmRange: '>=10.5.0',
+      compatibleNodeVersions: ['18.17.0', '18.18.0', '20.3.0', '21.0.0', '22.1.0'],
+      compatibleNpmVersions: ['10.5.0', '10.8.0'],
+    };
+
+    test('should format both engines in the configured styles', () => {
+      const engines = formatRecommendedEngines(result, { node: 'majorCaretUnion', npm: 'exactBounds' });
+
+      assert.deepStrictEqual(engines, {
+        nodeEngineString: '^18.17.0 || ^20.3.0 || ^21.0.0 || >=22.1.0',
+        npmEngineString: '>=10.5.0 <=10.8.0',
+        developmentNodeEngineString: null,
+        developmentNpmEngineString: null,
+      });
+    });
+
+    test('should format the development range in the same styles', () => {
+      const engines = formatRecommendedEngines({
+        ...result,
+        developmentNodeRange: '>=20.3.0',
+        developmentNpmRange: '>=10.8.0',
+        compatibleDevelopmentNodeVersions: ['20.3.0', '21.0.0', '22.1.0'],
+        compatibleDevelopmentNpmVersions: ['10.8.0'],
+      }, { node: 'majorCaretUnion', npm: 'intersection' });
+
+      assert.strictEqual(engines.developmentNodeEngineString, '^20.3.0 || ^21.0.0 || >=22.1.0');
+      assert.strictEqual(engines.developmentNpmEngineString, '>=10.8.0');
+    });
+
+    test('should only cover LTS releases in the ltsOnly style', () => {
+      const { nodeEngineString } = formatRecommendedEngines(result, { node: 'ltsOnly', npm: 'intersection' }, ['18.18.0', '20.3.0', '22.1.0']);
+
+      assert.strictEqual(nodeEngineString, '^18.18.0 || ^20.3.0 || ^22.1.0');
+    });
+  });
+});
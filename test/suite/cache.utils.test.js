@@ -0,0 +1,33 @@
+const assert = require('assert');
+const path = require('path');
+
+const { isAnalysisAffected, toWatchedProjectPath } = require('../../src/cache.utils');
+
+suite('Cache Utils Test Suite', () => {
+  const projectPath = path.join(path.sep, 'work', 'app');
+
+  suite('toWatchedProjectPath', () => {
+    test('should find the project of a manifest, lockfile or install state file', () => {
+      assert.strictEqual(toWatchedProjectPath(path.join(projectPath, 'package.json')), projectPath);
+      assert.strictEqual(toWatchedProjectPath(path.join(projectPath, 'pnpm-lock.yaml')), projectPath);
+      assert.strictEqual(toWatchedProjectPath(path.join(projectPath, 'node_modules', '.package-lock.json')), projectPath);
+    });
+
+    test('should ignore the files of installed packages', () => {
+      assert.strictEqual(toWatchedProjectPath(path.join(projectPath, 'node_modules', 'a', 'package.json')), null);
+      assert.strictEqual(toWatchedProjectPath(path.join(projectPath, 'node_modules', '@scope', 'a', 'package.json')), null);
+    });
+  });
+
+  suite('isAnalysisAffected', () => {
+    test('should drop the project, its monorepo packages and the monorepo root it is in', () => {
+      const packagePath = path.join(projectPath, 'packages', 'a');
+
+      assert.strictEqual(isAnalysisAffected(projectPath, projectPath), true);
+      assert.strictEqual(isAnalysisAffected(packagePath, projectPath), true);
+      assert.strictEqual(isAnalysisAffected(projectPath, packagePath), true);
+      assert.strictEqual(isAnalysisAffected(path.join(projectPath, 'packages', 'b'), packagePath), false);
+      assert.strictEqual(isAnalysisAffected(`${projectPath}-2`, projectPath), false);
+    });
+  });
+});
@@ -0,0 +1,112 @@
+const assert = require('assert');
+const sinon = require('sinon');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { parseCliArguments, runCli } = require('../../src/cli.utils');
+const { CLI_EXIT_CODES } = require('../../src/constants');
+const { writeFixture } = require('./fixtures');
+
+suite('CLI Utils Test Suite', () => {
+  let sandbox;
+  let rootPath;
+
+  const run = async (...argv) => {
+    const output = { stdout: '', stderr: '' };
+    const exitCode = await runCli([...argv, '--offline'], {
+      stdout: { write: text => { output.stdout += text; } },
+      stderr: { write: text => { output.stderr += text; } },
+    }, rootPath);
+    return { exitCode, ...output };
+  };
+
+  setup(() => {
+    sandbox = sinon.createSandbox();
+    sandbox.stub(console, 'warn');
+    rootPath = fs.mkdtempSync(path.join(os.tmpdir(), 'nsr-cli-'));
+    writeFixture(rootPath, 'package.json', { name: 'app', dependencies: { a: '^1.0.0' }, engines: { node: '>=16' } });
+    writeFixture(rootPath, 'node_modules/a/package.json', { name: 'a', version: '1.0.0', engines: { node: '>=20' } });
+  });
+
+  teardown(() => {
+    sandbox.restore();
+    fs.rmSync(rootPath, { recursive: true, force: true });
+  });
+
+  suite('parseCliArguments', () => {
+    test('should resolve --cwd and default the range styles', () => {
+      const args = parseCliArguments(['check', '--cwd', 'app', '--json'], rootPath);
+
+      assert.strictEqual(args.command, 'check');
+      assert.strictEqual(args.cwd, path.join(rootPath, 'app'));
+      assert.strictEqual(args.format, 'json');
+      assert.deepStrictEqual(args.styles, { node: 'intersection', npm: 'intersection' });
+    });
+
+    test('should reject unknown commands and styles', () => {
+      assert.throws(() => parseCliArguments(['lint']), /Unknown command "lint"/);
+      assert.throws(() => parseCliArguments([]), /Missing command/);
+      assert.throws(() => parseCliArguments(['suggest', '--npm-range-style', 'ltsOnly']), /Unknown NPM range style/);
+      assert.throws(() => parseCliArguments(['suggest', '--format', 'xml']), /Unknown format "xml"/);
+    });
+  });
+
+  suite('runCli', () => {
+    test('should fail check when engines allow versions a dependency rejects', async () => {
+      const { exitCode, stdout } = await run('check');
+
+      assert.strictEqual(exitCode, CLI_EXIT_CODES.DRIFT);
+      assert.match(stdout, /error engines\.node: engines\.node ">=16" allows Node\.js/);
+      assert.match(stdout, /disagree with the dependencies in 1 of 1 project/);
+    });
+
+    test('should pass check but count the mismatches that do not fail it', async () => {
+      writeFixture(rootPath, 'package.json', { name: 'app', dependencies: { a: '^1.0.0' }, engines: { node: '>=22' } });
+
+      const { exitCode, stdout } = await run('check');
+
+      assert.strictEqual(exitCode, CLI_EXIT_CODES.OK);
+      assert.match(stdout, /info engines\.node: engines\.node ">=22" excludes Node\.js/);
+      assert.match(stdout, /\n1 non-blocking mismatch\(es\)\.\n$/);
+      assert.doesNotMatch(stdout, /agree with the dependencies/);
+    });
+
+    test('should fix engines so that check passes', async () => {
+      writeFixture(rootPath, '.nvmrc', '18\n');
+
+      assert.strictEqual((await run('fix')).exitCode, CLI_EXIT_CODES.OK);
+
+      const manifest = JSON.parse(fs.readFileSync(path.join(rootPath, 'package.json'), 'utf8'));
+      assert.strictEqual(manifest.engines.node, '>=20.0.0');
+      assert.notStrictEqual(fs.readFileSync(path.join(rootPath, '.nvmrc'), 'utf8'), '18\n');
+      assert.strictEqual((await run('check')).exitCode, CLI_EXIT_CODES.OK);
+    });
+
+    test('should print the recommendation as JSON', async () => {
+      const { exitCode, stdout } = await run('suggest', '--json');
+      const report = JSON.parse(stdout);
+
+      assert.strictEqual(exitCode, CLI_EXIT_CODES.OK);
+      assert.strictEqual(report.schemaVersion, 1);
+      assert.strictEqual(report.projects.length, 1);
+      assert.deepStrictEqual(report.projects[0].recommended.engines, { node: '>=20.0.0', npm: null });
+      assert.deepStrictEqual(report.projects[0].declaredEngines, { node: '>=16' });
+    });
+
+    test('should print a SARIF log for check', async () => {
+      const { exitCode, stdout } = await run('check', '--format', 'sarif');
+      const [run0] = JSON.parse(stdout).runs;
+
+      assert.strictEqual(exitCode, CLI_EXIT_CODES.DRIFT);
+      assert.ok(run0.results.some(({ ruleId }) => ruleId === 'allowsRejected'));
+    });
+
+    test('should exit with an error when there is no package.json', async () => {
+      const { exitCode, stderr } = await run('suggest', '--cwd', 'missing');
+
+      assert.strictEqual(exitCode, CLI_EXIT_CODES.ERROR);
+      assert.match(stderr, /package\.json not found/);
+    });
+  });
+});
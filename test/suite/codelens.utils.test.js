@@ -0,0 +1,70 @@
+const assert = require('assert');
+const vscode = require('vscode');
+
+const { formatEnginesLensTitle, toEnginesCodeLenses } = require('../../src/codelens.utils');
+
+suite('CodeLens Utils Test Suite', () => {
+  const check = {
+    mismatches: [],
+    compatibility: {
+      node: { recommendedRange: '>=18.17.0 <25.0.0', compatibleRange: null, compatibleVersions: [] },
+      npm: { recommendedRange: '>=9.0.0', compatibleRange: null, compatibleVersions: [] },
+    },
+    constraints: { node: [], npm: [] },
+    devEngineStrings: { node: '>=22.0.0', npm: null },
+    versionPinUpdates: [{ pin: { label: '.nvmrc', path: '/project/.nvmrc', spec: '16', version: '16.20.2' }, spec: '22', version: '22.11.0' }],
+  };
+  const documentFor = text => ({
+    uri: vscode.Uri.file('/project/package.json'),
+    getText: () => text,
+    positionAt: offset => new vscode.Position(0, offset),
+  });
+
+  suite('formatEnginesLensTitle', () => {
+    test('should leave out npm without a recommendation', () => {
+      assert.strictEqual(formatEnginesLensTitle('>=20.0.0', null), 'Dependencies support Node >=20.0.0');
+    });
+  });
+
+  suite('toEnginesCodeLenses', () => {
+    test('should offer to apply the recommendation above the engines key', () => {
+      const text = '{\n  "name": "a",\n  "engines": { "node": ">=16" }\n}';
+
+      const [lens] = toEnginesCodeLenses(documentFor(text), check);
+
+      assert.strictEqual(lens.range.start.character, text.indexOf('"engines"'));
+      assert.strictEqual(lens.command.title, 'Dependencies support Node >=18.17.0 <25.0.0, npm >=9.0.0 — Apply');
+      assert.strictEqual(lens.command.command, 'node-support-limits.applyRecommendedEngines');
+      assert.deepStrictEqual(lens.command.arguments.slice(1), [
+        '>=18.17.0 <25.0.0',
+        '>=9.0.0',
+        check.devEngineStrings,
+        check.versionPinUpdates,
+      ]);
+    });
+
+    test('should sit at the top of the file without engines', () => {
+      const [lens] = toEnginesCodeLenses(documentFor('{ "name": "a" }'), check);
+
+      assert.strictEqual(lens.range.start.character, 0);
+    });
+
+    test('should only show the recommendation when engines, devEngines and pins are up to date', () => {
+      const upToDate = { ...check, devEngineStrings: { node: '>=22.0.0', npm: null }, versionPinUpdates: [] };
+      const text = '{ "engines": { "node": ">=18.17 <25.0.0", "npm": ">=9" }, "devEngines": { "runtime": { "name": "node", "version": ">=22" } } }';
+
+      const [lens] = toEnginesCodeLenses(documentFor(text), upToDate);
+
+      assert.strictEqual(lens.command.command, '');
+    });
+
+    test('should offer to apply when only devEngines or pins are out of date', () => {
+      const text = '{ "engines": { "node": ">=18.17.0 <25.0.0", "npm": ">=9.0.0" } }';
+      const commandOf = changes => toEnginesCodeLenses(documentFor(text), { ...check, ...changes })[0].command.command;
+
+      assert.strictEqual(commandOf({ versionPinUpdates: [] }), 'node-support-limits.applyRecommendedEngines');
+      assert.strictEqual(commandOf({ devEngineStrings: {} }), 'node-support-limits.applyRecommendedEngines');
+      assert.strictEqual(commandOf({ devEngineStrings: {}, versionPinUpdates: [] }), '');
+    });
+  });
+});
@@ -0,0 +1,248 @@
+const assert = require('assert');
+const path = require('path');
+
+const {
+  categorizeDependencies,
+  findBindingConstraints,
+  findConflictingConstraints,
+  findConstraintWarnings,
+  findDependencyEffect,
+  formatBindingConstraints,
+  formatConflictResolutions,
+  formatConstraintWarnings,
+  suggestConflictResolutions,
+  summarizeConflict,
+  summarizeConstraintWarnings,
+  toEngineConstraints,
+} = require('../../src/constraints.utils');
+
+suite('Constraints Utils Test Suite', () => {
+  const projectPath = path.join(path.sep, 'project');
+  const constraint = (name, range, requiredBy = null) => ({
+    range,
+    name,
+    version: '1.0.0',
+    path: path.join(projectPath, 'node_modules', name),
+    requiredBy,
+  });
+
+  suite('toEngineConstraints', () => {
+    test('should only collect declared ranges of the requested engine', () => {
+      const dependencies = [
+        { name: 'a', version: '1.0.0', path: '/a', depth: 0, requiredBy: null, directDependency: 'a', engines: { node: '>=18', npm: '>=9' } },
+        { name: 'b', version: '2.0.0', path: '/b', depth: 1, requiredBy: 'a', directDependency: 'a', engines: null },
+      ];
+
+      assert.deepStrictEqual(toEngineConstraints(dependencies, 'npm'), [
+        { range: '>=9', name: 'a', version: '1.0.0', path: '/a', requiredBy: null, directDependency: 'a' },
+      ]);
+    });
+
+    test('should tag each constraint with the category of its direct dependency', () => {
+      const dependencies = [
+        { name: 'b', version: '2.0.0', path: '/b', depth: 1, requiredBy: 'a', directDependency: 'a', engines: { node: '>=18' } },
+      ];
+
+      assert.strictEqual(toEngineConstraints(dependencies, 'node', new Map([['a', 'peerDependencies']]))[0].category, 'peerDependencies');
+    });
+  });
+
+  suite('categorizeDependencies', () => {
+    test('should count a package listed in several categories under the first that applies', () => {
+      const categories = categorizeDependencies({
+        dependencies: { a: '^1.0.0', b: '^1.0.0' },
+        devDependencies: { c: '^1.0.0', d: '^1.0.0' },
+        peerDependencies: { d: '^1.0.0' },
+        optionalDependencies: { b: '^1.0.0' },
+        bundledDependencies: ['a'],
+      });
+
+      assert.deepStrictEqual(Object.fromEntries(categories), {
+        a: 'bundleDependencies',
+        b: 'optionalDependencies',
+        c: 'devDependencies',
+        d: 'peerDependencies',
+      });
+    });
+
+    test('should bundle every dependency when bundleDependencies is true', () => {
+      const categories = categorizeDependencies({ dependencies: { a: '^1.0.0' }, bundleDependencies: true });
+
+      assert.strictEqual(categories.get('a'), 'bundleDependencies');
+    });
+  });
+
+  suite('findConstraintWarnings', () => {
+    test('should only keep constraints that reject part of the compatible versions', () => {
+      const strict = { ...constraint('a', '>=20'), category: 'optionalDependencies' };
+      const loose = { ...constraint('b', '>=16'), category: 'optionalDependencies' };
+
+      const warnings = findConstraintWarnings([strict, loose], ['18.0.0', '20.0.0', '22.0.0']);
+
+      assert.deepStrictEqual(warnings, [{ constraint: strict, rejectedVersions: ['18.0.0'] }]);
+      assert.deepStrictEqual(formatConstraintWarnings('Node.js', warnings, ['18.0.0', '20.0.0', '22.0.0'], projectPath), [
+        'Not enforced, but rejecting part of the Node.js range:',
+        `  - a@1.0.0 requires ">=20" (${path.join('node_modules', 'a')}, direct dependency, via optionalDependencies), rejects 18.0.0`,
+      ]);
+      assert.strictEqual(
+        summarizeConstraintWarnings(warnings),
+        'a (optionalDependencies) does not support every version in this range, but is not enforced.'
+      );
+    });
+
+    test('should describe rejected versions with gaps as separate runs', () => {
+      const gapped = { ...constraint('a', '^18 || >=22'), category: 'optionalDependencies' };
+      const compatibleVersions = ['16.0.0', '18.0.0', '20.0.0', '22.0.0'];
+
+      const warnings = findConstraintWarnings([gapped], compatibleVersions);
+
+      assert.deepStrictEqual(formatConstraintWarnings('Node.js', warnings, compatibleVersions, projectPath), [
+        'Not enforced, but rejecting part of the Node.js range:',
+        `  - a@1.0.0 requires "^18 || >=22" (${path.join('node_modules', 'a')}, direct dependency, via optionalDependencies), rejects 2 versions: 16.0.0 and 20.0.0`,
+      ]);
+    });
+  });
+
+  suite('findBindingConstraints', () => {
+    const known = ['16.0.0', '18.0.0', '20.0.0', '22.0.0', '24.0.0'];
+
+    test('should name the constraints rejecting the versions next to each bound', () => {
+      const constraints = [constraint('a', '>=18'), constraint('b', '>=20', 'a'), constraint('c', '<23')];
+
+      const bindings = findBindingConstraints(constraints, known, ['20.0.0', '22.0.0']);
+
+      assert.deepStrictEqual(bindings.lower.map(c => c.name), ['b']);
+      assert.deepStrictEqual(bindings.upper.map(c => c.name), ['c']);
+      assert.deepStrictEqual(bindings.conflicts, []);
+    });
+
+    test('should leave a bound unexplained when it is the edge of the known versions', () => {
+      const bindings = findBindingConstraints([constraint('a', '>=16')], known, known);
+
+      assert.deepStrictEqual(bindings.lower, []);
+      assert.deepStrictEqual(bindings.upper, []);
+    });
+
+    test('should report conflicts when nothing is compatible', () => {
+      const constraints = [constraint('a', '>=18'), constraint('b', '^16'), constraint('c', '>=14')];
+
+      const bindings = findBindingConstraints(constraints, known, []);
+
+      assert.deepStrictEqual(bindings.conflicts.map(c => c.name), ['a', 'b']);
+    });
+  });
+
+  suite('findDependencyEffect', () => {
+    const constraints = [
+      { ...constraint('a', '>=16'), directDependency: 'a' },
+      { ...constraint('b', '>=20', 'a'), directDependency: 'a' },
+      { ...constraint('c', '>=18'), directDependency: 'c' },
+    ];
+
+    test('should compare the range with and without the dependency and what it pulls in', () => {
+      const effect = findDependencyEffect(constraints, 'a');
+
+      assert.deepStrictEqual(effect.constraints.map(c => c.name), ['a', 'b']);
+      assert.strictEqual(effect.range, '>=20.0.0');
+      assert.strictEqual(effect.rangeWithout, '>=18.0.0');
+      assert.strictEqual(effect.narrows, true);
+    });
+
+    test('should report dependencies that do not narrow the range', () => {
+      assert.strictEqual(findDependencyEffect(constraints, 'c').narrows, false);
+      assert.strictEqual(findDependencyEffect(constraints, 'missing').narrows, false);
+    });
+
+    test('should give up on invalid ranges', () => {
+      assert.strictEqual(findDependencyEffect([constraint('a', 'not a range')], 'a'), null);
+    });
+  });
+
+  suite('findConflictingConstraints', () => {
+    const known = ['14.0.0', '16.0.0', '18.0.0', '20.0.0'];
+
+    test('should keep only the constraints needed for the conflict', () => {
+      const constraints = [constraint('a', '>=14'), constraint('b', '>=18'), constraint('c', '>=16'), constraint('d', '^16')];
+
+      assert.deepStrictEqual(findConflictingConstraints(constraints, known).map(c => c.name), ['b', 'd']);
+    });
+
+    test('should report an invalid range on its own', () => {
+      assert.deepStrictEqual(
+        findConflictingConstraints([constraint('a', '>=18'), constraint('b', 'not a range')], known).map(c => c.name),
+        ['b']
+      );
+    });
+
+    test('should return every constraint if only their combination is empty', () => {
+      const constraints = [constraint('a', '^16 || ^18'), constraint('b', '^18 || ^20'), constraint('c', '^16 || ^20')];
+
+      assert.deepStrictEqual(findConflictingConstraints(constraints, known), constraints);
+    });
+  });
+
+  suite('suggestConflictResolutions', () => {
+    const known = ['16.0.0', '18.0.0', '20.0.0'];
+    const a = constraint('a', '>=18');
+    const b = { ...constraint('b', '^16'), version: '2.0.0' };
+    const candidates = new Map([
+      ['b', [
+        { version: '1.0.0', engines: { node: '>=14' } },
+        { version: '1.5.0', engines: null },
+        { version: '2.0.0', engines: { node: '^16' } },
+        { version: '2.1.0', engines: { node: '^16' } },
+        { version: '3.0.0-beta.1', engines: { node: '>=18' } },
+        { version: '3.0.0', engines: { node: '>=20' } },
+        { version: '3.1.0', engines: { node: '>=18' } },
+      ]],
+    ]);
+
+    test('should suggest the nearest working versions in each direction', () => {
+      const resolutions = suggestConflictResolutions([a, b], [a, b], candidates, known);
+
+      assert.deepStrictEqual(resolutions, [
+        { name: 'b', from: '2.0.0', to: '3.0.0', direction: 'upgrade', range: '>=20' },
+        { name: 'b', from: '2.0.0', to: '1.5.0', direction: 'downgrade', range: null },
+      ]);
+    });
+
+    test('should not suggest anything without available versions', () => {
+      assert.deepStrictEqual(suggestConflictResolutions([a, b], [a, b], new Map(), known), []);
+    });
+
+    test('should describe the resolutions', () => {
+      const resolutions = suggestConflictResolutions([a, b], [a, b], candidates, known);
+
+      assert.strictEqual(formatConflictResolutions(resolutions)[1], '  - upgrade b from 2.0.0 to 3.0.0 (requires ">=20")');
+      assert.strictEqual(
+        summarizeConflict('Node.js', [a, b], resolutions),
+        'No Node.js version satisfies a@1.0.0 (">=18") and b@2.0.0 ("^16") together. Try to upgrade b to 3.0.0.'
+      );
+    });
+  });
+
+  suite('formatBindingConstraints', () => {
+    test('should list the binding dependencies with their origin', () => {
+      const lines = formatBindingConstraints(
+        'Node.js',
+        { lower: [constraint('b', '>=20', 'a')], upper: [], conflicts: [] },
+        '20.0.0',
+        '24.0.0',
+        projectPath
+      );
+
+      assert.deepStrictEqual(lines, [
+        'Node.js minimum 20.0.0 is set by:',
+        `  - b@1.0.0 requires ">=20" (${path.join('node_modules', 'b')}, required by a)`,
+        'Node.js maximum 24.0.0 is not set by any dependency.',
+      ]);
+    });
+
+    test('should list conflicts when there is no range', () => {
+      const lines = formatBindingConstraints('NPM', { lower: [], upper: [], conflicts: [constraint('a', '^8')] }, null, null, projectPath);
+
+      assert.strictEqual(lines[0], 'No NPM version satisfies these dependencies together:');
+      assert.match(lines[1], /a@1.0.0 requires "\^8" \(.*, direct dependency\)/);
+    });
+  });
+});
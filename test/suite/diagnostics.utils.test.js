@@ -0,0 +1,69 @@
+const assert = require('assert');
+const vscode = require('vscode');
+
+const { isProjectManifest, toEnginesCodeActions, toEnginesDiagnostics } = require('../../src/diagnostics.utils');
+
+suite('Diagnostics Utils Test Suite', () => {
+  const text = '{\n  "engines": { "node": ">=16" },\n  "dependencies": { "a": "1" }\n}\n';
+  const document = {
+    uri: vscode.Uri.file('/project/package.json'),
+    getText: () => text,
+    positionAt: offset => new vscode.Position(0, offset),
+  };
+
+  suite('isProjectManifest', () => {
+    test('should skip manifests of installed packages', () => {
+      assert.strictEqual(isProjectManifest(document), true);
+      assert.strictEqual(isProjectManifest({ uri: vscode.Uri.file('/project/node_modules/a/package.json') }), false);
+    });
+  });
+
+  suite('toEnginesDiagnostics', () => {
+    test('should underline the entry each mismatch concerns', () => {
+      const diagnostics = toEnginesDiagnostics(document, [
+        { kind: 'allowsRejected', engine: 'node', path: ['engines', 'node'], part: 'value', message: 'm1', versions: [], constraints: [] },
+        { kind: 'dependencyExcludes', engine: 'node', path: ['dependencies', 'a'], part: 'key', message: 'm2', versions: [], constraints: [] },
+        { kind: 'stricterThanNeeded', engine: 'npm', path: ['engines', 'npm'], part: 'value', message: 'm3', versions: [], constraints: [] },
+      ]);
+
+      assert.deepStrictEqual(
+        diagnostics.map(d => [d.range.start.character, d.range.end.character, d.severity, d.code, d.source]),
+        [
+          [text.indexOf('">=16"'), text.indexOf('">=16"') + 6, vscode.DiagnosticSeverity.Warning, 'allowsRejected', 'node-support-limits'],
+          [text.indexOf('"a"'), text.indexOf('"a"') + 3, vscode.DiagnosticSeverity.Warning, 'dependencyExcludes', 'node-support-limits'],
+        ]
+      );
+    });
+  });
+
+  suite('toEnginesCodeActions', () => {
+    test('should offer quick fixes for the reported mismatches', () => {
+      const mismatch = { kind: 'stricterThanNeeded', engine: 'node', path: ['engines', 'node'], part: 'value', message: 'm', versions: [], constraints: [] };
+      const check = {
+        mismatches: [mismatch],
+        compatibility: {
+          node: { recommendedRange: '>=14.0.0', compatibleRange: '>=14.0.0', compatibleVersions: ['14.0.0', '16.0.0', '18.0.0'] },
+          npm: { recommendedRange: null, compatibleRange: null, compatibleVersions: [] },
+        },
+      };
+      const diagnostics = toEnginesDiagnostics(document, [mismatch]);
+
+      const actions = toEnginesCodeActions(document, diagnostics, check);
+
+      assert.deepStrictEqual(actions.map(action => action.title), [
+        'Set engines.node to computed range ">=14.0.0"',
+        'Widen engines.node to include Node.js 14',
+      ]);
+      assert.strictEqual(actions[0].kind.value, vscode.CodeActionKind.QuickFix.value);
+      assert.strictEqual(actions[0].isPreferred, true);
+      assert.deepStrictEqual(actions[0].diagnostics, diagnostics);
+      assert.strictEqual(actions[0].edit.size, 1);
+    });
+
+    test('should ignore diagnostics from other sources', () => {
+      const diagnostic = new vscode.Diagnostic(new vscode.Range(0, 0, 0, 1), 'm');
+
+      assert.deepStrictEqual(toEnginesCodeActions(document, [diagnostic], { mismatches: [], compatibility: {} }), []);
+    });
+  });
+});
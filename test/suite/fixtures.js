@@ -0,0 +1,30 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Writes a file below a temporary project, creating its directories; objects are written as indented JSON
+const writeFixture = (rootPath, relativePath, content) => {
+  const filePath = path.join(rootPath, relativePath);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, typeof content === 'string' ? content : JSON.stringify(content, null, 2));
+  return path.dirname(filePath);
+};
+
+const hashedPath = hex => [hex.slice(0, 2), hex.slice(2, 4), hex.slice(4)];
+
+// Stores content and an index entry the way npm's cacache does, and returns the index bucket
+const writeCacheEntry = (cachePath, key, content) => {
+  const digest = crypto.createHash('sha512').update(content);
+  const integrity = `sha512-${digest.copy().digest('base64')}`;
+  const contentPath = path.join(cachePath, 'content-v2', 'sha512', ...hashedPath(digest.digest('hex')));
+  fs.mkdirSync(path.dirname(contentPath), { recursive: true });
+  fs.writeFileSync(contentPath, content);
+
+  const entry = JSON.stringify({ key, integrity, time: 0, size: content.length, metadata: {} });
+  const bucketPath = path.join(cachePath, 'index-v5', ...hashedPath(crypto.createHash('sha256').update(key).digest('hex')));
+  fs.mkdirSync(path.dirname(bucketPath), { recursive: true });
+  fs.appendFileSync(bucketPath, `\n${crypto.createHash('sha1').update(entry).digest('hex')}\t${entry}`);
+  return bucketPath;
+};
+
+module.exports = { writeCacheEntry, writeFixture };
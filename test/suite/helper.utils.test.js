@@ -4,7 +4,11 @@ const fs = require('fs');
 const vscode = require('vscode'); // Will be mocked
 
 // Assuming helper.utils.js is in src and constants.js is in src
-const { analyzeProjectDependencies, updatePackageJsonEngines } = require('../../src/helper.utils');
+const {
+  analyzeProjectDependencies,
+  readEngineRangeStyles,
+  updatePackageJsonEngines,
+} = require('../../src/helper.utils');
 const {
   NOTE_NO_DEPENDENCIES,
   COMMON_NODEJS_VERSIONS,
@@ -275,6 +279,17 @@ suite('Helper Utils Test Suite', () => {
   suite('updatePackageJsonEngines', () => {
     const projectPackageJsonPath = 'project/package.json';
 
+    // Only the changed part of the document is replaced, so rebuild the whole text from the edit
+    const applyReplacement = initialContent => {
+      const [, range, newText] = mockWorkspaceEdit.replace.getCall(0).args;
+      return initialContent.slice(0, range.start) + newText + initialContent.slice(range.end);
+    };
+
+    setup(() => {
+      mockTextDocument.positionAt.callsFake(offset => offset);
+      sandbox.stub(vscode, 'Range').callsFake((start, end) => ({ start, end, _isRange: true }));
+    });
+
     test('should add new engines node if none exists', async () => {
       const initialContent = JSON.stringify({ name: 'test-project' }, null, 2);
       mockTextDocument.getText.returns(initialContent);
@@ -297,15 +312,15 @@ suite('Helper Utils Test Suite', () => {
       // This will require a deeper mock of the edit application process.
 
       // To actually check the content, we'd need to see what arguments `mockWorkspaceEdit.insert` or `mockWorkspaceEdit.replace` got.
-      // The function should use replace for the whole document content
+      // The function should replace only the changed part of the document
       await updatePackageJsonEngines(projectPackageJsonPath, nodeEngineString, null);
 
       assert(mockWorkspaceEdit.replace.calledOnce, "WorkspaceEdit's replace should have been called once");
       assert.isFalse(mockWorkspaceEdit.insert.called, "WorkspaceEdit's insert should not have been called");
 
-      const [uri, range, newText] = mockWorkspaceEdit.replace.getCall(0).args;
+      const [uri] = mockWorkspaceEdit.replace.getCall(0).args;
+      const newText = applyReplacement(initialContent);
       assert.deepStrictEqual(uri, mockTextDocument.uri, "URI for replace should match document URI");
-      // Range should cover the entire document, which is implicitly tested by replacing the whole content.
 
       const updatedPackageJson = JSON.parse(newText);
       assert.ok(updatedPackageJson.engines, "Engines property should exist");
@@ -337,7 +352,7 @@ suite('Helper Utils Test Suite', () => {
       await updatePackageJsonEngines(projectPackageJsonPath, newNodeEngineString, null); // npmEngineString is null
 
       assert(mockWorkspaceEdit.replace.calledOnce, "WorkspaceEdit's replace should have been called once");
-      const [, , newText] = mockWorkspaceEdit.replace.getCall(0).args;
+      const newText = applyReplacement(initialContent);
       const updatedPackageJson = JSON.parse(newText);
 
       assert.ok(updatedPackageJson.engines, "Engines property should exist");
@@ -356,8 +371,6 @@ suite('Helper Utils Test Suite', () => {
     test('should update existing engines node', async () => {
       const initialContent = JSON.stringify({ name: 'test-project', engines: { node: '>=16.0.0' } }, null, 2);
       mockTextDocument.getText.returns(initialContent);
-      sandbox.stub(vscode, 'Range').callsFake((start, end) => ({ start, end, _isRange: true })); // Mock vscode.Range
-      sandbox.stub(vscode, 'Position').callsFake((line, char) => ({ line, char, _isPosition: true })); // Mock vscode.Position
 
       // Need to ensure positionAt and lineAt return values that allow finding the existing 'engines' field.
       // This is complex because it depends on the exact text manipulation logic in the function.
@@ -371,7 +384,8 @@ suite('Helper Utils Test Suite', () => {
       await updatePackageJsonEngines(projectPackageJsonPath, newNodeEngineString, null);
 
       assert(mockWorkspaceEdit.replace.calledOnce, "WorkspaceEdit's replace should be called once");
-      const [uri, range, newText] = mockWorkspaceEdit.replace.getCall(0).args;
+      const [uri] = mockWorkspaceEdit.replace.getCall(0).args;
+      const newText = applyReplacement(initialContent);
 
       assert.deepStrictEqual(uri, mockTextDocument.uri);
       const updatedPackageJson = JSON.parse(newText);
@@ -413,7 +427,8 @@ suite('Helper Utils Test Suite', () => {
       assert(mockWorkspaceEdit.replace.calledOnce, "WorkspaceEdit's replace should have been called once");
       assert.isFalse(mockWorkspaceEdit.insert.called, "WorkspaceEdit's insert should not have been called");
 
-      const [uri, range, newText] = mockWorkspaceEdit.replace.getCall(0).args;
+      const [uri] = mockWorkspaceEdit.replace.getCall(0).args;
+      const newText = applyReplacement(initialContent);
       assert.deepStrictEqual(uri, mockTextDocument.uri);
 
       const updatedPackageJson = JSON.parse(newText);
@@ -439,7 +454,7 @@ suite('Helper Utils Test Suite', () => {
       await updatePackageJsonEngines(projectPackageJsonPath, nodeEngineString, null);
 
       assert(mockWorkspaceEdit.replace.calledOnce, "WorkspaceEdit's replace should have been called once");
-      const [, , newText] = mockWorkspaceEdit.replace.getCall(0).args;
+      const newText = applyReplacement(initialContent);
       const updatedPackageJson = JSON.parse(newText);
 
       assert.ok(updatedPackageJson.engines, "Engines property should exist");
@@ -457,7 +472,7 @@ suite('Helper Utils Test Suite', () => {
       await updatePackageJsonEngines(projectPackageJsonPath, nodeEngineString, null);
 
       assert(mockWorkspaceEdit.replace.calledOnce, "Replace not called or called too many times");
-      const [, , newText] = mockWorkspaceEdit.replace.getCall(0).args;
+      const newText = applyReplacement(initialContent);
       const updatedPackageJson = JSON.parse(newText);
 
       assert.ok(updatedPackageJson.engines.node, "Node engine not added");
@@ -477,7 +492,7 @@ suite('Helper Utils Test Suite', () => {
       await updatePackageJsonEngines(projectPackageJsonPath, nodeEngineString, null);
 
       assert(mockWorkspaceEdit.replace.calledOnce, "Replace not called or called too many times");
-      const [, , newText] = mockWorkspaceEdit.replace.getCall(0).args;
+      const newText = applyReplacement(initialContent);
       const updatedPackageJson = JSON.parse(newText);
 
       assert.ok(updatedPackageJson.engines.node, "Node engine not added");
@@ -498,7 +513,7 @@ suite('Helper Utils Test Suite', () => {
       await updatePackageJsonEngines(projectPackageJsonPath, nodeEngineString, null);
 
       assert(mockWorkspaceEdit.replace.calledOnce, "Replace not called or called too many times");
-      const [, , newText] = mockWorkspaceEdit.replace.getCall(0).args;
+      const newText = applyReplacement(initialContent);
       const updatedPackageJson = JSON.parse(newText);
 
       assert.ok(updatedPackageJson.engines.node, "Node engine not added");
@@ -511,5 +526,29 @@ suite('Helper Utils Test Suite', () => {
       assert(vscode.window.showInformationMessage.calledWithMatch(`${PACKAGE_JSON_FILENAME} has been updated`), "Success message should be shown");
     });
 
+    test('should preserve comments, CRLF line endings and the trailing newline', async () => {
+      const initialContent = '{\r\n  // build settings\r\n  "name": "test-project",\r\n  "engines": { "node": ">=16.0.0" }\r\n}\r\n';
+      mockTextDocument.getText.returns(initialContent);
+
+      await updatePackageJsonEngines(projectPackageJsonPath, '>=20.0.0', null);
+
+      assert.strictEqual(
+        applyReplacement(initialContent),
+        '{\r\n  // build settings\r\n  "name": "test-project",\r\n  "engines": { "node": ">=20.0.0" }\r\n}\r\n'
+      );
+    });
+
+  });
+
+  suite('engines range styles', () => {
+    test('should read the configured styles and ignore unknown values', () => {
+      const settings = { nodeRangeStyle: 'openEnded', npmRangeStyle: 'ltsOnly' };
+      const vscodeWorkspace = {
+        getConfiguration: sinon.stub().returns({ get: (key, defaultValue) => settings[key] ?? defaultValue }),
+      };
+
+      assert.deepStrictEqual(readEngineRangeStyles(vscodeWorkspace), { node: 'openEnded', npm: 'intersection' });
+      assert(vscodeWorkspace.getConfiguration.calledWith('node-support-limits'));
+    });
   });
 });
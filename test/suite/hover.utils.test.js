@@ -0,0 +1,71 @@
+const assert = require('assert');
+
+const { formatDependencyHover } = require('../../src/hover.utils');
+
+suite('Hover Utils Test Suite', () => {
+  const constraint = (name, range, directDependency) => ({ range, name, version: '1.0.0', path: null, requiredBy: null, directDependency });
+  const check = {
+    mismatches: [],
+    compatibility: {},
+    constraints: {
+      node: [constraint('a', '>=16', 'a'), constraint('b', '>=20', 'a'), constraint('c', '>=18', 'c')],
+      npm: [],
+    },
+  };
+
+  suite('formatDependencyHover', () => {
+    test('should describe the engines and their effect on the project range', () => {
+      const markdown = formatDependencyHover(
+        { key: 'dependencies', name: 'a' },
+        { name: 'a', version: '1.2.0', engines: { node: '>=16' } },
+        check
+      );
+
+      assert.strictEqual(markdown, [
+        '**a@1.2.0** (dependencies)',
+        '',
+        '- Node.js: `>=16`. With b@1.0.0 (`>=20`) reached through it, it narrows the project range from `>=18.0.0` to `>=20.0.0`.',
+        '- npm: no range. It does not narrow the project range `*`.',
+      ].join('\n'));
+    });
+
+    test('should leave out the effect of dependencies that are not enforced', () => {
+      const markdown = formatDependencyHover({ key: 'optionalDependencies', name: 'a' }, null, check);
+
+      assert.strictEqual(markdown, [
+        '**a** (optionalDependencies) is not installed.',
+        '',
+        '- Node.js: no range.',
+        '- npm: no range.',
+        '',
+        'optionalDependencies are not enforced; versions they do not support are reported as warnings.',
+      ].join('\n'));
+    });
+
+    test('should follow the configured mode of the category the dependency counts under', () => {
+      const configured = { ...check, categoryModes: { peerDependencies: 'required', devDependencies: 'development' } };
+
+      const counted = formatDependencyHover({ key: 'devDependencies', name: 'c' }, null, configured, 'peerDependencies');
+      const development = formatDependencyHover({ key: 'devDependencies', name: 'c' }, null, configured);
+
+      assert.ok(counted.includes('It does not narrow the project range `>=20.0.0`.'));
+      assert.ok(!development.includes('project range'));
+      assert.ok(development.endsWith('devDependencies only count towards the development range.'));
+    });
+
+    test('should render names and ranges from manifests as plain text', () => {
+      const markdown = formatDependencyHover(
+        { key: 'dependencies', name: '[a](command:x)' },
+        { name: 'a', version: '1.0.0', engines: { node: '>=16` [b](command:x) `', npm: '`>=8`' } },
+        null
+      );
+
+      assert.strictEqual(markdown, [
+        '**\\[a\\](command:x)@1.0.0** (dependencies)',
+        '',
+        '- Node.js: `` >=16` [b](command:x) ` ``.',
+        '- npm: `` `>=8` ``.',
+      ].join('\n'));
+    });
+  });
+});
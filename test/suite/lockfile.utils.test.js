@@ -0,0 +1,298 @@
+const assert = require('assert');
+const sinon = require('sinon');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  createLockfileSource,
+  createPnpmLockfileSource,
+  createYarnLockfileSource,
+  detectPackageManager,
+  findNpmLockfile,
+  readNpmLockfile,
+  readPnpmLockfile,
+  readYarnLockfile,
+  resolveLockfileLocation,
+  toPnpmDependencyPath,
+} = require('../../src/lockfile.utils');
+const { walkDependencyTree } = require('../../src/resolver.utils');
+const { writeCacheEntry, writeFixture } = require('./fixtures');
+
+suite('Lockfile Utils Test Suite', () => {
+  let sandbox;
+  let projectPath;
+
+  const writeLockfile = (filename, lockfile) => {
+    const lockfilePath = path.join(projectPath, filename);
+    fs.writeFileSync(lockfilePath, JSON.stringify(lockfile));
+    return lockfilePath;
+  };
+
+  setup(() => {
+    sandbox = sinon.createSandbox();
+    sandbox.stub(console, 'warn');
+    projectPath = fs.mkdtempSync(path.join(os.tmpdir(), 'nsr-lockfile-'));
+  });
+
+  teardown(() => {
+    sandbox.restore();
+    fs.rmSync(projectPath, { recursive: true, force: true });
+  });
+
+  suite('findNpmLockfile', () => {
+    test('should prefer npm-shrinkwrap.json over package-lock.json', () => {
+      writeLockfile('package-lock.json', {});
+      const shrinkwrapPath = writeLockfile('npm-shrinkwrap.json', {});
+
+      assert.strictEqual(findNpmLockfile(projectPath), shrinkwrapPath);
+    });
+
+    test('should return null when there is no lockfile', () => {
+      assert.strictEqual(findNpmLockfile(projectPath), null);
+    });
+  });
+
+  suite('readNpmLockfile', () => {
+    test('should reject lockfileVersion 1', () => {
+      const lockfilePath = writeLockfile('package-lock.json', { lockfileVersion: 1, dependencies: {} });
+
+      assert.throws(() => readNpmLockfile(lockfilePath), /lockfileVersion 1/);
+    });
+  });
+
+  suite('resolveLockfileLocation', () => {
+    const packages = {
+      '': { name: 'root' },
+      'node_modules/a': { version: '1.0.0' },
+      'node_modules/b': { version: '2.0.0' },
+      'node_modules/a/node_modules/b': { version: '1.0.0' },
+      'node_modules/@scope/c': { version: '1.0.0' },
+    };
+
+    test('should prefer the nested entry', () => {
+      assert.strictEqual(resolveLockfileLocation(packages, 'b', 'node_modules/a'), 'node_modules/a/node_modules/b');
+    });
+
+    test('should fall back to the hoisted entry', () => {
+      assert.strictEqual(resolveLockfileLocation(packages, 'a', 'node_modules/@scope/c'), 'node_modules/a');
+    });
+
+    test('should return null for packages missing from the lockfile', () => {
+      assert.strictEqual(resolveLockfileLocation(packages, 'd', 'node_modules/a'), null);
+    });
+  });
+
+  suite('createLockfileSource', () => {
+    test('should collect engines for the whole tree without node_modules', () => {
+      const lockfilePath = writeLockfile('package-lock.json', {
+        lockfileVersion: 3,
+        packages: {
+          '': { name: 'root', dependencies: { a: '^1.0.0' } },
+          'node_modules/a': { version: '1.0.0', dependencies: { b: '^1.0.0' } },
+          'node_modules/b': { version: '1.1.0', engines: { node: '>=20' } },
+        },
+      });
+      const source = createLockfileSource(projectPath, readNpmLockfile(lockfilePath));
+
+      const result = walkDependencyTree(projectPath, ['a'], { source });
+
+      assert.deepStrictEqual(result.map(dep => [dep.name, dep.version]), [['a', '1.0.0'], ['b', '1.1.0']]);
+      assert.deepStrictEqual(result[1].engines, { node: '>=20' });
+      assert.strictEqual(result[1].path, path.join(projectPath, 'node_modules/b'));
+    });
+
+    test('should follow linked workspace entries', () => {
+      const lockfilePath = writeLockfile('package-lock.json', {
+        lockfileVersion: 3,
+        packages: {
+          '': { name: 'root' },
+          'node_modules/app': { resolved: 'packages/app', link: true },
+          'packages/app': { version: '0.1.0', engines: { node: '>=18' } },
+        },
+      });
+      const source = createLockfileSource(projectPath, readNpmLockfile(lockfilePath));
+
+      const [app] = walkDependencyTree(projectPath, ['app'], { source });
+
+      assert.deepStrictEqual(app.engines, { node: '>=18' });
+    });
+
+    test('should start from a workspace package and resolve hoisted dependencies', () => {
+      const lockfilePath = writeLockfile('package-lock.json', {
+        lockfileVersion: 3,
+        packages: {
+          '': { name: 'root', workspaces: ['packages/*'] },
+          'packages/app': { name: 'app', dependencies: { a: '^1.0.0', b: '^2.0.0' } },
+          'packages/app/node_modules/b': { version: '2.0.0', engines: { node: '>=20' } },
+          'node_modules/a': { version: '1.0.0', engines: { node: '>=18' } },
+          'node_modules/b': { version: '1.0.0' },
+        },
+      });
+      const source = createLockfileSource(projectPath, readNpmLockfile(lockfilePath), 'packages/app');
+
+      const result = walkDependencyTree(path.join(projectPath, 'packages/app'), ['a', 'b'], { source });
+
+      assert.deepStrictEqual(result.map(dep => [dep.name, dep.version]), [['a', '1.0.0'], ['b', '2.0.0']]);
+    });
+  });
+
+  suite('toPnpmDependencyPath', () => {
+    test('should build the path for each lockfile version', () => {
+      assert.strictEqual(toPnpmDependencyPath(5, 'a', '1.0.0'), '/a/1.0.0');
+      assert.strictEqual(toPnpmDependencyPath(6, '@s/a', '1.0.0'), '/@s/a@1.0.0');
+      assert.strictEqual(toPnpmDependencyPath(9, 'a', '1.0.0(react@18.0.0)'), 'a@1.0.0(react@18.0.0)');
+    });
+
+    test('should keep aliased paths as recorded', () => {
+      assert.strictEqual(toPnpmDependencyPath(9, 'alias', 'real@2.0.0'), 'real@2.0.0');
+      assert.strictEqual(toPnpmDependencyPath(6, 'alias', '/real@2.0.0'), '/real@2.0.0');
+    });
+  });
+
+  suite('createPnpmLockfileSource', () => {
+    test('should read engines from a lockfileVersion 9 lockfile', () => {
+      fs.writeFileSync(path.join(projectPath, 'pnpm-lock.yaml'), [
+        "lockfileVersion: '9.0'",
+        'importers:',
+        '  .:',
+        '    dependencies:',
+        '      a:',
+        '        specifier: ^1.0.0',
+        '        version: 1.0.0(react@18.0.0)',
+        'packages:',
+        '  a@1.0.0:',
+        "    engines: {node: '>=18'}",
+        '  b@2.0.0:',
+        "    engines: {node: '>=20', npm: '>=10'}",
+        'snapshots:',
+        '  a@1.0.0(react@18.0.0):',
+        '    dependencies:',
+        '      b: 2.0.0',
+        '  b@2.0.0: {}',
+        '',
+      ].join('\n'));
+      const source = createPnpmLockfileSource(projectPath, readPnpmLockfile(path.join(projectPath, 'pnpm-lock.yaml')));
+
+      const result = walkDependencyTree(projectPath, ['a'], { source });
+
+      assert.deepStrictEqual(result.map(dep => [dep.name, dep.version, dep.engines]), [
+        ['a', '1.0.0', { node: '>=18' }],
+        ['b', '2.0.0', { node: '>=20', npm: '>=10' }],
+      ]);
+    });
+
+    test('should read a single-project lockfileVersion 6 lockfile', () => {
+      fs.writeFileSync(path.join(projectPath, 'pnpm-lock.yaml'), [
+        "lockfileVersion: '6.0'",
+        'devDependencies:',
+        '  a:',
+        '    specifier: ^1.0.0',
+        '    version: 1.0.0',
+        'packages:',
+        '  /a@1.0.0:',
+        "    engines: {node: '>=16'}",
+        '',
+      ].join('\n'));
+      const source = createPnpmLockfileSource(projectPath, readPnpmLockfile(path.join(projectPath, 'pnpm-lock.yaml')));
+
+      const [a] = walkDependencyTree(projectPath, ['a'], { source });
+
+      assert.deepStrictEqual(a.engines, { node: '>=16' });
+      assert.strictEqual(a.version, '1.0.0');
+    });
+  });
+
+  suite('createYarnLockfileSource', () => {
+    let cachePath;
+
+    // Caches the registry metadata of a package, with the engines of each version
+    const cachePackument = (name, versions) => writeCacheEntry(
+      cachePath,
+      `make-fetch-happen:request-cache:https://registry.npmjs.org/${name.replace('/', '%2f')}`,
+      JSON.stringify({ name, versions: Object.fromEntries(Object.entries(versions).map(([version, engines]) => [version, { engines }])) })
+    );
+
+    setup(() => {
+      cachePath = path.join(projectPath, '_cacache');
+      cachePackument('a', { '1.0.0': { node: '>=18' }, '1.1.0': { node: '>=20' } });
+      cachePackument('@scope/b', { '2.0.0': { node: '>=16' } });
+    });
+
+    test('should resolve a Yarn 1 lockfile and read engines from npm\'s cache', () => {
+      writeFixture(projectPath, 'package.json', { dependencies: { a: '^1.0.0' }, devDependencies: { c: '^3.0.0' } });
+      writeFixture(projectPath, 'yarn.lock', [
+        '# THIS IS AN AUTOGENERATED FILE. DO NOT EDIT THIS FILE DIRECTLY.',
+        '# yarn lockfile v1',
+        '',
+        '',
+        '"@scope/b@^2.0.0":',
+        '  version "2.0.0"',
+        '',
+        'a@^1.0.0, a@~1.0.0:',
+        '  version "1.0.0"',
+        '  dependencies:',
+        '    "@scope/b" "^2.0.0"',
+        '',
+        'c@^3.0.0:',
+        '  version "3.0.0"',
+        '',
+      ].join('\n'));
+      const source = createYarnLockfileSource(projectPath, readYarnLockfile(path.join(projectPath, 'yarn.lock')), '.', { cachePath });
+
+      const [a, c, b] = walkDependencyTree(projectPath, ['a', 'c'], { source });
+
+      assert.deepStrictEqual([a.version, a.engines], ['1.0.0', { node: '>=18' }]);
+      assert.deepStrictEqual([b.name, b.version, b.engines], ['@scope/b', '2.0.0', { node: '>=16' }]);
+      assert.deepStrictEqual([c.version, c.engines], ['3.0.0', null]); //* Not in the cache
+    });
+
+    test('should resolve a Yarn 2 lockfile from a workspace package', () => {
+      writeFixture(projectPath, 'packages/app/package.json', { name: 'app', dependencies: { a: '^1.1.0', lib: 'workspace:*' } });
+      writeFixture(projectPath, 'packages/lib/package.json', { name: 'lib', dependencies: { '@scope/b': '^2.0.0' } });
+      writeFixture(projectPath, 'yarn.lock', [
+        '__metadata:',
+        '  version: 8',
+        '',
+        '"@scope/b@npm:^2.0.0":',
+        '  version: 2.0.0',
+        '  resolution: "@scope/b@npm:2.0.0"',
+        '',
+        '"a@npm:^1.1.0":',
+        '  version: 1.1.0',
+        '  resolution: "a@npm:1.1.0"',
+        '',
+        '"lib@workspace:*, lib@workspace:packages/lib":',
+        '  version: 0.0.0-use.local',
+        '  resolution: "lib@workspace:packages/lib"',
+        '',
+      ].join('\n'));
+      const lockfile = readYarnLockfile(path.join(projectPath, 'yarn.lock'));
+      const source = createYarnLockfileSource(projectPath, lockfile, 'packages/app', { cachePath });
+
+      const [a, lib, b] = walkDependencyTree(path.join(projectPath, 'packages/app'), ['a', 'lib'], { source });
+
+      assert.deepStrictEqual([a.version, a.engines], ['1.1.0', { node: '>=20' }]);
+      assert.strictEqual(lib.path, path.join(projectPath, 'packages/lib'));
+      assert.deepStrictEqual([b.version, b.requiredBy], ['2.0.0', 'lib']);
+    });
+  });
+
+  suite('detectPackageManager', () => {
+    test('should prefer the packageManager field', () => {
+      writeLockfile('package-lock.json', {});
+
+      assert.strictEqual(detectPackageManager(projectPath, { packageManager: 'pnpm@9.1.0+sha512.abc' }), 'pnpm');
+    });
+
+    test('should fall back to the lockfile on disk', () => {
+      fs.writeFileSync(path.join(projectPath, 'yarn.lock'), '');
+
+      assert.strictEqual(detectPackageManager(projectPath, {}), 'yarn');
+    });
+
+    test('should return null without any signal', () => {
+      assert.strictEqual(detectPackageManager(projectPath, {}), null);
+    });
+  });
+});
@@ -0,0 +1,142 @@
+const assert = require('assert');
+
+const { detectJsonFormatting, editManifestEngines, findDependencyAtOffset, locateJsonProperty, parseManifest } = require('../../src/manifest.utils');
+
+suite('Manifest Utils Test Suite', () => {
+  const apply = (text, edit) => text.slice(0, edit.offset) + edit.content + text.slice(edit.offset + edit.length);
+
+  suite('detectJsonFormatting', () => {
+    test('should detect tabs, spaces and line endings', () => {
+      assert.deepStrictEqual(detectJsonFormatting('{\r\n\t"a": 1\r\n}'), { insertSpaces: false, tabSize: 1, eol: '\r\n' });
+      assert.deepStrictEqual(detectJsonFormatting('{\n    "a": 1\n}'), { insertSpaces: true, tabSize: 4, eol: '\n' });
+      assert.deepStrictEqual(detectJsonFormatting('{"a": 1}'), { insertSpaces: true, tabSize: 2, eol: '\n' });
+    });
+  });
+
+  suite('parseManifest', () => {
+    test('should allow comments and trailing commas', () => {
+      assert.deepStrictEqual(parseManifest('{ /* c */ "a": 1, }'), { a: 1 });
+    });
+
+    test('should reject invalid JSON', () => {
+      assert.throws(() => parseManifest('{ "a": }'), SyntaxError);
+      assert.throws(() => parseManifest('[]'), SyntaxError);
+    });
+  });
+
+  suite('locateJsonProperty', () => {
+    test('should locate a property value or key', () => {
+      const text = '{\n  // c\n  "dependencies": { "a": "^1.0.0" }\n}';
+
+      assert.deepStrictEqual(locateJsonProperty(text, ['dependencies', 'a']), { offset: text.indexOf('"^1'), length: 8 });
+      assert.deepStrictEqual(locateJsonProperty(text, ['dependencies', 'a'], 'key'), { offset: text.indexOf('"a"'), length: 3 });
+      assert.strictEqual(locateJsonProperty(text, ['engines', 'node']), null);
+    });
+  });
+
+  suite('findDependencyAtOffset', () => {
+    const text = '{\n  "name": "a",\n  "dependencies": { "b": "^1.0.0" },\n  "config": { "dependencies": { "c": "1" } }\n}';
+
+    test('should find the entry from its name or its range', () => {
+      const expected = { key: 'dependencies', name: 'b', specifier: '^1.0.0', offset: text.indexOf('"b"'), length: 3 };
+
+      assert.deepStrictEqual(findDependencyAtOffset(text, text.indexOf('"b"') + 1, ['dependencies']), expected);
+      assert.deepStrictEqual(findDependencyAtOffset(text, text.indexOf('^1'), ['dependencies']), expected);
+    });
+
+    test('should ignore other properties and nested lists', () => {
+      assert.strictEqual(findDependencyAtOffset(text, text.indexOf('"name"') + 1, ['dependencies']), null);
+      assert.strictEqual(findDependencyAtOffset(text, text.indexOf('"c"') + 1, ['dependencies']), null);
+      assert.strictEqual(findDependencyAtOffset(text, text.indexOf('"b"') + 1, ['devDependencies']), null);
+    });
+  });
+
+  suite('editManifestEngines', () => {
+    test('should only replace the changed value', () => {
+      const text = '{\n  "name": "a", // keep me\n  "engines": {\n    "node": ">=16",\n    "npm": ">=7"\n  },\n  "z": 1\n}\n';
+
+      const edit = editManifestEngines(text, { node: '>=20', npm: null });
+
+      assert.deepStrictEqual(edit, { offset: text.indexOf('16'), length: 2, content: '20' });
+    });
+
+    test('should add engines in the style of the document', () => {
+      const text = '{\r\n\t"name": "a"\r\n}\r\n';
+
+      const edit = editManifestEngines(text, { node: '>=20', npm: '>=10' });
+
+      assert.strictEqual(apply(text, edit), '{\r\n\t"name": "a",\r\n\t"engines": {\r\n\t\t"node": ">=20",\r\n\t\t"npm": ">=10"\r\n\t}\r\n}\r\n');
+    });
+
+    test('should keep a single-line manifest on one line', () => {
+      const minified = '{"name":"a","files":["index.js"]}';
+      const spaced = '{ "name": "a" }\n';
+
+      assert.strictEqual(
+        apply(minified, editManifestEngines(minified, { node: '>=20' }, { node: '>=22' })),
+        '{"name":"a","files":["index.js"],"engines":{"node":">=20"},"devEngines":{"runtime":{"name":"node","version":">=22"}}}'
+      );
+      assert.strictEqual(apply(spaced, editManifestEngines(spaced, { node: '>=20' })), '{ "name": "a", "engines": {"node": ">=20"} }\n');
+    });
+
+    test('should leave the lines around an insertion as they are', () => {
+      const text = '{\n  "name": "a",\n  "files": ["index.js"],\n  "engines": {"node": ">=16"}\n}\n';
+
+      assert.strictEqual(
+        apply(text, editManifestEngines(text, { node: '>=20', npm: '>=10' }, { node: '>=22' })),
+        '{\n  "name": "a",\n  "files": ["index.js"],\n  "engines": {"node": ">=20", "npm": ">=10"},\n' +
+          '  "devEngines": {\n    "runtime": {\n      "name": "node",\n      "version": ">=22"\n    }\n  }\n}\n'
+      );
+    });
+
+    test('should combine both engines into a single edit', () => {
+      const text = '{\n  "engines": {\n    "node": ">=16"\n  },\n  "version": "1.0.0"\n}';
+
+      const edit = editManifestEngines(text, { node: '>=20', npm: '>=10' });
+
+      assert.strictEqual(apply(text, edit), '{\n  "engines": {\n    "node": ">=20",\n    "npm": ">=10"\n  },\n  "version": "1.0.0"\n}');
+    });
+
+    test('should return null when the engines are already up to date', () => {
+      assert.strictEqual(editManifestEngines('{"engines":{"node":">=20"}}', { node: '>=20', npm: null }), null);
+      assert.strictEqual(editManifestEngines('{"name":"a"}', { node: null, npm: null }), null);
+    });
+
+    test('should only update an existing Volta pin', () => {
+      const text = '{\n  "engines": {\n    "node": ">=20"\n  },\n  "volta": {\n    "node": "18.20.8"\n  }\n}';
+
+      const edit = editManifestEngines(text, { node: '>=22' }, {}, '22.15.0');
+
+      assert.deepStrictEqual(JSON.parse(apply(text, edit)), { engines: { node: '>=22' }, volta: { node: '22.15.0' } });
+      assert.strictEqual(editManifestEngines('{"engines":{"node":">=22"}}', { node: '>=22' }, {}, '22.15.0'), null);
+    });
+
+    test('should add devEngines with an entry for Node.js and npm', () => {
+      const text = '{\n  "engines": {\n    "node": ">=18"\n  }\n}';
+
+      const edit = editManifestEngines(text, { node: '>=18' }, { node: '>=20', npm: '>=10' });
+
+      assert.deepStrictEqual(JSON.parse(apply(text, edit)).devEngines, {
+        runtime: { name: 'node', version: '>=20' },
+        packageManager: { name: 'npm', version: '>=10' },
+      });
+    });
+
+    test('should only update the devEngines entries for Node.js and npm', () => {
+      const text = JSON.stringify({
+        devEngines: {
+          runtime: [{ name: 'bun', version: '>=1' }, { name: 'node', version: '>=18', onFail: 'warn' }],
+          packageManager: { name: 'pnpm', version: '>=9' },
+        },
+      }, null, 2);
+
+      const edit = editManifestEngines(text, {}, { node: '>=20', npm: '>=10' });
+
+      assert.deepStrictEqual(JSON.parse(apply(text, edit)).devEngines, {
+        runtime: [{ name: 'bun', version: '>=1' }, { name: 'node', version: '>=20', onFail: 'warn' }],
+        packageManager: { name: 'pnpm', version: '>=9' },
+      });
+      assert.strictEqual(editManifestEngines(apply(text, edit), {}, { node: '>=20', npm: '>=10' }), null);
+    });
+  });
+});
@@ -0,0 +1,106 @@
+const assert = require('assert');
+
+const { findEnginesMismatches, suggestEnginesFixes } = require('../../src/mismatch.utils');
+
+suite('Mismatch Utils Test Suite', () => {
+  const known = ['14.0.0', '16.0.0', '18.0.0', '20.0.0', '22.0.0'];
+  const constraint = (name, range, directDependency = name, requiredBy = null) => ({
+    range,
+    name,
+    version: '1.0.0',
+    path: `/project/node_modules/${name}`,
+    requiredBy,
+    directDependency,
+  });
+
+  suite('findEnginesMismatches', () => {
+    test('should report versions the declared range allows but a dependency rejects', () => {
+      const manifest = { engines: { node: '>=16' }, dependencies: { a: '^1.0.0' } };
+
+      const [mismatch] = findEnginesMismatches(manifest, 'node', [constraint('b', '>=18', 'a', 'a')], known);
+
+      assert.strictEqual(mismatch.kind, 'allowsRejected');
+      assert.deepStrictEqual(mismatch.path, ['engines', 'node']);
+      assert.deepStrictEqual(mismatch.versions, ['16.0.0']);
+      assert.strictEqual(mismatch.message, 'engines.node ">=16" allows Node.js 16.0.0, which b@1.0.0 (">=18") does not support.');
+    });
+
+    test('should report the direct dependency that pulls in a rejecting range', () => {
+      const manifest = { engines: { node: '>=16' }, dependencies: { x: '1' }, devDependencies: { a: '^1.0.0' } };
+
+      const mismatches = findEnginesMismatches(manifest, 'node', [constraint('b', '>=18', 'a', 'a')], known);
+
+      assert.deepStrictEqual(mismatches[1].path, ['devDependencies', 'a']);
+      assert.strictEqual(mismatches[1].part, 'key');
+      assert.match(mismatches[1].message, /^a does not support Node\.js 16\.0\.0, .*b@1\.0\.0 \(">=18"\) via a\.$/);
+    });
+
+    test('should report a declared range that is stricter than needed', () => {
+      const mismatches = findEnginesMismatches({ engines: { npm: '>=20' } }, 'npm', [constraint('a', '>=16')], known);
+
+      assert.deepStrictEqual(mismatches.map(m => [m.kind, m.versions]), [['stricterThanNeeded', ['16.0.0', '18.0.0']]]);
+    });
+
+    test('should describe versions with gaps as separate runs', () => {
+      const manifest = { engines: { node: '>=18 <=20' } };
+
+      const [mismatch] = findEnginesMismatches(manifest, 'node', [constraint('a', '>=14')], known);
+
+      assert.deepStrictEqual(mismatch.versions, ['14.0.0', '16.0.0', '22.0.0']);
+      assert.strictEqual(
+        mismatch.message,
+        'engines.node ">=18 <=20" excludes Node.js 14.0.0 to 16.0.0 and 22.0.0, which every dependency supports.'
+      );
+    });
+
+    test('should report an invalid declared range on its own', () => {
+      const mismatches = findEnginesMismatches({ engines: { node: 'latest lts' } }, 'node', [constraint('a', '>=18')], known);
+
+      assert.deepStrictEqual(mismatches.map(m => m.kind), ['invalidRange']);
+    });
+
+    test('should report a missing range next to other engines', () => {
+      const [mismatch] = findEnginesMismatches({ engines: { node: '>=18' } }, 'npm', [constraint('a', '>=9')], known);
+
+      assert.strictEqual(mismatch.kind, 'missingRange');
+      assert.deepStrictEqual(mismatch.path, ['engines']);
+    });
+
+    test('should report nothing without a declared range or when it matches', () => {
+      assert.deepStrictEqual(findEnginesMismatches({}, 'node', [constraint('a', '>=18')], known), []);
+      assert.deepStrictEqual(findEnginesMismatches({ engines: { node: '>=18' } }, 'node', [constraint('a', '>=18')], known), []);
+    });
+  });
+
+  suite('suggestEnginesFixes', () => {
+    const compatibility = {
+      recommendedRange: '>=16.0.0',
+      compatibleRange: '>=16.0.0',
+      compatibleVersions: ['16.0.0', '18.0.0', '20.0.0', '22.0.0'],
+    };
+
+    test('should offer the computed range, the nearest majors and dropping the upper bound', () => {
+      const fixes = suggestEnginesFixes({ engines: { node: '^18 || ^20' } }, 'node', compatibility);
+
+      assert.deepStrictEqual(fixes.map(fix => [fix.title, fix.range]), [
+        ['Set engines.node to computed range ">=16.0.0"', '>=16.0.0'],
+        ['Widen engines.node to include Node.js 16', '^16.0.0 || ^18.0.0 || ^20.0.0'],
+        ['Widen engines.node to include Node.js 22', '^18.0.0 || ^20.0.0 || ^22.0.0'],
+        ['Remove upper bound from engines.node', '^18.0.0 || >=20.0.0'],
+      ]);
+    });
+
+    test('should not drop an upper bound a dependency sets', () => {
+      const fixes = suggestEnginesFixes({ engines: { node: '^18' } }, 'node', { ...compatibility, compatibleRange: '>=16.0.0 <21.0.0' });
+
+      assert.ok(!fixes.some(fix => fix.title.startsWith('Remove upper bound')));
+    });
+
+    test('should add a missing range only next to other engines', () => {
+      assert.deepStrictEqual(suggestEnginesFixes({ engines: { node: '>=16' } }, 'npm', { ...compatibility, recommendedRange: '>=9' }), [
+        { title: 'Add missing engines.npm ">=9"', range: '>=9', kinds: ['missingRange'], isPreferred: true, engine: 'npm' },
+      ]);
+      assert.deepStrictEqual(suggestEnginesFixes({}, 'npm', { ...compatibility, recommendedRange: '>=9' }), []);
+    });
+  });
+});
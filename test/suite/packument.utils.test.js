@@ -0,0 +1,70 @@
+const assert = require('assert');
+const sinon = require('sinon');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  getNpmCacheDirectory,
+  listCachedPackageVersions,
+  readCacheIndexEntry,
+} = require('../../src/packument.utils');
+const { writeCacheEntry } = require('./fixtures');
+
+suite('Packument Utils Test Suite', () => {
+  let sandbox;
+  let cachePath;
+
+  setup(() => {
+    sandbox = sinon.createSandbox();
+    sandbox.stub(console, 'warn');
+    cachePath = fs.mkdtempSync(path.join(os.tmpdir(), 'nsr-cacache-'));
+  });
+
+  teardown(() => {
+    sandbox.restore();
+    fs.rmSync(cachePath, { recursive: true, force: true });
+  });
+
+  suite('getNpmCacheDirectory', () => {
+    test('should honor npm_config_cache', () => {
+      assert.strictEqual(getNpmCacheDirectory({ npm_config_cache: '/tmp/npm' }), path.join('/tmp/npm', '_cacache'));
+    });
+  });
+
+  suite('readCacheIndexEntry', () => {
+    test('should use the newest entry and skip corrupted lines', () => {
+      const key = 'make-fetch-happen:request-cache:https://registry.npmjs.org/a';
+      writeCacheEntry(cachePath, key, '{"versions":{}}');
+      const bucket = writeCacheEntry(cachePath, key, '{"versions":{"1.0.0":{}}}');
+      fs.appendFileSync(bucket, '\nbadhash\t{"key":"broken"');
+
+      const entry = readCacheIndexEntry(cachePath, key);
+
+      assert.strictEqual(entry.integrity, `sha512-${crypto.createHash('sha512').update('{"versions":{"1.0.0":{}}}').digest('base64')}`);
+    });
+  });
+
+  suite('listCachedPackageVersions', () => {
+    test('should list every cached version with its engines', () => {
+      writeCacheEntry(cachePath, 'make-fetch-happen:request-cache:https://registry.npmjs.org/@scope%2fa', JSON.stringify({
+        name: '@scope/a',
+        versions: {
+          '1.0.0': { engines: { node: '>=16' } },
+          '2.0.0': { engines: ['node >= 18'] },
+          'latest': {},
+        },
+      }));
+
+      assert.deepStrictEqual(listCachedPackageVersions('@scope/a', { cachePath }), [
+        { version: '1.0.0', engines: { node: '>=16' } },
+        { version: '2.0.0', engines: null },
+      ]);
+    });
+
+    test('should return nothing for packages that are not cached', () => {
+      assert.deepStrictEqual(listCachedPackageVersions('missing', { cachePath }), []);
+    });
+  });
+});
@@ -0,0 +1,71 @@
+const assert = require('assert');
+
+const { describeRangeCoverage, formatReportPanelHtml, toReleaseTimeline } = require('../../src/panel.utils');
+
+suite('Panel Utils Test Suite', () => {
+  const release = (version, lts = false) => ({ version, date: null, npm: null, lts });
+  const nodeReleases = [
+    release('16.0.0'), release('16.20.2', 'Gallium'),
+    release('17.0.0'),
+    release('18.0.0'), release('18.20.8', 'Hydrogen'),
+    release('20.0.0'), release('20.19.1', 'Iron'),
+  ];
+  const dependency = (name, engines, bounds = []) => ({
+    name,
+    version: '1.0.0',
+    path: `node_modules/${name}`,
+    requiredBy: null,
+    directDependency: name,
+    category: 'dependencies',
+    mode: 'required',
+    engines: { node: null, npm: null, ...engines },
+    bounds,
+  });
+  const project = {
+    name: 'app',
+    packageJson: 'package.json',
+    declaredEngines: { node: '>=16' },
+    compatible: { node: { range: '>=18.20.0', min: '18.20.8', max: '20.19.1' }, npm: { range: null, min: null, max: null } },
+    recommended: { engines: { node: '>=18.20.0', npm: null }, devEngines: { node: null, npm: null } },
+    dependencies: [
+      dependency('<script>', { node: '>=18.20.0' }, ['node.min']),
+      dependency('plain', {}),
+      dependency('broken', { node: 'banana' }),
+    ],
+  };
+
+  suite('toReleaseTimeline', () => {
+    test('should keep the newest majors with their releases', () => {
+      const timeline = toReleaseTimeline(nodeReleases, 3);
+
+      assert.deepStrictEqual(timeline.map(({ major, versions, lts }) => [major, versions.length, lts]), [
+        [17, 1, false],
+        [18, 2, true],
+        [20, 2, true],
+      ]);
+    });
+  });
+
+  suite('describeRangeCoverage', () => {
+    test('should tell which majors a range covers fully or partly', () => {
+      const timeline = toReleaseTimeline(nodeReleases);
+
+      assert.deepStrictEqual(describeRangeCoverage('>=18.20.0', timeline), ['none', 'none', 'some', 'all']);
+      assert.deepStrictEqual(describeRangeCoverage('banana', timeline), ['none', 'none', 'none', 'none']);
+      assert.strictEqual(describeRangeCoverage(null, timeline), null);
+    });
+  });
+
+  suite('formatReportPanelHtml', () => {
+    test('should escape package names and tag each row for the filter', () => {
+      const html = formatReportPanelHtml({ schemaVersion: 1, tool: {}, projects: [project] }, nodeReleases, { cspSource: 'vscode-resource:', nonce: 'abc' });
+
+      assert.match(html, /script-src 'nonce-abc'/);
+      assert.ok(!html.includes('<td>&lt;script>'), 'escapes the closing bracket too');
+      assert.match(html, /<tr data-kind="bound" data-name="&lt;script&gt;">/);
+      assert.match(html, /<tr data-kind="none" data-name="plain">/);
+      assert.match(html, /<tr data-kind="invalid" data-name="broken">/);
+      assert.match(html, /<button data-apply="0">Apply<\/button>/);
+    });
+  });
+});
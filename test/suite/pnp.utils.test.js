@@ -0,0 +1,149 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+
+const { createPnpSource, findPnpManifest, readPnpApi, readZipEntry } = require('../../src/pnp.utils');
+const { walkDependencyTree } = require('../../src/resolver.utils');
+
+// Builds a minimal zip archive with one entry per file, deflating when asked to
+const buildZip = (files, deflate = false) => {
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+  for (const [name, contents] of Object.entries(files)) {
+    const nameBuffer = Buffer.from(name);
+    const raw = Buffer.from(contents);
+    const data = deflate ? zlib.deflateRawSync(raw) : raw;
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(deflate ? 8 : 0, 8);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(raw.length, 22);
+    local.writeUInt16LE(nameBuffer.length, 26);
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(deflate ? 8 : 0, 10);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(raw.length, 24);
+    central.writeUInt16LE(nameBuffer.length, 28);
+    central.writeUInt32LE(offset, 42);
+    localParts.push(local, nameBuffer, data);
+    centralParts.push(central, nameBuffer);
+    offset += local.length + nameBuffer.length + data.length;
+  }
+  const centralDirectory = Buffer.concat(centralParts);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(Object.keys(files).length, 8);
+  end.writeUInt16LE(Object.keys(files).length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...localParts, centralDirectory, end]);
+};
+
+suite('PnP Utils Test Suite', () => {
+  let projectPath;
+
+  setup(() => {
+    projectPath = fs.mkdtempSync(path.join(os.tmpdir(), 'nsr-pnp-'));
+  });
+
+  teardown(() => {
+    fs.rmSync(projectPath, { recursive: true, force: true });
+  });
+
+  suite('findPnpManifest', () => {
+    test('should find .pnp.cjs', () => {
+      fs.writeFileSync(path.join(projectPath, '.pnp.cjs'), '');
+
+      assert.strictEqual(findPnpManifest(projectPath), path.join(projectPath, '.pnp.cjs'));
+    });
+
+    test('should return null for projects without Plug\'n\'Play', () => {
+      assert.strictEqual(findPnpManifest(projectPath), null);
+    });
+  });
+
+  suite('readPnpApi', () => {
+    const state = {
+      packageRegistryData: [
+        [null, [[null, { packageLocation: './', packageDependencies: [['a', 'npm:1.0.0']] }]]],
+        ['a', [['npm:1.0.0', { packageLocation: './.yarn/cache/a-npm-1.0.0-abc.zip/node_modules/a/', packageDependencies: [] }]]],
+      ],
+    };
+
+    test('should read the inlined runtime state without running .pnp.cjs', () => {
+      // Serialized the way Yarn writes RAW_RUNTIME_STATE: escaped quotes and backslashes, continued lines
+      const literal = JSON.stringify({ ...state, note: "it's a \\ path" }, null, 2)
+        .replace(/\\/g, '\\\\')
+        .replace(/'/g, "\\'")
+        .replace(/\n/g, '\\\n');
+      const manifestPath = path.join(projectPath, '.pnp.cjs');
+      fs.writeFileSync(manifestPath, `"use strict";\nconst RAW_RUNTIME_STATE =\n'${literal}';\nthrow new Error('executed');\n`);
+
+      const pnp = readPnpApi(manifestPath);
+
+      assert.deepStrictEqual(pnp.findPackageLocator(`${projectPath}/`), { name: null, reference: null });
+      assert.deepStrictEqual([...pnp.getPackageInformation({ name: null, reference: null }).packageDependencies], [['a', 'npm:1.0.0']]);
+      assert.strictEqual(
+        pnp.getPackageInformation({ name: 'a', reference: 'npm:1.0.0' }).packageLocation,
+        path.join(projectPath, '.yarn/cache/a-npm-1.0.0-abc.zip/node_modules/a')
+      );
+    });
+
+    test('should read .pnp.data.json when the state is not inlined', () => {
+      const manifestPath = path.join(projectPath, '.pnp.cjs');
+      fs.writeFileSync(manifestPath, "throw new Error('executed');\n");
+      fs.writeFileSync(path.join(projectPath, '.pnp.data.json'), JSON.stringify(state));
+
+      assert.strictEqual(readPnpApi(manifestPath).getPackageInformation({ name: 'a', reference: 'npm:1.0.0' }).packageDependencies.size, 0);
+    });
+  });
+
+  suite('readZipEntry', () => {
+    test('should read stored and deflated entries', () => {
+      const storedPath = path.join(projectPath, 'stored.zip');
+      const deflatedPath = path.join(projectPath, 'deflated.zip');
+      fs.writeFileSync(storedPath, buildZip({ 'a.txt': 'first', 'b.txt': 'second' }));
+      fs.writeFileSync(deflatedPath, buildZip({ 'a.txt': 'first', 'b.txt': 'second' }, true));
+
+      assert.strictEqual(readZipEntry(storedPath, 'b.txt').toString(), 'second');
+      assert.strictEqual(readZipEntry(deflatedPath, 'b.txt').toString(), 'second');
+    });
+
+    test('should throw for missing entries', () => {
+      const zipPath = path.join(projectPath, 'stored.zip');
+      fs.writeFileSync(zipPath, buildZip({ 'a.txt': 'first' }));
+
+      assert.throws(() => readZipEntry(zipPath, 'missing.txt'), /missing.txt not found/);
+    });
+  });
+
+  suite('createPnpSource', () => {
+    test('should resolve packages through the PnP API and read manifests from the cache', () => {
+      const cachePath = path.join(projectPath, '.yarn/cache');
+      fs.mkdirSync(cachePath, { recursive: true });
+      const zipPath = path.join(cachePath, 'a-npm-1.0.0-abc.zip');
+      fs.writeFileSync(zipPath, buildZip({
+        'node_modules/a/package.json': JSON.stringify({ name: 'a', version: '1.0.0', engines: { node: '>=20' } }),
+      }, true));
+
+      const packages = {
+        'null:null': { packageLocation: `${projectPath}/`, packageDependencies: new Map([['a', 'npm:1.0.0']]) },
+        'a:npm:1.0.0': { packageLocation: `${zipPath}/node_modules/a/`, packageDependencies: new Map() },
+      };
+      const pnp = {
+        topLevel: { name: null, reference: null },
+        findPackageLocator: () => null,
+        getPackageInformation: ({ name, reference }) => packages[`${name}:${reference}`] ?? null,
+      };
+
+      const [a] = walkDependencyTree(projectPath, ['a'], { source: createPnpSource(projectPath, pnp) });
+
+      assert.strictEqual(a.version, '1.0.0');
+      assert.deepStrictEqual(a.engines, { node: '>=20' });
+    });
+  });
+});
@@ -0,0 +1,96 @@
+const assert = require('assert');
+
+const { describeVersions, formatEngineRange, formatIntervals, intersectRanges, isSameRange, parseRangeIntervals } = require('../../src/range.utils');
+
+suite('Range Utils Test Suite', () => {
+  suite('intersectRanges', () => {
+    test('should keep gaps between alternatives', () => {
+      assert.strictEqual(intersectRanges(['^18 || >=20.5', '>=18.17']), '^18.17.0 || >=20.5.0');
+    });
+
+    test('should drop alternatives outside the other ranges', () => {
+      assert.strictEqual(intersectRanges(['^16 || ^18 || ^20', '>=18', '>=0.10.0']), '^18.0.0 || ^20.0.0');
+    });
+
+    test('should merge adjacent alternatives', () => {
+      assert.strictEqual(intersectRanges(['18.x || 19.x || >=20']), '>=18.0.0');
+      assert.strictEqual(intersectRanges(['>=14.17.0 <15.0.0 || >=16.0.0']), '^14.17.0 || >=16.0.0');
+    });
+
+    test('should use the shortest form for each interval', () => {
+      assert.strictEqual(intersectRanges(['~1.2.3']), '~1.2.3');
+      assert.strictEqual(intersectRanges(['^0.2.3']), '^0.2.3');
+      assert.strictEqual(intersectRanges(['>=1.2.3', '<=1.2.3']), '1.2.3');
+      assert.strictEqual(intersectRanges(['>16.0.0', '<=24.0.1']), '>16.0.0 <=24.0.1');
+      assert.strictEqual(intersectRanges(['*']), '*');
+    });
+
+    test('should return null when no version satisfies every range', () => {
+      assert.strictEqual(intersectRanges(['^18', '^20']), null);
+      assert.strictEqual(intersectRanges(['>18.0.0', '<=18.0.0']), null);
+    });
+
+    test('should throw for invalid ranges', () => {
+      assert.throws(() => intersectRanges(['>=18', 'not a range']), TypeError);
+    });
+  });
+
+  suite('parseRangeIntervals', () => {
+    test('should treat the prerelease floor of caret ranges as the next release', () => {
+      const [interval] = parseRangeIntervals('^18.0.0');
+
+      assert.strictEqual(interval.upper.version.version, '19.0.0');
+      assert.strictEqual(interval.upper.inclusive, false);
+      assert.strictEqual(formatIntervals([interval]), '^18.0.0');
+    });
+  });
+
+  suite('isSameRange', () => {
+    test('should compare the versions ranges allow rather than how they are written', () => {
+      assert.strictEqual(isSameRange('>=20', '>=20.0.0'), true);
+      assert.strictEqual(isSameRange('^18.17.0 || >=20.0.0', '>=18.17.0 <19.0.0-0 || >=20'), true);
+      assert.strictEqual(isSameRange('>=18', '>=20.0.0'), false);
+      assert.strictEqual(isSameRange(null, null), true);
+      assert.strictEqual(isSameRange('not a range', '>=20'), false);
+    });
+  });
+
+  suite('describeVersions', () => {
+    test('should describe each run of consecutive known versions', () => {
+      const known = ['14.0.0', '16.0.0', '18.0.0', '20.0.0', '22.0.0'];
+
+      assert.strictEqual(describeVersions(['16.0.0'], known), '16.0.0');
+      assert.strictEqual(describeVersions(['14.0.0', '16.0.0', '18.0.0'], known), '14.0.0 to 18.0.0');
+      assert.strictEqual(describeVersions(['14.0.0', '16.0.0', '20.0.0', '22.0.0'], known), '14.0.0 to 16.0.0 and 20.0.0 to 22.0.0');
+      assert.strictEqual(describeVersions(['14.0.0', '18.0.0', '22.0.0'], known), '14.0.0, 18.0.0 and 22.0.0');
+    });
+  });
+
+  suite('formatEngineRange', () => {
+    const versions = ['18.17.0', '18.20.8', '20.3.0', '22.0.0', '24.0.1'];
+
+    test('should default to the symbolic range', () => {
+      assert.strictEqual(formatEngineRange('intersection', { range: '^18.17.0 || >=20.3.0', versions }), '^18.17.0 || >=20.3.0');
+      assert.strictEqual(formatEngineRange('intersection', { range: null, versions }), '>=18.17.0 <=24.0.1');
+    });
+
+    test('should leave out the upper bound when open-ended', () => {
+      assert.strictEqual(formatEngineRange('openEnded', { range: '>=18.17.0 <25.0.0', versions }), '>=18.17.0');
+    });
+
+    test('should only open the newest major when the range has no upper bound', () => {
+      assert.strictEqual(formatEngineRange('majorCaretUnion', { range: '>=18.17.0', versions }), '^18.17.0 || ^20.3.0 || ^22.0.0 || >=24.0.1');
+      assert.strictEqual(formatEngineRange('majorCaretUnion', { range: '>=18.17.0 <25.0.0', versions }), '^18.17.0 || ^20.3.0 || ^22.0.0 || ^24.0.1');
+    });
+
+    test('should return null when nothing is compatible', () => {
+      assert.strictEqual(formatEngineRange('exactBounds', { range: null, versions: [] }), null);
+      assert.strictEqual(formatEngineRange('ltsOnly', { range: null, versions: [], ltsVersions: ['22.0.0'] }), null);
+    });
+
+    test('should fall back when no compatible version is an LTS release', () => {
+      assert.strictEqual(formatEngineRange('ltsOnly', { range: '>=25.0.0', versions: ['25.0.0'], ltsVersions: ['24.0.1'] }), '>=25.0.0');
+      assert.strictEqual(formatEngineRange('ltsOnly', { range: null, versions: ['25.0.0', '25.1.0'] }), '>=25.0.0 <=25.1.0');
+    });
+  });
+});
@@ -0,0 +1,161 @@
+const assert = require('assert');
+const sinon = require('sinon');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  buildNpmCatalog,
+  loadNodeReleases,
+  parseNodeReleaseIndex,
+  readBundledNodeReleases,
+  readCachedNodeReleases,
+  toBundledNpmVersions,
+  toKnownNodeVersions,
+  toKnownNpmVersions,
+  toLtsNodeVersions,
+  writeCachedNodeReleases,
+} = require('../../src/releases.utils');
+const { COMMON_NPM_VERSIONS, NODE_RELEASES_REFRESH_INTERVAL_MS } = require('../../src/constants');
+
+suite('Releases Utils Test Suite', () => {
+  let sandbox;
+  let cacheDir;
+  let cachePath;
+
+  const indexJson = [
+    { version: 'v22.15.0', date: '2025-04-23', npm: '10.9.2', lts: 'Jod', files: [] },
+    { version: 'v24.0.1', date: '2025-05-08', npm: '11.3.0', lts: false, files: [] },
+    { version: 'v20.19.1', date: '2025-04-22', npm: '10.8.2', lts: 'Iron', files: [] },
+  ];
+  const okFetch = () => sinon.stub().resolves({ ok: true, status: 200, json: async () => indexJson });
+
+  setup(() => {
+    sandbox = sinon.createSandbox();
+    sandbox.stub(console, 'warn');
+    cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nsr-releases-'));
+    cachePath = path.join(cacheDir, 'nested', 'node-releases.cache.json');
+  });
+
+  teardown(() => {
+    sandbox.restore();
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+  });
+
+  suite('parseNodeReleaseIndex', () => {
+    test('should normalize and sort index.json entries oldest first', () => {
+      const releases = parseNodeReleaseIndex([...indexJson, { version: 'not-a-version' }]);
+
+      assert.deepStrictEqual(toKnownNodeVersions(releases), ['20.19.1', '22.15.0', '24.0.1']);
+      assert.deepStrictEqual(releases[0], { version: '20.19.1', date: '2025-04-22', npm: '10.8.2', lts: 'Iron' });
+      assert.strictEqual(releases[2].lts, false);
+    });
+
+    test('should list LTS releases only', () => {
+      assert.deepStrictEqual(toLtsNodeVersions(parseNodeReleaseIndex(indexJson)), ['20.19.1', '22.15.0']);
+    });
+
+    test('should reject anything but an array', () => {
+      assert.throws(() => parseNodeReleaseIndex({}), /must be an array/);
+    });
+  });
+
+  suite('readBundledNodeReleases', () => {
+    test('should include every patch version of the bundled snapshot', () => {
+      const versions = toKnownNodeVersions(readBundledNodeReleases());
+
+      assert.ok(versions.includes('18.20.8'));
+      assert.ok(versions.includes('20.19.5'));
+      assert.ok(versions.length > 800, 'Snapshot should cover the full release history');
+    });
+  });
+
+  suite('loadNodeReleases', () => {
+    test('should download and cache the index when there is no cache', async () => {
+      const fetchImpl = okFetch();
+
+      const releases = await loadNodeReleases({ cachePath, fetchImpl, now: () => 1000 });
+
+      assert(fetchImpl.calledOnce);
+      assert.strictEqual(releases.length, 3);
+      assert.deepStrictEqual(readCachedNodeReleases(cachePath).releases, releases);
+    });
+
+    test('should use a fresh cache without downloading', async () => {
+      writeCachedNodeReleases(cachePath, parseNodeReleaseIndex(indexJson.slice(0, 1)), 1000);
+      const fetchImpl = okFetch();
+
+      const releases = await loadNodeReleases({ cachePath, fetchImpl, now: () => 2000 });
+
+      assert(fetchImpl.notCalled);
+      assert.deepStrictEqual(toKnownNodeVersions(releases), ['22.15.0']);
+    });
+
+    test('should refresh a stale cache', async () => {
+      writeCachedNodeReleases(cachePath, parseNodeReleaseIndex(indexJson.slice(0, 1)), 1000);
+      const fetchImpl = okFetch();
+
+      const releases = await loadNodeReleases({ cachePath, fetchImpl, now: () => 1000 + NODE_RELEASES_REFRESH_INTERVAL_MS });
+
+      assert(fetchImpl.calledOnce);
+      assert.strictEqual(releases.length, 3);
+    });
+
+    test('should fall back to a stale cache when offline', async () => {
+      writeCachedNodeReleases(cachePath, parseNodeReleaseIndex(indexJson.slice(0, 1)), 1000);
+      const fetchImpl = sinon.stub().rejects(new Error('offline'));
+
+      const releases = await loadNodeReleases({ cachePath, fetchImpl, now: () => 1000 + NODE_RELEASES_REFRESH_INTERVAL_MS });
+
+      assert.deepStrictEqual(toKnownNodeVersions(releases), ['22.15.0']);
+      assert(console.warn.calledWithMatch(/Using cached release data/));
+    });
+
+    test('should fall back to the bundled snapshot when offline without a cache', async () => {
+      const fetchImpl = sinon.stub().resolves({ ok: false, status: 503 });
+
+      const releases = await loadNodeReleases({ cachePath, fetchImpl });
+
+      assert.deepStrictEqual(releases, readBundledNodeReleases());
+      assert(console.warn.calledWithMatch(/Using bundled release data/));
+    });
+  });
+
+  suite('npm catalog', () => {
+    const releases = parseNodeReleaseIndex([
+      { version: 'v18.20.8', npm: '10.8.2', lts: 'Hydrogen' },
+      { version: 'v20.19.1', npm: '10.8.2', lts: 'Iron' },
+      { version: 'v22.15.0', npm: '10.9.2', lts: 'Jod' },
+      { version: 'v23.0.0', lts: false },
+    ]);
+
+    test('should map each npm version to the Node releases that ship it', () => {
+      assert.deepStrictEqual([...buildNpmCatalog(releases)], [
+        ['10.8.2', ['18.20.8', '20.19.1']],
+        ['10.9.2', ['22.15.0']],
+      ]);
+    });
+
+    test('should look up the bundled npm of each Node release', () => {
+      const bundled = toBundledNpmVersions(releases);
+
+      assert.strictEqual(bundled.get('22.15.0'), '10.9.2');
+      assert.strictEqual(bundled.has('23.0.0'), false, 'Releases with unknown npm should be left out');
+    });
+
+    test('should catalog the npm the releases of the bundled snapshot ship', () => {
+      const catalog = buildNpmCatalog(readBundledNodeReleases());
+
+      assert.ok(catalog.get('6.14.4').includes('14.0.0'));
+      assert.ok(catalog.get('7.10.0').includes('16.0.0'));
+      assert.ok(catalog.get('8.6.0').includes('18.0.0'));
+      assert.ok(catalog.get('10.8.2').includes('20.19.5'));
+    });
+
+    test('should list bundled and common npm versions without duplicates', () => {
+      const versions = toKnownNpmVersions(releases);
+
+      assert.deepStrictEqual(versions, [...new Set(['10.8.2', '10.9.2', ...COMMON_NPM_VERSIONS])].sort());
+    });
+  });
+});
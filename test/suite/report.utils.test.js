@@ -0,0 +1,120 @@
+const assert = require('assert');
+const sinon = require('sinon');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { analyzeProjectDependencies } = require('../../src/analysis.utils');
+const { readBundledNodeReleases, toKnownNodeVersions, toKnownNpmVersions } = require('../../src/releases.utils');
+const {
+  formatMarkdownReport,
+  formatSarifReport,
+  listReportedProjects,
+  toEnginesReport,
+} = require('../../src/report.utils');
+const { writeFixture } = require('./fixtures');
+
+suite('Report Utils Test Suite', () => {
+  let sandbox;
+  let rootPath;
+  const nodeReleases = readBundledNodeReleases();
+
+  const buildReport = async () => {
+    const result = await analyzeProjectDependencies(
+      rootPath,
+      { report: () => {} },
+      toKnownNodeVersions(nodeReleases),
+      toKnownNpmVersions(nodeReleases),
+      { nodeReleases }
+    );
+    return toEnginesReport(listReportedProjects('app', { result, workspaceResult: null }), {
+      rootPath,
+      nodeReleases,
+      styles: { node: 'intersection', npm: 'intersection' },
+      versionPinTarget: 'newestLts',
+    });
+  };
+
+  setup(() => {
+    sandbox = sinon.createSandbox();
+    sandbox.stub(console, 'warn');
+    rootPath = fs.mkdtempSync(path.join(os.tmpdir(), 'nsr-report-'));
+    writeFixture(rootPath, 'package.json', {
+      name: 'app',
+      engines: { node: '>=16' },
+      dependencies: { a: '^1.0.0', b: '^1.0.0' },
+      devDependencies: { c: '^1.0.0' },
+    });
+    writeFixture(rootPath, 'node_modules/a/package.json', { name: 'a', version: '1.0.0', engines: { node: '>=20' } });
+    writeFixture(rootPath, 'node_modules/b/package.json', { name: 'b', version: '1.0.0' });
+    writeFixture(rootPath, 'node_modules/c/package.json', { name: 'c', version: '1.0.0', engines: { node: '>=18 | x' } });
+  });
+
+  teardown(() => {
+    sandbox.restore();
+    fs.rmSync(rootPath, { recursive: true, force: true });
+  });
+
+  suite('toEnginesReport', () => {
+    test('should describe the ranges and every dependency with relative paths', async () => {
+      const report = await buildReport();
+      const [project] = report.projects;
+
+      assert.strictEqual(report.schemaVersion, 1);
+      assert.strictEqual(project.packageJson, 'package.json');
+      assert.strictEqual(project.compatible.node.range, '>=20.0.0');
+      assert.deepStrictEqual(project.recommended.engines, { node: '>=20.0.0', npm: null });
+      assert.deepStrictEqual(project.dependencies.find(({ name }) => name === 'a'), {
+        name: 'a',
+        version: '1.0.0',
+        path: 'node_modules/a',
+        requiredBy: null,
+        directDependency: 'a',
+        category: 'dependencies',
+        mode: 'required',
+        engines: { node: '>=20', npm: null },
+        bounds: ['node.min'],
+      });
+      assert.deepStrictEqual(project.dependenciesWithoutEngines, ['b@1.0.0']);
+      assert.deepStrictEqual(
+        project.invalidRanges.map(({ name, engine, range, category }) => ({ name, engine, range, category })),
+        [{ name: 'c', engine: 'node', range: '>=18 | x', category: 'devDependencies' }]
+      );
+      assert.deepStrictEqual(project.mismatches.map(({ kind, level }) => [kind, level]), [
+        ['allowsRejected', 'warning'],
+        ['dependencyExcludes', 'warning'],
+      ]);
+    });
+
+    test('should list the conflicting ranges when no version is compatible', async () => {
+      writeFixture(rootPath, 'node_modules/b/package.json', { name: 'b', version: '1.0.0', engines: { node: '<18' } });
+
+      const [project] = (await buildReport()).projects;
+
+      assert.strictEqual(project.recommended.engines.node, null);
+      assert.deepStrictEqual(project.conflicts.map(({ name, range }) => [name, range]), [['a', '>=20'], ['b', '<18']]);
+    });
+  });
+
+  suite('formatMarkdownReport', () => {
+    test('should escape pipes in table cells', async () => {
+      const markdown = formatMarkdownReport(await buildReport());
+
+      assert.match(markdown, /^# Node Support Range Report/);
+      assert.match(markdown, /\| c \| 1\.0\.0 \| devDependencies \(development\) \| `>=18 \\\| x` \|/);
+      assert.match(markdown, /Declaring no engines: b@1\.0\.0\./);
+    });
+  });
+
+  suite('formatSarifReport', () => {
+    test('should point each result into package.json', async () => {
+      const [run] = JSON.parse(formatSarifReport(await buildReport(), rootPath)).runs;
+      const byRule = ruleId => run.results.find(result => result.ruleId === ruleId).locations[0].physicalLocation;
+
+      assert.strictEqual(run.tool.driver.name, 'node-support-range');
+      assert.deepStrictEqual(byRule('allowsRejected').artifactLocation, { uri: 'package.json', uriBaseId: '%SRCROOT%' });
+      assert.deepStrictEqual(byRule('allowsRejected').region, { startLine: 4, startColumn: 13, endLine: 4, endColumn: 19 });
+      assert.deepStrictEqual(byRule('invalidDependencyRange').region, { startLine: 11, startColumn: 5, endLine: 11, endColumn: 8 });
+    });
+  });
+});
@@ -0,0 +1,107 @@
+const assert = require('assert');
+const sinon = require('sinon');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { resolvePackageDirectory, walkDependencyTree } = require('../../src/resolver.utils');
+
+suite('Resolver Utils Test Suite', () => {
+  let sandbox;
+  let projectPath;
+
+  // Writes a package.json for `name` under the given node_modules-relative location
+  const installPackage = (location, manifest) => {
+    const packageDir = path.join(projectPath, location);
+    fs.mkdirSync(packageDir, { recursive: true });
+    fs.writeFileSync(path.join(packageDir, 'package.json'), JSON.stringify(manifest));
+    return packageDir;
+  };
+
+  setup(() => {
+    sandbox = sinon.createSandbox();
+    sandbox.stub(console, 'warn');
+    projectPath = fs.mkdtempSync(path.join(os.tmpdir(), 'nsr-resolver-'));
+  });
+
+  teardown(() => {
+    sandbox.restore();
+    fs.rmSync(projectPath, { recursive: true, force: true });
+  });
+
+  suite('resolvePackageDirectory', () => {
+    test('should prefer a nested node_modules over the hoisted copy', () => {
+      installPackage('node_modules/a', { name: 'a', version: '1.0.0' });
+      installPackage('node_modules/b', { name: 'b', version: '2.0.0' });
+      const nested = installPackage('node_modules/a/node_modules/b', { name: 'b', version: '1.0.0' });
+
+      assert.strictEqual(resolvePackageDirectory('b', path.join(projectPath, 'node_modules/a'), projectPath), nested);
+    });
+
+    test('should fall back to the hoisted copy', () => {
+      installPackage('node_modules/a', { name: 'a', version: '1.0.0' });
+      const hoisted = installPackage('node_modules/b', { name: 'b', version: '2.0.0' });
+
+      assert.strictEqual(resolvePackageDirectory('b', path.join(projectPath, 'node_modules/a'), projectPath), hoisted);
+    });
+
+    test('should not search above the boundary', () => {
+      const packagePath = path.join(projectPath, 'packages/app');
+      fs.mkdirSync(packagePath, { recursive: true });
+      installPackage('node_modules/b', { name: 'b', version: '2.0.0' });
+
+      assert.strictEqual(resolvePackageDirectory('b', packagePath, packagePath), null);
+      assert.ok(resolvePackageDirectory('b', packagePath, projectPath));
+    });
+  });
+
+  suite('walkDependencyTree', () => {
+    test('should collect engines from transitive dependencies', () => {
+      installPackage('node_modules/a', { name: 'a', version: '1.0.0', dependencies: { b: '^1.0.0' } });
+      installPackage('node_modules/b', { name: 'b', version: '1.2.0', engines: { node: '>=20' } });
+
+      const result = walkDependencyTree(projectPath, ['a']);
+
+      assert.deepStrictEqual(result.map(dep => [dep.name, dep.depth, dep.requiredBy, dep.directDependency]), [['a', 0, null, 'a'], ['b', 1, 'a', 'a']]);
+      assert.deepStrictEqual(result[1].engines, { node: '>=20' });
+      assert.strictEqual(result[1].version, '1.2.0');
+    });
+
+    test('should terminate on dependency cycles', () => {
+      installPackage('node_modules/a', { name: 'a', version: '1.0.0', dependencies: { b: '*' } });
+      installPackage('node_modules/b', { name: 'b', version: '1.0.0', dependencies: { a: '*' } });
+
+      const result = walkDependencyTree(projectPath, ['a']);
+
+      assert.deepStrictEqual(result.map(dep => dep.name), ['a', 'b']);
+    });
+
+    test('should record direct dependencies that are not installed', () => {
+      const result = walkDependencyTree(projectPath, ['missing']);
+
+      assert.deepStrictEqual(result, [
+        { name: 'missing', version: null, path: null, engines: null, depth: 0, requiredBy: null, directDependency: 'missing' },
+      ]);
+      assert(console.warn.calledWithMatch(/package.json not found for missing/i), 'Warning for missing package.json should be logged');
+    });
+
+    test('should stop at maxDepth', () => {
+      installPackage('node_modules/a', { name: 'a', version: '1.0.0', dependencies: { b: '*' } });
+      installPackage('node_modules/b', { name: 'b', version: '1.0.0' });
+
+      const result = walkDependencyTree(projectPath, ['a'], { maxDepth: 0 });
+
+      assert.deepStrictEqual(result.map(dep => dep.name), ['a']);
+    });
+
+    test('should report every visited dependency through onVisit', () => {
+      installPackage('node_modules/a', { name: 'a', version: '1.0.0', dependencies: { b: '*' } });
+      installPackage('node_modules/b', { name: 'b', version: '1.0.0' });
+      const onVisit = sinon.spy();
+
+      walkDependencyTree(projectPath, ['a'], { onVisit });
+
+      assert.strictEqual(onVisit.callCount, 2);
+    });
+  });
+});
@@ -0,0 +1,170 @@
+const assert = require('assert');
+const sinon = require('sinon');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  chooseNodeVersion,
+  detectSelectedNodeVersion,
+  findNodeVersionPins,
+  findNvmrc,
+  formatNodeVersionSpec,
+  locateNodeVersionSpec,
+  planNodeVersionPinUpdates,
+  resolveNodeVersionSpec,
+} = require('../../src/runtime.utils');
+
+suite('Runtime Utils Test Suite', () => {
+  const releases = [
+    { version: '18.20.8', npm: '10.8.2', lts: 'Hydrogen' },
+    { version: '20.18.0', npm: '10.8.2', lts: 'Iron' },
+    { version: '20.19.1', npm: '10.8.2', lts: 'Iron' },
+    { version: '22.15.0', npm: '10.9.2', lts: 'Jod' },
+    { version: '24.0.1', npm: '11.3.0', lts: false },
+  ];
+  let sandbox;
+  let rootPath;
+
+  setup(() => {
+    sandbox = sinon.createSandbox();
+    sandbox.stub(console, 'warn');
+    rootPath = fs.mkdtempSync(path.join(os.tmpdir(), 'nsr-runtime-'));
+  });
+
+  teardown(() => {
+    sandbox.restore();
+    fs.rmSync(rootPath, { recursive: true, force: true });
+  });
+
+  suite('resolveNodeVersionSpec', () => {
+    test('should resolve exact and partial versions to the newest match', () => {
+      assert.strictEqual(resolveNodeVersionSpec('v20', releases), '20.19.1');
+      assert.strictEqual(resolveNodeVersionSpec('20.18', releases), '20.18.0');
+      assert.strictEqual(resolveNodeVersionSpec('21.1.0', releases), '21.1.0');
+    });
+
+    test('should resolve aliases and LTS lines', () => {
+      assert.strictEqual(resolveNodeVersionSpec('node', releases), '24.0.1');
+      assert.strictEqual(resolveNodeVersionSpec('lts/*', releases), '22.15.0');
+      assert.strictEqual(resolveNodeVersionSpec('lts/-1', releases), '20.19.1');
+      assert.strictEqual(resolveNodeVersionSpec('lts/Hydrogen', releases), '18.20.8');
+    });
+
+    test('should return null for versions it cannot resolve', () => {
+      assert.strictEqual(resolveNodeVersionSpec('system', releases), null);
+      assert.strictEqual(resolveNodeVersionSpec('lts/argon', releases), null);
+    });
+  });
+
+  suite('findNvmrc', () => {
+    test('should find the closest .nvmrc in a parent directory', () => {
+      const projectPath = path.join(rootPath, 'packages', 'a');
+      fs.mkdirSync(projectPath, { recursive: true });
+      fs.writeFileSync(path.join(rootPath, '.nvmrc'), 'lts/iron # team default\n22\n');
+
+      assert.deepStrictEqual(findNvmrc(projectPath), { path: path.join(rootPath, '.nvmrc'), spec: 'lts/iron' });
+    });
+  });
+
+  suite('detectSelectedNodeVersion', () => {
+    test('should prefer a Volta pin over .nvmrc', async () => {
+      fs.writeFileSync(path.join(rootPath, 'package.json'), JSON.stringify({ volta: { node: '18.20.8' } }));
+      fs.writeFileSync(path.join(rootPath, '.nvmrc'), '22');
+
+      assert.deepStrictEqual(await detectSelectedNodeVersion(rootPath, releases), { version: '18.20.8', source: 'Volta' });
+    });
+
+    test('should fall back to .nvmrc', async () => {
+      fs.writeFileSync(path.join(rootPath, 'package.json'), JSON.stringify({ name: 'a' }));
+      fs.writeFileSync(path.join(rootPath, '.nvmrc'), 'lts/*');
+
+      assert.deepStrictEqual(
+        await detectSelectedNodeVersion(rootPath, releases),
+        { version: '22.15.0', source: path.join(rootPath, '.nvmrc') }
+      );
+    });
+
+    test('should read the pins of other version managers before a parent .nvmrc', async () => {
+      const projectPath = path.join(rootPath, 'project');
+      fs.mkdirSync(projectPath);
+      fs.writeFileSync(path.join(rootPath, '.nvmrc'), '18');
+      fs.writeFileSync(path.join(projectPath, '.tool-versions'), 'nodejs 20.18.0\n');
+
+      assert.deepStrictEqual(
+        await detectSelectedNodeVersion(projectPath, releases),
+        { version: '20.18.0', source: path.join(projectPath, '.tool-versions') }
+      );
+      fs.writeFileSync(path.join(projectPath, '.node-version'), 'v22');
+      assert.deepStrictEqual(
+        await detectSelectedNodeVersion(projectPath, releases),
+        { version: '22.15.0', source: path.join(projectPath, '.node-version') }
+      );
+    });
+
+    test('should fall back to the version of the executable', async () => {
+      fs.writeFileSync(path.join(rootPath, 'package.json'), JSON.stringify({ name: 'a' }));
+
+      assert.deepStrictEqual(
+        await detectSelectedNodeVersion(rootPath, releases, { nodePath: process.execPath }),
+        { version: process.version.slice(1), source: process.execPath }
+      );
+      assert.strictEqual(await detectSelectedNodeVersion(rootPath, releases, { nodePath: null }), null);
+    });
+  });
+
+  suite('locateNodeVersionSpec', () => {
+    test('should find the version in the first line or the nodejs line of .tool-versions', () => {
+      assert.deepStrictEqual(locateNodeVersionSpec('.nvmrc', ' v18 # comment\n20\n'), { spec: 'v18', offset: 1, length: 3 });
+      assert.deepStrictEqual(
+        locateNodeVersionSpec('.tool-versions', 'python 3.12.0\nnodejs 18.20.8 20.18.0\n'),
+        { spec: '18.20.8', offset: 21, length: 7 }
+      );
+      assert.strictEqual(locateNodeVersionSpec('.tool-versions', 'python 3.12.0\n'), null);
+    });
+  });
+
+  suite('findNodeVersionPins', () => {
+    test('should list every version manager file and the Volta pin', () => {
+      fs.writeFileSync(path.join(rootPath, '.nvmrc'), 'lts/iron\n');
+      fs.writeFileSync(path.join(rootPath, '.tool-versions'), 'node 18\n');
+      fs.writeFileSync(path.join(rootPath, 'package.json'), JSON.stringify({ volta: { node: '22.15.0' } }));
+
+      const pins = findNodeVersionPins(rootPath, releases);
+
+      assert.deepStrictEqual(pins.map(({ label, spec, version }) => [label, spec, version]), [
+        ['.nvmrc', 'lts/iron', '20.19.1'],
+        ['.tool-versions', '18', '18.20.8'],
+        ['volta.node', '22.15.0', '22.15.0'],
+      ]);
+    });
+  });
+
+  suite('chooseNodeVersion', () => {
+    test('should prefer the newest LTS release in range', () => {
+      assert.strictEqual(chooseNodeVersion('>=20', releases), '22.15.0');
+      assert.strictEqual(chooseNodeVersion('>=24', releases), '24.0.1');
+      assert.strictEqual(chooseNodeVersion('>=20', releases, 'oldest'), '20.18.0');
+      assert.strictEqual(chooseNodeVersion('>=26', releases), null);
+    });
+  });
+
+  suite('planNodeVersionPinUpdates', () => {
+    test('should rewrite only the pins outside the range, in their own style', () => {
+      const pins = [
+        { label: '.nvmrc', path: '/p/.nvmrc', spec: 'v18', version: '18.20.8' },
+        { label: '.node-version', path: '/p/.node-version', spec: '20.18.0', version: '20.18.0' },
+        { label: 'volta.node', path: '/p/package.json', spec: 'system', version: null },
+      ];
+
+      const updates = planNodeVersionPinUpdates(pins, '>=20', releases);
+
+      assert.deepStrictEqual(updates, [{ pin: pins[0], version: '22.15.0', spec: 'v22' }]);
+    });
+
+    test('should write the exact version when a partial one would resolve outside the range', () => {
+      assert.strictEqual(formatNodeVersionSpec('20', '20.18.0', '<20.19.0', releases), '20.18.0');
+      assert.strictEqual(formatNodeVersionSpec('lts/*', '20.18.0', '>=20', releases), '20.18.0');
+    });
+  });
+});
@@ -0,0 +1,27 @@
+const assert = require('assert');
+
+const { describeEnginesStatus } = require('../../src/statusbar.utils');
+
+suite('Status Bar Utils Test Suite', () => {
+  suite('describeEnginesStatus', () => {
+    test('should show the range when the selected Node.js is inside it', () => {
+      const status = describeEnginesStatus('>=18.17.0', { version: '20.19.1', source: '/project/.nvmrc' });
+
+      assert.strictEqual(status.text, '$(check) Node >=18.17.0');
+      assert.strictEqual(status.level, 'ok');
+      assert.ok(status.tooltip.includes('20.19.1 (from /project/.nvmrc) is inside it'));
+    });
+
+    test('should warn when the selected Node.js is outside the range', () => {
+      const status = describeEnginesStatus('^20.0.0', { version: '18.20.8', source: 'Volta' });
+
+      assert.strictEqual(status.text, '$(warning) Node ^20.0.0');
+      assert.strictEqual(status.level, 'warning');
+    });
+
+    test('should report when no version is compatible', () => {
+      assert.strictEqual(describeEnginesStatus(null, null).level, 'error');
+      assert.strictEqual(describeEnginesStatus('>=20', null).level, 'ok');
+    });
+  });
+});
@@ -0,0 +1,61 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { groupDependenciesByNodeRequirement, toDependencyTreeItem } = require('../../src/treeview.utils');
+
+suite('Tree View Utils Test Suite', () => {
+  const dependency = (name, engines, dependencyPath = null) => ({
+    name,
+    version: '1.0.0',
+    path: dependencyPath,
+    engines,
+    depth: 0,
+    requiredBy: null,
+    directDependency: name,
+    category: 'dependencies',
+    mode: 'required',
+  });
+
+  suite('groupDependenciesByNodeRequirement', () => {
+    test('should group by the required major, strictest first', () => {
+      const groups = groupDependenciesByNodeRequirement([
+        dependency('d', { node: '>=18.17.0' }),
+        dependency('a', { node: '^18 || ^20' }),
+        dependency('c', { node: '>=20' }),
+        dependency('e', { npm: '>=9' }),
+        dependency('f', null),
+        dependency('g', { node: 'banana' }),
+        dependency('h', { node: '<20' }),
+      ]);
+
+      assert.deepStrictEqual(groups.map(({ label, dependencies }) => [label, dependencies.map(({ name }) => name)]), [
+        ['Requires >=20', ['c']],
+        ['Requires >=18', ['a', 'd']],
+        ['No minimum Node.js version', ['h']],
+        ['No engines declared', ['e', 'f']],
+        ['Invalid engines', ['g']],
+      ]);
+    });
+  });
+
+  suite('toDependencyTreeItem', () => {
+    test('should open the manifest of installed dependencies', () => {
+      const rootPath = fs.mkdtempSync(path.join(os.tmpdir(), 'nsr-treeview-'));
+      try {
+        fs.writeFileSync(path.join(rootPath, 'package.json'), '{}');
+
+        const installed = toDependencyTreeItem({ kind: 'dependency', dependency: dependency('a', { node: '>=20' }, rootPath) });
+        const missing = toDependencyTreeItem({ kind: 'dependency', dependency: dependency('b', null, path.join(rootPath, 'b')) });
+
+        assert.strictEqual(installed.description, '1.0.0 · >=20');
+        assert.strictEqual(installed.command.command, 'vscode.open');
+        assert.strictEqual(installed.command.arguments[0].fsPath, path.join(rootPath, 'package.json'));
+        assert.strictEqual(missing.command, undefined);
+      } finally {
+        fs.rmSync(rootPath, { recursive: true, force: true });
+      }
+    });
+  });
+});
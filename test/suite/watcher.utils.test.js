@@ -0,0 +1,28 @@
+const assert = require('assert');
+
+const { isDeclaredEnginesOutdated, isRecommendationChanged } = require('../../src/watcher.utils');
+
+suite('Watcher Utils Test Suite', () => {
+  suite('isDeclaredEnginesOutdated', () => {
+    test('should compare the declared engines with the recommendation', () => {
+      assert.strictEqual(isDeclaredEnginesOutdated({ node: '>=20.0.0' }, '>=20.0.0', null), false);
+      assert.strictEqual(isDeclaredEnginesOutdated({ node: '>=18' }, '>=20.0.0', null), true);
+      assert.strictEqual(isDeclaredEnginesOutdated({ node: '>=20.0.0' }, '>=20.0.0', '>=10.0.0'), true);
+      assert.strictEqual(isDeclaredEnginesOutdated(null, '>=20.0.0', null), true);
+    });
+
+    test('should accept declared ranges written differently that allow the same versions', () => {
+      assert.strictEqual(isDeclaredEnginesOutdated({ node: '>=20', npm: '>=10' }, '>=20.0.0', '>=10.0.0'), false);
+      assert.strictEqual(isDeclaredEnginesOutdated({ node: '^18.17.0 || >=20' }, '>=18.17.0 <19.0.0-0 || >=20.0.0', null), false);
+    });
+  });
+
+  suite('isRecommendationChanged', () => {
+    test('should only report recommendations that allow other versions', () => {
+      assert.strictEqual(isRecommendationChanged({ node: '>=20', npm: null }, { node: '>=20.0.0', npm: null }), false);
+      assert.strictEqual(isRecommendationChanged({ node: '>=20.0.0', npm: null }, { node: '>=22.0.0', npm: null }), true);
+      assert.strictEqual(isRecommendationChanged({ node: '>=20.0.0', npm: null }, { node: '>=20.0.0', npm: '>=10.0.0' }), true);
+      assert.strictEqual(isRecommendationChanged({ node: null, npm: null }, { node: null, npm: null }), false);
+    });
+  });
+});
@@ -0,0 +1,82 @@
+const assert = require('assert');
+const sinon = require('sinon');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { findWorkspacePackages, findWorkspaceRoot, readWorkspacePatterns } = require('../../src/workspaces.utils');
+const { writeFixture } = require('./fixtures');
+
+suite('Workspaces Utils Test Suite', () => {
+  let sandbox;
+  let rootPath;
+
+  setup(() => {
+    sandbox = sinon.createSandbox();
+    sandbox.stub(console, 'warn');
+    rootPath = fs.mkdtempSync(path.join(os.tmpdir(), 'nsr-workspaces-'));
+  });
+
+  teardown(() => {
+    sandbox.restore();
+    fs.rmSync(rootPath, { recursive: true, force: true });
+  });
+
+  suite('readWorkspacePatterns', () => {
+    test('should read npm and Yarn workspaces from package.json', () => {
+      writeFixture(rootPath, 'package.json', { workspaces: ['packages/*'] });
+      assert.deepStrictEqual(readWorkspacePatterns(rootPath), ['packages/*']);
+
+      writeFixture(rootPath, 'package.json', { workspaces: { packages: ['apps/*'], nohoist: ['**/x'] } });
+      assert.deepStrictEqual(readWorkspacePatterns(rootPath), ['apps/*']);
+    });
+
+    test('should prefer pnpm-workspace.yaml', () => {
+      writeFixture(rootPath, 'package.json', { workspaces: ['packages/*'] });
+      writeFixture(rootPath, 'pnpm-workspace.yaml', 'packages:\n  - "apps/**"\n  - "!apps/legacy"\n');
+
+      assert.deepStrictEqual(readWorkspacePatterns(rootPath), ['apps/**', '!apps/legacy']);
+    });
+
+    test('should return nothing for a single project', () => {
+      writeFixture(rootPath, 'package.json', { name: 'a' });
+
+      assert.deepStrictEqual(readWorkspacePatterns(rootPath), []);
+    });
+  });
+
+  suite('findWorkspacePackages', () => {
+    test('should list matching directories with a package.json', () => {
+      writeFixture(rootPath, 'package.json', { workspaces: ['packages/*', './tools/cli', '!packages/legacy'] });
+      const a = writeFixture(rootPath, 'packages/a/package.json', { name: '@scope/a' });
+      writeFixture(rootPath, 'packages/legacy/package.json', { name: 'legacy' });
+      writeFixture(rootPath, 'packages/docs/README.md', '');
+      writeFixture(rootPath, 'packages/a/node_modules/b/package.json', { name: 'b' });
+      const cli = writeFixture(rootPath, 'tools/cli/package.json', {});
+
+      assert.deepStrictEqual(findWorkspacePackages(rootPath), [
+        { name: '@scope/a', path: a },
+        { name: 'tools/cli', path: cli },
+      ]);
+    });
+
+    test('should search nested directories for **', () => {
+      writeFixture(rootPath, 'pnpm-workspace.yaml', 'packages:\n  - "apps/**"\n');
+      const web = writeFixture(rootPath, 'apps/web/package.json', { name: 'web' });
+      const api = writeFixture(rootPath, 'apps/services/api/package.json', { name: 'api' });
+
+      assert.deepStrictEqual(findWorkspacePackages(rootPath).map(({ path }) => path), [api, web]);
+    });
+  });
+
+  suite('findWorkspaceRoot', () => {
+    test('should find the root that lists the package', () => {
+      writeFixture(rootPath, 'package.json', { workspaces: ['packages/*'] });
+      const a = writeFixture(rootPath, 'packages/a/package.json', { name: 'a' });
+      const other = writeFixture(rootPath, 'other/package.json', { name: 'other' });
+
+      assert.strictEqual(findWorkspaceRoot(a), rootPath);
+      assert.strictEqual(findWorkspaceRoot(other), null);
+    });
+  });
+});